@@ -69,13 +69,38 @@ const optionalAuthenticate = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token for user
+ * Socket.io authentication middleware
+ * Attaches the user from the handshake's `auth.token` to socket.data.user;
+ * connections without a valid token stay anonymous
+ */
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token;
+
+        if (token) {
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const user = await User.findById(decoded.userId);
+
+            if (user && user.isActive) {
+                socket.data.user = user;
+            }
+        }
+    } catch (error) {
+        // Continue without user
+    }
+
+    next();
+};
+
+/**
+ * Generate short-lived JWT access token for user
+ * Long-lived sessions use refresh tokens (see services/tokenService.js)
  */
 const generateToken = (userId) => {
     return jwt.sign(
         { userId },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
 };
 
@@ -99,6 +124,7 @@ const authorize = (...roles) => {
 module.exports = {
     authenticate,
     optionalAuthenticate,
+    authenticateSocket,
     generateToken,
     authorize
 };
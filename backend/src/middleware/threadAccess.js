@@ -0,0 +1,132 @@
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+const { checkThreadPermission } = require('../services/threadPolicy');
+
+/**
+ * Thread permission middleware factory
+ * Loads the thread named by a route parameter, checks the action against the
+ * thread policy and attaches it to req.thread.
+ * @param {string|Function} action - Thread action, or (req) => action
+ * @param {string} param - Route parameter holding the thread ID
+ */
+const requireThreadPermission = (action, param = 'id') => {
+    return async (req, res, next) => {
+        try {
+            const thread = await Thread.findById(req.params[param]);
+
+            if (!thread) {
+                return res.status(404).json({ error: 'Thread not found' });
+            }
+
+            const requiredAction = typeof action === 'function' ? action(req) : action;
+            const decision = checkThreadPermission(req.user, requiredAction, thread);
+
+            if (!decision.allowed) {
+                return res.status(decision.status).json({ error: decision.reason });
+            }
+
+            req.thread = thread;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+};
+
+/**
+ * Message thread permission middleware factory
+ * Loads the message named by :id and its thread, checks the thread action and
+ * attaches both to req.message and req.thread.
+ * @param {string} action - Thread action required on the message's thread
+ */
+const requireMessageThreadPermission = (action) => {
+    return async (req, res, next) => {
+        try {
+            const message = await Message.findById(req.params.id);
+
+            if (!message) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            const thread = await Thread.findById(message.threadId);
+
+            if (!thread) {
+                return res.status(404).json({ error: 'Thread not found' });
+            }
+
+            const decision = checkThreadPermission(req.user, action, thread);
+
+            if (!decision.allowed) {
+                return res.status(decision.status).json({ error: decision.reason });
+            }
+
+            req.message = message;
+            req.thread = thread;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+};
+
+/**
+ * Claim thread permission middleware factory
+ * Loads the claim named by :id and checks the action on its thread.
+ * @param {string} action - Thread action required on the claim's thread
+ */
+const requireClaimThreadPermission = (action) => {
+    return async (req, res, next) => {
+        try {
+            const claim = await Claim.findById(req.params.id);
+
+            if (!claim) {
+                return res.status(404).json({ error: 'Claim not found' });
+            }
+
+            const thread = await Thread.findById(claim.threadId);
+
+            if (!thread) {
+                return res.status(404).json({ error: 'Thread not found' });
+            }
+
+            const decision = checkThreadPermission(req.user, action, thread);
+
+            if (!decision.allowed) {
+                return res.status(decision.status).json({ error: decision.reason });
+            }
+
+            req.claim = claim;
+            req.thread = thread;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+};
+
+/**
+ * Redirect reads of a merged thread's tombstone to the thread it was merged into
+ * Runs after requireThreadPermission; the rest of the URL and query is kept.
+ */
+const redirectMergedThread = (req, res, next) => {
+    const mergedInto = req.thread.mergedInto;
+
+    if (!mergedInto || !mergedInto.threadId) {
+        return next();
+    }
+
+    const location = req.originalUrl.replace(req.thread._id.toString(), mergedInto.threadId.toString());
+
+    res.status(301).location(location).json({
+        error: 'Thread was merged into another thread',
+        mergedInto
+    });
+};
+
+module.exports = {
+    requireThreadPermission,
+    redirectMergedThread,
+    requireMessageThreadPermission,
+    requireClaimThreadPermission
+};
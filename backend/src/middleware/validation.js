@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { listConfiguredSearchProviders } = require('../services/searchProviders');
 
 /**
  * Thread validation schema
@@ -14,7 +15,14 @@ const threadSchema = Joi.object({
         autoSummaryEnabled: Joi.boolean(),
         summaryFrequency: Joi.number().integer().min(5).max(100),
         autoFactCheckEnabled: Joi.boolean(),
-        allowAnonymous: Joi.boolean()
+        allowAnonymous: Joi.boolean(),
+        // Only providers configured here, so a thread's fact-checks never run without sources
+        searchProvider: Joi.string().trim().lowercase().allow(null).custom((name, helpers) => {
+            const configured = listConfiguredSearchProviders();
+            return configured.includes(name)
+                ? name
+                : helpers.message(`"settings.searchProvider" must be one of the configured providers: ${configured.join(', ')}`);
+        })
     }),
     isClosed: Joi.boolean()
 }).min(1); // At least one field must be present
@@ -30,6 +38,7 @@ const messageSchema = Joi.object({
             quotedText: Joi.string()
         })
     ),
+    parentId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
     editReason: Joi.string().max(200).trim()
 });
 
@@ -41,6 +50,115 @@ const claimSchema = Joi.object({
     messageId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
 });
 
+/**
+ * Thread member validation schema
+ */
+const threadMemberSchema = Joi.object({
+    userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    role: Joi.string().valid('participant', 'moderator').default('participant')
+});
+
+const objectId = () => Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+/**
+ * Tracked question validation schemas
+ */
+const questionSchema = Joi.object({
+    question: Joi.string().min(3).max(500).trim().required(),
+    messageId: objectId()
+});
+
+const questionUpdateSchema = Joi.object({
+    question: Joi.string().min(3).max(500).trim(),
+    status: Joi.string().valid('open', 'answered', 'dismissed'),
+    answer: Joi.string().max(1000).trim().allow(''),
+    answerMessageId: objectId().allow(null),
+    confirmed: Joi.boolean()
+}).min(1);
+
+/**
+ * Tracked decision validation schemas
+ */
+const decisionSchema = Joi.object({
+    decision: Joi.string().min(3).max(500).trim().required(),
+    participants: Joi.array().items(objectId()).max(50).default([]),
+    messageId: objectId()
+});
+
+const decisionUpdateSchema = Joi.object({
+    decision: Joi.string().min(3).max(500).trim(),
+    participants: Joi.array().items(objectId()).max(50),
+    status: Joi.string().valid('active', 'dismissed'),
+    confirmed: Joi.boolean()
+}).min(1);
+
+/**
+ * Read marker validation schema (omit messageId to mark everything read)
+ */
+const readMarkerSchema = Joi.object({
+    messageId: objectId()
+});
+
+/**
+ * Summarize request validation schema
+ */
+const summarizeSchema = Joi.object({
+    mode: Joi.string().valid('auto', 'full').default('auto'),
+    branchId: objectId()
+});
+
+/**
+ * Fork validation schema (a single seed message, or a range up to toMessageId)
+ */
+const forkSchema = Joi.object({
+    messageId: objectId().required(),
+    toMessageId: objectId(),
+    title: Joi.string().min(3).max(200).trim(),
+    description: Joi.string().max(1000).trim().allow('')
+});
+
+/**
+ * Merge validation schema (the route's thread receives the source's messages)
+ */
+const mergeSchema = Joi.object({
+    sourceThreadId: objectId().required()
+});
+
+/**
+ * Reply tree query validation schema
+ */
+const replyTreeQuerySchema = Joi.object({
+    maxDepth: Joi.number().integer().min(0).max(10).default(3),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    skip: Joi.number().integer().min(0).default(0),
+    format: Joi.string().valid('tree', 'outline').default('tree')
+});
+
+/**
+ * Related threads query validation schema
+ */
+const relatedQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5),
+    claimLimit: Joi.number().integer().min(0).max(20).default(5)
+});
+
+/**
+ * Search query validation schema (types is a comma-separated list)
+ */
+const searchQuerySchema = Joi.object({
+    q: Joi.string().trim().min(2).max(500).required(),
+    types: Joi.string().pattern(/^(message|thread|claim)(,(message|thread|claim))*$/)
+        .messages({ 'string.pattern.base': 'types must list message, thread and/or claim' }),
+    author: Joi.string().trim().max(100),
+    mode: Joi.string().valid('casual', 'debate', 'planning', 'brainstorm', 'general'),
+    tag: Joi.string().trim().lowercase().max(50),
+    messageType: Joi.string().valid('user', 'llm_intervention', 'llm_summary', 'llm_fact_check', 'llm_resolution', 'system'),
+    threadId: objectId(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
 /**
  * User registration validation schema
  */
@@ -59,6 +177,13 @@ const userLoginSchema = Joi.object({
     password: Joi.string().required()
 });
 
+/**
+ * Refresh token validation schema (refresh and logout)
+ */
+const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().required()
+});
+
 /**
  * Generic validation middleware factory
  */
@@ -120,7 +245,20 @@ module.exports = {
     validateThread: validate(threadSchema),
     validateMessage: validate(messageSchema),
     validateClaim: validate(claimSchema),
+    validateThreadMember: validate(threadMemberSchema),
+    validateSummarize: validate(summarizeSchema),
+    validateQuestion: validate(questionSchema),
+    validateQuestionUpdate: validate(questionUpdateSchema),
+    validateDecision: validate(decisionSchema),
+    validateDecisionUpdate: validate(decisionUpdateSchema),
+    validateReadMarker: validate(readMarkerSchema),
+    validateReplyTreeQuery: validateQuery(replyTreeQuerySchema),
+    validateFork: validate(forkSchema),
+    validateMerge: validate(mergeSchema),
+    validateSearchQuery: validateQuery(searchQuerySchema),
+    validateRelatedQuery: validateQuery(relatedQuerySchema),
     validateUserRegistration: validate(userRegistrationSchema),
-    validateUserLogin: validate(userLoginSchema)
+    validateUserLogin: validate(userLoginSchema),
+    validateRefreshToken: validate(refreshTokenSchema)
 };
 
@@ -0,0 +1,44 @@
+const { validateClaim } = require('./validation');
+
+const run = (middleware, body) => {
+    const req = { body };
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.body = payload;
+            return this;
+        }
+    };
+    const next = jest.fn();
+
+    middleware(req, res, next);
+    return { req, res, next };
+};
+
+describe('validateClaim', () => {
+    it('accepts a claim with an optional message id', () => {
+        const { req, next } = run(validateClaim, { claimText: '  Rents rose 12%  ', messageId: '64b7f0c2a1b2c3d4e5f60718' });
+
+        expect(next).toHaveBeenCalled();
+        expect(req.body).toEqual({ claimText: 'Rents rose 12%', messageId: '64b7f0c2a1b2c3d4e5f60718' });
+    });
+
+    it('rejects a missing claim text', () => {
+        const { res, next } = run(validateClaim, { messageId: '64b7f0c2a1b2c3d4e5f60718' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+        expect(res.body.details.map(detail => detail.field)).toEqual(['claimText']);
+    });
+
+    it('rejects a malformed message id', () => {
+        const { res, next } = run(validateClaim, { claimText: 'Rents rose 12%', messageId: 'not-an-id' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+        expect(res.body.details.map(detail => detail.field)).toEqual(['messageId']);
+    });
+});
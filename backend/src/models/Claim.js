@@ -28,13 +28,24 @@ const claimSchema = new mongoose.Schema({
             required: true
         },
         url: String,
-        snippet: String,
+        snippet: String, // Page passage the verdict relied on, or the search snippet
+        snippetSource: {
+            type: String,
+            enum: ['page', 'search'],
+            default: 'search'
+        },
+        citation: String, // How the explanation cites it: "2.3" is passage 3 of source 2
         credibilityScore: {
             type: Number,
             min: 0,
             max: 1
         },
-        supports: {
+        stance: { // From the fact-check; irrelevant evidence does not count toward the verdict
+            type: String,
+            enum: ['supports', 'refutes', 'irrelevant'],
+            default: 'supports'
+        },
+        supports: { // stance === 'supports', kept for older clients
             type: Boolean,
             default: true
         },
@@ -57,6 +68,11 @@ const claimSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    invalidatedAt: { // Set when the message was edited and no longer makes the claim
+        type: Date,
+        default: null
+    },
+    invalidationReason: String,
     checkedBy: {
         type: String,
         enum: ['llm', 'user', 'moderator'],
@@ -98,6 +114,7 @@ const claimSchema = new mongoose.Schema({
 claimSchema.index({ threadId: 1, status: 1 });
 claimSchema.index({ messageId: 1 });
 claimSchema.index({ checkedAt: -1 });
+claimSchema.index({ claimText: 'text', explanation: 'text' }, { weights: { claimText: 3, explanation: 1 } });
 
 const Claim = mongoose.model('Claim', claimSchema);
 
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const embeddingSchema = new mongoose.Schema({
+    kind: { // What refId points at
+        type: String,
+        enum: ['message', 'thread', 'summary', 'claim'],
+        required: true
+    },
+    refId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        default: null
+    },
+    model: { // "<provider>:<model>"; vectors are only compared within one model
+        type: String,
+        required: true
+    },
+    version: { // Version of the text built for the document (see embeddingStore)
+        type: Number,
+        default: 1
+    },
+    vector: {
+        type: [Number],
+        required: true
+    },
+    textHash: { // Hash of the embedded text, to skip unchanged content
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One vector per document per model
+embeddingSchema.index({ kind: 1, refId: 1, model: 1 }, { unique: true });
+embeddingSchema.index({ kind: 1, model: 1, version: 1, updatedAt: -1 });
+embeddingSchema.index({ threadId: 1 });
+
+const Embedding = mongoose.model('Embedding', embeddingSchema);
+
+module.exports = Embedding;
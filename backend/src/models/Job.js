@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        default: null
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+jobSchema.index({ status: 1, runAt: 1, createdAt: 1 });
+jobSchema.index({ threadId: 1, status: 1 });
+// Keep finished jobs for a week for debugging, then let MongoDB remove them
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
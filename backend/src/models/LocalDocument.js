@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const localDocumentSchema = new mongoose.Schema({
+    docKey: { // File path, plus "#<id or line>" for JSONL entries
+        type: String,
+        required: true,
+        unique: true
+    },
+    path: { // File path relative to LOCAL_SEARCH_DIR
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        default: ''
+    },
+    url: { // local://<path>, or the URL given in a JSONL entry
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    fileMtime: { // File modification time and size when indexed, to skip unchanged files
+        type: Date,
+        required: true
+    },
+    fileSize: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+localDocumentSchema.index({ title: 'text', text: 'text' }, { weights: { title: 3, text: 1 } });
+localDocumentSchema.index({ path: 1 });
+localDocumentSchema.index({ url: 1 });
+
+const LocalDocument = mongoose.model('LocalDocument', localDocumentSchema);
+
+module.exports = LocalDocument;
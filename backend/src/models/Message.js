@@ -21,7 +21,7 @@ const messageSchema = new mongoose.Schema({
     },
     messageType: {
         type: String,
-        enum: ['user', 'llm_intervention', 'llm_summary', 'llm_fact_check', 'system'],
+        enum: ['user', 'llm_intervention', 'llm_summary', 'llm_fact_check', 'llm_resolution', 'system'],
         default: 'user'
     },
     claimMarkers: [{
@@ -45,6 +45,30 @@ const messageSchema = new mongoose.Schema({
             default: false
         }
     }],
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    // Parents from the top-level message down to parentId, for subtree queries
+    ancestorIds: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    }],
+    depth: {
+        type: Number,
+        default: 0
+    },
+    linkedThreadId: { // Thread a fork notice points to
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        default: null
+    },
+    forkedFromMessageId: { // Original of a message copied into a fork
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
     references: [{
         messageId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -72,7 +96,24 @@ const messageSchema = new mongoose.Schema({
         reason: String, // Why the LLM intervened
         triggerType: String, // 'automatic', 'explicit_request', 'threshold', 'claim_detected'
         processingTime: Number, // ms
-        modelUsed: String
+        modelUsed: String,
+        forkSuggestion: { // Messages the facilitator suggests moving to their own thread
+            messageId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            },
+            toMessageId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            },
+            title: String
+        },
+        outputValidation: { // How the model's JSON output fared against its schema
+            attempts: Number,
+            repaired: Boolean,
+            usedFallback: Boolean,
+            errors: [String]
+        }
     },
     isEdited: {
         type: Boolean,
@@ -92,8 +133,11 @@ const messageSchema = new mongoose.Schema({
 
 // Indexes
 messageSchema.index({ threadId: 1, createdAt: 1 });
+messageSchema.index({ threadId: 1, parentId: 1, createdAt: 1 });
+messageSchema.index({ ancestorIds: 1 });
 messageSchema.index({ authorId: 1 });
 messageSchema.index({ messageType: 1 });
+messageSchema.index({ content: 'text' });
 
 // Pre-save hook to increment thread message count
 messageSchema.pre('save', async function (next) {
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const readPositionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        required: true,
+        index: true
+    },
+    lastReadMessageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    lastReadAt: { // createdAt of the last read message
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// One read position per user per thread
+readPositionSchema.index({ userId: 1, threadId: 1 }, { unique: true });
+
+const ReadPosition = mongoose.model('ReadPosition', readPositionSchema);
+
+module.exports = ReadPosition;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    replacedByHash: {
+        type: String,
+        default: null
+    },
+    userAgent: String,
+    ip: String
+}, {
+    timestamps: true
+});
+
+// Let MongoDB remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the token can still be used
+refreshTokenSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
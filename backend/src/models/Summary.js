@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const summarySchema = new mongoose.Schema({
+    threadId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    whatThisThreadIsAbout: String,
+    keyPointsSoFar: [String],
+    keyPoints: [{ // keyPointsSoFar with the messages each point is based on
+        point: String,
+        supportingMessageIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message'
+        }]
+    }],
+    areasOfAgreement: [String],
+    areasOfDisagreement: [String],
+    openQuestions: [String],
+    nextSteps: [String],
+    sourcesCited: [String],
+    coverage: { // User messages the summary covers, oldest to newest
+        fromMessageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message'
+        },
+        toMessageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message'
+        },
+        fromCreatedAt: Date,
+        toCreatedAt: Date,
+        messageCount: Number
+    },
+    strategy: {
+        type: String,
+        enum: ['single', 'rolling', 'map_reduce']
+    },
+    chunkCount: Number,
+    messageId: { // The llm_summary message that posted it
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    modelUsed: String,
+    processingTime: Number // ms
+}, {
+    timestamps: true
+});
+
+// One document per version of a thread's summary
+summarySchema.index({ threadId: 1, version: -1 }, { unique: true });
+
+const Summary = mongoose.model('Summary', summarySchema);
+
+module.exports = Summary;
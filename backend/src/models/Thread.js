@@ -1,5 +1,65 @@
 const mongoose = require('mongoose');
 
+const resolutionSchema = new mongoose.Schema({
+    summary: String,
+    consensus: [String],
+    remainingDisagreements: [String],
+    actionItems: [{
+        task: String,
+        owner: String, // Name as given by the model
+        ownerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    }],
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    generatedAt: Date,
+    modelUsed: String
+}, { _id: true });
+
+const forkSchema = new mongoose.Schema({
+    threadId: { // Thread the fork was taken from
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        required: true
+    },
+    messageId: { // First seed message in that thread
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    toMessageId: { // Last seed message, when a range was forked
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    forkedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    forkedAt: Date
+}, { _id: false });
+
+const mergeSchema = new mongoose.Schema({
+    threadId: { // Thread this one was merged into
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Thread',
+        required: true
+    },
+    mergedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    mergedAt: Date
+}, { _id: false });
+
 const threadSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -54,21 +114,93 @@ const threadSchema = new mongoose.Schema({
         unresolvedQuestions: [{
             question: String,
             askedAt: Date,
-            askedBy: mongoose.Schema.Types.ObjectId
+            askedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            messageId: { // Message that asked it
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            },
+            status: {
+                type: String,
+                enum: ['open', 'answered', 'dismissed'],
+                default: 'open'
+            },
+            answer: String,
+            answerMessageId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            },
+            answeredAt: Date,
+            source: { // Extracted by the facilitator or added by a person
+                type: String,
+                enum: ['llm', 'user'],
+                default: 'llm'
+            },
+            confirmedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            confirmedAt: Date
         }],
         decisionsMade: [{
             decision: String,
             madeAt: Date,
-            participants: [mongoose.Schema.Types.ObjectId]
+            participants: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }],
+            messageId: { // Message that recorded it
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            },
+            status: {
+                type: String,
+                enum: ['active', 'dismissed'],
+                default: 'active'
+            },
+            source: {
+                type: String,
+                enum: ['llm', 'user'],
+                default: 'llm'
+            },
+            confirmedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                default: null
+            },
+            confirmedAt: Date
         }],
         keyPoints: [{
             point: String,
             addedAt: Date,
-            supportingMessageIds: [mongoose.Schema.Types.ObjectId]
+            supportingMessageIds: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message'
+            }]
         }],
         areasOfAgreement: [String],
         areasOfDisagreement: [String]
     },
+    resolution: {
+        type: resolutionSchema,
+        default: null
+    },
+    resolutionHistory: [resolutionSchema],
+    forkedFrom: {
+        type: forkSchema,
+        default: null
+    },
+    mergedInto: { // Set on the tombstone left behind by a merge
+        type: mergeSchema,
+        default: null
+    },
+    summaryVersion: { // Latest version in the summaries collection
+        type: Number,
+        default: 0
+    },
     lastSummaryAt: {
         type: Date,
         default: null
@@ -93,6 +225,10 @@ const threadSchema = new mongoose.Schema({
         allowAnonymous: {
             type: Boolean,
             default: false
+        },
+        searchProvider: { // Fact-check sources for this thread; null uses SEARCH_PROVIDERS
+            type: String,
+            default: null
         }
     },
     isArchived: {
@@ -113,6 +249,8 @@ threadSchema.index({ topicTags: 1 });
 threadSchema.index({ mode: 1 });
 threadSchema.index({ visibility: 1 });
 threadSchema.index({ createdAt: -1 });
+threadSchema.index({ 'forkedFrom.threadId': 1 });
+threadSchema.index({ title: 'text', description: 'text' }, { weights: { title: 3, description: 1 } });
 
 // Virtual for checking if summary is due
 threadSchema.virtual('isSummaryDue').get(function () {
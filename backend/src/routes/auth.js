@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateUserRegistration,
+    validateUserLogin,
+    validateRefreshToken
+} = require('../middleware/validation');
+const {
+    issueTokenPair,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllForUser
+} = require('../services/tokenService');
+
+/**
+ * Client details recorded alongside refresh tokens
+ */
+const clientInfo = (req) => ({
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+});
+
+// POST /api/auth/register - Create a new account
+router.post('/register', validateUserRegistration, async (req, res) => {
+    try {
+        const { username, email, password, displayName } = req.body;
+
+        const existing = await User.findOne({ $or: [{ username }, { email }] });
+
+        if (existing) {
+            const field = existing.username === username ? 'Username' : 'Email';
+            return res.status(409).json({ error: `${field} is already registered` });
+        }
+
+        // Plain password is hashed by the User pre-save hook
+        const user = new User({
+            username,
+            email,
+            passwordHash: password,
+            displayName: displayName || username
+        });
+
+        await user.save();
+
+        const tokens = await issueTokenPair(user._id, clientInfo(req));
+
+        res.status(201).json({ user, ...tokens });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/login - Log in with username (or email) and password
+router.post('/login', validateUserLogin, async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        const user = await User.findOne({
+            $or: [{ username }, { email: username.toLowerCase() }]
+        });
+
+        if (!user || !user.isActive || !(await user.comparePassword(password))) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const tokens = await issueTokenPair(user._id, clientInfo(req));
+
+        res.json({ user, ...tokens });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+    try {
+        const tokens = await rotateRefreshToken(req.body.refreshToken, clientInfo(req));
+
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        const user = await User.findById(tokens.userId);
+
+        if (!user || !user.isActive) {
+            await revokeAllForUser(tokens.userId);
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        res.json({
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
+            refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/logout - Revoke a refresh token
+router.post('/logout', validateRefreshToken, async (req, res) => {
+    try {
+        await revokeRefreshToken(req.body.refreshToken);
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/auth/logout-all - Revoke every refresh token for the current user
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        const revoked = await revokeAllForUser(req.userId);
+
+        res.json({ message: 'Logged out of all sessions', revoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/auth/me - Get the current user
+router.get('/me', authenticate, async (req, res) => {
+    res.json(req.user);
+});
+
+module.exports = router;
@@ -1,181 +1,364 @@
 const express = require('express');
 const router = express.Router();
 const Thread = require('../models/Thread');
-const Message = require('../models/Message');
 const Claim = require('../models/Claim');
-const { generateSummary } = require('../services/summaryService');
-const { factCheckClaim } = require('../services/factCheckService');
+const Message = require('../models/Message');
+const Summary = require('../models/Summary');
+const llmOrchestrator = require('../services/llmOrchestrator');
+const { getDraft, getThreadDrafts } = require('../services/draftStream');
+const { diffSummaries } = require('../services/summaryHistory');
+const { generateCatchUp } = require('../services/catchUpService');
+const { markRead, readReceipt } = require('../services/readTracking');
+const { checkThreadPermission } = require('../services/threadPolicy');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { requireThreadPermission, requireClaimThreadPermission } = require('../middleware/threadAccess');
+const { validateSummarize, validateClaim } = require('../middleware/validation');
+const { parseLimit, decodeCursor, paginate } = require('../utils/pagination');
 
 // POST /api/llm/threads/:id/summarize - Generate or update thread summary
-router.post('/threads/:id/summarize', async (req, res) => {
+// Body: { mode: 'auto' (roll the last summary forward) | 'full' (re-summarize everything),
+//         branchId: summarize only this message and its replies }
+router.post('/threads/:id/summarize', authenticate, requireThreadPermission('post'), validateSummarize, async (req, res) => {
     try {
-        const thread = await Thread.findById(req.params.id);
+        const thread = req.thread;
+        const { mode, branchId } = req.body;
 
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
+        if (branchId && !(await Message.exists({ _id: branchId, threadId: thread._id }))) {
+            return res.status(404).json({ error: 'Branch message not found in this thread' });
         }
 
-        // Generate summary using LLM
-        const summaryResult = await generateSummary(req.params.id);
-        const summary = summaryResult.summary;
-
-        // Update thread conversation state
-        thread.conversationState = {
-            ...thread.conversationState,
-            keyPoints: summary.keyPointsSoFar.map(point => ({
-                point,
-                addedAt: new Date(),
-                supportingMessageIds: []
-            })),
-            areasOfAgreement: summary.areasOfAgreement,
-            areasOfDisagreement: summary.areasOfDisagreement
-        };
-
-        thread.lastSummaryAt = new Date();
-        await thread.save();
-
-        // Create LLM intervention message
-        const summaryMessage = new Message({
-            threadId: thread._id,
-            authorId: null, // System message
-            content: JSON.stringify(summary, null, 2),
-            messageType: 'llm_summary',
-            interventionMetadata: {
-                reason: 'Manual summary request',
-                triggerType: 'explicit_request',
-                processingTime: summaryResult.processingTime || 0,
-                modelUsed: summaryResult.modelUsed || 'gemma3:1b'
-            }
+        // Generate, store and post the summary (streamed to the room as a draft)
+        const result = await llmOrchestrator.handleExplicitRequest(thread._id, 'summarize', {
+            mode,
+            branchId,
+            requestedBy: req.userId
         });
 
-        await summaryMessage.save();
+        // No new messages: the latest version is returned, nothing is posted
+        if (result.unchanged) {
+            return res.json({
+                summary: result.summary,
+                coverage: result.coverage,
+                version: result.summaryVersion.version,
+                diff: null,
+                unchanged: true,
+                message: result.message,
+                updatedAt: result.summaryVersion.createdAt
+            });
+        }
 
         // Emit to connected clients
         const io = req.app.get('io');
         io.to(`thread_${thread._id}`).emit('new_summary', {
-            summary,
-            message: summaryMessage
+            summary: result.summary,
+            coverage: result.coverage,
+            branchId: result.branchId || null,
+            message: result.message
+        });
+
+        // Branch summaries are not thread summary versions
+        if (result.branchId) {
+            return res.json({
+                summary: result.summary,
+                coverage: result.coverage,
+                branchId: result.branchId,
+                message: result.message,
+                updatedAt: result.message.createdAt
+            });
+        }
+
+        io.to(`thread_${thread._id}`).emit('summary_updated', {
+            threadId: thread._id,
+            summary: result.summaryVersion,
+            diff: result.diff
         });
 
         res.json({
-            summary,
-            message: summaryMessage,
-            updatedAt: thread.lastSummaryAt
+            summary: result.summary,
+            coverage: result.coverage,
+            version: result.summaryVersion.version,
+            diff: result.diff,
+            message: result.message,
+            updatedAt: result.message.createdAt
+        });
+    } catch (error) {
+        res.status(error.cancelled ? 409 : 500).json({ error: error.message });
+    }
+});
+
+// GET /api/llm/threads/:id/summaries - Summary versions, newest first
+router.get('/threads/:id/summaries', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const { limit = 20, before } = req.query;
+
+        const query = { threadId: req.thread._id };
+        if (before) query.version = { $lt: parseInt(before, 10) };
+
+        const summaries = await Summary.find(query)
+            .sort({ version: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 20, 100));
+
+        res.json({
+            summaries,
+            latestVersion: req.thread.summaryVersion
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/llm/threads/:id/fact-check - Fact-check a claim
-router.post('/threads/:id/fact-check', async (req, res) => {
+// GET /api/llm/threads/:id/summaries/diff?from=&to= - Compare two summary versions
+// Defaults to the latest version against the one before it
+router.get('/threads/:id/summaries/diff', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
     try {
-        const { claimText, messageId } = req.body;
+        const to = req.query.to ? parseInt(req.query.to, 10) : req.thread.summaryVersion;
+        const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
 
-        if (!claimText) {
-            return res.status(400).json({ error: 'Claim text is required' });
+        if (!Number.isInteger(to) || !Number.isInteger(from) || to < 1 || from < 0) {
+            return res.status(400).json({ error: 'from and to must be summary version numbers' });
         }
 
-        const thread = await Thread.findById(req.params.id);
+        const [fromSummary, toSummary] = await Promise.all([
+            from > 0 ? Summary.findOne({ threadId: req.thread._id, version: from }) : null,
+            Summary.findOne({ threadId: req.thread._id, version: to })
+        ]);
 
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
+        if (!toSummary || (from > 0 && !fromSummary)) {
+            return res.status(404).json({ error: 'Summary version not found' });
         }
 
-        // Fact-check the claim using LLM and web search
-        const result = await factCheckClaim(claimText, thread.title);
+        res.json({ diff: diffSummaries(fromSummary, toSummary) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Create claim record
-        const claim = new Claim({
-            threadId: thread._id,
-            messageId: messageId || null,
-            claimText,
-            status: result.status,
-            evidence: result.evidence,
-            confidence: result.confidence,
-            explanation: result.explanation,
-            checkedAt: new Date(),
-            checkedBy: 'llm',
-            modelUsed: result.modelUsed || 'gemma3:1b'
+// GET /api/llm/threads/:id/summaries/:version - A single summary version
+router.get('/threads/:id/summaries/:version', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const version = parseInt(req.params.version, 10);
+
+        if (!Number.isInteger(version)) {
+            return res.status(400).json({ error: 'Invalid summary version' });
+        }
+
+        const summary = await Summary.findOne({ threadId: req.thread._id, version });
+
+        if (!summary) {
+            return res.status(404).json({ error: 'Summary version not found' });
+        }
+
+        res.json({ summary });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/llm/threads/:id/key-points - Current key points with the messages backing each one
+router.get('/threads/:id/key-points', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const keyPoints = req.thread.conversationState?.keyPoints || [];
+        const messageIds = keyPoints.flatMap(kp => kp.supportingMessageIds);
+
+        // Deleted messages no longer back anything
+        const messages = await Message.find({
+            _id: { $in: messageIds },
+            threadId: req.thread._id,
+            isDeleted: false
+        })
+            .select('content authorId createdAt')
+            .populate('authorId', 'username displayName avatar');
+
+        const messagesById = new Map(messages.map(msg => [msg._id.toString(), msg]));
+
+        res.json({
+            keyPoints: keyPoints.map(kp => ({
+                _id: kp._id,
+                point: kp.point,
+                addedAt: kp.addedAt,
+                supportingMessages: kp.supportingMessageIds
+                    .map(id => messagesById.get(id.toString()))
+                    .filter(Boolean)
+            })),
+            summaryVersion: req.thread.summaryVersion
         });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        await claim.save();
+// GET /api/llm/threads/:id/catch-up - What happened since my last read message
+router.get('/threads/:id/catch-up', authenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const result = await generateCatchUp(req.thread._id, req.user);
 
-        // Create LLM intervention message
-        const factCheckMessage = new Message({
-            threadId: thread._id,
-            authorId: null,
-            content: `Fact-check result: ${result.explanation}`,
-            messageType: 'llm_fact_check',
-            interventionMetadata: {
-                reason: 'Fact-check request',
-                triggerType: 'explicit_request',
-                processingTime: result.processingTime || 0,
-                modelUsed: result.modelUsed || 'gemma3:1b'
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/llm/threads/:id/catch-up - The same catch-up, then move my read
+// position to the newest message it covers
+router.post('/threads/:id/catch-up', authenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const result = await generateCatchUp(req.thread._id, req.user);
+
+        if (result.lastMessageId) {
+            const read = await markRead(req.userId, req.thread._id, result.lastMessageId);
+
+            if (read && read.advanced) {
+                const io = req.app.get('io');
+                io.to(`thread_${req.thread._id}`).emit('read_receipt', readReceipt(read.position, req.user));
             }
-        });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/llm/threads/:id/fact-check - Fact-check a claim
+router.post('/threads/:id/fact-check', authenticate, requireThreadPermission('post'), validateClaim, async (req, res) => {
+    try {
+        const { claimText, messageId } = req.body;
+        const thread = req.thread;
+
+        if (messageId && !(await Message.exists({ _id: messageId, threadId: thread._id }))) {
+            return res.status(404).json({ error: 'Message not found in this thread' });
+        }
 
-        await factCheckMessage.save();
+        // Fact-check using LLM and web search (streamed to the room as a draft)
+        const result = await llmOrchestrator.handleExplicitRequest(thread._id, 'fact-check', {
+            claimText,
+            messageId,
+            requestedBy: req.userId
+        });
 
         // Emit to connected clients
         const io = req.app.get('io');
         io.to(`thread_${thread._id}`).emit('fact_check_complete', {
-            claim,
-            message: factCheckMessage
+            claim: result.claim,
+            message: result.message
         });
 
         res.json({
-            claim,
-            message: factCheckMessage
+            claim: result.claim,
+            message: result.message
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.cancelled ? 409 : 500).json({ error: error.message });
     }
 });
 
 // GET /api/llm/threads/:id/claims - Get all claims for a thread
-router.get('/threads/:id/claims', async (req, res) => {
+// Newest first, paged with ?limit&cursor
+router.get('/threads/:id/claims', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
     try {
-        const { status } = req.query;
+        const { status, cursor } = req.query;
 
-        const query = { threadId: req.params.id };
+        const query = { threadId: req.thread._id };
         if (status) query.status = status;
 
-        const claims = await Claim.find(query)
-            .populate('messageId', 'content authorId createdAt')
-            .sort({ checkedAt: -1 });
+        const position = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !position) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const page = await paginate(Claim, {
+            filter: query,
+            order: -1,
+            limit: parseLimit(req.query.limit),
+            cursor: position,
+            populate: [{ path: 'messageId', select: 'content authorId createdAt' }]
+        });
 
-        res.json({ claims });
+        res.json({ claims: page.items, pageInfo: page.pageInfo });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // POST /api/llm/threads/:id/resolve - Get resolution/conclusion
-router.post('/threads/:id/resolve', async (req, res) => {
+router.post('/threads/:id/resolve', authenticate, requireThreadPermission('moderate'), async (req, res) => {
+    try {
+        const close = req.body.close === true;
+
+        const result = await llmOrchestrator.handleExplicitRequest(req.thread._id, 'resolve', {
+            close,
+            requestedBy: req.userId
+        });
+
+        // Emit to connected clients
+        const io = req.app.get('io');
+        io.to(`thread_${req.thread._id}`).emit('new_resolution', {
+            resolution: result.resolution,
+            message: result.message
+        });
+        io.to(`thread_${req.thread._id}`).emit('new_message', result.message);
+        if (close) {
+            io.to(`thread_${req.thread._id}`).emit('thread_updated', result.thread);
+        }
+
+        res.json({
+            resolution: result.resolution,
+            message: result.message,
+            isClosed: result.thread.isClosed
+        });
+    } catch (error) {
+        res.status(error.cancelled ? 409 : 500).json({ error: error.message });
+    }
+});
+
+// GET /api/llm/threads/:id/resolution - Get current resolution and history
+router.get('/threads/:id/resolution', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        res.json({
+            resolution: req.thread.resolution,
+            history: req.thread.resolutionHistory
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/llm/threads/:id/drafts - Facilitator messages currently being generated
+router.get('/threads/:id/drafts', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    res.json({ drafts: getThreadDrafts(req.thread._id) });
+});
+
+// POST /api/llm/drafts/:draftId/cancel - Abort a facilitator message while it is generated
+router.post('/drafts/:draftId/cancel', authenticate, async (req, res) => {
     try {
-        const thread = await Thread.findById(req.params.id);
+        const draft = getDraft(req.params.draftId);
+
+        if (!draft) {
+            return res.status(404).json({ error: 'Draft not found or already finished' });
+        }
+
+        const thread = await Thread.findById(draft.threadId);
 
         if (!thread) {
             return res.status(404).json({ error: 'Thread not found' });
         }
 
-        // TODO: Implement actual resolution generation
-        const resolution = {
-            summary: 'Resolution generation not yet implemented',
-            consensus: [],
-            remainingDisagreements: [],
-            actionItems: []
-        };
+        const decision = checkThreadPermission(req.user, 'administer', thread);
+
+        if (!decision.allowed) {
+            return res.status(decision.status).json({ error: decision.reason });
+        }
+
+        draft.cancel(req.body.reason || 'Cancelled by thread owner');
 
-        res.json({ resolution });
+        res.json({ message: 'Draft cancelled', draftId: draft.id });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // POST /api/llm/claims/:id/feedback - Submit feedback on claim verification
-router.post('/claims/:id/feedback', async (req, res) => {
+router.post('/claims/:id/feedback', authenticate, requireClaimThreadPermission('read'), async (req, res) => {
     try {
         const { rating, comment } = req.body;
 
@@ -183,17 +366,10 @@ router.post('/claims/:id/feedback', async (req, res) => {
             return res.status(400).json({ error: 'Rating is required' });
         }
 
-        const claim = await Claim.findById(req.params.id);
-
-        if (!claim) {
-            return res.status(404).json({ error: 'Claim not found' });
-        }
-
-        // TODO: Get actual user ID from authentication
-        const mockUserId = '000000000000000000000001';
+        const claim = req.claim;
 
         claim.userFeedback.push({
-            userId: mockUserId,
+            userId: req.userId,
             rating,
             comment: comment || '',
             submittedAt: new Date()
@@ -1,18 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const Message = require('../models/Message');
-// const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { requireMessageThreadPermission } = require('../middleware/threadAccess');
+const { validateReplyTreeQuery } = require('../middleware/validation');
+const { checkMessagePermission } = require('../services/threadPolicy');
+const { buildReplyTree, toOutline } = require('../services/replyTree');
+const { enqueueEmbedding } = require('../services/embeddingStore');
+const { enqueueClaimDetection } = require('../services/interventionJobs');
+const { invalidateDeletedMessageClaims } = require('../services/claimMarkers');
+
+// Refresh the message's search embedding; search falls back to keywords meanwhile
+async function reindexMessage(message) {
+    try {
+        await enqueueEmbedding('message', message._id);
+    } catch (error) {
+        console.error('Error queueing message embedding:', error.message);
+    }
+}
 
 // GET /api/messages/:id - Get specific message
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, requireMessageThreadPermission('read'), async (req, res) => {
     try {
-        const message = await Message.findById(req.params.id)
-            .populate('authorId', 'username displayName avatar')
-            .populate('references.messageId', 'content authorId createdAt');
-
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
+        const message = await req.message.populate([
+            { path: 'authorId', select: 'username displayName avatar' },
+            { path: 'references.messageId', select: 'content authorId createdAt' }
+        ]);
 
         if (message.isDeleted) {
             return res.status(410).json({ error: 'Message has been deleted' });
@@ -24,20 +36,42 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// PATCH /api/messages/:id - Edit message
-router.patch('/:id', async (req, res) => {
+// GET /api/messages/:id/replies - Replies below a message, paged by direct reply
+router.get('/:id/replies', optionalAuthenticate, requireMessageThreadPermission('read'), validateReplyTreeQuery, async (req, res) => {
     try {
-        const message = await Message.findById(req.params.id);
+        const { maxDepth, limit, skip, format } = req.query;
 
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
+        const { nodes, pagination } = await buildReplyTree(req.message.threadId, {
+            rootId: req.message._id,
+            maxDepth,
+            limit,
+            skip
+        });
+
+        res.json({
+            parent: req.message,
+            ...(format === 'outline' ? { outline: toOutline(nodes) } : { nodes }),
+            pagination
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PATCH /api/messages/:id - Edit message
+router.patch('/:id', authenticate, requireMessageThreadPermission('read'), async (req, res) => {
+    try {
+        const message = req.message;
 
         if (message.isDeleted) {
             return res.status(410).json({ error: 'Cannot edit deleted message' });
         }
 
-        // TODO: Check if user is the author
+        const decision = checkMessagePermission(req.user, 'edit', req.thread, message);
+
+        if (!decision.allowed) {
+            return res.status(decision.status).json({ error: decision.reason });
+        }
 
         // Save edit history
         message.editHistory.push({
@@ -49,6 +83,8 @@ router.patch('/:id', async (req, res) => {
         message.content = req.body.content;
         message.isEdited = true;
         message.editedAt = new Date();
+        // Old offsets point into the previous text; fresh markers follow in claims_detected
+        message.claimMarkers = [];
 
         await message.save();
         await message.populate('authorId', 'username displayName avatar');
@@ -57,6 +93,14 @@ router.patch('/:id', async (req, res) => {
         const io = req.app.get('io');
         io.to(`thread_${message.threadId}`).emit('message_updated', message);
 
+        await reindexMessage(message);
+
+        try {
+            await enqueueClaimDetection(message);
+        } catch (error) {
+            console.error('Error queueing claim detection:', error.message);
+        }
+
         res.json(message);
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -64,24 +108,30 @@ router.patch('/:id', async (req, res) => {
 });
 
 // DELETE /api/messages/:id - Delete message
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireMessageThreadPermission('read'), async (req, res) => {
     try {
-        const message = await Message.findById(req.params.id);
+        const message = req.message;
 
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
+        const decision = checkMessagePermission(req.user, 'delete', req.thread, message);
 
-        // TODO: Check if user is the author or moderator
+        if (!decision.allowed) {
+            return res.status(decision.status).json({ error: decision.reason });
+        }
 
         // Soft delete
         message.isDeleted = true;
         message.content = '[Message deleted]';
+        message.claimMarkers = [];
         await message.save();
 
+        // Its claims no longer stand in contradiction checks, search or related threads
+        const invalidatedClaimIds = await invalidateDeletedMessageClaims(message._id);
+
         // Emit update to connected clients
         const io = req.app.get('io');
-        io.to(`thread_${message.threadId}`).emit('message_deleted', { messageId: message._id });
+        io.to(`thread_${message.threadId}`).emit('message_deleted', { messageId: message._id, invalidatedClaimIds });
+
+        await reindexMessage(message);
 
         res.json({ message: 'Message deleted successfully' });
     } catch (error) {
@@ -90,7 +140,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // POST /api/messages/:id/reactions - Add reaction to message
-router.post('/:id/reactions', async (req, res) => {
+router.post('/:id/reactions', authenticate, requireMessageThreadPermission('read'), async (req, res) => {
     try {
         const { emoji } = req.body;
 
@@ -98,30 +148,25 @@ router.post('/:id/reactions', async (req, res) => {
             return res.status(400).json({ error: 'Emoji is required' });
         }
 
-        const message = await Message.findById(req.params.id);
+        const message = req.message;
 
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
-
-        // TODO: Get actual user ID from authentication
-        const mockUserId = '000000000000000000000001';
+        const userId = req.userId.toString();
 
         // Check if user already reacted with this emoji
         const existingReaction = message.reactions.find(
-            r => r.emoji === emoji && r.userId.toString() === mockUserId
+            r => r.emoji === emoji && r.userId.toString() === userId
         );
 
         if (existingReaction) {
             // Remove reaction (toggle)
             message.reactions = message.reactions.filter(
-                r => !(r.emoji === emoji && r.userId.toString() === mockUserId)
+                r => !(r.emoji === emoji && r.userId.toString() === userId)
             );
         } else {
             // Add reaction
             message.reactions.push({
                 emoji,
-                userId: mockUserId,
+                userId: req.userId,
                 addedAt: new Date()
             });
         }
@@ -142,14 +187,9 @@ router.post('/:id/reactions', async (req, res) => {
 });
 
 // GET /api/messages/:id/edit-history - Get edit history
-router.get('/:id/edit-history', async (req, res) => {
+router.get('/:id/edit-history', optionalAuthenticate, requireMessageThreadPermission('read'), async (req, res) => {
     try {
-        const message = await Message.findById(req.params.id)
-            .select('editHistory isEdited editedAt');
-
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
+        const message = req.message;
 
         res.json({
             isEdited: message.isEdited,
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuthenticate } = require('../middleware/auth');
+const { validateSearchQuery } = require('../middleware/validation');
+const { SEARCH_TYPES, search } = require('../services/searchService');
+
+// GET /api/search - Keyword and semantic search over readable threads
+router.get('/', optionalAuthenticate, validateSearchQuery, async (req, res) => {
+    try {
+        const { q, types, limit, author, mode, tag, messageType, threadId, from, to } = req.query;
+
+        const result = await search(q, {
+            types: types ? [...new Set(types.split(','))] : SEARCH_TYPES,
+            filters: { author, mode, tag, messageType, threadId, from, to },
+            user: req.user,
+            limit
+        });
+
+        res.json({ query: q, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,66 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Thread = require('../models/Thread');
 const Message = require('../models/Message');
-const { validateThread } = require('../middleware/validation');
-// const { authenticate } = require('../middleware/auth');
-
-// TODO: Add authentication middleware when auth is implemented
-// For now, we'll use a mock user ID for development
+const User = require('../models/User');
+const ReadPosition = require('../models/ReadPosition');
+const {
+    validateThread,
+    validateMessage,
+    validateThreadMember,
+    validateQuestion,
+    validateQuestionUpdate,
+    validateDecision,
+    validateDecisionUpdate,
+    validateReadMarker,
+    validateReplyTreeQuery,
+    validateRelatedQuery,
+    validateFork,
+    validateMerge
+} = require('../middleware/validation');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth');
+const { requireThreadPermission, redirectMergedThread } = require('../middleware/threadAccess');
+const {
+    visibleThreadsFilter,
+    actionForThreadUpdate,
+    can,
+    checkThreadPermission,
+    checkDiscussionItemPermission
+} = require('../services/threadPolicy');
+const { enqueueMessageProcessing, enqueueThreadSummary } = require('../services/interventionJobs');
+const { getReadPosition, markRead, getUnreadStats, readReceipt, hasReadMessage } = require('../services/readTracking');
+const { resolveParent, buildReplyTree, toOutline } = require('../services/replyTree');
+const { MAX_SEED_MESSAGES, collectSeedMessages, forkThread } = require('../services/threadFork');
+const { mergeThreads } = require('../services/threadMerge');
+const { revokeLostRoomAccess } = require('../services/threadRooms');
+const { findRelated } = require('../services/relatedThreads');
+const { parseLimit, decodeCursor, paginate, paginateAround } = require('../utils/pagination');
+const { enqueueEmbedding } = require('../services/embeddingStore');
+
+// Keep stored embeddings in step with thread content; search and related
+// threads work without a vector until the job has run
+async function queueEmbeddings(kind, docs) {
+    try {
+        for (const doc of docs) {
+            await enqueueEmbedding(kind, doc._id);
+        }
+    } catch (error) {
+        console.error(`Error queueing ${kind} embeddings:`, error.message);
+    }
+}
 
-// GET /api/threads - List all threads with filtering
-router.get('/', async (req, res) => {
+// GET /api/threads - List all threads with filtering, newest first
+// Paged with ?limit&cursor (pageInfo cursors); ?skip switches to offset paging with totals
+router.get('/', optionalAuthenticate, async (req, res) => {
     try {
-        const { mode, visibility, tags, search, limit = 20, skip = 0 } = req.query;
+        const { mode, visibility, tags, search, skip, cursor } = req.query;
+        const limit = parseLimit(req.query.limit, 20);
 
-        const query = { isArchived: false };
+        const query = {
+            isArchived: false,
+            $and: [visibleThreadsFilter(req.user)]
+        };
 
         if (mode) query.mode = mode;
         if (visibility) query.visibility = visibility;
@@ -22,28 +69,64 @@ router.get('/', async (req, res) => {
             query.topicTags = { $in: tagArray };
         }
         if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
+            // Plain substring match; full-text search lives at /api/search
+            const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$and.push({
+                $or: [
+                    { title: { $regex: pattern, $options: 'i' } },
+                    { description: { $regex: pattern, $options: 'i' } }
+                ]
+            });
         }
 
-        const threads = await Thread.find(query)
-            .populate('ownerId', 'username displayName avatar')
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip));
+        const withUnread = async (threads) => {
+            // Signed-in readers also get their unread count per thread
+            if (!req.user) return threads;
+            const unread = await getUnreadStats(req.userId, threads.map(thread => thread._id));
+            return threads.map(thread => ({
+                ...thread.toObject(),
+                ...unread.get(thread._id.toString())
+            }));
+        };
 
-        const total = await Thread.countDocuments(query);
+        // Offset paging, kept for existing clients
+        if (skip !== undefined) {
+            const offset = parseInt(skip, 10) || 0;
+            const threads = await Thread.find(query)
+                .populate('ownerId', 'username displayName avatar')
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit)
+                .skip(offset);
+
+            const total = await Thread.countDocuments(query);
+
+            return res.json({
+                threads: await withUnread(threads),
+                pagination: {
+                    total,
+                    limit,
+                    skip: offset,
+                    hasMore: total > offset + limit
+                }
+            });
+        }
+
+        const position = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !position) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const page = await paginate(Thread, {
+            filter: query,
+            order: -1,
+            limit,
+            cursor: position,
+            populate: [{ path: 'ownerId', select: 'username displayName avatar' }]
+        });
 
         res.json({
-            threads,
-            pagination: {
-                total,
-                limit: parseInt(limit),
-                skip: parseInt(skip),
-                hasMore: total > parseInt(skip) + parseInt(limit)
-            }
+            threads: await withUnread(page.items),
+            pageInfo: page.pageInfo
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -51,38 +134,43 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/threads/:id - Get thread details
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, requireThreadPermission('read'), redirectMergedThread, async (req, res) => {
     try {
-        const thread = await Thread.findById(req.params.id)
-            .populate('ownerId', 'username displayName avatar')
-            .populate('participantIds', 'username displayName avatar')
-            .populate('moderatorIds', 'username displayName avatar');
-
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
+        const thread = await req.thread.populate([
+            { path: 'ownerId', select: 'username displayName avatar' },
+            { path: 'participantIds', select: 'username displayName avatar' },
+            { path: 'moderatorIds', select: 'username displayName avatar' }
+        ]);
+
+        if (!req.user) {
+            return res.json(thread);
         }
 
-        res.json(thread);
+        const unread = await getUnreadStats(req.userId, [thread._id]);
+
+        res.json({
+            ...thread.toObject(),
+            ...unread.get(thread._id.toString())
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // POST /api/threads - Create new thread
-router.post('/', validateThread, async (req, res) => {
+router.post('/', authenticate, validateThread, async (req, res) => {
     try {
-        // TODO: Get actual user ID from authentication
-        const mockUserId = '000000000000000000000001'; // Temporary for development
-
         const thread = new Thread({
             ...req.body,
-            ownerId: mockUserId,
-            participantIds: [mockUserId]
+            ownerId: req.userId,
+            participantIds: [req.userId]
         });
 
         await thread.save();
         await thread.populate('ownerId', 'username displayName avatar');
 
+        await queueEmbeddings('thread', [thread]);
+
         res.status(201).json(thread);
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -90,7 +178,7 @@ router.post('/', validateThread, async (req, res) => {
 });
 
 // PATCH /api/threads/:id - Update thread
-router.patch('/:id', validateThread, async (req, res) => {
+router.patch('/:id', authenticate, validateThread, requireThreadPermission(req => actionForThreadUpdate(req.body)), async (req, res) => {
     try {
         const allowedUpdates = [
             'title', 'description', 'topicTags', 'mode', 'interventionLevel',
@@ -104,20 +192,31 @@ router.patch('/:id', validateThread, async (req, res) => {
             }
         });
 
+        // Update settings one by one, so the ones not sent keep their values
+        if (updates.settings) {
+            Object.entries(updates.settings).forEach(([key, value]) => {
+                updates[`settings.${key}`] = value;
+            });
+            delete updates.settings;
+        }
+
         const thread = await Thread.findByIdAndUpdate(
             req.params.id,
             updates,
             { new: true, runValidators: true }
         ).populate('ownerId', 'username displayName avatar');
 
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
-        }
-
         // Emit update to connected clients
         const io = req.app.get('io');
+        if ('visibility' in updates) {
+            await revokeLostRoomAccess(io, thread);
+        }
         io.to(`thread_${thread._id}`).emit('thread_updated', thread);
 
+        if (['title', 'description', 'topicTags'].some(key => key in updates)) {
+            await queueEmbeddings('thread', [thread]);
+        }
+
         res.json(thread);
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -125,95 +224,714 @@ router.patch('/:id', validateThread, async (req, res) => {
 });
 
 // DELETE /api/threads/:id - Delete thread
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requireThreadPermission('administer'), async (req, res) => {
     try {
-        const thread = await Thread.findById(req.params.id);
-
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
-        }
+        const thread = req.thread;
 
         // Soft delete - archive instead of removing
         thread.isArchived = true;
         await thread.save();
 
+        await queueEmbeddings('thread', [thread]);
+
         res.json({ message: 'Thread archived successfully' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// GET /api/threads/:id/messages - Get messages for a thread
-router.get('/:id/messages', async (req, res) => {
+// GET /api/threads/:id/messages - Get messages for a thread, oldest first
+// Paged with ?limit&cursor (pageInfo cursors); ?around=<messageId> returns the page centered
+// on that message; ?before/?after (dates) narrow the range; ?skip switches to offset paging
+router.get('/:id/messages', optionalAuthenticate, requireThreadPermission('read'), redirectMergedThread, async (req, res) => {
     try {
-        const { limit = 50, skip = 0, before, after } = req.query;
+        const { skip, before, after, around, cursor } = req.query;
+        const limit = parseLimit(req.query.limit);
 
         const query = {
-            threadId: req.params.id,
+            threadId: req.thread._id,
             isDeleted: false
         };
 
-        if (before) query.createdAt = { $lt: new Date(before) };
-        if (after) query.createdAt = { $gt: new Date(after) };
+        if (before || after) {
+            query.createdAt = {};
+            if (before) query.createdAt.$lt = new Date(before);
+            if (after) query.createdAt.$gt = new Date(after);
+        }
 
-        const messages = await Message.find(query)
-            .populate('authorId', 'username displayName avatar')
-            .sort({ createdAt: 1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip));
+        const populate = [{ path: 'authorId', select: 'username displayName avatar' }];
+
+        // Offset paging, kept for existing clients
+        if (skip !== undefined) {
+            const offset = parseInt(skip, 10) || 0;
+            const messages = await Message.find(query)
+                .populate(populate[0])
+                .sort({ createdAt: 1, _id: 1 })
+                .limit(limit)
+                .skip(offset);
+
+            const total = await Message.countDocuments(query);
+
+            return res.json({
+                messages,
+                pagination: {
+                    total,
+                    limit,
+                    skip: offset,
+                    hasMore: total > offset + limit
+                }
+            });
+        }
 
-        const total = await Message.countDocuments(query);
+        // Jump to message
+        if (around) {
+            if (!mongoose.Types.ObjectId.isValid(around)) {
+                return res.status(400).json({ error: 'Invalid message id' });
+            }
 
-        res.json({
-            messages,
-            pagination: {
-                total,
-                limit: parseInt(limit),
-                skip: parseInt(skip),
-                hasMore: total > parseInt(skip) + parseInt(limit)
+            const anchor = await Message.findOne({ ...query, _id: around }).populate(populate[0]);
+            if (!anchor) {
+                return res.status(404).json({ error: 'Message not found in this thread' });
             }
+
+            const page = await paginateAround(Message, anchor, { filter: query, limit, populate });
+
+            return res.json({
+                messages: page.items,
+                anchorIndex: page.anchorIndex,
+                pageInfo: page.pageInfo
+            });
+        }
+
+        const position = cursor ? decodeCursor(cursor) : null;
+        if (cursor && !position) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const page = await paginate(Message, { filter: query, limit, cursor: position, populate });
+
+        res.json({
+            messages: page.items,
+            pageInfo: page.pageInfo
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// GET /api/threads/:id/messages/tree - Top-level messages with their nested replies
+router.get('/:id/messages/tree', optionalAuthenticate, requireThreadPermission('read'), redirectMergedThread, validateReplyTreeQuery, async (req, res) => {
+    try {
+        const { maxDepth, limit, skip, format } = req.query;
+
+        const { nodes, pagination } = await buildReplyTree(req.thread._id, { maxDepth, limit, skip });
+
+        res.json(format === 'outline' ? { outline: toOutline(nodes), pagination } : { nodes, pagination });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // POST /api/threads/:id/messages - Create new message in thread
-router.post('/:id/messages', async (req, res) => {
+// Body: { content, parentId?, references? }; quoting a message without a parentId replies to it
+router.post('/:id/messages', authenticate, validateMessage, requireThreadPermission('post'), async (req, res) => {
     try {
-        const thread = await Thread.findById(req.params.id);
+        const thread = req.thread;
+        const references = req.body.references || [];
 
-        if (!thread) {
-            return res.status(404).json({ error: 'Thread not found' });
-        }
+        const parentId = req.body.parentId || references.find(ref => ref.messageId)?.messageId || null;
+        const tree = await resolveParent(thread._id, parentId);
 
-        if (thread.isClosed) {
-            return res.status(403).json({ error: 'Thread is closed' });
+        if (!tree) {
+            return res.status(400).json({ error: 'Parent message not found in this thread' });
         }
 
-        // TODO: Get actual user ID from authentication
-        const mockUserId = '000000000000000000000001';
-
         const message = new Message({
             threadId: req.params.id,
-            authorId: mockUserId,
+            authorId: req.userId,
             content: req.body.content,
             messageType: 'user',
-            references: req.body.references || []
+            references,
+            ...tree
         });
 
         await message.save();
         await message.populate('authorId', 'username displayName avatar');
 
+        // Posting joins the author to the thread
+        await Thread.updateOne(
+            { _id: thread._id },
+            { $addToSet: { participantIds: req.userId } }
+        );
+
         // Emit new message to connected clients
         const io = req.app.get('io');
         io.to(`thread_${thread._id}`).emit('new_message', message);
 
+        // The author has read everything up to their own message
+        try {
+            const read = await markRead(req.userId, thread._id, message._id);
+            if (read && read.advanced) {
+                io.to(`thread_${thread._id}`).emit('read_receipt', readReceipt(read.position, req.user));
+            }
+        } catch (error) {
+            console.error('Error updating read position:', error.message);
+        }
+
+        // Let the facilitator look at the message in the background
+        try {
+            await enqueueMessageProcessing(message);
+        } catch (error) {
+            console.error('Error queueing message for facilitation:', error.message);
+        }
+
         res.status(201).json(message);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+// POST /api/threads/:id/members - Add a participant or moderator
+router.post(
+    '/:id/members',
+    authenticate,
+    validateThreadMember,
+    requireThreadPermission(req => (req.body.role === 'moderator' ? 'administer' : 'moderate')),
+    async (req, res) => {
+        try {
+            const { userId, role } = req.body;
+
+            const user = await User.findById(userId);
+
+            if (!user || !user.isActive) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const update = role === 'moderator'
+                ? { $addToSet: { participantIds: user._id, moderatorIds: user._id } }
+                : { $addToSet: { participantIds: user._id } };
+
+            const thread = await Thread.findByIdAndUpdate(req.thread._id, update, { new: true });
+
+            const io = req.app.get('io');
+            io.to(`thread_${thread._id}`).emit('thread_updated', thread);
+
+            res.json(thread);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    }
+);
+
+// DELETE /api/threads/:id/members/:userId - Remove a participant or moderator
+router.delete('/:id/members/:userId', authenticate, requireThreadPermission('moderate'), async (req, res) => {
+    try {
+        const thread = req.thread;
+        const { userId } = req.params;
+
+        if (thread.ownerId.toString() === userId) {
+            return res.status(400).json({ error: 'The thread owner cannot be removed' });
+        }
+
+        const isModerator = thread.moderatorIds.some(id => id.toString() === userId);
+
+        if (isModerator && !can(req.user, 'administer', thread)) {
+            return res.status(403).json({ error: 'Only the thread owner can do that' });
+        }
+
+        const updated = await Thread.findByIdAndUpdate(
+            thread._id,
+            { $pull: { participantIds: userId, moderatorIds: userId } },
+            { new: true }
+        );
+
+        const io = req.app.get('io');
+        await revokeLostRoomAccess(io, updated);
+        io.to(`thread_${updated._id}`).emit('thread_updated', updated);
+
+        res.json(updated);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/threads/:id/read - My read position in the thread
+router.get('/:id/read', authenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const position = await getReadPosition(req.userId, req.thread._id);
+
+        res.json({ position });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/threads/:id/read - Mark the thread read up to a message (defaults to the newest)
+router.put('/:id/read', authenticate, validateReadMarker, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const result = await markRead(req.userId, req.thread._id, req.body.messageId);
+
+        if (!result && req.body.messageId) {
+            return res.status(404).json({ error: 'Message not found in this thread' });
+        }
+
+        if (result && result.advanced) {
+            const io = req.app.get('io');
+            io.to(`thread_${req.thread._id}`).emit('read_receipt', readReceipt(result.position, req.user));
+        }
+
+        res.json(result || { position: null, advanced: false });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/threads/:id/read-receipts - How far each reader has got in the thread
+router.get('/:id/read-receipts', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const positions = await ReadPosition.find({ threadId: req.thread._id })
+            .populate('userId', 'username displayName avatar')
+            .sort({ lastReadAt: -1 });
+
+        const latest = await Message.findOne({ threadId: req.thread._id, isDeleted: false })
+            .sort({ createdAt: -1, _id: -1 });
+
+        const receipts = positions
+            .filter(position => position.userId)
+            .map(position => ({
+                user: position.userId,
+                lastReadMessageId: position.lastReadMessageId,
+                lastReadAt: position.lastReadAt,
+                caughtUp: !latest || hasReadMessage(position, latest)
+            }));
+
+        res.json({
+            receipts,
+            latestMessageId: latest ? latest._id : null
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /api/threads/:id/fork - Move a message (or a range of messages) into a new thread
+router.post('/:id/fork', authenticate, validateFork, requireThreadPermission('post'), async (req, res) => {
+    try {
+        const parent = req.thread;
+        const { messageId, toMessageId, title, description } = req.body;
+
+        const from = await findThreadMessage(parent, messageId);
+        if (!from) {
+            return res.status(400).json({ error: 'Seed message not found in this thread' });
+        }
+
+        const to = toMessageId ? await findThreadMessage(parent, toMessageId) : null;
+        if (toMessageId && !to) {
+            return res.status(400).json({ error: 'End of the range not found in this thread' });
+        }
+        if (to && to.createdAt < from.createdAt) {
+            return res.status(400).json({ error: 'The range must end after the seed message' });
+        }
+
+        const seedMessages = await collectSeedMessages(parent._id, from, to);
+        if (!seedMessages) {
+            return res.status(400).json({ error: `A fork can start from at most ${MAX_SEED_MESSAGES} messages` });
+        }
+
+        const { thread, parentNotice, seedMessages: copies } = await forkThread(parent, seedMessages, req.user, { title, description });
+        await thread.populate('ownerId', 'username displayName avatar');
+
+        await queueEmbeddings('thread', [thread]);
+        await queueEmbeddings('message', copies);
+
+        const io = req.app.get('io');
+        io.to(`thread_${parent._id}`).emit('new_message', parentNotice);
+        io.to(`thread_${parent._id}`).emit('thread_forked', {
+            threadId: parent._id,
+            fork: thread,
+            messageId: from._id,
+            toMessageId: to ? to._id : null
+        });
+
+        res.status(201).json({ thread, message: parentNotice });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// POST /api/threads/:id/merge - Merge another thread into this one (moderators of both)
+router.post('/:id/merge', authenticate, validateMerge, requireThreadPermission('moderate'), async (req, res) => {
+    try {
+        const target = req.thread;
+        const { sourceThreadId } = req.body;
+
+        if (target._id.toString() === sourceThreadId) {
+            return res.status(400).json({ error: 'A thread cannot be merged into itself' });
+        }
+        if (target.mergedInto) {
+            return res.status(400).json({ error: 'This thread was itself merged into another thread' });
+        }
+
+        const source = await Thread.findById(sourceThreadId);
+
+        if (!source) {
+            return res.status(404).json({ error: 'Source thread not found' });
+        }
+        if (source.mergedInto) {
+            return res.status(400).json({ error: 'Source thread was already merged' });
+        }
+
+        const permission = checkThreadPermission(req.user, 'moderate', source);
+
+        if (!permission.allowed) {
+            return res.status(permission.status).json({ error: permission.reason });
+        }
+
+        const result = await mergeThreads(target, source, req.user);
+
+        const io = req.app.get('io');
+        const event = {
+            sourceThreadId: source._id,
+            targetThreadId: target._id,
+            movedMessages: result.movedMessages,
+            movedClaims: result.movedClaims
+        };
+        io.to(`thread_${source._id}`).emit('thread_merged', event);
+        io.to(`thread_${target._id}`).emit('thread_merged', event);
+        io.to(`thread_${target._id}`).emit('new_message', result.notice);
+
+        // The stored summaries only cover the target's own messages
+        try {
+            await enqueueThreadSummary(target._id, { reason: 'Threads merged', requestedBy: req.userId });
+        } catch (error) {
+            console.error('Error queueing summary after merge:', error.message);
+        }
+
+        res.json({
+            thread: result.thread,
+            message: result.notice,
+            movedMessages: result.movedMessages,
+            movedClaims: result.movedClaims
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/threads/:id/forks - Threads forked from this one
+router.get('/:id/forks', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const forks = await Thread.find({
+            'forkedFrom.threadId': req.thread._id,
+            isArchived: false,
+            $and: [visibleThreadsFilter(req.user)]
+        })
+            .populate('ownerId', 'username displayName avatar')
+            .sort({ createdAt: -1 });
+
+        res.json({ forks });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/threads/:id/related - Similar threads and previously checked claims
+router.get('/:id/related', optionalAuthenticate, requireThreadPermission('read'), redirectMergedThread, validateRelatedQuery, async (req, res) => {
+    try {
+        const { limit, claimLimit } = req.query;
+
+        const related = await findRelated(req.thread, req.user, { limit, claimLimit });
+
+        res.json(related);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Load a message of this thread referenced in a request body
+ * (tracked questions and decisions, fork seeds)
+ */
+async function findThreadMessage(thread, messageId) {
+    if (!messageId) return null;
+    return Message.findOne({ _id: messageId, threadId: thread._id, isDeleted: false });
+}
+
+// GET /api/threads/:id/questions - Tracked questions (?status=open|answered|dismissed)
+router.get('/:id/questions', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        await req.thread.populate([
+            { path: 'conversationState.unresolvedQuestions.askedBy', select: 'username displayName avatar' },
+            { path: 'conversationState.unresolvedQuestions.confirmedBy', select: 'username displayName' }
+        ]);
+
+        const { status } = req.query;
+        const questions = req.thread.conversationState.unresolvedQuestions
+            .filter(q => !status || q.status === status);
+
+        res.json({ questions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/threads/:id/questions - Record a question by hand
+router.post('/:id/questions', authenticate, validateQuestion, requireThreadPermission('post'), async (req, res) => {
+    try {
+        const { question, messageId } = req.body;
+
+        const message = await findThreadMessage(req.thread, messageId);
+
+        if (messageId && !message) {
+            return res.status(400).json({ error: 'Message not found in this thread' });
+        }
+
+        const thread = await Thread.findByIdAndUpdate(
+            req.thread._id,
+            {
+                $push: {
+                    'conversationState.unresolvedQuestions': {
+                        question,
+                        askedAt: message ? message.createdAt : new Date(),
+                        askedBy: message ? message.authorId : req.userId,
+                        messageId: message ? message._id : null,
+                        status: 'open',
+                        source: 'user',
+                        confirmedBy: req.userId,
+                        confirmedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        const questions = thread.conversationState.unresolvedQuestions;
+        const created = questions[questions.length - 1];
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            questionsAdded: [created]
+        });
+
+        res.status(201).json(created);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PATCH /api/threads/:id/questions/:questionId - Confirm, edit, answer or dismiss a question
+router.patch('/:id/questions/:questionId', authenticate, validateQuestionUpdate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const thread = req.thread;
+        const question = thread.conversationState.unresolvedQuestions.id(req.params.questionId);
+
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const permission = checkDiscussionItemPermission(req.user, thread, question);
+
+        if (!permission.allowed) {
+            return res.status(permission.status).json({ error: permission.reason });
+        }
+
+        const { question: text, status, answer, answerMessageId, confirmed } = req.body;
+
+        if (answerMessageId && !(await findThreadMessage(thread, answerMessageId))) {
+            return res.status(400).json({ error: 'Answer message not found in this thread' });
+        }
+
+        if (text !== undefined) question.question = text;
+
+        if (status !== undefined) {
+            question.status = status;
+            if (status === 'answered' && !question.answeredAt) {
+                question.answeredAt = new Date();
+            }
+            if (status === 'open') {
+                // Reopened: the recorded answer no longer applies
+                question.answer = undefined;
+                question.answerMessageId = undefined;
+                question.answeredAt = undefined;
+            }
+        }
+
+        if (answer !== undefined) question.answer = answer;
+        if (answerMessageId !== undefined) question.answerMessageId = answerMessageId;
+
+        if (confirmed !== undefined) {
+            question.confirmedBy = confirmed ? req.userId : null;
+            question.confirmedAt = confirmed ? new Date() : undefined;
+        }
+
+        await thread.save();
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            questionsUpdated: [question]
+        });
+
+        res.json(question);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE /api/threads/:id/questions/:questionId - Remove a question entirely
+router.delete('/:id/questions/:questionId', authenticate, requireThreadPermission('moderate'), async (req, res) => {
+    try {
+        const thread = req.thread;
+        const question = thread.conversationState.unresolvedQuestions.id(req.params.questionId);
+
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        question.deleteOne();
+        await thread.save();
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            questionsRemoved: [req.params.questionId]
+        });
+
+        res.json({ message: 'Question deleted successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// GET /api/threads/:id/decisions - Tracked decisions (?status=active|dismissed)
+router.get('/:id/decisions', optionalAuthenticate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        await req.thread.populate([
+            { path: 'conversationState.decisionsMade.participants', select: 'username displayName avatar' },
+            { path: 'conversationState.decisionsMade.confirmedBy', select: 'username displayName' }
+        ]);
+
+        const { status } = req.query;
+        const decisions = req.thread.conversationState.decisionsMade
+            .filter(d => !status || d.status === status);
+
+        res.json({ decisions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/threads/:id/decisions - Record a decision by hand
+router.post('/:id/decisions', authenticate, validateDecision, requireThreadPermission('post'), async (req, res) => {
+    try {
+        const { decision, participants, messageId } = req.body;
+
+        const message = await findThreadMessage(req.thread, messageId);
+
+        if (messageId && !message) {
+            return res.status(400).json({ error: 'Message not found in this thread' });
+        }
+
+        const thread = await Thread.findByIdAndUpdate(
+            req.thread._id,
+            {
+                $push: {
+                    'conversationState.decisionsMade': {
+                        decision,
+                        madeAt: message ? message.createdAt : new Date(),
+                        participants: participants.length > 0 ? participants : [req.userId],
+                        messageId: message ? message._id : null,
+                        status: 'active',
+                        source: 'user',
+                        confirmedBy: req.userId,
+                        confirmedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        const decisions = thread.conversationState.decisionsMade;
+        const created = decisions[decisions.length - 1];
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            decisionsAdded: [created]
+        });
+
+        res.status(201).json(created);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// PATCH /api/threads/:id/decisions/:decisionId - Confirm, edit or dismiss a decision
+router.patch('/:id/decisions/:decisionId', authenticate, validateDecisionUpdate, requireThreadPermission('read'), async (req, res) => {
+    try {
+        const thread = req.thread;
+        const decision = thread.conversationState.decisionsMade.id(req.params.decisionId);
+
+        if (!decision) {
+            return res.status(404).json({ error: 'Decision not found' });
+        }
+
+        const permission = checkDiscussionItemPermission(req.user, thread, decision);
+
+        if (!permission.allowed) {
+            return res.status(permission.status).json({ error: permission.reason });
+        }
+
+        const { decision: text, participants, status, confirmed } = req.body;
+
+        if (text !== undefined) decision.decision = text;
+        if (participants !== undefined) decision.participants = participants;
+        if (status !== undefined) decision.status = status;
+
+        if (confirmed !== undefined) {
+            decision.confirmedBy = confirmed ? req.userId : null;
+            decision.confirmedAt = confirmed ? new Date() : undefined;
+        }
+
+        await thread.save();
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            decisionsUpdated: [decision]
+        });
+
+        res.json(decision);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// DELETE /api/threads/:id/decisions/:decisionId - Remove a decision entirely
+router.delete('/:id/decisions/:decisionId', authenticate, requireThreadPermission('moderate'), async (req, res) => {
+    try {
+        const thread = req.thread;
+        const decision = thread.conversationState.decisionsMade.id(req.params.decisionId);
+
+        if (!decision) {
+            return res.status(404).json({ error: 'Decision not found' });
+        }
+
+        decision.deleteOne();
+        await thread.save();
+
+        const io = req.app.get('io');
+        io.to(`thread_${thread._id}`).emit('discussion_items_updated', {
+            threadId: thread._id,
+            decisionsRemoved: [req.params.decisionId]
+        });
+
+        res.json({ message: 'Decision deleted successfully' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 module.exports = router;
 
@@ -16,11 +16,28 @@ const User = require('./models/User');
 const Thread = require('./models/Thread');
 const Message = require('./models/Message');
 const Claim = require('./models/Claim');
+const RefreshToken = require('./models/RefreshToken');
+const Job = require('./models/Job');
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const threadRoutes = require('./routes/threads');
 const messageRoutes = require('./routes/messages');
 const llmRoutes = require('./routes/llm');
+const searchRoutes = require('./routes/search');
+
+// Import services
+const { checkProvidersHealth } = require('./services/ollamaClient');
+const { checkSearchProvidersHealth } = require('./services/searchProviders');
+const { attachSocketServer } = require('./services/draftStream');
+const { markRead, readReceipt } = require('./services/readTracking');
+const { checkThreadPermission } = require('./services/threadPolicy');
+
+// Import middleware
+const { authenticateSocket } = require('./middleware/auth');
+
+// Import background workers
+const { startInterventionWorker, stopInterventionWorker } = require('./services/interventionJobs');
 
 const app = express();
 const server = http.createServer(app);
@@ -40,8 +57,9 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
-// Make io accessible to routes
+// Make io accessible to routes and streaming drafts
 app.set('io', io);
+attachSocketServer(io);
 
 // MongoDB Connection
 const connectDB = async () => {
@@ -58,16 +76,39 @@ const connectDB = async () => {
   }
 };
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the background job worker
+connectDB()
+  .then(() => startInterventionWorker(io))
+  .catch((error) => console.error('❌ Job worker failed to start:', error.message));
 
 // Socket.io connection handling
+// Clients may pass { auth: { token } } to act as a signed-in user
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
 
-  socket.on('join_thread', (threadId) => {
-    socket.join(`thread_${threadId}`);
-    console.log(`📝 Client ${socket.id} joined thread ${threadId}`);
+  // Join a thread's room to receive its events; replies through the ack
+  socket.on('join_thread', async (threadId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      const thread = await Thread.findById(threadId);
+      if (!thread) {
+        return reply({ error: 'Thread not found' });
+      }
+
+      const permission = checkThreadPermission(socket.data.user, 'read', thread);
+      if (!permission.allowed) {
+        return reply({ error: permission.reason });
+      }
+
+      socket.join(`thread_${thread._id}`);
+      console.log(`📝 Client ${socket.id} joined thread ${thread._id}`);
+      reply({ joined: true });
+    } catch (error) {
+      reply({ error: error.message });
+    }
   });
 
   socket.on('leave_thread', (threadId) => {
@@ -75,25 +116,64 @@ io.on('connection', (socket) => {
     console.log(`📤 Client ${socket.id} left thread ${threadId}`);
   });
 
+  // Mark a thread read up to a message (defaults to the newest); replies through the ack
+  socket.on('mark_read', async ({ threadId, messageId } = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const user = socket.data.user;
+
+    if (!user) {
+      return reply({ error: 'Authentication required' });
+    }
+
+    try {
+      const thread = await Thread.findById(threadId);
+      if (!thread) {
+        return reply({ error: 'Thread not found' });
+      }
+
+      const permission = checkThreadPermission(user, 'read', thread);
+      if (!permission.allowed) {
+        return reply({ error: permission.reason });
+      }
+
+      const result = await markRead(user._id, thread._id, messageId || null);
+      if (!result) {
+        return reply(messageId ? { error: 'Message not found in this thread' } : { position: null, advanced: false });
+      }
+
+      if (result.advanced) {
+        io.to(`thread_${thread._id}`).emit('read_receipt', readReceipt(result.position, user));
+      }
+
+      reply(result);
+    } catch (error) {
+      reply({ error: error.message });
+    }
+  });
+
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
   });
 });
 
 // Health check route
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+    llm: await checkProvidersHealth(),
+    search: await checkSearchProvidersHealth(),
     environment: process.env.NODE_ENV || 'development'
   });
 });
 
 // API Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/threads', threadRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/llm', llmRoutes);
+app.use('/api/search', searchRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -102,6 +182,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       threads: '/api/threads',
       messages: '/api/messages',
       llm: '/api/llm'
@@ -139,6 +220,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('⚠️  SIGTERM received, closing server gracefully...');
+  stopInterventionWorker();
   server.close(() => {
     console.log('🛑 Server closed');
     mongoose.connection.close(false, () => {
@@ -0,0 +1,201 @@
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const { TOKEN_BUDGET, estimateTokens, formatMessageLine, groundKeyPoints } = require('./summaryService');
+const { getLatestSummary } = require('./summaryHistory');
+const { getReadPosition, afterReadPosition } = require('./readTracking');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+
+// Catch-ups already generated, by reader, read position and newest message,
+// so reloading the page does not ask the model again
+const CACHE_SIZE = 500;
+const cache = new Map();
+
+/**
+ * Expected shape of the model's catch-up
+ */
+const catchUpOutputSchema = Joi.object({
+  overview: Joi.string().trim().required(),
+  highlights: Joi.array().items(Joi.object({
+    point: Joi.string().trim().required(),
+    sources: Joi.array().items(Joi.number().integer()).default([])
+  })).default([]),
+  repliesToYou: Joi.array().items(Joi.object({
+    point: Joi.string().trim().required(),
+    sources: Joi.array().items(Joi.number().integer()).default([])
+  })).default([])
+});
+
+/**
+ * Summarize what happened in a thread since a user's last read message
+ * @param {string} threadId - Thread ID
+ * @param {object} user - Reader (needs _id, and username/displayName for the prompt)
+ * @returns {Promise<object>} - Catch-up with the messages, replies and decisions it covers
+ */
+async function generateCatchUp(threadId, user) {
+  const thread = await Thread.findById(threadId);
+  if (!thread) {
+    throw new Error('Thread not found');
+  }
+
+  const userId = user._id.toString();
+  const position = await getReadPosition(user._id, threadId);
+  const since = position ? position.lastReadAt : null;
+
+  const query = { threadId, isDeleted: false, messageType: 'user', ...(position ? afterReadPosition(position) : {}) };
+
+  const messages = await Message.find(query)
+    .populate('authorId', 'username displayName')
+    .sort({ createdAt: 1, _id: 1 });
+
+  // Replies to the reader: direct replies to, or quotes of, messages they wrote
+  const repliedToIds = (msg) => [msg.parentId, ...(msg.references || []).map(ref => ref.messageId)].filter(Boolean);
+  const targetIds = messages.flatMap(repliedToIds);
+  const ownTargets = targetIds.length > 0
+    ? await Message.find({ _id: { $in: targetIds }, authorId: user._id }).select('_id content')
+    : [];
+  const ownById = new Map(ownTargets.map(msg => [msg._id.toString(), msg]));
+
+  const replies = messages.filter(msg =>
+    msg.authorId?._id?.toString() !== userId &&
+    repliedToIds(msg).some(id => ownById.has(id.toString()))
+  );
+
+  const state = thread.conversationState || {};
+  const wasAway = (date) => !since || (date && date > since);
+
+  const decisions = (state.decisionsMade || []).filter(d => d.status !== 'dismissed' && wasAway(d.madeAt));
+  const answeredQuestions = (state.unresolvedQuestions || []).filter(q =>
+    q.status === 'answered' && q.askedBy?.toString() === userId && wasAway(q.answeredAt)
+  );
+
+  const base = {
+    since,
+    lastReadMessageId: position ? position.lastReadMessageId : null,
+    messageCount: messages.length,
+    lastMessageId: messages.length > 0 ? messages[messages.length - 1]._id : null,
+    repliesToYou: replies,
+    decisions,
+    answeredQuestions
+  };
+
+  if (messages.length === 0) {
+    return { ...base, catchUp: null };
+  }
+
+  // Anything the catch-up covers changes the thread's updatedAt or its newest message
+  const cacheKey = [threadId, userId, base.lastReadMessageId, base.lastMessageId, thread.updatedAt?.getTime()].join(':');
+  if (cache.has(cacheKey)) {
+    const cached = cache.get(cacheKey);
+    cache.delete(cacheKey);
+    cache.set(cacheKey, cached);
+    return cached;
+  }
+
+  // Keep the newest messages that fit the budget; replies to the reader always stay
+  const replyIds = new Set(replies.map(msg => msg._id.toString()));
+  const numbered = messages.map((msg, idx) => ({ msg, number: idx + 1, line: formatMessageLine(msg, idx + 1) }));
+  const included = [];
+  let tokens = 0;
+  let full = false;
+
+  for (let i = numbered.length - 1; i >= 0; i--) {
+    const entry = numbered[i];
+    const lineTokens = estimateTokens(entry.line);
+    full = full || tokens + lineTokens > TOKEN_BUDGET;
+    if (!full || replyIds.has(entry.msg._id.toString())) {
+      included.unshift(entry);
+      tokens += lineTokens;
+    }
+  }
+
+  const omittedCount = messages.length - included.length;
+  const latestSummary = omittedCount > 0 ? await getLatestSummary(threadId) : null;
+
+  const result = await generateStructured(buildCatchUpPrompt({
+    title: thread.title,
+    readerName: user.displayName || user.username,
+    messages: included.map(entry => {
+      const marker = replyIds.has(entry.msg._id.toString()) ? ' (replying to you)' : '';
+      return `${entry.line}${marker}`;
+    }).join('\n\n'),
+    omittedCount,
+    threadSummary: latestSummary ? latestSummary.whatThisThreadIsAbout : null,
+    decisions: decisions.map(d => d.decision),
+    answeredQuestions: answeredQuestions.map(q => `${q.question} -> ${q.answer || 'answered'}`)
+  }), {
+    task: 'summary',
+    temperature: 0.4,
+    system: 'You help people catch up on discussions they missed. Be brief and specific.',
+    schema: catchUpOutputSchema,
+    fallback: {
+      overview: `${messages.length} new message${messages.length === 1 ? '' : 's'} since your last visit.`,
+      highlights: [],
+      repliesToYou: []
+    }
+  });
+
+  const messageIdsByNumber = new Map(included.map(entry => [entry.number, entry.msg._id]));
+  const highlights = groundKeyPoints(result.value.highlights, messageIdsByNumber);
+  const replyPoints = groundKeyPoints(result.value.repliesToYou, messageIdsByNumber);
+
+  const rejected = [...new Set([...highlights.rejected, ...replyPoints.rejected])];
+  if (rejected.length > 0) {
+    result.validation.errors.push(`Dropped citations of messages that were not provided: ${rejected.join(', ')}`);
+  }
+
+  const catchUp = {
+    ...base,
+    catchUp: {
+      overview: result.value.overview,
+      highlights: highlights.keyPoints,
+      repliesToYou: replyPoints.keyPoints
+    },
+    omittedCount,
+    modelUsed: result.model,
+    processingTime: result.processingTime,
+    validation: result.validation
+  };
+
+  // A fallback is not worth keeping; the model may do better next time
+  if (!result.validation.usedFallback) {
+    cache.set(cacheKey, catchUp);
+    if (cache.size > CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  return catchUp;
+}
+
+/**
+ * Build the catch-up prompt
+ */
+function buildCatchUpPrompt({ title, readerName, messages, omittedCount, threadSummary, decisions, answeredQuestions }) {
+  const list = (items) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None');
+
+  return `${readerName} is returning to the discussion "${title}". Tell them what happened while they were away.
+${threadSummary ? `\nThe thread overall: ${threadSummary}\n` : ''}
+Decisions made while they were away:
+${list(decisions)}
+
+Their questions that were answered:
+${list(answeredQuestions)}
+
+${omittedCount > 0 ? `New messages (${omittedCount} older ones are omitted):` : 'New messages:'}
+${messages}
+
+Generate a JSON response with the following structure:
+{
+  "overview": "2-3 sentences on what changed since they left",
+  "highlights": [{ "point": "Something important that happened", "sources": [3] }],
+  "repliesToYou": [{ "point": "What someone said in reply to ${readerName}", "sources": [5] }]
+}
+
+In "sources", cite the [n] numbers of the messages each point is based on. Address the reader as "you". Leave repliesToYou empty if nobody replied to them.`;
+}
+
+module.exports = {
+  generateCatchUp,
+  buildCatchUpPrompt
+};
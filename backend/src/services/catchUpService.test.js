@@ -0,0 +1,184 @@
+process.env.LLM_PROVIDER = 'scripted';
+process.env.SUMMARY_TOKEN_BUDGET = '100';
+
+jest.mock('./readTracking', () => ({
+  getReadPosition: jest.fn(),
+  afterReadPosition: jest.fn(() => ({}))
+}));
+
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const { getProvider } = require('./providers');
+const { getReadPosition } = require('./readTracking');
+const Summary = require('../models/Summary');
+const { generateCatchUp } = require('./catchUpService');
+
+const scripted = getProvider('scripted');
+
+const reader = { _id: new mongoose.Types.ObjectId(), username: 'ada', displayName: 'Ada' };
+const other = { _id: new mongoose.Types.ObjectId(), username: 'bob', displayName: 'Bob' };
+
+const message = (author, content, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  authorId: author,
+  content,
+  references: [],
+  ...extra
+});
+
+let thread;
+let messages;
+let ownMessages;
+
+beforeEach(() => {
+  thread = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Bike lanes',
+    conversationState: {},
+    updatedAt: new Date('2026-01-01T00:00:00Z')
+  };
+  messages = [];
+  ownMessages = [];
+
+  getReadPosition.mockResolvedValue(null);
+  jest.spyOn(Summary, 'findOne').mockReturnValue({ sort: async () => null });
+  jest.spyOn(Thread, 'findById').mockImplementation(async () => thread);
+  jest.spyOn(Message, 'find').mockImplementation((query) => {
+    // The reader's own messages that new messages reply to
+    if (query._id) {
+      const ids = query._id.$in.map(id => id.toString());
+      return { select: async () => ownMessages.filter(msg => ids.includes(msg._id.toString())) };
+    }
+    return { populate: () => ({ sort: async () => messages }) };
+  });
+
+  scripted.setScript({
+    rules: [{ task: 'summary', response: { overview: 'Bob replied.', highlights: [{ point: 'Lanes stay', sources: [1] }] } }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateCatchUp', () => {
+  it('reuses a catch-up until the read position, newest message or thread changes', async () => {
+    messages = [message(other, 'The lanes stay.')];
+
+    const first = await generateCatchUp(thread._id, reader);
+    const again = await generateCatchUp(thread._id, reader);
+
+    expect(scripted.calls).toHaveLength(1);
+    expect(again).toBe(first);
+
+    messages = [...messages, message(other, 'And get wider.')];
+    await generateCatchUp(thread._id, reader);
+    expect(scripted.calls).toHaveLength(2);
+
+    thread.updatedAt = new Date('2026-01-02T00:00:00Z');
+    await generateCatchUp(thread._id, reader);
+    expect(scripted.calls).toHaveLength(3);
+
+    getReadPosition.mockResolvedValue({ lastReadMessageId: messages[0]._id, lastReadAt: new Date() });
+    await generateCatchUp(thread._id, reader);
+    expect(scripted.calls).toHaveLength(4);
+  });
+
+  it('does not keep fallback catch-ups', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scripted.setScript({ rules: [{ task: 'summary', response: 'not json' }] });
+    messages = [message(other, 'Something else entirely.')];
+
+    const first = await generateCatchUp(thread._id, reader);
+    const callsForFirst = scripted.calls.length;
+    await generateCatchUp(thread._id, reader);
+
+    expect(first.validation.usedFallback).toBe(true);
+    expect(scripted.calls.length).toBe(callsForFirst * 2);
+  });
+});
+
+describe('generateCatchUp selection', () => {
+  const long = text => text.padEnd(150, '.');
+
+  it('returns no catch-up when nothing is new', async () => {
+    const result = await generateCatchUp(thread._id, reader);
+
+    expect(result).toMatchObject({ catchUp: null, messageCount: 0, lastMessageId: null });
+    expect(scripted.calls).toHaveLength(0);
+  });
+
+  it('finds replies and quotes of the reader\'s messages, but not their own', async () => {
+    const own = message(reader, 'I think the lanes should be green.');
+    ownMessages = [own];
+    const reply = message(other, 'Green is too expensive.', { parentId: own._id });
+    const quote = message(other, 'As Ada said, green.', { references: [{ messageId: own._id }] });
+    const selfReply = message(reader, 'Adding to my own point.', { parentId: own._id });
+    messages = [reply, message(other, 'Unrelated.'), quote, selfReply];
+
+    const result = await generateCatchUp(thread._id, reader);
+
+    expect(result.repliesToYou.map(msg => msg._id)).toEqual([reply._id, quote._id]);
+    expect(scripted.calls[0].input).toContain('[1] Bob: Green is too expensive. (replying to you)');
+    expect(scripted.calls[0].input).not.toContain('Unrelated. (replying to you)');
+  });
+
+  it('keeps the newest messages that fit the budget and every reply to the reader', async () => {
+    const own = message(reader, 'Green lanes please.');
+    ownMessages = [own];
+    messages = [
+      message(other, long('Reply to Ada'), { parentId: own._id }),
+      message(other, long('Second')),
+      message(other, long('Third')),
+      message(other, long('Fourth')),
+      message(other, long('Fifth'))
+    ];
+    scripted.setScript({
+      rules: [{ task: 'summary', response: { overview: 'Lots happened.', highlights: [{ point: 'Old news', sources: [2] }, { point: 'New', sources: [5] }] } }]
+    });
+
+    const result = await generateCatchUp(thread._id, reader);
+
+    const prompt = scripted.calls[0].input;
+    expect(prompt).toContain('[1] Bob: Reply to Ada');
+    expect(prompt).not.toContain('[2] Bob');
+    expect(prompt).not.toContain('[3] Bob');
+    expect(prompt).toContain('[4] Bob: Fourth');
+    expect(prompt).toContain('(2 older ones are omitted)');
+    expect(result.omittedCount).toBe(2);
+    // Citations of omitted messages are dropped
+    expect(result.catchUp.highlights).toEqual([
+      { point: 'Old news', supportingMessageIds: [] },
+      { point: 'New', supportingMessageIds: [messages[4]._id] }
+    ]);
+    expect(result.validation.errors).toContain('Dropped citations of messages that were not provided: 2');
+  });
+
+  it('lists decisions and answers to the reader\'s questions made while they were away', async () => {
+    const since = new Date('2026-01-01T12:00:00Z');
+    getReadPosition.mockResolvedValue({ lastReadMessageId: new mongoose.Types.ObjectId(), lastReadAt: since });
+    const before = new Date('2026-01-01T11:00:00Z');
+    const after = new Date('2026-01-01T13:00:00Z');
+    thread.conversationState = {
+      decisionsMade: [
+        { decision: 'Old decision', status: 'active', madeAt: before },
+        { decision: 'Paint them green', status: 'active', madeAt: after },
+        { decision: 'Dismissed', status: 'dismissed', madeAt: after }
+      ],
+      unresolvedQuestions: [
+        { question: 'Who pays?', status: 'answered', askedBy: reader._id, answer: 'The city', answeredAt: after },
+        { question: 'Not mine', status: 'answered', askedBy: other._id, answeredAt: after },
+        { question: 'Answered earlier', status: 'answered', askedBy: reader._id, answeredAt: before }
+      ]
+    };
+    messages = [message(other, 'The city pays.')];
+
+    const result = await generateCatchUp(thread._id, reader);
+
+    expect(result.since).toBe(since);
+    expect(result.decisions.map(d => d.decision)).toEqual(['Paint them green']);
+    expect(result.answeredQuestions.map(q => q.question)).toEqual(['Who pays?']);
+    expect(scripted.calls[0].input).toContain('- Who pays? -> The city');
+  });
+});
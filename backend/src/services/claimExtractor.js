@@ -0,0 +1,141 @@
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const { detectClaimsInText, mightContainClaim } = require('../utils/claimDetector');
+const { locateQuote } = require('../utils/quoteLocator');
+
+/**
+ * Extracts checkable claims from messages
+ *
+ * The model splits a message into atomic claims and quotes the exact words
+ * each one comes from; offsets are computed here by locating the quote, since
+ * models are unreliable at counting characters. Messages that cannot contain
+ * a claim never reach the model, and the pattern detector in
+ * utils/claimDetector.js stands in when the model fails.
+ */
+
+const CLAIM_TYPES = ['factual', 'statistical', 'health', 'legal', 'financial', 'scientific', 'other'];
+
+// Claims at or above this confidence are marked for fact-checking
+const VERIFY_MIN_CONFIDENCE = parseFloat(process.env.CLAIM_VERIFY_MIN_CONFIDENCE || '0.6');
+const MAX_CLAIMS = 10;
+
+/**
+ * Expected shape of the model's extraction
+ */
+const claimExtractionOutputSchema = Joi.object({
+  claims: Joi.array().items(Joi.object({
+    quote: Joi.string().trim().required(),
+    claim: Joi.string().trim().max(500).required(),
+    claimType: Joi.string().trim().lowercase().valid(...CLAIM_TYPES).default('other'),
+    confidence: Joi.number().min(0).max(1).required(),
+    checkable: Joi.boolean().default(true)
+  })).default([])
+});
+
+const CLAIM_EXTRACTION_FALLBACK = { claims: [] };
+
+/**
+ * Extract the claims in a message
+ * @param {string} text - Message content
+ * @param {object} options - { context } (earlier messages, as "Name: text" lines)
+ * @returns {Promise<object>} - { claims, source, model, unlocated }
+ *   claims match Message.claimMarkers; source is 'llm', 'pattern' or 'none'
+ */
+async function extractClaims(text, options = {}) {
+  if (!mightContainClaim(text)) {
+    return { claims: [], source: 'none', model: null, unlocated: 0 };
+  }
+
+  let result;
+  try {
+    result = await generateStructured(buildClaimExtractionPrompt(text, options.context || []), {
+      task: 'claim_detection',
+      temperature: 0.1,
+      system: 'You identify checkable factual claims. Quote the message exactly and never invent claims.',
+      schema: claimExtractionOutputSchema,
+      fallback: CLAIM_EXTRACTION_FALLBACK
+    });
+  } catch (error) {
+    console.error('Claim extraction failed, using patterns:', error.message);
+    return patternClaims(text);
+  }
+
+  if (result.validation.usedFallback) {
+    return patternClaims(text);
+  }
+
+  const claims = [];
+  let unlocated = 0;
+
+  result.value.claims.slice(0, MAX_CLAIMS).forEach(item => {
+    const span = locateQuote(text, item.quote, claims.map(claim => ({ start: claim.startIndex })));
+    if (!span) {
+      unlocated++;
+      return;
+    }
+
+    claims.push({
+      claimText: item.claim,
+      startIndex: span.start,
+      endIndex: span.end,
+      confidence: item.confidence,
+      claimType: item.claimType,
+      shouldVerify: item.checkable && item.confidence >= VERIFY_MIN_CONFIDENCE
+    });
+  });
+
+  claims.sort((a, b) => a.startIndex - b.startIndex);
+
+  return { claims, source: 'llm', model: result.model, unlocated };
+}
+
+/**
+ * Claims found by the pattern detector
+ */
+function patternClaims(text) {
+  return {
+    claims: detectClaimsInText(text).map(claim => ({
+      claimText: claim.claimText,
+      startIndex: claim.startIndex,
+      endIndex: claim.endIndex,
+      confidence: claim.confidence,
+      claimType: claim.claimType,
+      shouldVerify: claim.shouldVerify && claim.confidence >= VERIFY_MIN_CONFIDENCE
+    })),
+    source: 'pattern',
+    model: null,
+    unlocated: 0
+  };
+}
+
+/**
+ * Build the claim extraction prompt
+ */
+function buildClaimExtractionPrompt(text, context = []) {
+  const contextBlock = context.length > 0
+    ? `Earlier messages (context only, do not extract from them):\n${context.join('\n')}\n\n`
+    : '';
+
+  return `${contextBlock}Message:
+"""
+${text}
+"""
+
+List the checkable factual claims made in the message. A claim is checkable if evidence could show it true or false: statistics, dates, historical or scientific facts, health, legal or financial statements. Opinions, plans, questions, jokes and personal experiences are not claims.
+
+Split compound sentences into atomic claims, one fact each. For every claim give:
+- "quote": the exact words of the message the claim comes from, copied character for character
+- "claim": the claim as a standalone sentence (resolve pronouns using the context)
+- "claimType": one of ${CLAIM_TYPES.join(', ')}
+- "confidence": 0.0-1.0, how sure you are that this is a factual claim the author is asserting
+- "checkable": false if it cannot realistically be verified
+
+Return JSON: { "claims": [ ... ] }, with an empty list if there are none. At most ${MAX_CLAIMS} claims.`;
+}
+
+module.exports = {
+  CLAIM_TYPES,
+  extractClaims,
+  buildClaimExtractionPrompt,
+  claimExtractionOutputSchema
+};
@@ -0,0 +1,94 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+const { getProvider } = require('./providers');
+const { extractClaims } = require('./claimExtractor');
+
+const scripted = getProvider('scripted');
+
+const claim = (quote, text, extra = {}) => ({
+  quote,
+  claim: text,
+  claimType: 'statistical',
+  confidence: 0.9,
+  checkable: true,
+  ...extra
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('extractClaims', () => {
+  const text = 'Unemployment was 5% in 2019 and unemployment was 5% in 2019 in Ohio too, says the report.';
+
+  it('gives claims quoting repeated words their own occurrence', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'claim_detection',
+        response: {
+          claims: [
+            claim('unemployment was 5% in 2019', 'US unemployment was 5% in 2019'),
+            claim('unemployment was 5% in 2019', 'Ohio unemployment was 5% in 2019')
+          ]
+        }
+      }]
+    });
+
+    const result = await extractClaims(text);
+
+    expect(result.source).toBe('llm');
+    expect(result.claims.map(item => item.startIndex)).toEqual([0, text.indexOf('unemployment was 5% in 2019 in Ohio')]);
+    result.claims.forEach(item => {
+      expect(text.slice(item.startIndex, item.endIndex).toLowerCase()).toBe('unemployment was 5% in 2019');
+    });
+  });
+
+  it('keeps overlapping quotes and orders claims by position', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'claim_detection',
+        response: {
+          claims: [
+            claim('in Ohio too, says the report', 'The report covers Ohio'),
+            claim('was 5% in 2019 in Ohio', 'Ohio unemployment was 5% in 2019')
+          ]
+        }
+      }]
+    });
+
+    const { claims } = await extractClaims(text);
+
+    expect(claims.map(item => item.claimText)).toEqual(['Ohio unemployment was 5% in 2019', 'The report covers Ohio']);
+    expect(claims[0].endIndex).toBeGreaterThan(claims[1].startIndex);
+  });
+
+  it('counts quotes that are not in the message instead of guessing', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'claim_detection',
+        response: {
+          claims: [
+            claim('inflation hit 9%', 'Inflation hit 9%'),
+            claim('Unemployment was 5% in 2019', 'Unemployment was 5% in 2019', { confidence: 0.3 })
+          ]
+        }
+      }]
+    });
+
+    const result = await extractClaims(text);
+
+    expect(result.unlocated).toBe(1);
+    expect(result.claims).toHaveLength(1);
+    expect(result.claims[0]).toMatchObject({ startIndex: 0, shouldVerify: false });
+  });
+
+  it('falls back to the pattern detector when the reply never validates', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scripted.setScript({ rules: [{ task: 'claim_detection', response: 'no claims, sorry' }] });
+
+    const result = await extractClaims('About 40% of voters support the plan, according to polls.');
+
+    expect(result.source).toBe('pattern');
+    expect(result.claims.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,102 @@
+const { extractClaims } = require('./claimExtractor');
+const { findMatchingItem } = require('./summaryHistory');
+const { enqueueEmbedding } = require('./embeddingStore');
+const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+
+// Earlier messages shown to the extractor to resolve pronouns
+const CONTEXT_MESSAGES = 3;
+
+/**
+ * Detect the claims in a message and store them as its claimMarkers
+ *
+ * Markers are only written if the content is still what was analysed, so a
+ * slow run never overwrites the markers of a later edit. Fact-checked claims
+ * tied to the message that the current text no longer makes are invalidated.
+ *
+ * @param {object} message - Message document
+ * @returns {Promise<object>} - { skipped } or { claimMarkers, source, invalidatedClaimIds }
+ */
+async function detectMessageClaims(message) {
+  const content = message.content;
+
+  const earlier = await Message.find({
+    threadId: message.threadId,
+    isDeleted: false,
+    messageType: 'user',
+    _id: { $ne: message._id },
+    createdAt: { $lte: message.createdAt }
+  })
+    .populate('authorId', 'username displayName')
+    .sort({ createdAt: -1 })
+    .limit(CONTEXT_MESSAGES);
+
+  const context = earlier.reverse().map(msg =>
+    `${msg.authorId?.displayName || msg.authorId?.username || 'Anonymous'}: ${msg.content}`
+  );
+
+  const { claims, source } = await extractClaims(content, { context });
+
+  const updated = await Message.updateOne(
+    { _id: message._id, content, isDeleted: false },
+    { $set: { claimMarkers: claims } }
+  );
+
+  if (updated.matchedCount === 0) {
+    return { skipped: true };
+  }
+
+  const invalidatedClaimIds = await invalidateStaleClaims(message._id, content, claims);
+
+  return { claimMarkers: claims, source, invalidatedClaimIds };
+}
+
+/**
+ * Invalidate claims of a message that its content no longer makes
+ * A claim stays valid if its text is still in the message or matches one of
+ * the newly detected claims.
+ * @returns {Promise<Array>} - IDs of the invalidated claims
+ */
+async function invalidateStaleClaims(messageId, content, markers) {
+  const claims = await Claim.find({ messageId, invalidatedAt: null });
+  const current = markers.map(marker => marker.claimText);
+  const lowerContent = content.toLowerCase();
+
+  const stale = claims.filter(claim =>
+    !lowerContent.includes(claim.claimText.toLowerCase()) && findMatchingItem(current, claim.claimText) < 0
+  );
+
+  return invalidateClaims(stale, 'The message was edited and no longer makes this claim');
+}
+
+/**
+ * Invalidate every claim of a deleted message
+ * @returns {Promise<Array>} - IDs of the invalidated claims
+ */
+async function invalidateDeletedMessageClaims(messageId) {
+  const claims = await Claim.find({ messageId, invalidatedAt: null });
+  return invalidateClaims(claims, 'The message was deleted');
+}
+
+async function invalidateClaims(claims, reason) {
+  if (claims.length === 0) return [];
+
+  const ids = claims.map(claim => claim._id);
+  await Claim.updateMany(
+    { _id: { $in: ids }, invalidatedAt: null },
+    { $set: { invalidatedAt: new Date(), invalidationReason: reason } }
+  );
+
+  // Invalidated claims drop out of search and related-thread suggestions
+  for (const id of ids) {
+    await enqueueEmbedding('claim', id);
+  }
+
+  return ids;
+}
+
+module.exports = {
+  detectMessageClaims,
+  invalidateStaleClaims,
+  invalidateDeletedMessageClaims
+};
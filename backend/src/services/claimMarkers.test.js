@@ -0,0 +1,70 @@
+jest.mock('./embeddingStore', () => ({ enqueueEmbedding: jest.fn().mockResolvedValue(null) }));
+
+const mongoose = require('mongoose');
+const Claim = require('../models/Claim');
+const { enqueueEmbedding } = require('./embeddingStore');
+const { invalidateStaleClaims, invalidateDeletedMessageClaims } = require('./claimMarkers');
+
+const messageId = new mongoose.Types.ObjectId();
+
+const claim = (claimText) => ({ _id: new mongoose.Types.ObjectId(), messageId, claimText, invalidatedAt: null });
+
+let updates;
+
+beforeEach(() => {
+  updates = [];
+  enqueueEmbedding.mockClear();
+  jest.spyOn(Claim, 'updateMany').mockImplementation(async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: filter._id.$in.length };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('invalidateStaleClaims', () => {
+  it('invalidates only the claims the edited text no longer makes', async () => {
+    const kept = claim('Rents rose 12% last year');
+    const dropped = claim('The city has 40 parks');
+    jest.spyOn(Claim, 'find').mockResolvedValue([kept, dropped]);
+
+    const ids = await invalidateStaleClaims(messageId, 'Rents rose 12% last year, says the council.', []);
+
+    expect(ids).toEqual([dropped._id]);
+    expect(updates[0].update.$set.invalidationReason).toMatch(/edited/);
+    expect(enqueueEmbedding).toHaveBeenCalledWith('claim', dropped._id);
+  });
+
+  it('does nothing when every claim still stands', async () => {
+    jest.spyOn(Claim, 'find').mockResolvedValue([claim('Rents rose 12% last year')]);
+
+    const ids = await invalidateStaleClaims(messageId, 'Rents rose 12% last year.', []);
+
+    expect(ids).toEqual([]);
+    expect(Claim.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('invalidateDeletedMessageClaims', () => {
+  it('invalidates every open claim of the message and refreshes their embeddings', async () => {
+    const claims = [claim('Rents rose 12% last year'), claim('The city has 40 parks')];
+    const find = jest.spyOn(Claim, 'find').mockResolvedValue(claims);
+
+    const ids = await invalidateDeletedMessageClaims(messageId);
+
+    expect(find).toHaveBeenCalledWith({ messageId, invalidatedAt: null });
+    expect(ids).toEqual(claims.map(item => item._id));
+    expect(updates[0].update.$set).toMatchObject({ invalidationReason: 'The message was deleted' });
+    expect(updates[0].update.$set.invalidatedAt).toBeInstanceOf(Date);
+    expect(enqueueEmbedding).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips the update for messages without claims', async () => {
+    jest.spyOn(Claim, 'find').mockResolvedValue([]);
+
+    expect(await invalidateDeletedMessageClaims(messageId)).toEqual([]);
+    expect(Claim.updateMany).not.toHaveBeenCalled();
+  });
+});
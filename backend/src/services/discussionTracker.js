@@ -0,0 +1,226 @@
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const { generateStructured } = require('./structuredOutput');
+const { collectParticipants, findParticipant } = require('./resolutionService');
+const { findMatchingItem } = require('./summaryHistory');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+
+/**
+ * Tracks open questions and decisions in conversationState
+ *
+ * Each new user message is checked for questions it asks, decisions it
+ * records and open questions it answers. Extracted items start unconfirmed;
+ * people in the thread can confirm, edit or dismiss them.
+ */
+
+// Earlier messages shown to the model for context
+const CONTEXT_MESSAGES = parseInt(process.env.DISCUSSION_CONTEXT_MESSAGES || '8', 10);
+
+// Cheap pre-filter: skip the model when a message can't add anything
+const QUESTION_HINT = /\?|\b(?:wondering|not sure|any idea|does anyone know)\b/i;
+const DECISION_HINT = /\b(?:decided|decide|decision|agreed|agree|let'?s|we(?: will|'ll| are going to)|going with|go with|settled|final(?:ly|ized)?|approved|confirmed|the plan is)\b/i;
+
+/**
+ * Expected shape of the model's extraction
+ */
+const extractionOutputSchema = Joi.object({
+  questions: Joi.array().items(Joi.object({
+    question: Joi.string().trim().required()
+  })).default([]),
+  decisions: Joi.array().items(Joi.object({
+    decision: Joi.string().trim().required(),
+    participants: Joi.array().items(Joi.string().trim()).default([])
+  })).default([]),
+  answered: Joi.array().items(Joi.object({
+    question: Joi.string().trim().pattern(/^Q\d+$/i).required(),
+    answer: Joi.string().trim().allow('').default('')
+  })).default([])
+});
+
+const EXTRACTION_FALLBACK = { questions: [], decisions: [], answered: [] };
+
+/**
+ * Extract questions, decisions and answers from a new message and store them
+ * @param {string} threadId - Thread ID
+ * @param {object} message - Saved user Message
+ * @returns {Promise<object>} - { skipped } or { questionsAdded, decisionsAdded, questionsAnswered, validation }
+ */
+async function trackDiscussionItems(threadId, message) {
+  const thread = await Thread.findById(threadId);
+  if (!thread) {
+    throw new Error('Thread not found');
+  }
+
+  const state = thread.conversationState || {};
+  const openQuestions = (state.unresolvedQuestions || []).filter(q => q.status === 'open');
+
+  if (!mightContainItems(message.content, openQuestions.length > 0)) {
+    return { skipped: true };
+  }
+
+  const earlier = await Message.find({
+    threadId,
+    isDeleted: false,
+    messageType: 'user',
+    _id: { $ne: message._id },
+    createdAt: { $lte: message.createdAt }
+  })
+    .populate('authorId', 'username displayName')
+    .sort({ createdAt: -1 })
+    .limit(CONTEXT_MESSAGES);
+
+  earlier.reverse();
+
+  const current = await Message.findById(message._id).populate('authorId', 'username displayName');
+  if (!current) {
+    return { skipped: true };
+  }
+
+  const participants = collectParticipants([...earlier, current]);
+  const authorName = (msg) => msg.authorId?.displayName || msg.authorId?.username || 'Anonymous';
+
+  const result = await generateStructured(buildExtractionPrompt({
+    title: thread.title,
+    openQuestions: openQuestions.map(q => q.question),
+    context: earlier.map(msg => `${authorName(msg)}: ${msg.content}`),
+    authorName: authorName(current),
+    content: current.content
+  }), {
+    task: 'extraction',
+    temperature: 0.2,
+    system: 'You extract questions and decisions from discussions. Only report what is explicitly said.',
+    schema: extractionOutputSchema,
+    fallback: EXTRACTION_FALLBACK
+  });
+
+  const known = (items, field) => items.filter(item => item.status !== 'dismissed').map(item => item[field]);
+  const knownQuestions = known(state.unresolvedQuestions || [], 'question');
+  const knownDecisions = known(state.decisionsMade || [], 'decision');
+  const authorId = current.authorId?._id || current.authorId || null;
+
+  const questionsAdded = [];
+  result.value.questions.forEach(({ question }) => {
+    if (findMatchingItem([...knownQuestions, ...questionsAdded.map(q => q.question)], question) >= 0) return;
+    questionsAdded.push({
+      // Assigned here so the ids can be sent to clients with the update
+      _id: new mongoose.Types.ObjectId(),
+      question,
+      askedAt: current.createdAt,
+      askedBy: authorId,
+      messageId: current._id,
+      status: 'open',
+      source: 'llm'
+    });
+  });
+
+  const decisionsAdded = [];
+  result.value.decisions.forEach(({ decision, participants: names }) => {
+    if (findMatchingItem([...knownDecisions, ...decisionsAdded.map(d => d.decision)], decision) >= 0) return;
+
+    // The author plus anyone named as taking part
+    const ids = new Map(authorId ? [[authorId.toString(), authorId]] : []);
+    names.forEach(name => {
+      const participant = findParticipant(participants, name);
+      if (participant) ids.set(participant.userId.toString(), participant.userId);
+    });
+
+    decisionsAdded.push({
+      _id: new mongoose.Types.ObjectId(),
+      decision,
+      madeAt: current.createdAt,
+      participants: Array.from(ids.values()),
+      messageId: current._id,
+      status: 'active',
+      source: 'llm'
+    });
+  });
+
+  const questionsAnswered = [];
+  result.value.answered.forEach(({ question, answer }) => {
+    const target = openQuestions[parseInt(question.slice(1), 10) - 1];
+    // A message can't answer its own question
+    if (!target || target.messageId?.toString() === current._id.toString()) return;
+    if (questionsAnswered.some(q => q._id.toString() === target._id.toString())) return;
+    questionsAnswered.push({ _id: target._id, question: target.question, answer });
+  });
+
+  // Atomic updates, so reviews made while the model was running are kept
+  if (questionsAdded.length > 0 || decisionsAdded.length > 0) {
+    await Thread.updateOne({ _id: threadId }, {
+      $push: {
+        'conversationState.unresolvedQuestions': { $each: questionsAdded },
+        'conversationState.decisionsMade': { $each: decisionsAdded }
+      }
+    });
+  }
+
+  for (const answered of questionsAnswered) {
+    await Thread.updateOne(
+      {
+        _id: threadId,
+        'conversationState.unresolvedQuestions': { $elemMatch: { _id: answered._id, status: 'open' } }
+      },
+      {
+        $set: {
+          'conversationState.unresolvedQuestions.$.status': 'answered',
+          'conversationState.unresolvedQuestions.$.answer': answered.answer,
+          'conversationState.unresolvedQuestions.$.answerMessageId': current._id,
+          'conversationState.unresolvedQuestions.$.answeredAt': current.createdAt
+        }
+      }
+    );
+  }
+
+  return {
+    questionsAdded,
+    decisionsAdded,
+    questionsAnswered,
+    modelUsed: result.model,
+    processingTime: result.processingTime,
+    validation: result.validation
+  };
+}
+
+/**
+ * Whether a message is worth sending to the model
+ */
+function mightContainItems(content, hasOpenQuestions) {
+  return hasOpenQuestions || QUESTION_HINT.test(content) || DECISION_HINT.test(content);
+}
+
+/**
+ * Build the extraction prompt
+ */
+function buildExtractionPrompt({ title, openQuestions, context, authorName, content }) {
+  return `You are tracking a threaded discussion titled "${title}".
+
+Open Questions:
+${openQuestions.length > 0 ? openQuestions.map((q, idx) => `[Q${idx + 1}] ${q}`).join('\n') : '(none)'}
+
+Earlier Messages:
+${context.length > 0 ? context.join('\n\n') : '(none)'}
+
+New Message from ${authorName}:
+${content}
+
+From the NEW message only, generate a JSON response with the following structure:
+{
+  "questions": [{ "question": "A question the new message asks the group, rewritten to stand on its own" }],
+  "decisions": [{ "decision": "A decision the new message records or confirms", "participants": ["Names of people who made or agreed to it"] }],
+  "answered": [{ "question": "Q1", "answer": "One-sentence answer the new message gives" }]
+}
+
+Rules:
+- Skip rhetorical questions and small talk.
+- Only report a decision when the group settled something, not when someone merely proposes it.
+- Only mark an open question answered when the new message actually answers it.
+- Use empty arrays when there is nothing to report.`;
+}
+
+module.exports = {
+  trackDiscussionItems,
+  buildExtractionPrompt,
+  mightContainItems,
+  extractionOutputSchema
+};
@@ -0,0 +1,142 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const { getProvider } = require('./providers');
+const { trackDiscussionItems, mightContainItems } = require('./discussionTracker');
+
+const scripted = getProvider('scripted');
+
+const ada = { _id: new mongoose.Types.ObjectId(), username: 'ada', displayName: 'Ada' };
+const bob = { _id: new mongoose.Types.ObjectId(), username: 'bob', displayName: 'Bob' };
+
+const message = (author, content) => ({
+  _id: new mongoose.Types.ObjectId(),
+  authorId: author,
+  content,
+  createdAt: new Date()
+});
+
+const question = (text, status = 'open', extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  question: text,
+  status,
+  messageId: new mongoose.Types.ObjectId(),
+  ...extra
+});
+
+let thread;
+let earlier;
+let current;
+let updates;
+
+function extract(response) {
+  scripted.setScript({ rules: [{ task: 'extraction', response }] });
+}
+
+beforeEach(() => {
+  thread = { _id: new mongoose.Types.ObjectId(), title: 'Bike lanes', conversationState: { unresolvedQuestions: [], decisionsMade: [] } };
+  earlier = [message(bob, 'Should the lanes be green?')];
+  updates = [];
+
+  jest.spyOn(Thread, 'findById').mockImplementation(async () => thread);
+  jest.spyOn(Thread, 'updateOne').mockImplementation(async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Message, 'find').mockImplementation(() => ({
+    populate: () => ({ sort: () => ({ limit: async () => [...earlier] }) })
+  }));
+  jest.spyOn(Message, 'findById').mockImplementation(() => ({ populate: async () => current }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mightContainItems', () => {
+  it('only lets through questions, decisions, or anything while questions are open', () => {
+    expect(mightContainItems('Nice weather today.', false)).toBe(false);
+    expect(mightContainItems('Who pays for the paint?', false)).toBe(true);
+    expect(mightContainItems("Let's go with green.", false)).toBe(true);
+    expect(mightContainItems('Nice weather today.', true)).toBe(true);
+  });
+});
+
+describe('trackDiscussionItems', () => {
+  it('skips the model for messages that cannot add anything', async () => {
+    extract({});
+    current = message(ada, 'Nice weather today.');
+
+    const result = await trackDiscussionItems(thread._id, current);
+
+    expect(result).toEqual({ skipped: true });
+    expect(scripted.calls).toHaveLength(0);
+  });
+
+  it('numbers only open questions and marks the one answered', async () => {
+    const closed = question('Is paint allowed?', 'answered');
+    const colour = question('Which colour should the lanes be?');
+    const budget = question('Who pays for the paint?');
+    thread.conversationState.unresolvedQuestions = [closed, colour, budget];
+    current = message(ada, 'The city pays, it is in the budget.');
+    extract({
+      answered: [
+        { question: 'Q2', answer: 'The city pays.' },
+        { question: 'q2', answer: 'Again' },
+        { question: 'Q7', answer: 'Nothing to answer' }
+      ]
+    });
+
+    const result = await trackDiscussionItems(thread._id, current);
+
+    expect(scripted.calls[0].input).toContain('[Q1] Which colour should the lanes be?\n[Q2] Who pays for the paint?');
+    expect(result.questionsAnswered).toEqual([{ _id: budget._id, question: budget.question, answer: 'The city pays.' }]);
+    expect(updates).toHaveLength(1);
+    expect(updates[0].filter['conversationState.unresolvedQuestions'].$elemMatch).toEqual({ _id: budget._id, status: 'open' });
+    expect(updates[0].update.$set).toMatchObject({
+      'conversationState.unresolvedQuestions.$.status': 'answered',
+      'conversationState.unresolvedQuestions.$.answer': 'The city pays.',
+      'conversationState.unresolvedQuestions.$.answerMessageId': current._id
+    });
+  });
+
+  it('does not let a message answer its own question', async () => {
+    current = message(ada, 'Who pays? The city, I think.');
+    thread.conversationState.unresolvedQuestions = [question('Who pays?', 'open', { messageId: current._id })];
+    extract({ answered: [{ question: 'Q1', answer: 'The city.' }] });
+
+    const result = await trackDiscussionItems(thread._id, current);
+
+    expect(result.questionsAnswered).toEqual([]);
+    expect(updates).toHaveLength(0);
+  });
+
+  it('skips questions and decisions already tracked, even when reworded', async () => {
+    thread.conversationState.unresolvedQuestions = [question('Who pays for the paint?')];
+    thread.conversationState.decisionsMade = [{ decision: 'The lanes will be painted green', status: 'active' }];
+    current = message(ada, "We agreed the lanes will be green. Who pays for paint? When do we start?");
+    extract({
+      questions: [{ question: 'Who pays for the paint then?' }, { question: 'When does painting start?' }],
+      decisions: [{ decision: 'The lanes will be painted green', participants: [] }]
+    });
+
+    const result = await trackDiscussionItems(thread._id, current);
+
+    expect(result.questionsAdded.map(q => q.question)).toEqual(['When does painting start?']);
+    expect(result.questionsAdded[0]).toMatchObject({ askedBy: ada._id, messageId: current._id, status: 'open', source: 'llm' });
+    expect(result.decisionsAdded).toEqual([]);
+  });
+
+  it('credits decisions to the author and the participants named', async () => {
+    current = message(ada, "Bob and I agreed: let's go with green.");
+    extract({ decisions: [{ decision: 'Paint the lanes green', participants: ['Bob', 'Someone else'] }] });
+
+    const result = await trackDiscussionItems(thread._id, current);
+
+    expect(result.decisionsAdded).toHaveLength(1);
+    expect(result.decisionsAdded[0].participants.map(String)).toEqual([ada._id.toString(), bob._id.toString()]);
+    expect(updates[0].update.$push['conversationState.decisionsMade'].$each).toEqual(result.decisionsAdded);
+  });
+});
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { parsePartialJson } = require('../utils/partialJson');
+
+/**
+ * Live drafts of facilitator messages
+ *
+ * While the model is generating, the rendered text so far is broadcast to the
+ * thread room as a draft; once the Message is saved the draft is finalized.
+ * Events on `thread_<id>`:
+ * - draft_started:   { draftId, threadId, messageType, startedAt }
+ * - draft_updated:   { draftId, threadId, content }
+ * - draft_finalized: { draftId, threadId, message }
+ * - draft_cancelled: { draftId, threadId, reason }
+ * - draft_failed:    { draftId, threadId, error }
+ */
+
+const UPDATE_INTERVAL_MS = parseInt(process.env.DRAFT_UPDATE_INTERVAL_MS || '150', 10);
+
+const drafts = new Map();
+
+let io = null;
+
+/**
+ * Error thrown when a draft was cancelled while generating
+ */
+class DraftCancelledError extends Error {
+  constructor(message = 'Generation was cancelled') {
+    super(message);
+    this.name = 'DraftCancelledError';
+    this.cancelled = true;
+  }
+}
+
+/**
+ * Set the Socket.io server drafts are broadcast on
+ */
+function attachSocketServer(socketServer) {
+  io = socketServer;
+}
+
+function emit(draft, event, data) {
+  if (!io) return;
+  io.to(`thread_${draft.threadId}`).emit(event, {
+    draftId: draft.id,
+    threadId: draft.threadId,
+    ...data
+  });
+}
+
+/**
+ * Start a draft for a facilitator message
+ * @param {object} options
+ * @param {string} options.threadId - Thread the message will be posted in
+ * @param {string} options.messageType - Message type of the final message
+ * @param {Function} options.render - (partialJson) => display text
+ * @param {string} options.requestedBy - User who asked for it, if any
+ * @returns {object} - Draft handle; pass draft.streamOptions to generateCompletion
+ */
+function startDraft({ threadId, messageType, render, requestedBy = null }) {
+  const controller = new AbortController();
+
+  const draft = {
+    id: crypto.randomUUID(),
+    threadId: threadId.toString(),
+    messageType,
+    requestedBy,
+    startedAt: new Date(),
+    content: '',
+    cancelReason: null,
+    lastEmitAt: 0,
+    pendingTimer: null,
+
+    get signal() {
+      return controller.signal;
+    },
+
+    get cancelled() {
+      return controller.signal.aborted;
+    },
+
+    /**
+     * Options to spread into generateCompletion
+     */
+    get streamOptions() {
+      return {
+        signal: controller.signal,
+        onToken: (token, textSoFar) => draft.update(textSoFar)
+      };
+    },
+
+    update(rawText) {
+      const partial = parsePartialJson(rawText);
+      if (!partial) return;
+
+      try {
+        draft.content = render(partial);
+      } catch (error) {
+        return;
+      }
+
+      const wait = UPDATE_INTERVAL_MS - (Date.now() - draft.lastEmitAt);
+      if (wait <= 0) {
+        draft.flush();
+      } else if (!draft.pendingTimer) {
+        draft.pendingTimer = setTimeout(() => draft.flush(), wait);
+      }
+    },
+
+    flush() {
+      clearTimeout(draft.pendingTimer);
+      draft.pendingTimer = null;
+      if (!drafts.has(draft.id)) return;
+      draft.lastEmitAt = Date.now();
+      emit(draft, 'draft_updated', { content: draft.content });
+    },
+
+    finalize(message) {
+      draft.close();
+      emit(draft, 'draft_finalized', { message });
+    },
+
+    fail(error) {
+      draft.close();
+      if (draft.cancelled) {
+        emit(draft, 'draft_cancelled', { reason: draft.cancelReason || 'Cancelled' });
+      } else {
+        emit(draft, 'draft_failed', { error: error.message });
+      }
+    },
+
+    /**
+     * Drop the draft without posting a message
+     */
+    discard(reason) {
+      draft.close();
+      emit(draft, 'draft_cancelled', { reason });
+    },
+
+    cancel(reason = 'Cancelled') {
+      draft.cancelReason = reason;
+      controller.abort();
+    },
+
+    close() {
+      clearTimeout(draft.pendingTimer);
+      draft.pendingTimer = null;
+      drafts.delete(draft.id);
+    }
+  };
+
+  drafts.set(draft.id, draft);
+  emit(draft, 'draft_started', { messageType, startedAt: draft.startedAt });
+
+  return draft;
+}
+
+/**
+ * Run a generation step inside a draft, turning an abort into DraftCancelledError
+ * and reporting failures to the room
+ * @param {object} draft - Draft from startDraft
+ * @param {Function} work - async () => result
+ */
+async function runInDraft(draft, work) {
+  try {
+    return await work();
+  } catch (error) {
+    draft.fail(error);
+    if (draft.cancelled) {
+      throw new DraftCancelledError(draft.cancelReason ? `Generation was cancelled: ${draft.cancelReason}` : undefined);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Look up an active draft
+ */
+function getDraft(draftId) {
+  return drafts.get(draftId) || null;
+}
+
+/**
+ * Active drafts for a thread (for clients joining mid-stream)
+ */
+function getThreadDrafts(threadId) {
+  return Array.from(drafts.values())
+    .filter(draft => draft.threadId === threadId.toString())
+    .map(draft => ({
+      draftId: draft.id,
+      threadId: draft.threadId,
+      messageType: draft.messageType,
+      startedAt: draft.startedAt,
+      content: draft.content
+    }));
+}
+
+module.exports = {
+  DraftCancelledError,
+  attachSocketServer,
+  startDraft,
+  runInDraft,
+  getDraft,
+  getThreadDrafts
+};
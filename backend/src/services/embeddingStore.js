@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const jobQueue = require('./jobQueue');
+const { generateEmbeddingWithModel } = require('./ollamaClient');
+const Embedding = require('../models/Embedding');
+const Message = require('../models/Message');
+const Thread = require('../models/Thread');
+const Summary = require('../models/Summary');
+const Claim = require('../models/Claim');
+const { matchThreadStages } = require('./threadScope');
+
+/**
+ * Stored embeddings for messages, threads, thread summaries and claims
+ *
+ * Each vector is tagged with the model that produced it and EMBEDDING_VERSION,
+ * the version of the text built for each document. Vectors are only compared
+ * within one model and version; when either changes, reindexEmbeddings queues
+ * every document that lacks a current vector.
+ */
+
+const EMBED_CONTENT = 'embed_content';
+
+// Bump when SOURCES builds different text, so stored vectors are rebuilt
+const EMBEDDING_VERSION = 1;
+
+// Longest text sent to the embedding model
+const MAX_EMBED_CHARS = parseInt(process.env.EMBEDDING_MAX_CHARS || '4000', 10);
+const REINDEX_BATCH_SIZE = 500;
+
+// Model tag of the last vector computed, used to skip unchanged documents
+let currentModel = null;
+
+/**
+ * Page through a collection by _id for the reindex scan
+ */
+function scanCollection(model, filter, threadIdOf) {
+  return async (afterId, limit) => {
+    const docs = await model.find(afterId ? { ...filter, _id: { $gt: afterId } } : filter)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .select('_id threadId');
+
+    return {
+      lastId: docs.length > 0 ? docs[docs.length - 1]._id : null,
+      docs: docs.map(doc => ({ refId: doc._id, threadId: threadIdOf(doc) }))
+    };
+  };
+}
+
+function summaryText(summary) {
+  return [
+    summary.whatThisThreadIsAbout,
+    ...(summary.keyPointsSoFar || []),
+    ...(summary.areasOfAgreement || []),
+    ...(summary.areasOfDisagreement || []),
+    ...(summary.openQuestions || [])
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * How each kind of document is loaded, turned into text, tied to a thread
+ * and found by the reindex scan
+ */
+const SOURCES = {
+  message: {
+    load: id => Message.findById(id),
+    text: msg => msg.content,
+    threadId: msg => msg.threadId,
+    removed: msg => msg.isDeleted,
+    scan: scanCollection(Message, { isDeleted: false }, msg => msg.threadId)
+  },
+  thread: {
+    load: id => Thread.findById(id),
+    text: thread => [thread.title, thread.description, (thread.topicTags || []).join(', ')].filter(Boolean).join('\n\n'),
+    threadId: thread => thread._id,
+    removed: thread => thread.isArchived,
+    scan: scanCollection(Thread, { isArchived: false }, thread => thread._id)
+  },
+  summary: {
+    load: id => Summary.findById(id),
+    text: summaryText,
+    threadId: summary => summary.threadId,
+    removed: () => false,
+    // Only the latest version of each thread's summary keeps a vector
+    supersedesThread: true,
+    scan: async (afterId, limit) => {
+      const filter = { isArchived: false, summaryVersion: { $gt: 0 } };
+      if (afterId) filter._id = { $gt: afterId };
+
+      const threads = await Thread.find(filter).sort({ _id: 1 }).limit(limit).select('_id summaryVersion');
+      const summaries = threads.length > 0
+        ? await Summary.find({ $or: threads.map(thread => ({ threadId: thread._id, version: thread.summaryVersion })) })
+          .select('_id threadId')
+        : [];
+
+      return {
+        lastId: threads.length > 0 ? threads[threads.length - 1]._id : null,
+        docs: summaries.map(summary => ({ refId: summary._id, threadId: summary.threadId }))
+      };
+    }
+  },
+  claim: {
+    load: id => Claim.findById(id),
+    text: claim => claim.claimText,
+    threadId: claim => claim.threadId,
+    removed: claim => Boolean(claim.invalidatedAt),
+    scan: scanCollection(Claim, { invalidatedAt: null }, claim => claim.threadId)
+  }
+};
+
+const EMBEDDING_KINDS = Object.keys(SOURCES);
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Compute and store the embedding of one document
+ * Documents that were deleted or archived lose their embeddings instead, and
+ * vectors from other models or versions are dropped once the new one is stored.
+ * @param {string} kind - 'message', 'thread', 'summary' or 'claim'
+ * @param {string} refId - Document ID
+ * @returns {Promise<object>} - { indexed, model }, { unchanged, model } or { removed }
+ */
+async function indexDocument(kind, refId) {
+  const source = SOURCES[kind];
+  if (!source) {
+    throw new Error(`Unknown embedding kind: ${kind}`);
+  }
+
+  const doc = await source.load(refId);
+
+  if (!doc || source.removed(doc)) {
+    await Embedding.deleteMany({ kind, refId });
+    return { removed: true };
+  }
+
+  const text = (source.text(doc) || '').slice(0, MAX_EMBED_CHARS);
+  const textHash = hashText(text);
+
+  if (currentModel) {
+    const existing = await Embedding.findOne({
+      kind, refId: doc._id, model: currentModel, version: EMBEDDING_VERSION, textHash
+    }).select('_id');
+    if (existing) {
+      return { unchanged: true, model: currentModel };
+    }
+  }
+
+  const { embedding, model } = await generateEmbeddingWithModel(text);
+
+  if (!Array.isArray(embedding) || embedding.length === 0) {
+    throw new Error('Embedding model returned no vector');
+  }
+
+  currentModel = model;
+
+  await Embedding.findOneAndUpdate(
+    { kind, refId: doc._id, model },
+    { $set: { threadId: source.threadId(doc), version: EMBEDDING_VERSION, vector: embedding, textHash } },
+    { upsert: true }
+  );
+
+  await Embedding.deleteMany({
+    kind,
+    refId: doc._id,
+    $or: [{ model: { $ne: model } }, { version: { $ne: EMBEDDING_VERSION } }]
+  });
+
+  if (source.supersedesThread) {
+    await Embedding.deleteMany({ kind, threadId: source.threadId(doc), refId: { $ne: doc._id } });
+  }
+
+  return { indexed: true, model };
+}
+
+/**
+ * Queue (re)computing the embedding of a document
+ * Embedding jobs carry no threadId, so bulk reindexing never holds up a
+ * thread's facilitator jobs.
+ * @param {string} kind - 'message', 'thread', 'summary' or 'claim'
+ * @param {string} refId - Document ID
+ * @returns {Promise<object>} - Queued embedding job
+ */
+async function enqueueEmbedding(kind, refId) {
+  return jobQueue.enqueue(EMBED_CONTENT, { kind, refId });
+}
+
+/**
+ * Queue every document without a vector from the current model and version
+ * The current model is found by embedding a short probe text, so this also
+ * picks up a model changed through configuration.
+ * @returns {Promise<object>} - { model, queued: { <kind>: count } }
+ */
+async function reindexEmbeddings() {
+  const { model } = await generateEmbeddingWithModel('embedding model check');
+  currentModel = model;
+
+  const queued = {};
+
+  for (const kind of EMBEDDING_KINDS) {
+    queued[kind] = 0;
+    let afterId = null;
+
+    for (;;) {
+      const { lastId, docs } = await SOURCES[kind].scan(afterId, REINDEX_BATCH_SIZE);
+      if (!lastId) break;
+      afterId = lastId;
+
+      const current = await Embedding.distinct('refId', {
+        kind,
+        refId: { $in: docs.map(doc => doc.refId) },
+        model,
+        version: EMBEDDING_VERSION
+      });
+      const indexed = new Set(current.map(id => id.toString()));
+
+      for (const doc of docs) {
+        if (indexed.has(doc.refId.toString())) continue;
+        await enqueueEmbedding(kind, doc.refId);
+        queued[kind]++;
+      }
+    }
+  }
+
+  return { model, queued };
+}
+
+/**
+ * Embed a search query
+ * @returns {Promise<object>} - { embedding, model }
+ */
+async function embedQuery(text) {
+  return generateEmbeddingWithModel(text.slice(0, MAX_EMBED_CHARS));
+}
+
+/**
+ * Stored documents most similar to a vector
+ * Every stored vector in scope is compared (streamed from the database), so
+ * older content is found as well as new. `threadFilter` keeps only vectors
+ * whose thread matches a thread query (see threadScope).
+ * @param {string} kind - Kind of document
+ * @param {Array} vector - Query vector
+ * @param {string} model - Model that produced the vector
+ * @param {object} options - { threadId, threadFilter, excludeThreadId, limit, minSimilarity }
+ * @returns {Promise<Array>} - [{ refId, threadId, similarity }], most similar first
+ */
+async function findNearest(kind, vector, model, options = {}) {
+  const { threadId = null, threadFilter = null, excludeThreadId = null, limit = 50, minSimilarity = 0 } = options;
+
+  const filter = { kind, model, version: EMBEDDING_VERSION };
+  if (threadId) {
+    filter.threadId = threadId;
+  } else if (excludeThreadId) {
+    filter.threadId = { $ne: excludeThreadId };
+  }
+
+  const cursor = threadFilter
+    ? Embedding.aggregate([
+      { $match: filter },
+      ...matchThreadStages('threadId', threadFilter),
+      { $project: { refId: 1, threadId: 1, vector: 1 } }
+    ]).cursor()
+    : Embedding.find(filter)
+      .select('refId threadId vector')
+      .lean()
+      .cursor();
+
+  // The best `limit` matches so far, most similar first
+  const best = [];
+  for await (const entry of cursor) {
+    const similarity = cosineSimilarity(vector, entry.vector);
+    if (similarity < minSimilarity) continue;
+    if (best.length >= limit && similarity <= best[best.length - 1].similarity) continue;
+
+    const index = best.findIndex(match => match.similarity < similarity);
+    best.splice(index === -1 ? best.length : index, 0, { refId: entry.refId, threadId: entry.threadId, similarity });
+    if (best.length > limit) best.pop();
+  }
+
+  return best;
+}
+
+/**
+ * Cosine similarity of two vectors (0 when they cannot be compared)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+module.exports = {
+  EMBED_CONTENT,
+  EMBEDDING_VERSION,
+  EMBEDDING_KINDS,
+  indexDocument,
+  enqueueEmbedding,
+  reindexEmbeddings,
+  embedQuery,
+  findNearest,
+  cosineSimilarity
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Embedding = require('../models/Embedding');
+const jobQueue = require('./jobQueue');
+const { findNearest, enqueueEmbedding, cosineSimilarity } = require('./embeddingStore');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cosineSimilarity', () => {
+  it('compares direction, not length', () => {
+    expect(cosineSimilarity([1, 0], [3, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 2])).toBeCloseTo(0);
+  });
+
+  it('is 0 for vectors that cannot be compared', () => {
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    expect(cosineSimilarity(null, [1])).toBe(0);
+  });
+});
+
+describe('findNearest', () => {
+  function storeVectors(vectors) {
+    const entries = vectors.map(vector => ({ refId: new mongoose.Types.ObjectId(), threadId: null, vector }));
+    const find = jest.spyOn(Embedding, 'find').mockReturnValue({
+      select: () => ({
+        lean: () => ({
+          cursor: async function* cursor() {
+            yield* entries;
+          }
+        })
+      })
+    });
+    return { entries, find };
+  }
+
+  it('compares every stored vector, keeping the most similar first', async () => {
+    // The best match is the oldest of many stored vectors
+    const vectors = Array.from({ length: 1000 }, (_, i) => [1, 1 + i]);
+    vectors.unshift([1, 0]);
+    const { entries } = storeVectors(vectors);
+
+    const nearest = await findNearest('message', [1, 0], 'scripted:scripted', { limit: 3 });
+
+    expect(nearest).toHaveLength(3);
+    expect(nearest[0].refId).toEqual(entries[0].refId);
+    expect(nearest[0].similarity).toBeCloseTo(1);
+    expect(nearest[1].similarity).toBeGreaterThanOrEqual(nearest[2].similarity);
+  });
+
+  it('drops matches below minSimilarity', async () => {
+    storeVectors([[1, 0], [0, 1], [1, 1]]);
+
+    const nearest = await findNearest('message', [1, 0], 'm', { minSimilarity: 0.5 });
+
+    expect(nearest.map(match => Math.round(match.similarity * 100) / 100)).toEqual([1, 0.71]);
+  });
+
+  it('joins on the threads collection to apply a thread filter', async () => {
+    const entry = { refId: new mongoose.Types.ObjectId(), threadId: new mongoose.Types.ObjectId(), vector: [1] };
+    const aggregate = jest.spyOn(Embedding, 'aggregate').mockReturnValue({
+      cursor: async function* cursor() {
+        yield entry;
+      }
+    });
+    const threadFilter = { $and: [{ visibility: 'public' }], isArchived: false };
+
+    const nearest = await findNearest('claim', [1], 'm', { threadFilter });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: { kind: 'claim', model: 'm', version: expect.any(Number) } });
+    expect(pipeline[1].$lookup.pipeline).toContainEqual({ $match: threadFilter });
+    expect(nearest.map(match => match.refId)).toEqual([entry.refId]);
+  });
+});
+
+describe('enqueueEmbedding', () => {
+  it('queues the job without a thread, so it never blocks thread jobs', async () => {
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+    const refId = new mongoose.Types.ObjectId();
+
+    await enqueueEmbedding('message', refId);
+
+    expect(enqueue).toHaveBeenCalledWith('embed_content', { kind: 'message', refId });
+  });
+});
@@ -1,21 +1,87 @@
-const { generateCompletion } = require('./ollamaClient');
-const { searchWeb } = require('../utils/webSearch');
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const { extractClaims } = require('./claimExtractor');
+const { searchSources, readSourcePage } = require('./searchProviders');
+const { enhanceResultsWithCredibility } = require('../utils/webSearch');
+const { selectPassages } = require('../utils/passageSelector');
+
+// Evidence shown to the model per claim (most credible first)
+const MAX_EVIDENCE = 5;
+// Top sources whose pages are fetched and read (0 uses search snippets only)
+const FETCH_PAGES = parseInt(process.env.FACT_CHECK_FETCH_PAGES || '3', 10);
+const PASSAGES_PER_SOURCE = 3;
+const PASSAGE_CHARS = 600;
+
+// Credibility-weighted evidence needed before a claim can be called either way
+const MIN_EVIDENCE_WEIGHT = parseFloat(process.env.FACT_CHECK_MIN_EVIDENCE_WEIGHT || '0.5');
+// Share of the weight one side needs to decide the verdict
+const DECISIVE_BALANCE = 0.5;
+// Evidence weight at which confidence reaches ~63%; more sources push it higher
+const CONFIDENCE_SCALE = 1.5;
+
+const STANCES = ['supports', 'refutes', 'irrelevant'];
+
+/**
+ * Expected shape of the model's fact-check
+ * The stances decide the verdict; status and confidence are the model's own
+ * reading, kept for comparison and shown while the check streams.
+ */
+const factCheckOutputSchema = Joi.object({
+  stances: Joi.array().items(Joi.object({
+    source: Joi.number().integer().min(1).required(),
+    stance: Joi.string().trim().lowercase().valid(...STANCES).required(),
+    passage: Joi.number().integer().min(1)
+  })).default([]),
+  status: Joi.string().trim().lowercase().valid('verified', 'unverified', 'disputed', 'uncertain'),
+  confidence: Joi.number().min(0).max(1),
+  explanation: Joi.string().trim().max(2000).required()
+});
+
+const FACT_CHECK_FALLBACK = {
+  stances: [],
+  explanation: 'The fact-check could not be completed reliably, so this claim remains unverified.'
+};
 
 /**
  * Fact-check a claim
+ *
+ * Sources come from the thread's search provider or the SEARCH_PROVIDERS
+ * chain. They are scored for credibility and the pages of the
+ * most credible ones are fetched, keeping the passages most relevant to the
+ * claim. The model classifies each source as supporting, refuting or
+ * irrelevant to the claim and cites the passage it relied on, and the
+ * verdict and confidence are computed from the credibility-weighted stances
+ * (see weighEvidence).
+ *
  * @param {string} claimText - The claim to verify
  * @param {string} context - Additional context about the claim
+ * @param {object} streamOptions - Optional { onToken, signal } for streaming
+ * @param {object} searchOptions - Optional { searchProvider } chosen by the thread
  * @returns {Promise<object>} - Fact-check results
  */
-async function factCheckClaim(claimText, context = '') {
+async function factCheckClaim(claimText, context = '', streamOptions = {}, searchOptions = {}) {
   try {
-    // Step 1: Search for evidence
-    const searchResults = await searchWeb(claimText);
+    // Step 1: Search for evidence, keeping the most credible sources
+    const { results: searchResults, provider: searchProvider } = await searchSources(claimText, {
+      provider: searchOptions.searchProvider || null
+    });
+    const sources = await readSources(
+      enhanceResultsWithCredibility(searchResults).slice(0, MAX_EVIDENCE),
+      claimText
+    );
     
-    // Format search results for LLM
-    const formattedResults = searchResults.slice(0, 5).map((result, idx) => 
-      `[${idx + 1}] ${result.title}\n   URL: ${result.url}\n   Snippet: ${result.snippet}`
-    ).join('\n\n');
+    // Format search results for LLM, numbering page passages per source
+    const formattedResults = sources.map((result, idx) => {
+      const passages = result.passages.map((passage, passageIdx) =>
+        `   [${idx + 1}.${passageIdx + 1}] ${passage.text}`
+      );
+      return [
+        `[${idx + 1}] ${result.title}`,
+        `   URL: ${result.url}`,
+        `   Snippet: ${result.snippet}`,
+        ...(passages.length > 0 ? ['   Passages from the page:', ...passages] : [])
+      ].join('\n');
+    }).join('\n\n');
     
     // Step 2: Build fact-check prompt
     const prompt = buildFactCheckPrompt({
@@ -25,30 +91,58 @@ async function factCheckClaim(claimText, context = '') {
     });
     
     // Step 3: Get LLM analysis
-    const result = await generateCompletion(prompt, {
-      format: 'json',
+    const result = await generateStructured(prompt, {
+      task: 'fact_check',
       temperature: 0.3, // Lower temperature for more consistent fact-checking
-      system: 'You are a careful fact-checker. Analyze claims objectively and cite sources.'
+      system: 'You are a careful fact-checker. Judge each source on what it actually says about the claim.',
+      schema: factCheckOutputSchema,
+      fallback: FACT_CHECK_FALLBACK,
+      ...streamOptions
     });
     
-    // Step 4: Format evidence
-    const evidence = searchResults.slice(0, 5).map((result, idx) => ({
-      source: result.title,
-      url: result.url,
-      snippet: result.snippet,
-      credibilityScore: 0.7, // TODO: Implement source credibility scoring
-      supports: true, // TODO: Determine from LLM analysis
-      foundAt: new Date()
-    }));
+    // Step 4: Attach each source's stance (unclassified sources count as irrelevant)
+    // and the passage cited for it, or the most relevant one
+    const stanceBySource = new Map(result.value.stances.map(item => [item.source, item]));
+    const evidence = sources.map((source, idx) => {
+      const classified = stanceBySource.get(idx + 1);
+      const stance = classified?.stance || 'irrelevant';
+      const passageIdx = classified?.passage && classified.passage <= source.passages.length
+        ? classified.passage - 1
+        : 0;
+      const passage = source.passages[passageIdx];
+      return {
+        source: source.title,
+        url: source.url,
+        snippet: passage ? passage.text : source.snippet,
+        citation: passage ? `${idx + 1}.${passageIdx + 1}` : `${idx + 1}`,
+        snippetSource: passage ? 'page' : 'search',
+        credibilityScore: source.credibilityScore,
+        stance,
+        supports: stance === 'supports',
+        foundAt: new Date()
+      };
+    });
+
+    // Step 5: Derive the verdict from the evidence
+    const verdict = weighEvidence(evidence);
     
     return {
-      status: result.response.status,
-      confidence: result.response.confidence,
+      status: verdict.status,
+      confidence: verdict.confidence,
       evidence,
-      explanation: result.response.explanation,
+      explanation: result.value.explanation,
+      weighting: {
+        supportWeight: verdict.supportWeight,
+        refuteWeight: verdict.refuteWeight,
+        modelStatus: result.value.status || null,
+        modelConfidence: result.value.confidence ?? null
+      },
       processingTime: result.processingTime,
       modelUsed: result.model,
-      searchResultsFound: searchResults.length
+      searchProvider,
+      searchResultsFound: searchResults.length,
+      pagesRead: sources.filter(source => source.passages.length > 0).length,
+      validation: result.validation
     };
   } catch (error) {
     console.error('Error fact-checking claim:', error);
@@ -56,6 +150,75 @@ async function factCheckClaim(claimText, context = '') {
   }
 }
 
+/**
+ * Read the pages of the first FETCH_PAGES sources and keep their passages
+ * most relevant to the claim; other sources, and pages that could not be
+ * fetched, get no passages and are judged on their search snippet
+ * @param {Array} sources - Search results, most credible first
+ * @param {string} claimText - Claim being checked
+ * @returns {Promise<Array>} - The sources with passages: [{ text, index, score }]
+ */
+async function readSources(sources, claimText) {
+  return Promise.all(sources.map(async (source, idx) => {
+    if (idx >= FETCH_PAGES || !source.url) {
+      return { ...source, passages: [] };
+    }
+
+    const page = await readSourcePage(source);
+    const passages = page
+      ? selectPassages(page.text, claimText, { count: PASSAGES_PER_SOURCE, maxChars: PASSAGE_CHARS })
+      : [];
+
+    return { ...source, passages };
+  }));
+}
+
+/**
+ * Verdict from credibility-weighted evidence
+ *
+ * Each supporting or refuting source adds its credibility to its side.
+ * With too little weight in total the claim stays unverified; otherwise the
+ * side holding most of the weight decides (verified or disputed), and a
+ * closer split is uncertain. Confidence grows with the total weight and with
+ * how one-sided it is.
+ *
+ * @param {Array} evidence - [{ stance, credibilityScore }]
+ * @returns {object} - { status, confidence, supportWeight, refuteWeight }
+ */
+function weighEvidence(evidence) {
+  const weightOf = (stance) => evidence
+    .filter(item => item.stance === stance)
+    .reduce((sum, item) => sum + (item.credibilityScore ?? 0.5), 0);
+
+  const supportWeight = weightOf('supports');
+  const refuteWeight = weightOf('refutes');
+  const total = supportWeight + refuteWeight;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const strength = 1 - Math.exp(-total / CONFIDENCE_SCALE);
+
+  if (total < MIN_EVIDENCE_WEIGHT) {
+    return { status: 'unverified', confidence: round(strength), supportWeight: round(supportWeight), refuteWeight: round(refuteWeight) };
+  }
+
+  const balance = (supportWeight - refuteWeight) / total;
+
+  let status = 'uncertain';
+  if (balance >= DECISIVE_BALANCE) status = 'verified';
+  if (balance <= -DECISIVE_BALANCE) status = 'disputed';
+
+  const confidence = status === 'uncertain'
+    ? strength * (1 - Math.abs(balance))
+    : strength * Math.abs(balance);
+
+  return {
+    status,
+    confidence: round(confidence),
+    supportWeight: round(supportWeight),
+    refuteWeight: round(refuteWeight)
+  };
+}
+
 /**
  * Build fact-check prompt
  */
@@ -67,9 +230,15 @@ Claim: "${claimText}"
 ${context ? `Context: ${context}` : ''}
 
 Search Results:
-${searchResults}
+${searchResults || '(none found)'}
 
-Analyze the claim based on the evidence and determine:
+For each numbered search result, decide its stance toward the claim, judging by its passages when it has any and by its snippet otherwise:
+   - "supports": it states or clearly implies the claim is true
+   - "refutes": it states or clearly implies the claim is false
+   - "irrelevant": it is off-topic or says nothing either way
+If the result has passages, also give the number of the passage that shows its stance (for [2.3] give 3).
+
+Then give your overall reading:
 
 1. Status: Choose one of the following:
    - "verified": The claim is supported by reliable evidence
@@ -79,10 +248,11 @@ Analyze the claim based on the evidence and determine:
 
 2. Confidence: A number between 0.0 and 1.0 indicating how confident you are in the assessment
 
-3. Explanation: A clear 2-3 sentence explanation of your findings
+3. Explanation: A clear 2-3 sentence explanation of your findings, citing passages as [2.3] or results as [2]
 
 Return your analysis as JSON:
 {
+  "stances": [{ "source": 1, "stance": "supports|refutes|irrelevant", "passage": 2 }],
   "status": "verified|unverified|disputed|uncertain",
   "confidence": 0.85,
   "explanation": "Your explanation here"
@@ -92,48 +262,18 @@ Return your analysis as JSON:
 /**
  * Detect claims in text that should be fact-checked
  * @param {string} text - Text to analyze
- * @returns {Promise<Array>} - Detected claims
+ * @returns {Promise<Array>} - Detected claims (see claimExtractor.extractClaims)
  */
 async function detectClaims(text) {
-  try {
-    const prompt = `Analyze the following text and identify any factual claims that should be verified.
-
-Text: "${text}"
-
-Look for:
-- Statistical claims (numbers, percentages, dates)
-- Health or medical claims
-- Legal or financial claims
-- Historical facts
-- Scientific statements
-
-Return a JSON array of detected claims:
-[
-  {
-    "claimText": "The specific claim",
-    "claimType": "statistical|health|legal|financial|scientific|factual",
-    "confidence": 0.85,
-    "shouldVerify": true
-  }
-]
-
-If no verifiable claims are found, return an empty array: []`;
-    
-    const result = await generateCompletion(prompt, {
-      format: 'json',
-      temperature: 0.5
-    });
-    
-    return Array.isArray(result.response) ? result.response : [];
-  } catch (error) {
-    console.error('Error detecting claims:', error);
-    return [];
-  }
+  const { claims } = await extractClaims(text);
+  return claims;
 }
 
 module.exports = {
   factCheckClaim,
+  weighEvidence,
   detectClaims,
-  buildFactCheckPrompt
+  buildFactCheckPrompt,
+  factCheckOutputSchema
 };
 
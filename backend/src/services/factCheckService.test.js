@@ -0,0 +1,133 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+jest.mock('./searchProviders', () => ({
+  searchSources: jest.fn(),
+  readSourcePage: jest.fn()
+}));
+
+const { searchSources, readSourcePage } = require('./searchProviders');
+const { getProvider } = require('./providers');
+const { weighEvidence, factCheckClaim } = require('./factCheckService');
+
+describe('weighEvidence', () => {
+  it('leaves a claim unverified with too little weight', () => {
+    expect(weighEvidence([])).toEqual({ status: 'unverified', confidence: 0, supportWeight: 0, refuteWeight: 0 });
+    expect(weighEvidence([{ stance: 'supports', credibilityScore: 0.3 }]).status).toBe('unverified');
+  });
+
+  it('ignores irrelevant sources', () => {
+    const verdict = weighEvidence([
+      { stance: 'irrelevant', credibilityScore: 0.9 },
+      { stance: 'irrelevant', credibilityScore: 0.9 }
+    ]);
+    expect(verdict.status).toBe('unverified');
+  });
+
+  it('verifies or disputes when one side holds most of the weight', () => {
+    expect(weighEvidence([
+      { stance: 'supports', credibilityScore: 0.9 },
+      { stance: 'supports', credibilityScore: 0.8 },
+      { stance: 'refutes', credibilityScore: 0.3 }
+    ])).toMatchObject({ status: 'verified', supportWeight: 1.7, refuteWeight: 0.3 });
+
+    expect(weighEvidence([
+      { stance: 'refutes', credibilityScore: 0.9 },
+      { stance: 'supports', credibilityScore: 0.2 }
+    ]).status).toBe('disputed');
+  });
+
+  it('calls a close split uncertain', () => {
+    expect(weighEvidence([
+      { stance: 'supports', credibilityScore: 0.8 },
+      { stance: 'refutes', credibilityScore: 0.7 }
+    ]).status).toBe('uncertain');
+  });
+
+  it('counts sources without a score as 0.5', () => {
+    expect(weighEvidence([{ stance: 'supports' }]).supportWeight).toBe(0.5);
+  });
+
+  it('grows more confident with more and more credible sources', () => {
+    const one = weighEvidence([{ stance: 'supports', credibilityScore: 0.6 }]);
+    const three = weighEvidence([
+      { stance: 'supports', credibilityScore: 0.6 },
+      { stance: 'supports', credibilityScore: 0.6 },
+      { stance: 'supports', credibilityScore: 0.6 }
+    ]);
+    const split = weighEvidence([
+      { stance: 'supports', credibilityScore: 0.6 },
+      { stance: 'supports', credibilityScore: 0.6 },
+      { stance: 'refutes', credibilityScore: 0.6 }
+    ]);
+
+    expect(three.confidence).toBeGreaterThan(one.confidence);
+    expect(split.confidence).toBeLessThan(three.confidence);
+    expect(three.confidence).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('factCheckClaim', () => {
+  const scripted = getProvider('scripted');
+
+  beforeEach(() => {
+    searchSources.mockResolvedValue({
+      provider: 'local',
+      results: [
+        { title: 'Encyclopedia', url: 'local://water.md', snippet: 'Water boils at 100 C at sea level.', credibilityScore: 0.9 },
+        { title: 'Forum post', url: 'local://forum.md', snippet: 'Water boils at 90 C.', credibilityScore: 0.2 },
+        { title: 'Recipe', url: 'local://pasta.md', snippet: 'Boil the pasta.', credibilityScore: 0.7 }
+      ]
+    });
+    readSourcePage.mockImplementation(async result => ({
+      url: result.url,
+      title: result.title,
+      text: result.url === 'local://water.md'
+        ? 'Intro text.\n\nAt sea level water boils at 100 degrees Celsius.'
+        : result.snippet,
+      truncated: false
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  // Sources are numbered most credible first: encyclopedia, recipe, forum post
+  it('computes the verdict from the stances, not the model status', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'fact_check',
+        response: {
+          stances: [
+            { source: 1, stance: 'supports', passage: 1 },
+            { source: 3, stance: 'refutes' }
+          ],
+          status: 'disputed',
+          confidence: 0.9,
+          explanation: 'The encyclopedia confirms it.'
+        }
+      }]
+    });
+
+    const result = await factCheckClaim('Water boils at 100 C at sea level');
+
+    expect(result.status).toBe('verified');
+    expect(result.weighting).toMatchObject({ supportWeight: 0.9, refuteWeight: 0.2, modelStatus: 'disputed' });
+    expect(result.evidence.map(item => item.stance)).toEqual(['supports', 'irrelevant', 'refutes']);
+    expect(result.evidence[0]).toMatchObject({ snippetSource: 'page', citation: '1.1' });
+    expect(result.searchProvider).toBe('local');
+    expect(scripted.calls[0].input).toContain('Water boils at 100 C at sea level');
+  });
+
+  it('falls back to unverified when the reply never validates', async () => {
+    scripted.setScript({ rules: [{ task: 'fact_check', response: 'not json' }] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await factCheckClaim('Water boils at 100 C at sea level');
+
+    expect(result.status).toBe('unverified');
+    expect(result.confidence).toBe(0);
+    expect(result.validation.usedFallback).toBe(true);
+  });
+});
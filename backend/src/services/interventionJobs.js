@@ -0,0 +1,343 @@
+const jobQueue = require('./jobQueue');
+const llmOrchestrator = require('./llmOrchestrator');
+const { trackDiscussionItems } = require('./discussionTracker');
+const { detectMessageClaims } = require('./claimMarkers');
+const { EMBED_CONTENT, indexDocument, enqueueEmbedding, reindexEmbeddings } = require('./embeddingStore');
+const { isLocalCorpusConfigured, indexLocalCorpus } = require('./localCorpus');
+const Message = require('../models/Message');
+const Job = require('../models/Job');
+
+/**
+ * Background facilitator pipeline
+ *
+ * Jobs queued here:
+ * - each new user message: claim detection (first, so the facilitator sees
+ *   its claim markers), LLMOrchestrator.processNewMessage, question and
+ *   decision tracking, and its search embedding
+ * - each edited message: claim detection
+ * - whole-thread summaries (e.g. after a merge)
+ * - embeddings of other content, and the reindex on startup
+ * - indexing the local search corpus, on startup and every
+ *   LOCAL_SEARCH_REINDEX_MINUTES
+ *
+ * Progress is broadcast to the thread room:
+ * - intervention_started:     a job began (or retried)
+ * - intervention_complete:    the job finished, with the posted message if any
+ * - intervention_failed:      the attempt failed; willRetry says if it comes back
+ * - summary_updated:          an automatic summary was stored, with its diff
+ * - discussion_items_updated: questions/decisions were extracted or answered
+ * - claims_detected:          a message's claimMarkers were (re)computed
+ */
+
+const PROCESS_MESSAGE = 'process_message';
+const TRACK_DISCUSSION = 'track_discussion';
+const DETECT_CLAIMS = 'detect_claims';
+const SUMMARIZE_THREAD = 'summarize_thread';
+const REINDEX_EMBEDDINGS = 'reindex_embeddings';
+const INDEX_LOCAL_CORPUS = 'index_local_corpus';
+
+// Queue missing embeddings on startup (e.g. after the embedding model changed)
+const REINDEX_ON_START = process.env.EMBEDDING_REINDEX_ON_START !== 'false';
+// 0 indexes the local corpus on startup only
+const LOCAL_REINDEX_MINUTES = parseFloat(process.env.LOCAL_SEARCH_REINDEX_MINUTES || '0');
+
+let io = null;
+let localReindexTimer = null;
+
+/**
+ * Job handler: run the orchestrator for one message
+ */
+async function processMessageJob(job) {
+  const message = await Message.findById(job.payload.messageId);
+
+  if (!message || message.isDeleted) {
+    return { intervened: false, reason: 'Message no longer exists' };
+  }
+
+  const result = await llmOrchestrator.processNewMessage(job.threadId, message);
+
+  // processNewMessage reports errors instead of throwing; rethrow so the job retries
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  return {
+    intervened: result.intervened,
+    actionType: result.actionType || null,
+    reason: result.reason || null,
+    message: result.intervened && result.message ? result.message.toObject() : null,
+    summaryUpdate: result.intervened && result.summaryVersion
+      ? { summary: result.summaryVersion.toObject(), diff: result.diff }
+      : null
+  };
+}
+
+/**
+ * Job handler: re-summarize a whole thread from scratch
+ */
+async function summarizeThreadJob(job) {
+  let result;
+  try {
+    result = await llmOrchestrator.generateAndPostSummary(job.threadId, {
+      reason: job.payload.reason,
+      priority: 'normal',
+      requestedBy: job.payload.requestedBy || null
+    }, { mode: 'full' });
+  } catch (error) {
+    // A cancelled draft is the thread owner's call, not a failure to retry
+    if (error.cancelled) {
+      return { intervened: false, reason: error.message };
+    }
+    throw error;
+  }
+
+  return {
+    intervened: true,
+    actionType: 'summary',
+    reason: job.payload.reason,
+    message: result.message.toObject(),
+    summaryUpdate: { summary: result.summaryVersion.toObject(), diff: result.diff }
+  };
+}
+
+/**
+ * Job handler: extract questions, decisions and answers from one message
+ */
+async function trackDiscussionJob(job) {
+  const message = await Message.findById(job.payload.messageId);
+
+  if (!message || message.isDeleted) {
+    return { skipped: true };
+  }
+
+  const result = await trackDiscussionItems(job.threadId, message);
+  if (result.skipped) return result;
+
+  return {
+    questionsAdded: result.questionsAdded,
+    decisionsAdded: result.decisionsAdded,
+    questionsAnswered: result.questionsAnswered
+  };
+}
+
+/**
+ * Job handler: store the embedding of a message, thread, summary or claim
+ */
+async function embedContentJob(job) {
+  return indexDocument(job.payload.kind, job.payload.refId);
+}
+
+/**
+ * Job handler: queue embeddings for everything the current model lacks
+ */
+async function reindexEmbeddingsJob() {
+  return reindexEmbeddings();
+}
+
+/**
+ * Job handler: fill a message's claimMarkers
+ */
+async function detectClaimsJob(job) {
+  const message = await Message.findById(job.payload.messageId);
+
+  if (!message || message.isDeleted) {
+    return { skipped: true };
+  }
+
+  return detectMessageClaims(message);
+}
+
+function emitToThread(job, event, data) {
+  if (!io || !job.threadId) return;
+  io.to(`thread_${job.threadId}`).emit(event, {
+    jobId: job._id,
+    threadId: job.threadId,
+    messageId: job.payload.messageId,
+    attempt: job.attempts,
+    ...data
+  });
+}
+
+jobQueue.registerHandler(PROCESS_MESSAGE, processMessageJob);
+jobQueue.registerHandler(TRACK_DISCUSSION, trackDiscussionJob);
+jobQueue.registerHandler(DETECT_CLAIMS, detectClaimsJob);
+jobQueue.registerHandler(SUMMARIZE_THREAD, summarizeThreadJob);
+jobQueue.registerHandler(EMBED_CONTENT, embedContentJob);
+jobQueue.registerHandler(REINDEX_EMBEDDINGS, reindexEmbeddingsJob);
+jobQueue.registerHandler(INDEX_LOCAL_CORPUS, () => indexLocalCorpus());
+
+// Summary jobs report progress like message jobs
+const reportsProgress = (job) => job.type === PROCESS_MESSAGE || job.type === SUMMARIZE_THREAD;
+
+jobQueue.on('started', (job) => {
+  if (!reportsProgress(job)) return;
+  emitToThread(job, 'intervention_started', {});
+});
+
+jobQueue.on('completed', (job) => {
+  if (job.type === TRACK_DISCUSSION) {
+    const { questionsAdded = [], decisionsAdded = [], questionsAnswered = [] } = job.result || {};
+    if (questionsAdded.length + decisionsAdded.length + questionsAnswered.length > 0) {
+      emitToThread(job, 'discussion_items_updated', { questionsAdded, decisionsAdded, questionsAnswered });
+    }
+    return;
+  }
+
+  if (job.type === DETECT_CLAIMS) {
+    const { skipped, claimMarkers, source, invalidatedClaimIds } = job.result || {};
+    if (!skipped) {
+      emitToThread(job, 'claims_detected', { claimMarkers, source, invalidatedClaimIds });
+    }
+    return;
+  }
+
+  if (!reportsProgress(job)) return;
+
+  const { intervened, actionType, reason, message, summaryUpdate } = job.result || {};
+  emitToThread(job, 'intervention_complete', { intervened, actionType, reason, message });
+
+  if (message && io) {
+    io.to(`thread_${job.threadId}`).emit('new_message', message);
+  }
+
+  if (summaryUpdate && io) {
+    io.to(`thread_${job.threadId}`).emit('summary_updated', {
+      threadId: job.threadId,
+      ...summaryUpdate
+    });
+  }
+});
+
+jobQueue.on('failed', (job, { error, willRetry }) => {
+  if (job.type === TRACK_DISCUSSION) {
+    console.error(`Discussion tracking job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    return;
+  }
+
+  if (job.type === DETECT_CLAIMS) {
+    console.error(`Claim detection job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    return;
+  }
+
+  if (job.type === INDEX_LOCAL_CORPUS) {
+    console.error(`Local corpus indexing job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    return;
+  }
+
+  if (job.type === EMBED_CONTENT || job.type === REINDEX_EMBEDDINGS) {
+    console.error(`Embedding job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+    return;
+  }
+
+  if (!reportsProgress(job)) return;
+  console.error(`Intervention job ${job._id} failed (attempt ${job.attempts}):`, error.message);
+  emitToThread(job, 'intervention_failed', { error: error.message, willRetry });
+});
+
+/**
+ * Queue a newly posted user message for facilitator processing
+ * @param {object} message - Saved Message document
+ * @returns {Promise<object>} - Queued facilitator job
+ */
+async function enqueueMessageProcessing(message) {
+  await enqueueClaimDetection(message);
+
+  const job = await jobQueue.enqueue(
+    PROCESS_MESSAGE,
+    { messageId: message._id },
+    { threadId: message.threadId }
+  );
+
+  await jobQueue.enqueue(
+    TRACK_DISCUSSION,
+    { messageId: message._id },
+    { threadId: message.threadId }
+  );
+
+  await enqueueEmbedding('message', message._id);
+
+  return job;
+}
+
+/**
+ * Queue (re)computing a message's claimMarkers
+ * @param {object} message - Saved Message document
+ * @returns {Promise<object>} - Queued claim detection job
+ */
+async function enqueueClaimDetection(message) {
+  return jobQueue.enqueue(
+    DETECT_CLAIMS,
+    { messageId: message._id },
+    { threadId: message.threadId }
+  );
+}
+
+/**
+ * Queue a full re-summarization of a thread
+ * @param {string} threadId - Thread ID
+ * @param {object} options - { reason, requestedBy }
+ * @returns {Promise<object>} - Queued summary job
+ */
+async function enqueueThreadSummary(threadId, options = {}) {
+  return jobQueue.enqueue(
+    SUMMARIZE_THREAD,
+    { reason: options.reason || 'Thread summary requested', requestedBy: options.requestedBy || null },
+    { threadId }
+  );
+}
+
+/**
+ * Start the background worker
+ * @param {object} socketServer - Socket.io server used for progress events
+ */
+async function startInterventionWorker(socketServer) {
+  io = socketServer;
+  await jobQueue.start();
+
+  if (REINDEX_ON_START && !(await Job.exists({ type: REINDEX_EMBEDDINGS, status: 'queued' }))) {
+    await jobQueue.enqueue(REINDEX_EMBEDDINGS, {});
+  }
+
+  if (isLocalCorpusConfigured()) {
+    await enqueueLocalCorpusIndex();
+
+    if (LOCAL_REINDEX_MINUTES > 0) {
+      localReindexTimer = setInterval(() => {
+        enqueueLocalCorpusIndex().catch(error => console.error('Error queueing local corpus indexing:', error.message));
+      }, LOCAL_REINDEX_MINUTES * 60 * 1000);
+    }
+  }
+}
+
+/**
+ * Queue indexing the local search corpus, unless a run is already queued
+ */
+async function enqueueLocalCorpusIndex() {
+  if (!(await Job.exists({ type: INDEX_LOCAL_CORPUS, status: 'queued' }))) {
+    await jobQueue.enqueue(INDEX_LOCAL_CORPUS, {});
+  }
+}
+
+/**
+ * Stop picking up new jobs
+ */
+function stopInterventionWorker() {
+  clearInterval(localReindexTimer);
+  localReindexTimer = null;
+  jobQueue.stop();
+}
+
+module.exports = {
+  PROCESS_MESSAGE,
+  TRACK_DISCUSSION,
+  DETECT_CLAIMS,
+  SUMMARIZE_THREAD,
+  EMBED_CONTENT,
+  REINDEX_EMBEDDINGS,
+  INDEX_LOCAL_CORPUS,
+  enqueueMessageProcessing,
+  enqueueClaimDetection,
+  enqueueThreadSummary,
+  startInterventionWorker,
+  stopInterventionWorker
+};
@@ -1,5 +1,45 @@
 const Thread = require('../models/Thread');
 const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+const User = require('../models/User');
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const { scoreClaimImportance, mightContainClaim } = require('../utils/claimDetector');
+const { locateQuote } = require('../utils/quoteLocator');
+
+const CONTRADICTION_LOOKBACK = parseInt(process.env.CONTRADICTION_LOOKBACK || '15', 10);
+const CONTRADICTION_MIN_CONFIDENCE = parseFloat(process.env.CONTRADICTION_MIN_CONFIDENCE || '0.6');
+const TOPIC_DRIFT_LOOKBACK = parseInt(process.env.TOPIC_DRIFT_LOOKBACK || '6', 10);
+const TOPIC_DRIFT_MIN_MESSAGES = parseInt(process.env.TOPIC_DRIFT_MIN_MESSAGES || '6', 10);
+const TOPIC_DRIFT_MIN_CONFIDENCE = parseFloat(process.env.TOPIC_DRIFT_MIN_CONFIDENCE || '0.7');
+const TOPIC_DRIFT_MAX_OVERLAP = parseFloat(process.env.TOPIC_DRIFT_MAX_OVERLAP || '0.5');
+
+// Extracted claims that warrant an unprompted fact-check
+const HIGH_IMPACT_CLAIM_TYPES = ['health', 'legal', 'financial', 'statistical', 'scientific'];
+const HIGH_IMPACT_MIN_SCORE = 0.9;
+
+/**
+ * Expected shape of the model's contradiction check
+ */
+const contradictionOutputSchema = Joi.object({
+  contradictions: Joi.array().items(Joi.object({
+    statement: Joi.number().integer().min(1).required(),
+    newMessageQuote: Joi.string().trim().required(),
+    earlierQuote: Joi.string().trim().required(),
+    explanation: Joi.string().trim().allow('').default(''),
+    confidence: Joi.number().min(0).max(1).default(0)
+  })).default([])
+});
+
+/**
+ * Expected shape of the model's topic drift check
+ */
+const topicDriftOutputSchema = Joi.object({
+  drifting: Joi.boolean().required(),
+  tangent: Joi.string().trim().allow('').default(''),
+  startsAt: Joi.number().integer().min(0).default(0),
+  confidence: Joi.number().min(0).max(1).default(0)
+});
 
 /**
  * Determine if LLM should intervene in a thread
@@ -54,7 +94,7 @@ async function shouldIntervene(threadId, context = {}) {
     
     // Check for high-impact claims (active mode only)
     if (thread.interventionLevel === 'active' && context.newMessage) {
-      const hasHighImpactClaim = await detectHighImpactClaim(context.newMessage.content);
+      const hasHighImpactClaim = await detectHighImpactClaim(context.newMessage.content, context.newMessage.claimMarkers);
       
       if (hasHighImpactClaim) {
         return {
@@ -77,7 +117,33 @@ async function shouldIntervene(threadId, context = {}) {
           reason: 'Potential contradiction detected',
           actionType: 'observation',
           priority: 'normal',
-          details: contradiction
+          details: {
+            ...contradiction,
+            // The disagreement may deserve its own thread
+            forkSuggestion: {
+              messageId: contradiction.conflicts[0].messageId,
+              toMessageId: contradiction.messageId
+            }
+          }
+        };
+      }
+
+      const drift = await detectTopicDrift(thread, context.newMessage);
+
+      if (drift) {
+        return {
+          shouldIntervene: true,
+          reason: 'Topic drift detected',
+          actionType: 'observation',
+          priority: 'low',
+          details: {
+            drift,
+            forkSuggestion: {
+              messageId: drift.startMessageId,
+              toMessageId: drift.messageId,
+              title: drift.tangent
+            }
+          }
         };
       }
     }
@@ -118,8 +184,28 @@ async function getMessagesSinceLastSummary(thread) {
 
 /**
  * Detect high-impact claims that require verification
+ * The message's claim markers are used when it has any; the patterns below
+ * cover messages whose claims have not been extracted.
  */
-async function detectHighImpactClaim(messageContent) {
+async function detectHighImpactClaim(messageContent, claimMarkers = []) {
+  const markers = (claimMarkers || []).filter(marker =>
+    marker.shouldVerify && HIGH_IMPACT_CLAIM_TYPES.includes(marker.claimType)
+  );
+
+  if (markers.length > 0) {
+    const [top] = markers
+      .map(marker => ({ marker, score: scoreClaimImportance(marker) }))
+      .sort((a, b) => b.score - a.score);
+
+    if (top.score >= HIGH_IMPACT_MIN_SCORE) {
+      return {
+        claimText: top.marker.claimText,
+        type: 'high_impact',
+        confidence: top.marker.confidence
+      };
+    }
+  }
+
   // Keywords that indicate high-impact claims
   const highImpactPatterns = [
     // Health claims
@@ -153,17 +239,342 @@ async function detectHighImpactClaim(messageContent) {
 }
 
 /**
- * Detect contradictions between messages
- * TODO: Implement sophisticated contradiction detection using LLM
+ * Detect contradictions between a new message and earlier statements
+ * Compares against recent messages and stored claims, covering both an author
+ * contradicting themselves and participants contradicting each other.
+ * Messages that only ask questions or state nothing skip the model.
+ * @param {string} threadId - Thread ID
+ * @param {object} newMessage - The message just posted
+ * @returns {Promise<object|null>} - Contradiction details, or null if none found
  */
 async function detectContradiction(threadId, newMessage) {
-  // Placeholder implementation
-  // In a full implementation, this would:
-  // 1. Fetch recent messages
-  // 2. Use LLM to detect semantic contradictions
-  // 3. Return details about conflicting statements
-  
-  return null;
+  try {
+    if (!newMessage?.content || newMessage.content.trim().length < 15) {
+      return null;
+    }
+    if (!mightContainClaim(newMessage.content)) {
+      return null;
+    }
+
+    const recentMessages = await Message.find({
+      threadId,
+      isDeleted: false,
+      messageType: 'user',
+      _id: { $ne: newMessage._id }
+    })
+      .populate('authorId', 'username displayName')
+      .sort({ createdAt: -1 })
+      .limit(CONTRADICTION_LOOKBACK);
+
+    recentMessages.reverse();
+
+    const recentIds = new Set(recentMessages.map(msg => msg._id.toString()));
+
+    // Claims from older messages extend the lookback beyond the recent window
+    const claims = await Claim.find({
+      threadId,
+      invalidatedAt: null,
+      messageId: { $nin: [newMessage._id, ...recentMessages.map(msg => msg._id)] }
+    })
+      .populate({
+        path: 'messageId',
+        select: 'authorId isDeleted',
+        populate: { path: 'authorId', select: 'username displayName' }
+      })
+      .sort({ createdAt: -1 })
+      .limit(CONTRADICTION_LOOKBACK);
+
+    const statements = [
+      ...recentMessages.map(msg => ({
+        text: msg.content,
+        messageId: msg._id,
+        claimId: null,
+        author: msg.authorId
+      })),
+      ...claims
+        .filter(claim => claim.messageId && !claim.messageId.isDeleted && !recentIds.has(claim.messageId._id.toString()))
+        .map(claim => ({
+          text: claim.claimText,
+          messageId: claim.messageId._id,
+          claimId: claim._id,
+          author: claim.messageId.authorId
+        }))
+    ];
+
+    if (statements.length === 0) {
+      return null;
+    }
+
+    const newAuthor = newMessage.authorId?.username
+      ? newMessage.authorId
+      : await User.findById(newMessage.authorId).select('username displayName');
+
+    const prompt = buildContradictionPrompt({
+      statements: statements.map(st => ({ ...st, authorName: displayName(st.author) })),
+      newMessage: newMessage.content,
+      newAuthorName: displayName(newAuthor)
+    });
+
+    const result = await generateStructured(prompt, {
+      task: 'contradiction',
+      temperature: 0.2,
+      system: 'You are a careful, neutral discussion facilitator. Only report genuine logical conflicts.',
+      schema: contradictionOutputSchema,
+      fallback: { contradictions: [] }
+    });
+
+    const newAuthorId = idString(newAuthor || newMessage.authorId);
+    const conflicts = result.value.contradictions
+      .map(item => resolveConflict(item, statements, newMessage.content, newAuthorId))
+      .filter(conflict => conflict && conflict.confidence >= CONTRADICTION_MIN_CONFIDENCE);
+
+    if (conflicts.length === 0) {
+      return null;
+    }
+
+    return {
+      messageId: newMessage._id,
+      authorName: displayName(newAuthor),
+      conflicts,
+      conflictingMessageIds: [...new Set(conflicts.map(c => c.messageId.toString()))],
+      modelUsed: result.model,
+      processingTime: result.processingTime
+    };
+  } catch (error) {
+    console.error('Error detecting contradiction:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Detect a new message taking the discussion away from the thread's topic
+ * Skipped for young threads, right after a fork was already suggested, and
+ * for messages that mostly reuse the thread's own vocabulary.
+ * @param {object} thread - Thread document
+ * @param {object} newMessage - The message just posted
+ * @returns {Promise<object|null>} - { messageId, startMessageId, tangent, confidence }, or null
+ */
+async function detectTopicDrift(thread, newMessage) {
+  try {
+    if (!newMessage?.content || newMessage.content.trim().length < 15) {
+      return null;
+    }
+    if (thread.messageCount < TOPIC_DRIFT_MIN_MESSAGES) {
+      return null;
+    }
+
+    const recentMessages = await Message.find({
+      threadId: thread._id,
+      isDeleted: false,
+      messageType: 'user',
+      _id: { $ne: newMessage._id }
+    })
+      .populate('authorId', 'username displayName')
+      .sort({ createdAt: -1 })
+      .limit(TOPIC_DRIFT_LOOKBACK);
+
+    if (recentMessages.length === 0) {
+      return null;
+    }
+
+    recentMessages.reverse();
+
+    const overlap = vocabularyOverlap(newMessage.content, [
+      thread.title,
+      thread.description,
+      thread.conversationState?.activeTopic,
+      ...recentMessages.map(msg => msg.content)
+    ]);
+    if (overlap === null || overlap >= TOPIC_DRIFT_MAX_OVERLAP) {
+      return null;
+    }
+
+    const alreadySuggested = await Message.exists({
+      threadId: thread._id,
+      messageType: 'llm_intervention',
+      'interventionMetadata.forkSuggestion.messageId': { $exists: true },
+      createdAt: { $gte: recentMessages[0].createdAt }
+    });
+    if (alreadySuggested) {
+      return null;
+    }
+
+    const newAuthor = newMessage.authorId?.username
+      ? newMessage.authorId
+      : await User.findById(newMessage.authorId).select('username displayName');
+
+    const result = await generateStructured(buildTopicDriftPrompt({
+      title: thread.title,
+      description: thread.description,
+      activeTopic: thread.conversationState?.activeTopic,
+      recent: recentMessages.map(msg => `${displayName(msg.authorId)}: ${msg.content}`),
+      newMessage: newMessage.content,
+      newAuthorName: displayName(newAuthor)
+    }), {
+      task: 'topic_drift',
+      temperature: 0.2,
+      system: 'You are a careful, neutral discussion facilitator. Only report clear tangents.',
+      schema: topicDriftOutputSchema,
+      fallback: { drifting: false, tangent: '', startsAt: 0, confidence: 0 }
+    });
+
+    const { drifting, tangent, startsAt, confidence } = result.value;
+    if (!drifting || confidence < TOPIC_DRIFT_MIN_CONFIDENCE) {
+      return null;
+    }
+
+    // startsAt is the earlier message the tangent began with (0 = the new message)
+    const start = recentMessages[startsAt - 1];
+
+    return {
+      messageId: newMessage._id,
+      startMessageId: start ? start._id : newMessage._id,
+      tangent,
+      confidence,
+      modelUsed: result.model,
+      processingTime: result.processingTime
+    };
+  } catch (error) {
+    console.error('Error detecting topic drift:', error.message);
+    return null;
+  }
+}
+
+// Words too common to say anything about the topic
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'because', 'been', 'being', 'could', 'does', 'doing', 'from',
+  'have', 'here', 'into', 'just', 'like', 'more', 'most', 'much', 'only', 'other', 'really',
+  'should', 'some', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they',
+  'think', 'this', 'those', 'very', 'want', 'were', 'what', 'when', 'where', 'which',
+  'while', 'will', 'with', 'would', 'your'
+]);
+
+function topicWords(text) {
+  return (String(text || '').toLowerCase().match(/[a-z][a-z'-]{3,}/g) || [])
+    .map(word => word.replace(/'s$|s$/, ''))
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * Share of a message's topic words already used in the thread, or null when
+ * the message has too few topic words to judge
+ */
+function vocabularyOverlap(text, contextTexts) {
+  const words = new Set(topicWords(text));
+  if (words.size < 3) return null;
+
+  const known = new Set(contextTexts.flatMap(topicWords));
+  const shared = [...words].filter(word => known.has(word)).length;
+  return shared / words.size;
+}
+
+/**
+ * Build the topic drift prompt
+ */
+function buildTopicDriftPrompt({ title, description, activeTopic, recent, newMessage, newAuthorName }) {
+  return `Decide whether a new message in a discussion starts a tangent that would be better as its own thread.
+
+Thread Title: "${title}"
+${description ? `Description: ${description}\n` : ''}Current Topic: ${activeTopic || 'Not recorded'}
+
+Recent Messages:
+${recent.map((line, idx) => `[${idx + 1}] ${line}`).join('\n\n')}
+
+New Message by ${newAuthorName}:
+${newMessage}
+
+A tangent is a different subject that participants are now discussing in its own right. Follow-up detail, examples, and disagreements about the thread's topic are NOT tangents.
+
+Return JSON:
+{
+  "drifting": true,
+  "tangent": "Short title for the tangent, usable as a thread title",
+  "startsAt": 4,
+  "confidence": 0.8
+}
+
+"startsAt" is the number of the recent message where the tangent began, or 0 if it begins with the new message. If the discussion is on topic, return {"drifting": false}.`;
+}
+
+/**
+ * Build the contradiction detection prompt
+ */
+function buildContradictionPrompt({ statements, newMessage, newAuthorName }) {
+  const formatted = statements.map((st, idx) => `[${idx + 1}] ${st.authorName}: ${st.text}`).join('\n\n');
+
+  return `Compare a new message in a discussion against earlier statements and find direct contradictions.
+
+Earlier Statements:
+${formatted}
+
+New Message by ${newAuthorName}:
+${newMessage}
+
+A contradiction means both statements cannot be true at the same time, or the author now takes the opposite position to one they stated before. Differences in opinion about unrelated points, added detail, or questions are NOT contradictions.
+
+Return JSON:
+{
+  "contradictions": [
+    {
+      "statement": 3,
+      "newMessageQuote": "exact words copied from the new message",
+      "earlierQuote": "exact words copied from statement 3",
+      "explanation": "One neutral sentence on why these conflict",
+      "confidence": 0.8
+    }
+  ]
+}
+
+Quotes must be copied verbatim. If there are no contradictions, return {"contradictions": []}.`;
+}
+
+/**
+ * Validate one model-reported contradiction against the real statements.
+ * Drops it if the statement number is unknown or a quote cannot be found.
+ */
+function resolveConflict(item, statements, newContent, newAuthorId) {
+  if (!item || typeof item !== 'object') return null;
+
+  const statement = statements[parseInt(item.statement, 10) - 1];
+  if (!statement) return null;
+
+  const earlierSpan = quoteSpan(statement.text, item.earlierQuote);
+  const newSpan = quoteSpan(newContent, item.newMessageQuote);
+  if (!earlierSpan || !newSpan) return null;
+
+  const confidence = Number(item.confidence);
+  const earlierAuthorId = idString(statement.author);
+
+  return {
+    kind: earlierAuthorId && earlierAuthorId === newAuthorId ? 'self' : 'cross_participant',
+    messageId: statement.messageId,
+    claimId: statement.claimId,
+    authorId: statement.author?._id || null,
+    authorName: displayName(statement.author),
+    earlierQuote: earlierSpan,
+    newMessageQuote: newSpan,
+    explanation: typeof item.explanation === 'string' ? item.explanation.trim() : '',
+    confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0
+  };
+}
+
+/**
+ * Where a quoted conflict sits in a statement, or null for a missing or trivial quote
+ */
+function quoteSpan(text, quote) {
+  if (typeof quote !== 'string' || quote.trim().length < 3) return null;
+
+  const span = locateQuote(text, quote);
+  return span ? { text: span.text, startIndex: span.start, endIndex: span.end } : null;
+}
+
+function displayName(user) {
+  return user?.displayName || user?.username || 'Anonymous';
+}
+
+function idString(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
 }
 
 /**
@@ -186,6 +597,9 @@ module.exports = {
   getMessagesSinceLastSummary,
   detectHighImpactClaim,
   detectContradiction,
+  buildContradictionPrompt,
+  detectTopicDrift,
+  buildTopicDriftPrompt,
   evaluatePriority
 };
 
@@ -0,0 +1,173 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+const { getProvider } = require('./providers');
+const { detectContradiction, detectTopicDrift } = require('./interventionPolicy');
+
+const scripted = getProvider('scripted');
+
+// Stands in for a mongoose query: chainable, and awaitable to the given result
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const ada = { _id: new mongoose.Types.ObjectId(), username: 'ada', displayName: 'Ada' };
+const bob = { _id: new mongoose.Types.ObjectId(), username: 'bob', displayName: 'Bob' };
+const threadId = new mongoose.Types.ObjectId();
+
+const message = (author, content, minutesAgo = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  threadId,
+  authorId: author,
+  content,
+  createdAt: new Date(Date.now() - minutesAgo * 60000)
+});
+
+// Newest first, as the queries sort them
+const history = [
+  message(ada, 'The new bike lanes on Main Street reduced traffic accidents last year.', 1),
+  message(bob, 'Bike lanes on Main Street took parking away from the shops.', 2),
+  message(ada, 'Main Street traffic is the reason the council proposed bike lanes.', 3)
+];
+
+beforeEach(() => {
+  jest.spyOn(Message, 'find').mockImplementation(() => query([...history]));
+  jest.spyOn(Message, 'exists').mockResolvedValue(null);
+  jest.spyOn(Claim, 'find').mockImplementation(() => query([]));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectContradiction', () => {
+  it('reports conflicts returned in the structured output', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'contradiction',
+        response: {
+          contradictions: [{
+            statement: 3,
+            newMessageQuote: 'accidents went up after the bike lanes',
+            earlierQuote: 'reduced traffic accidents last year',
+            explanation: 'One says accidents fell, the other that they rose.',
+            confidence: 0.9
+          }]
+        }
+      }]
+    });
+    const newMessage = message(bob, 'Actually accidents went up after the bike lanes were painted.');
+
+    const result = await detectContradiction(threadId, newMessage);
+
+    expect(scripted.calls).toHaveLength(1);
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({
+      kind: 'cross_participant',
+      messageId: history[0]._id,
+      authorName: 'Ada',
+      earlierQuote: { text: 'reduced traffic accidents last year' },
+      newMessageQuote: { text: 'accidents went up after the bike lanes' }
+    });
+    expect(result.conflictingMessageIds).toEqual([history[0]._id.toString()]);
+  });
+
+  it('drops conflicts whose quotes are not in the statements', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'contradiction',
+        response: {
+          contradictions: [{
+            statement: 1,
+            newMessageQuote: 'accidents went up',
+            earlierQuote: 'words nobody wrote',
+            confidence: 0.9
+          }]
+        }
+      }]
+    });
+
+    const result = await detectContradiction(threadId, message(bob, 'Actually accidents went up after the bike lanes were painted.'));
+
+    expect(result).toBeNull();
+  });
+
+  it('falls back to no conflicts when the output never matches the schema', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    scripted.setScript({
+      rules: [{ task: 'contradiction', response: { contradictions: [{ explanation: 'no statement number' }] } }]
+    });
+
+    const result = await detectContradiction(threadId, message(bob, 'Actually accidents went up after the bike lanes were painted.'));
+
+    expect(scripted.calls.length).toBeGreaterThan(1);
+    expect(result).toBeNull();
+  });
+
+  it('skips the model for messages that only ask questions', async () => {
+    scripted.setScript({ rules: [] });
+
+    const result = await detectContradiction(threadId, message(bob, 'Did anyone count the accidents before and after the lanes?'));
+
+    expect(result).toBeNull();
+    expect(Message.find).not.toHaveBeenCalled();
+    expect(scripted.calls).toHaveLength(0);
+  });
+});
+
+describe('detectTopicDrift', () => {
+  const thread = {
+    _id: threadId,
+    title: 'Main Street bike lanes',
+    description: 'Are the new bike lanes working?',
+    messageCount: 10,
+    conversationState: { activeTopic: 'Traffic accidents since the lanes opened' }
+  };
+
+  it('skips the model when the message reuses the thread vocabulary', async () => {
+    scripted.setScript({ rules: [] });
+
+    const result = await detectTopicDrift(thread, message(bob, 'Traffic accidents on Main Street bike lanes are down, the council says.'));
+
+    expect(result).toBeNull();
+    expect(scripted.calls).toHaveLength(0);
+  });
+
+  it('asks the model about messages on unfamiliar subjects', async () => {
+    scripted.setScript({
+      rules: [{
+        task: 'topic_drift',
+        response: { drifting: true, tangent: 'Stadium funding', startsAt: 0, confidence: 0.85 }
+      }]
+    });
+    const newMessage = message(bob, 'Separately, the stadium renovation budget doubled and taxpayers cover everything.');
+
+    const result = await detectTopicDrift(thread, newMessage);
+
+    expect(scripted.calls).toHaveLength(1);
+    expect(result).toMatchObject({
+      messageId: newMessage._id,
+      startMessageId: newMessage._id,
+      tangent: 'Stadium funding'
+    });
+  });
+
+  it('skips young threads', async () => {
+    scripted.setScript({ rules: [] });
+
+    const result = await detectTopicDrift({ ...thread, messageCount: 2 }, message(bob, 'Separately, the stadium renovation budget doubled and taxpayers cover everything.'));
+
+    expect(result).toBeNull();
+    expect(scripted.calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,225 @@
+const EventEmitter = require('events');
+const os = require('os');
+const Job = require('../models/Job');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '600000', 10); // 10 minutes
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '5000', 10);
+const RECOVER_INTERVAL_MS = parseInt(process.env.JOB_RECOVER_INTERVAL_MS || '60000', 10);
+// Running jobs refresh their lock this often, so only dead workers' locks go stale
+const HEARTBEAT_INTERVAL_MS = Math.floor(LOCK_TIMEOUT_MS / 3);
+
+/**
+ * MongoDB-backed background job queue
+ *
+ * Jobs survive restarts because they live in the `jobs` collection. Jobs that
+ * share a threadId run one at a time and in creation order; a failed job is
+ * retried with exponential backoff until maxAttempts is reached. Running jobs
+ * keep their lock fresh; jobs whose lock is older than JOB_LOCK_TIMEOUT_MS
+ * (their worker died) are requeued on startup and every
+ * JOB_RECOVER_INTERVAL_MS, so a crash never leaves a thread busy for good.
+ *
+ * Emits 'started', 'completed' and 'failed' with the job document.
+ * 'failed' also receives { error, willRetry }.
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.active = new Set();
+    this.timer = null;
+    this.recoverTimer = null;
+    this.polling = false;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register the function that runs jobs of a given type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {object} payload - Job data
+   * @param {object} options - { threadId, maxAttempts, runAt }
+   * @returns {Promise<object>} - Saved job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = new Job({
+      type,
+      payload,
+      threadId: options.threadId || null,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || new Date()
+    });
+
+    await job.save();
+
+    // Pick the job up straight away instead of waiting for the next poll
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStaleJobs();
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.recoverTimer = setInterval(() => {
+      this.recoverStaleJobs().catch(error => console.error('Error recovering stale jobs:', error.message));
+    }, RECOVER_INTERVAL_MS);
+  }
+
+  /**
+   * Stop polling; running jobs are left to finish
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.recoverTimer) {
+      clearInterval(this.recoverTimer);
+      this.recoverTimer = null;
+    }
+  }
+
+  /**
+   * Requeue jobs whose worker died mid-run
+   * @returns {Promise<number>} - Number of jobs requeued
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+
+    const result = await Job.updateMany(
+      { status: 'running', lockedAt: { $lt: staleBefore } },
+      { $set: { status: 'queued', lockedAt: null, lockedBy: null, runAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Claim and run as many jobs as there are free worker slots
+   */
+  async poll() {
+    if (!this.timer || this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.active.size < CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.active.add(job._id.toString());
+        this.run(job).finally(() => {
+          this.active.delete(job._id.toString());
+          setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      console.error('Error polling job queue:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest runnable job whose thread is not busy.
+   * A thread is busy while one of its jobs is running or waiting to retry,
+   * which keeps per-thread jobs serialized and in order.
+   */
+  async claimNext() {
+    const now = new Date();
+
+    const busyThreadIds = await Job.distinct('threadId', {
+      threadId: { $ne: null },
+      $or: [
+        { status: 'running' },
+        { status: 'queued', attempts: { $gt: 0 }, runAt: { $gt: now } }
+      ]
+    });
+
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAt: { $lte: now },
+        threadId: { $nin: busyThreadIds }
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    this.emit('started', job);
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne({ _id: job._id, lockedBy: this.workerId }, { $set: { lockedAt: new Date() } })
+        .catch(error => console.error('Error refreshing job lock:', error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      const result = await handler(job);
+
+      job.status = 'completed';
+      job.result = result === undefined ? null : result;
+      job.completedAt = new Date();
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+
+      this.emit('completed', job);
+    } catch (error) {
+      const willRetry = Boolean(handler) && job.attempts < job.maxAttempts;
+
+      job.lastError = error.message;
+      job.lockedAt = null;
+      job.lockedBy = null;
+
+      if (willRetry) {
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+      } else {
+        job.status = 'failed';
+        job.completedAt = new Date();
+      }
+
+      try {
+        await job.save();
+      } catch (saveError) {
+        console.error('Error saving failed job:', saveError.message);
+      }
+
+      this.emit('failed', job, { error, willRetry });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
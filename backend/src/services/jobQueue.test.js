@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('./jobQueue');
+
+const LOCK_TIMEOUT_MS = 600000;
+
+/**
+ * In-memory stand-in for the jobs collection, supporting the operators the
+ * queue uses
+ */
+let jobs;
+
+function matchesCondition(value, condition) {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$lt': return value !== null && value < operand;
+        case '$lte': return value !== null && value <= operand;
+        case '$gt': return value !== null && value > operand;
+        case '$ne': return String(value) !== String(operand);
+        case '$nin': return !operand.some(entry => String(entry) === String(value));
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  }
+  return String(value) === String(condition);
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => (key === '$or'
+    ? condition.some(branch => matches(doc, branch))
+    : matchesCondition(doc[key], condition)));
+}
+
+function addJob(fields) {
+  // runAt is set here because the schema default reads the real clock, not jest's
+  const doc = new Job({ payload: {}, runAt: new Date(), ...fields }).toObject();
+  doc.createdAt = fields.createdAt || new Date(Date.now() + jobs.length);
+  jobs.push(doc);
+  return doc;
+}
+
+beforeEach(() => {
+  jobs = [];
+
+  jest.spyOn(Job, 'distinct').mockImplementation(async (field, filter) => {
+    const values = jobs.filter(doc => matches(doc, filter)).map(doc => String(doc[field]));
+    return Array.from(new Set(values));
+  });
+  jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = jobs
+      .filter(entry => matches(entry, filter))
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!doc) return null;
+    Object.assign(doc, update.$set);
+    doc.attempts += update.$inc.attempts;
+    return Job.hydrate({ ...doc });
+  });
+  jest.spyOn(Job, 'updateMany').mockImplementation(async (filter, update) => {
+    const matching = jobs.filter(doc => matches(doc, filter));
+    matching.forEach(doc => Object.assign(doc, update.$set));
+    return { modifiedCount: matching.length };
+  });
+  jest.spyOn(Job, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = jobs.find(entry => matches(entry, filter));
+    if (doc) Object.assign(doc, update.$set);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  jest.spyOn(Job.prototype, 'save').mockImplementation(function save() {
+    const doc = jobs.find(entry => String(entry._id) === String(this._id));
+    Object.assign(doc, this.toObject());
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jobQueue.stop();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('claimNext', () => {
+  const threadA = new mongoose.Types.ObjectId();
+  const threadB = new mongoose.Types.ObjectId();
+
+  it('runs one job per thread at a time, in creation order', async () => {
+    const a1 = addJob({ type: 'process_message', threadId: threadA });
+    const a2 = addJob({ type: 'process_message', threadId: threadA });
+    const b1 = addJob({ type: 'process_message', threadId: threadB });
+
+    const first = await jobQueue.claimNext();
+    const second = await jobQueue.claimNext();
+
+    expect(first._id).toEqual(a1._id);
+    expect(second._id).toEqual(b1._id);
+    await expect(jobQueue.claimNext()).resolves.toBeNull();
+
+    a1.status = 'completed';
+    const third = await jobQueue.claimNext();
+    expect(third._id).toEqual(a2._id);
+    expect(third.attempts).toBe(1);
+  });
+
+  it('keeps a thread busy while its failed job waits to retry', async () => {
+    addJob({ type: 'process_message', threadId: threadA, attempts: 1, runAt: new Date(Date.now() + 60000) });
+    addJob({ type: 'process_message', threadId: threadA });
+
+    await expect(jobQueue.claimNext()).resolves.toBeNull();
+  });
+
+  it('does not serialize jobs without a thread', async () => {
+    addJob({ type: 'embed_content', status: 'running' });
+    const other = addJob({ type: 'embed_content' });
+
+    const claimed = await jobQueue.claimNext();
+    expect(claimed._id).toEqual(other._id);
+  });
+});
+
+describe('crash recovery', () => {
+  const threadId = new mongoose.Types.ObjectId();
+
+  it('requeues jobs whose lock went stale and leaves live ones alone', async () => {
+    const dead = addJob({
+      type: 'process_message',
+      threadId,
+      status: 'running',
+      lockedBy: 'old-host:1',
+      lockedAt: new Date(Date.now() - LOCK_TIMEOUT_MS - 1000)
+    });
+    const live = addJob({ type: 'process_message', status: 'running', lockedBy: 'host:2', lockedAt: new Date() });
+
+    await expect(jobQueue.recoverStaleJobs()).resolves.toBe(1);
+    expect(dead).toMatchObject({ status: 'queued', lockedAt: null, lockedBy: null });
+    expect(live.status).toBe('running');
+
+    const claimed = await jobQueue.claimNext();
+    expect(claimed._id).toEqual(dead._id);
+  });
+
+  it('keeps looking for stale jobs after startup', async () => {
+    jest.useFakeTimers();
+    await jobQueue.start();
+
+    // A worker that crashed shortly before this one started
+    const crashed = addJob({ type: 'process_message', threadId, status: 'running', lockedAt: new Date() });
+
+    await jest.advanceTimersByTimeAsync(LOCK_TIMEOUT_MS + 60000);
+
+    expect(crashed.status).not.toBe('running');
+  });
+
+  it('refreshes the lock of a job that is still running', async () => {
+    jest.useFakeTimers();
+    const doc = addJob({ type: 'slow', threadId });
+    jobQueue.registerHandler('slow', () => new Promise(resolve => setTimeout(resolve, LOCK_TIMEOUT_MS * 2)));
+
+    const job = await jobQueue.claimNext();
+    const running = jobQueue.run(job);
+
+    await jest.advanceTimersByTimeAsync(LOCK_TIMEOUT_MS + 1000);
+    await expect(jobQueue.recoverStaleJobs()).resolves.toBe(0);
+    expect(doc.status).toBe('running');
+
+    await jest.advanceTimersByTimeAsync(LOCK_TIMEOUT_MS);
+    await running;
+    expect(doc.status).toBe('completed');
+  });
+});
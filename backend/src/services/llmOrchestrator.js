@@ -1,8 +1,14 @@
 const { shouldIntervene } = require('./interventionPolicy');
 const { generateSummary } = require('./summaryService');
+const { recordSummary } = require('./summaryHistory');
+const { resolveParent } = require('./replyTree');
 const { factCheckClaim } = require('./factCheckService');
+const { generateResolution: resolveThread, normalizeResolution } = require('./resolutionService');
+const { startDraft, runInDraft } = require('./draftStream');
+const { enqueueEmbedding } = require('./embeddingStore');
 const Message = require('../models/Message');
 const Thread = require('../models/Thread');
+const Claim = require('../models/Claim');
 
 /**
  * Main LLM orchestration service
@@ -37,6 +43,10 @@ class LLMOrchestrator {
           return { intervened: false, reason: 'Unknown action type' };
       }
     } catch (error) {
+      // A cancelled draft is a decision by the thread owner, not a failure to retry
+      if (error.cancelled) {
+        return { intervened: false, reason: error.message, cancelled: true };
+      }
       console.error('Error in LLM orchestration:', error);
       return { intervened: false, error: error.message };
     }
@@ -51,12 +61,13 @@ class LLMOrchestrator {
         shouldIntervene: true,
         reason: 'Explicit user request',
         actionType: requestType,
-        priority: 'high'
+        priority: 'high',
+        requestedBy: context.requestedBy || null
       };
 
       switch (requestType) {
         case 'summarize':
-          return await this.generateAndPostSummary(threadId, decision);
+          return await this.generateAndPostSummary(threadId, decision, context);
 
         case 'fact-check':
           if (!context.claimText) {
@@ -69,7 +80,7 @@ class LLMOrchestrator {
           );
 
         case 'resolve':
-          return await this.generateResolution(threadId, decision);
+          return await this.generateResolution(threadId, decision, context);
 
         default:
           throw new Error(`Unknown request type: ${requestType}`);
@@ -81,50 +92,122 @@ class LLMOrchestrator {
   }
 
   /**
-   * Generate and post a summary
+   * Generate and post a summary, streaming it to the thread as a draft
+   * A branch summary is posted as a reply to the branch and leaves the
+   * thread's state and summary versions alone.
+   * @param {object} options - { mode: 'auto' | 'full', branchId }
    */
-  async generateAndPostSummary(threadId, decision) {
-    try {
-      const result = await generateSummary(threadId);
+  async generateAndPostSummary(threadId, decision, options = {}) {
+    const draft = startDraft({
+      threadId,
+      messageType: 'llm_summary',
+      requestedBy: decision.requestedBy,
+      render: partial => this.formatSummaryForDisplay({
+        whatThisThreadIsAbout: '',
+        keyPointsSoFar: [],
+        areasOfAgreement: [],
+        areasOfDisagreement: [],
+        openQuestions: [],
+        nextSteps: [],
+        ...partial,
+        // While streaming, key points are still { point, sources } objects
+        keyPointsSoFar: (partial.keyPointsSoFar || [])
+          .map(item => (typeof item === 'string' ? item : item?.point))
+          .filter(Boolean)
+      })
+    });
 
-      // Create LLM intervention message
-      const interventionMessage = new Message({
-        threadId,
-        authorId: null, // System message
-        content: this.formatSummaryForDisplay(result.summary),
-        messageType: 'llm_summary',
-        interventionMetadata: {
-          reason: decision.reason,
-          triggerType: decision.priority === 'high' ? 'explicit_request' : 'automatic',
-          processingTime: result.processingTime,
-          modelUsed: result.modelUsed
+    try {
+      return await runInDraft(draft, async () => {
+        const result = await generateSummary(threadId, {
+          mode: options.mode,
+          branchId: options.branchId,
+          ...draft.streamOptions
+        });
+
+        // Nothing to add: point at the latest version instead of posting it again
+        if (result.unchanged) {
+          const reason = 'No new messages since the last summary';
+          draft.discard(reason);
+
+          return {
+            intervened: false,
+            unchanged: true,
+            actionType: 'summary',
+            reason,
+            message: result.summaryVersion.messageId
+              ? await Message.findById(result.summaryVersion.messageId)
+              : null,
+            summary: result.summary,
+            coverage: result.coverage,
+            summaryVersion: result.summaryVersion
+          };
         }
-      });
 
-      await interventionMessage.save();
+        // Create LLM intervention message
+        const interventionMessage = new Message({
+          threadId,
+          authorId: null, // System message
+          content: this.formatSummaryForDisplay(result.summary),
+          messageType: 'llm_summary',
+          ...(result.branchId ? await resolveParent(threadId, result.branchId) : {}),
+          interventionMetadata: {
+            reason: decision.reason,
+            triggerType: decision.priority === 'high' ? 'explicit_request' : 'automatic',
+            processingTime: result.processingTime,
+            modelUsed: result.modelUsed,
+            outputValidation: result.validation
+          }
+        });
 
-      // Update thread state
-      const thread = await Thread.findById(threadId);
-      thread.conversationState = {
-        ...thread.conversationState,
-        activeTopic: result.summary.whatThisThreadIsAbout,
-        keyPoints: result.summary.keyPointsSoFar.map(point => ({
-          point,
-          addedAt: new Date(),
-          supportingMessageIds: []
-        })),
-        areasOfAgreement: result.summary.areasOfAgreement,
-        areasOfDisagreement: result.summary.areasOfDisagreement
-      };
-      thread.lastSummaryAt = new Date();
-      await thread.save();
+        await interventionMessage.save();
 
-      return {
-        intervened: true,
-        actionType: 'summary',
-        message: interventionMessage,
-        summary: result.summary
-      };
+        if (result.branchId) {
+          draft.finalize(interventionMessage);
+
+          return {
+            intervened: true,
+            actionType: 'summary',
+            message: interventionMessage,
+            summary: result.summary,
+            coverage: result.coverage,
+            branchId: result.branchId
+          };
+        }
+
+        // Update thread state
+        const thread = await Thread.findById(threadId);
+        thread.conversationState = {
+          ...thread.conversationState,
+          activeTopic: result.summary.whatThisThreadIsAbout,
+          keyPoints: result.summary.keyPoints.map(kp => ({
+            point: kp.point,
+            addedAt: new Date(),
+            supportingMessageIds: kp.supportingMessageIds
+          })),
+          areasOfAgreement: result.summary.areasOfAgreement,
+          areasOfDisagreement: result.summary.areasOfDisagreement
+        };
+        await thread.save();
+
+        // Store as the thread's next summary version
+        const { summary: summaryVersion, diff } = await recordSummary(threadId, result, {
+          messageId: interventionMessage._id,
+          requestedBy: decision.requestedBy
+        });
+
+        draft.finalize(interventionMessage);
+
+        return {
+          intervened: true,
+          actionType: 'summary',
+          message: interventionMessage,
+          summary: result.summary,
+          coverage: result.coverage,
+          summaryVersion,
+          diff
+        };
+      });
     } catch (error) {
       console.error('Error generating summary:', error);
       throw error;
@@ -132,36 +215,75 @@ class LLMOrchestrator {
   }
 
   /**
-   * Perform fact-check and post results
+   * Perform fact-check, store the claim and post results,
+   * streaming the explanation to the thread as a draft
    */
   async performFactCheck(threadId, message, decision) {
-    try {
-      const claimText = decision.claimText || message.content;
+    const claimText = decision.claimText || message.content;
 
-      const result = await factCheckClaim(claimText, message.content);
+    const draft = startDraft({
+      threadId,
+      messageType: 'llm_fact_check',
+      requestedBy: decision.requestedBy,
+      render: partial => this.formatFactCheckDraft(claimText, partial)
+    });
 
-      // Create LLM intervention message
-      const interventionMessage = new Message({
-        threadId,
-        authorId: null,
-        content: this.formatFactCheckForDisplay(claimText, result),
-        messageType: 'llm_fact_check',
-        interventionMetadata: {
-          reason: decision.reason,
-          triggerType: decision.priority === 'high' ? 'explicit_request' : 'automatic',
-          processingTime: result.processingTime,
+    try {
+      return await runInDraft(draft, async () => {
+        const thread = await Thread.findById(threadId).select('settings.searchProvider');
+        const result = await factCheckClaim(claimText, message.content, draft.streamOptions, {
+          searchProvider: thread?.settings?.searchProvider || null
+        });
+
+        // Create LLM intervention message
+        const interventionMessage = new Message({
+          threadId,
+          authorId: null,
+          content: this.formatFactCheckForDisplay(claimText, result),
+          messageType: 'llm_fact_check',
+          interventionMetadata: {
+            reason: decision.reason,
+            triggerType: decision.priority === 'high' ? 'explicit_request' : 'automatic',
+            processingTime: result.processingTime,
+            modelUsed: result.modelUsed,
+            outputValidation: result.validation
+          }
+        });
+
+        await interventionMessage.save();
+
+        // Claims checked without a source message are attached to the fact-check itself
+        const claim = new Claim({
+          threadId,
+          messageId: message._id || interventionMessage._id,
+          claimText,
+          status: result.status,
+          evidence: result.evidence,
+          confidence: result.confidence,
+          explanation: result.explanation,
+          checkedAt: new Date(),
+          checkedBy: 'llm',
           modelUsed: result.modelUsed
+        });
+
+        await claim.save();
+
+        // Checked claims are suggested from related threads
+        try {
+          await enqueueEmbedding('claim', claim._id);
+        } catch (error) {
+          console.error('Error queueing claim embedding:', error.message);
         }
-      });
 
-      await interventionMessage.save();
+        draft.finalize(interventionMessage);
 
-      return {
-        intervened: true,
-        actionType: 'fact_check',
-        message: interventionMessage,
-        claim: result
-      };
+        return {
+          intervened: true,
+          actionType: 'fact_check',
+          message: interventionMessage,
+          claim
+        };
+      });
     } catch (error) {
       console.error('Error performing fact-check:', error);
       throw error;
@@ -180,11 +302,13 @@ class LLMOrchestrator {
         authorId: null,
         content,
         messageType: 'llm_intervention',
+        references: this.observationReferences(decision.details),
         interventionMetadata: {
           reason: decision.reason,
           triggerType: 'automatic',
-          processingTime: 0,
-          modelUsed: 'rule-based'
+          processingTime: decision.details?.processingTime || decision.details?.drift?.processingTime || 0,
+          modelUsed: decision.details?.modelUsed || decision.details?.drift?.modelUsed || 'rule-based',
+          forkSuggestion: decision.details?.forkSuggestion
         }
       });
 
@@ -202,14 +326,69 @@ class LLMOrchestrator {
   }
 
   /**
-   * Generate thread resolution
+   * Generate thread resolution, store it on the thread and post it,
+   * streaming it to the thread as a draft
+   * @param {object} options - { close: close the thread afterwards, requestedBy: user ID }
    */
-  async generateResolution(threadId, decision) {
-    // TODO: Implement resolution generation
-    return {
-      intervened: false,
-      reason: 'Resolution generation not yet implemented'
-    };
+  async generateResolution(threadId, decision, options = {}) {
+    const draft = startDraft({
+      threadId,
+      messageType: 'llm_resolution',
+      requestedBy: options.requestedBy,
+      render: partial => this.formatResolutionForDisplay(normalizeResolution(partial))
+    });
+
+    try {
+      return await runInDraft(draft, async () => {
+        const result = await resolveThread(threadId, draft.streamOptions);
+
+        const interventionMessage = new Message({
+          threadId,
+          authorId: null,
+          content: this.formatResolutionForDisplay(result.resolution),
+          messageType: 'llm_resolution',
+          interventionMetadata: {
+            reason: decision.reason,
+            triggerType: decision.priority === 'high' ? 'explicit_request' : 'automatic',
+            processingTime: result.processingTime,
+            modelUsed: result.modelUsed,
+            outputValidation: result.validation
+          }
+        });
+
+        await interventionMessage.save();
+
+        // Keep earlier resolutions as history
+        const thread = await Thread.findById(threadId);
+        if (thread.resolution) {
+          thread.resolutionHistory.push(thread.resolution.toObject());
+        }
+        thread.resolution = {
+          ...result.resolution,
+          messageId: interventionMessage._id,
+          requestedBy: options.requestedBy || null,
+          generatedAt: new Date(),
+          modelUsed: result.modelUsed
+        };
+        if (options.close) {
+          thread.isClosed = true;
+        }
+        await thread.save();
+
+        draft.finalize(interventionMessage);
+
+        return {
+          intervened: true,
+          actionType: 'resolution',
+          message: interventionMessage,
+          resolution: thread.resolution,
+          thread
+        };
+      });
+    } catch (error) {
+      console.error('Error generating resolution:', error);
+      throw error;
+    }
   }
 
   /**
@@ -247,28 +426,116 @@ ${summary.nextSteps.map((step, idx) => `${idx + 1}. ${step}`).join('\n')}` : ''}
       uncertain: '⚠️'
     };
 
+    const relevant = result.evidence.filter(ev => ev.stance === 'supports' || ev.stance === 'refutes');
+    const count = (stance) => relevant.filter(ev => ev.stance === stance).length;
+    // Cited page passages are shown shortened
+    const quote = (text) => text.length > 200 ? `${text.slice(0, 200).trim()}…` : text;
+
     return `🔍 **Fact Check**
 
 **Claim:** "${claimText}"
 
 **Status:** ${statusEmoji[result.status]} ${result.status.toUpperCase()}
 **Confidence:** ${(result.confidence * 100).toFixed(0)}%
+**Evidence:** ${count('supports')} supporting, ${count('refutes')} refuting
 
 **Explanation:** ${result.explanation}
 
-${result.evidence.length > 0 ? `**Sources:**
-${result.evidence.slice(0, 3).map((ev, idx) => `${idx + 1}. ${ev.source}\n   ${ev.url}`).join('\n\n')}` : ''}`;
+${relevant.length > 0 ? `**Sources:**
+${relevant.slice(0, 3).map(ev => `[${ev.citation}] ${ev.source} (${ev.stance}, credibility ${Math.round(ev.credibilityScore * 100)}%)\n   ${ev.url}${ev.snippetSource === 'page' ? `\n   > ${quote(ev.snippet)}` : ''}`).join('\n\n')}` : ''}`;
+  }
+
+  /**
+   * Format a fact-check that is still being generated
+   */
+  formatFactCheckDraft(claimText, partial) {
+    const statusEmoji = {
+      verified: '✅',
+      unverified: '❓',
+      disputed: '❌',
+      uncertain: '⚠️'
+    };
+
+    const status = statusEmoji[partial.status]
+      ? `${statusEmoji[partial.status]} ${partial.status.toUpperCase()}`
+      : 'Checking…';
+
+    return `🔍 **Fact Check**
+
+**Claim:** "${claimText}"
+
+**Status:** ${status}
+
+**Explanation:** ${partial.explanation || '…'}`;
+  }
+
+  /**
+   * Format resolution for display
+   */
+  formatResolutionForDisplay(resolution) {
+    return `🏁 **Thread Resolution**
+
+${resolution.summary}
+
+${resolution.consensus.length > 0 ? `**Consensus:**
+${resolution.consensus.map(point => `✓ ${point}`).join('\n')}` : ''}
+
+${resolution.remainingDisagreements.length > 0 ? `**Still Open:**
+${resolution.remainingDisagreements.map(point => `⚠ ${point}`).join('\n')}` : ''}
+
+${resolution.actionItems.length > 0 ? `**Action Items:**
+${resolution.actionItems.map((item, idx) => `${idx + 1}. ${item.task}${item.owner ? ` (${item.owner})` : ' (unassigned)'}`).join('\n')}` : ''}`;
   }
 
   /**
    * Format observation message
    */
   formatObservation(decision) {
+    const conflicts = decision.details?.conflicts || [];
+    const drift = decision.details?.drift;
+
+    if (drift) {
+      return `💡 **Facilitator Note**
+
+The conversation seems to be moving on to ${drift.tangent ? `**${drift.tangent}**` : 'a new subject'}. If you want to keep going with it, consider forking it into its own thread so both discussions stay easy to follow.`;
+    }
+
+    if (conflicts.length === 0) {
+      return `💡 **Facilitator Note**
+
+${decision.reason}`;
+    }
+
+    const author = decision.details.authorName;
+    const notes = conflicts.map(conflict => {
+      const line = conflict.kind === 'self'
+        ? `• **${author}** now says "${conflict.newMessageQuote.text}", but earlier said "${conflict.earlierQuote.text}".`
+        : `• **${author}** says "${conflict.newMessageQuote.text}", while **${conflict.authorName}** said "${conflict.earlierQuote.text}".`;
+      return conflict.explanation ? `${line}\n  _${conflict.explanation}_` : line;
+    });
+
     return `💡 **Facilitator Note**
 
-${decision.reason}
+A few statements in this thread seem to pull in different directions:
+
+${notes.join('\n\n')}
+
+Could you help clarify how these fit together, or whether a position has changed?${decision.details.forkSuggestion ? ' If this turns into a longer debate, it can be forked into its own thread.' : ''}`;
+  }
+
+  /**
+   * Link an observation back to the messages it quotes
+   */
+  observationReferences(details) {
+    if (details?.drift) {
+      return [{ messageId: details.drift.startMessageId }];
+    }
+    if (!details?.conflicts) return [];
 
-${decision.details ? JSON.stringify(decision.details, null, 2) : ''}`;
+    return details.conflicts.flatMap(conflict => [
+      { messageId: details.messageId, quotedText: conflict.newMessageQuote.text },
+      { messageId: conflict.messageId, quotedText: conflict.earlierQuote.text }
+    ]);
   }
 }
 
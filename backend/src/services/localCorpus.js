@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const LocalDocument = require('../models/LocalDocument');
+const { extractReadableText } = require('../utils/pageFetcher');
+
+/**
+ * Local knowledge base for offline fact-checking
+ *
+ * Markdown, HTML, plain text and JSONL files under LOCAL_SEARCH_DIR are
+ * parsed into LocalDocument entries, which the "local" search provider
+ * queries through a Mongo text index. Each file becomes one document, except
+ * JSONL files where every line is one. Unchanged files (same modification
+ * time and size) are skipped, and documents of deleted files are removed.
+ */
+
+const LOCAL_SEARCH_DIR = process.env.LOCAL_SEARCH_DIR || '';
+const MAX_FILE_BYTES = parseInt(process.env.LOCAL_SEARCH_MAX_FILE_BYTES || '5000000', 10);
+const MAX_DOCUMENT_CHARS = 1000000;
+
+const PARSERS = {
+  '.md': parseMarkdown,
+  '.markdown': parseMarkdown,
+  '.html': parseHtml,
+  '.htm': parseHtml,
+  '.txt': parseText,
+  '.jsonl': parseJsonLines
+};
+
+/**
+ * Whether a local corpus directory is configured
+ */
+function isLocalCorpusConfigured() {
+  return Boolean(LOCAL_SEARCH_DIR);
+}
+
+/**
+ * Supported files under a directory, skipping hidden entries and symlinks
+ * @returns {Promise<Array>} - [{ fullPath, relPath, ext }]
+ */
+async function listFiles(root, dir = root) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.isSymbolicLink()) continue;
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(root, fullPath));
+      continue;
+    }
+
+    const ext = path.extname(entry.name).toLowerCase();
+    if (entry.isFile() && PARSERS[ext]) {
+      files.push({ fullPath, relPath: path.relative(root, fullPath).split(path.sep).join('/'), ext });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Index the documents under a directory
+ * @param {string} dir - Corpus directory (defaults to LOCAL_SEARCH_DIR)
+ * @returns {Promise<object>} - { files, indexed, unchanged, skipped, documents, removed }
+ *   documents counts the documents written from the files indexed this run
+ */
+async function indexLocalCorpus(dir = LOCAL_SEARCH_DIR) {
+  if (!dir) {
+    throw new Error('LOCAL_SEARCH_DIR is not set');
+  }
+
+  const files = await listFiles(path.resolve(dir));
+  const stats = { files: files.length, indexed: 0, unchanged: 0, skipped: 0, documents: 0, removed: 0 };
+  const kept = [];
+
+  for (const file of files) {
+    const stat = await fs.promises.stat(file.fullPath);
+    if (stat.size > MAX_FILE_BYTES) {
+      stats.skipped++;
+      continue;
+    }
+    kept.push(file.relPath);
+
+    const existing = await LocalDocument.findOne({ path: file.relPath }).select('fileMtime fileSize');
+    if (existing && existing.fileMtime.getTime() === stat.mtime.getTime() && existing.fileSize === stat.size) {
+      stats.unchanged++;
+      continue;
+    }
+
+    let docs;
+    try {
+      docs = PARSERS[file.ext](await fs.promises.readFile(file.fullPath, 'utf8'), file.relPath);
+    } catch (error) {
+      console.error(`Could not index ${file.relPath}:`, error.message);
+      stats.skipped++;
+      continue;
+    }
+
+    const keys = [];
+    for (const doc of docs) {
+      const text = doc.text.slice(0, MAX_DOCUMENT_CHARS).trim();
+      if (!text) continue;
+
+      await LocalDocument.findOneAndUpdate(
+        { docKey: doc.key },
+        { $set: { path: file.relPath, title: doc.title, url: doc.url, text, fileMtime: stat.mtime, fileSize: stat.size } },
+        { upsert: true }
+      );
+      keys.push(doc.key);
+    }
+
+    const stale = await LocalDocument.deleteMany({ path: file.relPath, docKey: { $nin: keys } });
+    stats.removed += stale.deletedCount;
+    stats.documents += keys.length;
+    stats.indexed++;
+  }
+
+  // Files that were deleted, moved or grew past the size limit
+  const gone = await LocalDocument.deleteMany({ path: { $nin: kept } });
+  stats.removed += gone.deletedCount;
+
+  return stats;
+}
+
+function fileUrl(relPath) {
+  return `local://${relPath}`;
+}
+
+function baseTitle(relPath) {
+  return path.posix.basename(relPath, path.posix.extname(relPath));
+}
+
+/**
+ * Markdown: title from front matter or the first heading, text without markup
+ */
+function parseMarkdown(content, relPath) {
+  let body = content.replace(/\r\n?/g, '\n');
+  let title = '';
+
+  const frontMatter = /^---\n([\s\S]*?)\n---\n/.exec(body);
+  if (frontMatter) {
+    const titleLine = /^title:\s*["']?(.+?)["']?\s*$/m.exec(frontMatter[1]);
+    title = titleLine ? titleLine[1] : '';
+    body = body.slice(frontMatter[0].length);
+  }
+
+  const heading = /^#\s+(.+?)\s*#*$/m.exec(body);
+
+  const text = body
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^>\s?/gm, '')
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2')
+    .replace(/<[^>]+>/g, '');
+
+  return [{
+    key: relPath,
+    title: title || (heading ? heading[1] : baseTitle(relPath)),
+    url: fileUrl(relPath),
+    text
+  }];
+}
+
+function parseHtml(content, relPath) {
+  const page = extractReadableText(content);
+  return [{ key: relPath, title: page.title || baseTitle(relPath), url: fileUrl(relPath), text: page.text }];
+}
+
+function parseText(content, relPath) {
+  return [{ key: relPath, title: baseTitle(relPath), url: fileUrl(relPath), text: content.replace(/\r\n?/g, '\n') }];
+}
+
+/**
+ * JSONL: one document per line, { id?, title?, url?, text | content | body }
+ * Lines that are not valid JSON or have no text are skipped.
+ */
+function parseJsonLines(content, relPath) {
+  const docs = [];
+  let invalid = 0;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      invalid++;
+      return;
+    }
+
+    const text = [entry?.text, entry?.content, entry?.body].find(value => typeof value === 'string');
+    if (!text) {
+      invalid++;
+      return;
+    }
+
+    const id = entry.id !== undefined && entry.id !== null ? String(entry.id) : String(index + 1);
+    docs.push({
+      key: `${relPath}#${id}`,
+      title: typeof entry.title === 'string' ? entry.title : `${baseTitle(relPath)} #${id}`,
+      url: typeof entry.url === 'string' && entry.url ? entry.url : `${fileUrl(relPath)}#${id}`,
+      text
+    });
+  });
+
+  if (invalid > 0) {
+    console.error(`Skipped ${invalid} invalid line(s) in ${relPath}`);
+  }
+
+  return docs;
+}
+
+module.exports = {
+  LOCAL_SEARCH_DIR,
+  isLocalCorpusConfigured,
+  indexLocalCorpus,
+  parseMarkdown,
+  parseJsonLines
+};
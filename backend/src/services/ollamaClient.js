@@ -1,19 +1,21 @@
-const axios = require('axios');
+const { getProvider, resolveTask, checkProvidersHealth } = require('./providers');
+const { extractJson } = require('../utils/partialJson');
 
-const OLLAMA_BASE_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
-const DEFAULT_MODEL = process.env.OLLAMA_MODEL || 'gemma3:1b';
+/**
+ * LLM client used by all services
+ * Kept under its original name; requests are routed to the provider
+ * configured for each task (see services/providers/index.js).
+ */
 
 /**
  * Check if Ollama service is available
  */
 async function checkOllamaHealth() {
   try {
-    const response = await axios.get(`${OLLAMA_BASE_URL}/api/tags`, {
-      timeout: 5000
-    });
+    const models = await getProvider('ollama').listModels();
     return {
       available: true,
-      models: response.data.models || []
+      models
     };
   } catch (error) {
     return {
@@ -24,165 +26,136 @@ async function checkOllamaHealth() {
 }
 
 /**
- * Generate completion from Ollama
+ * Generate completion from the configured provider
  * @param {string} prompt - The prompt to send to the model
- * @param {object} options - Configuration options
+ * @param {object} options - Configuration options (task selects the provider;
+ *   onToken(token, textSoFar) streams output; signal is an AbortSignal)
  * @returns {Promise<object>} - Parsed JSON response from model
  */
 async function generateCompletion(prompt, options = {}) {
-  try {
-    const {
-      model = DEFAULT_MODEL,
-      format = 'json',
-      temperature = 0.7,
-      stream = false,
-      system = null
-    } = options;
-    
-    const requestBody = {
-      model,
-      prompt,
-      stream,
-      options: {
-        temperature
-      }
-    };
-    
-    if (format === 'json') {
-      requestBody.format = 'json';
-    }
-    
-    if (system) {
-      requestBody.system = system;
-    }
-    
-    const startTime = Date.now();
-    
-    const response = await axios.post(
-      `${OLLAMA_BASE_URL}/api/generate`,
-      requestBody,
-      {
-        timeout: 120000 // 2 minutes timeout
-      }
-    );
-    
-    const processingTime = Date.now() - startTime;
-    
-    let responseText = response.data.response;
-    
-    // If format is JSON, parse the response
-    if (format === 'json') {
-      try {
-        responseText = JSON.parse(responseText);
-      } catch (parseError) {
-        console.error('Failed to parse JSON response:', parseError);
-        throw new Error('Model did not return valid JSON');
-      }
-    }
-    
-    return {
-      response: responseText,
-      model: response.data.model,
-      processingTime,
-      done: response.data.done,
-      context: response.data.context
-    };
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('Ollama service is not running. Please start Ollama with: ollama serve');
-    }
-    if (error.response?.status === 404) {
-      throw new Error(`Model "${options.model || DEFAULT_MODEL}" not found. Pull it with: ollama pull ${options.model || DEFAULT_MODEL}`);
+  const {
+    task = null,
+    format = 'json',
+    temperature = 0.7,
+    system = null,
+    onToken = null,
+    signal = null
+  } = options;
+
+  const { provider, model } = resolveTask(task);
+
+  const startTime = Date.now();
+
+  const result = await provider.generate(prompt, {
+    model: options.model || model || undefined,
+    format,
+    temperature,
+    system,
+    task,
+    onToken,
+    signal
+  });
+
+  const processingTime = Date.now() - startTime;
+
+  let responseText = result.text;
+
+  // If format is JSON, parse the response (tolerating prose or code fences around it)
+  if (format === 'json') {
+    const parsed = extractJson(responseText);
+    if (parsed === undefined) {
+      console.error('Failed to parse JSON response from', result.model);
+      const error = new Error('Model did not return valid JSON');
+      error.code = 'INVALID_JSON';
+      error.raw = responseText;
+      error.model = result.model;
+      error.processingTime = processingTime;
+      throw error;
     }
-    throw error;
+    responseText = parsed;
   }
+
+  return {
+    response: responseText,
+    model: result.model,
+    provider: provider.name,
+    processingTime,
+    done: result.done,
+    context: result.context
+  };
 }
 
 /**
  * Generate chat completion with message history
  * @param {Array} messages - Array of message objects with role and content
- * @param {object} options - Configuration options
+ * @param {object} options - Configuration options (task selects the provider)
  * @returns {Promise<object>} - Response from model
  */
 async function generateChatCompletion(messages, options = {}) {
-  try {
-    const {
-      model = DEFAULT_MODEL,
-      temperature = 0.7,
-      stream = false
-    } = options;
-    
-    const requestBody = {
-      model,
-      messages,
-      stream,
-      options: {
-        temperature
-      }
-    };
-    
-    const startTime = Date.now();
-    
-    const response = await axios.post(
-      `${OLLAMA_BASE_URL}/api/chat`,
-      requestBody,
-      {
-        timeout: 120000
-      }
-    );
-    
-    const processingTime = Date.now() - startTime;
-    
-    return {
-      message: response.data.message,
-      model: response.data.model,
-      processingTime,
-      done: response.data.done
-    };
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('Ollama service is not running. Please start Ollama with: ollama serve');
-    }
-    throw error;
-  }
+  const {
+    task = null,
+    temperature = 0.7
+  } = options;
+
+  const { provider, model } = resolveTask(task);
+
+  const startTime = Date.now();
+
+  const result = await provider.chat(messages, {
+    model: options.model || model || undefined,
+    temperature,
+    task
+  });
+
+  const processingTime = Date.now() - startTime;
+
+  return {
+    message: result.message,
+    model: result.model,
+    provider: provider.name,
+    processingTime,
+    done: result.done
+  };
 }
 
 /**
  * Generate embeddings for text
  * @param {string} text - Text to generate embeddings for
- * @param {string} model - Model to use for embeddings
+ * @param {string|object} options - Model name, or { model, task }
  * @returns {Promise<Array>} - Embedding vector
  */
-async function generateEmbedding(text, model = 'gemma3:1b') {
-  try {
-    const response = await axios.post(
-      `${OLLAMA_BASE_URL}/api/embeddings`,
-      {
-        model,
-        prompt: text
-      },
-      {
-        timeout: 60000
-      }
-    );
-    
-    return response.data.embedding;
-  } catch (error) {
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('Ollama service is not running');
-    }
-    throw error;
-  }
+async function generateEmbedding(text, options = {}) {
+  const result = await generateEmbeddingWithModel(text, options);
+  return result.embedding;
+}
+
+/**
+ * Generate embeddings for text, reporting the model that produced them
+ * (vectors from different models cannot be compared)
+ * @param {string} text - Text to generate embeddings for
+ * @param {string|object} options - Model name, or { model, task }
+ * @returns {Promise<object>} - { embedding, model }
+ */
+async function generateEmbeddingWithModel(text, options = {}) {
+  const { model: modelOverride, task = 'embedding' } = typeof options === 'string' ? { model: options } : options;
+  const { provider, model } = resolveTask(task);
+
+  const result = await provider.embed(text, { model: modelOverride || model || undefined });
+
+  return {
+    embedding: result.embedding,
+    model: `${provider.name}:${result.model || modelOverride || model}`
+  };
 }
 
 /**
  * List available models
+ * @param {string} task - Task whose provider should be asked
  * @returns {Promise<Array>} - List of available models
  */
-async function listModels() {
+async function listModels(task = null) {
   try {
-    const response = await axios.get(`${OLLAMA_BASE_URL}/api/tags`);
-    return response.data.models || [];
+    return await resolveTask(task).provider.listModels();
   } catch (error) {
     throw new Error('Failed to fetch available models');
   }
@@ -190,9 +163,10 @@ async function listModels() {
 
 module.exports = {
   checkOllamaHealth,
+  checkProvidersHealth,
   generateCompletion,
   generateChatCompletion,
   generateEmbedding,
+  generateEmbeddingWithModel,
   listModels
 };
-
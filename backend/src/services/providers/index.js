@@ -0,0 +1,161 @@
+const { createOllamaProvider } = require('./ollama');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createScriptedProvider } = require('./scripted');
+
+/**
+ * LLM provider registry
+ *
+ * Every provider implements:
+ *   generate(prompt, options) -> { text, model, done, context? }
+ *     options.onToken(token, textSoFar) streams output; options.signal aborts
+ *   chat(messages, options)   -> { message, model, done }
+ *   embed(text, options)      -> { embedding, model }
+ *   listModels()              -> Array
+ *   health()                  -> { available, ... }
+ *
+ * Selection is configured per deployment with LLM_PROVIDER and per task with
+ * LLM_TASK_PROVIDERS, e.g. "summary=openai,fact_check=ollama:llama3.1:8b".
+ * A task spec is "<provider>" or "<provider>:<model>".
+ */
+
+const LLM_TASKS = [
+  'summary',
+  'fact_check',
+  'claim_detection',
+  'contradiction',
+  'resolution',
+  'extraction',
+  'topic_drift',
+  'embedding'
+];
+
+const factories = {
+  ollama: createOllamaProvider,
+  openai: createOpenAICompatibleProvider,
+  scripted: createScriptedProvider
+};
+
+const instances = new Map();
+
+let config = loadConfigFromEnv();
+
+function parseSpec(spec) {
+  const trimmed = String(spec).trim();
+  const separator = trimmed.indexOf(':');
+
+  if (separator === -1) {
+    return { provider: trimmed, model: null };
+  }
+
+  return {
+    provider: trimmed.slice(0, separator),
+    model: trimmed.slice(separator + 1) || null
+  };
+}
+
+function loadConfigFromEnv() {
+  const tasks = {};
+
+  (process.env.LLM_TASK_PROVIDERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [task, spec] = entry.split('=');
+      if (task && spec) {
+        tasks[task.trim()] = parseSpec(spec);
+      }
+    });
+
+  return {
+    defaultProvider: parseSpec(process.env.LLM_PROVIDER || 'ollama'),
+    tasks
+  };
+}
+
+/**
+ * Get (and lazily create) a provider instance by name
+ */
+function getProvider(name) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(factories).join(', ')}`);
+    }
+    instances.set(name, factory({ timeout: parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10) }));
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Resolve the provider and model to use for a task
+ * @param {string} task - One of LLM_TASKS (anything else uses the default)
+ * @returns {object} - { provider, model } where model may be null (provider default)
+ */
+function resolveTask(task) {
+  const spec = (task && config.tasks[task]) || config.defaultProvider;
+  return { provider: getProvider(spec.provider), model: spec.model };
+}
+
+/**
+ * Register an additional provider factory
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} factory - (config) => provider
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+  instances.delete(name);
+}
+
+/**
+ * Override configuration at runtime (tests, scripts)
+ * @param {object} overrides - { defaultProvider: spec, tasks: { task: spec } }
+ */
+function configureProviders(overrides = {}) {
+  config = {
+    defaultProvider: overrides.defaultProvider ? parseSpec(overrides.defaultProvider) : config.defaultProvider,
+    tasks: overrides.tasks
+      ? Object.fromEntries(Object.entries(overrides.tasks).map(([task, spec]) => [task, parseSpec(spec)]))
+      : config.tasks
+  };
+}
+
+/**
+ * Describe the configured routing and check every provider in use
+ * @returns {Promise<object>} - { default, tasks, providers }
+ */
+async function checkProvidersHealth() {
+  const tasks = {};
+  const names = new Set([config.defaultProvider.provider]);
+
+  LLM_TASKS.forEach(task => {
+    const spec = config.tasks[task] || config.defaultProvider;
+    tasks[task] = spec.model ? `${spec.provider}:${spec.model}` : spec.provider;
+    names.add(spec.provider);
+  });
+
+  const providers = {};
+  await Promise.all(Array.from(names).map(async (name) => {
+    try {
+      providers[name] = await getProvider(name).health();
+    } catch (error) {
+      providers[name] = { available: false, error: error.message };
+    }
+  }));
+
+  return {
+    default: config.defaultProvider.provider,
+    tasks,
+    providers
+  };
+}
+
+module.exports = {
+  LLM_TASKS,
+  getProvider,
+  resolveTask,
+  registerProvider,
+  configureProviders,
+  checkProvidersHealth
+};
@@ -0,0 +1,80 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+const {
+  getProvider,
+  resolveTask,
+  registerProvider,
+  configureProviders,
+  checkProvidersHealth
+} = require('./index');
+const { generateCompletion, generateEmbeddingWithModel } = require('../ollamaClient');
+
+const fakeProvider = (name, text) => ({
+  name,
+  generate: jest.fn(async () => ({ text, model: `${name}-default`, done: true })),
+  embed: jest.fn(async () => ({ embedding: [1, 0], model: `${name}-embed` })),
+  health: jest.fn(async () => ({ available: true }))
+});
+
+afterEach(() => {
+  configureProviders({ defaultProvider: 'scripted', tasks: {} });
+});
+
+describe('provider routing', () => {
+  it('uses LLM_PROVIDER by default', () => {
+    expect(resolveTask('summary')).toEqual({ provider: getProvider('scripted'), model: null });
+  });
+
+  it('routes a task to its own provider and model', () => {
+    registerProvider('alpha', () => fakeProvider('alpha', '{}'));
+    configureProviders({ tasks: { fact_check: 'alpha:big-model:8b' } });
+
+    expect(resolveTask('fact_check')).toEqual({ provider: getProvider('alpha'), model: 'big-model:8b' });
+    expect(resolveTask('summary').provider).toBe(getProvider('scripted'));
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => getProvider('nope')).toThrow('Unknown LLM provider "nope"');
+  });
+
+  it('passes the task model to the provider and parses JSON replies', async () => {
+    registerProvider('beta', () => fakeProvider('beta', 'Sure: {"ok": true}'));
+    configureProviders({ tasks: { summary: 'beta:small' } });
+
+    const result = await generateCompletion('Summarize', { task: 'summary' });
+
+    expect(result).toMatchObject({ response: { ok: true }, provider: 'beta' });
+    expect(getProvider('beta').generate).toHaveBeenCalledWith('Summarize', expect.objectContaining({
+      model: 'small',
+      task: 'summary',
+      format: 'json'
+    }));
+  });
+
+  it('reports replies that are not JSON as INVALID_JSON', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerProvider('gamma', () => fakeProvider('gamma', 'no json here'));
+    configureProviders({ defaultProvider: 'gamma' });
+
+    await expect(generateCompletion('Hi')).rejects.toMatchObject({ code: 'INVALID_JSON', raw: 'no json here' });
+    console.error.mockRestore();
+  });
+
+  it('tags embeddings with provider and model', async () => {
+    registerProvider('delta', () => fakeProvider('delta', ''));
+    configureProviders({ tasks: { embedding: 'delta' } });
+
+    await expect(generateEmbeddingWithModel('text')).resolves.toEqual({ embedding: [1, 0], model: 'delta:delta-embed' });
+  });
+
+  it('checks the health of every provider in use', async () => {
+    registerProvider('epsilon', () => fakeProvider('epsilon', ''));
+    configureProviders({ tasks: { resolution: 'epsilon:m' } });
+
+    const health = await checkProvidersHealth();
+
+    expect(health.default).toBe('scripted');
+    expect(health.tasks).toMatchObject({ resolution: 'epsilon:m', summary: 'scripted' });
+    expect(Object.keys(health.providers).sort()).toEqual(['epsilon', 'scripted']);
+  });
+});
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const { readLines } = require('./streamLines');
+
+/**
+ * Ollama provider
+ * Talks to a local Ollama server (/api/generate, /api/chat, /api/embeddings)
+ */
+function createOllamaProvider(config = {}) {
+  const baseUrl = config.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434';
+  const defaultModel = config.model || process.env.OLLAMA_MODEL || 'gemma3:1b';
+  const embeddingModel = config.embeddingModel || process.env.OLLAMA_EMBEDDING_MODEL || defaultModel;
+  const timeout = config.timeout || 120000;
+
+  const wrapError = (error, model) => {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error('Ollama service is not running. Please start Ollama with: ollama serve');
+    }
+    if (error.response?.status === 404) {
+      return new Error(`Model "${model}" not found. Pull it with: ollama pull ${model}`);
+    }
+    return error;
+  };
+
+  /**
+   * Stream /api/generate (newline-delimited JSON), reporting each token
+   */
+  const streamGenerate = async (requestBody, options) => {
+    const response = await axios.post(
+      `${baseUrl}/api/generate`,
+      { ...requestBody, stream: true },
+      { timeout, signal: options.signal, responseType: 'stream' }
+    );
+
+    let text = '';
+    let last = {};
+
+    await readLines(response.data, (line) => {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      if (data.response) {
+        text += data.response;
+        options.onToken(data.response, text);
+      }
+      if (data.done) {
+        last = data;
+      }
+    }, options.signal);
+
+    return {
+      text,
+      model: last.model || requestBody.model,
+      done: Boolean(last.done),
+      context: last.context
+    };
+  };
+
+  return {
+    name: 'ollama',
+    defaultModel,
+
+    async generate(prompt, options = {}) {
+      const model = options.model || defaultModel;
+
+      const requestBody = {
+        model,
+        prompt,
+        stream: false,
+        options: {
+          temperature: options.temperature ?? 0.7
+        }
+      };
+
+      if (options.format === 'json') {
+        requestBody.format = 'json';
+      }
+
+      if (options.system) {
+        requestBody.system = options.system;
+      }
+
+      try {
+        if (options.onToken) {
+          return await streamGenerate(requestBody, options);
+        }
+
+        const response = await axios.post(`${baseUrl}/api/generate`, requestBody, {
+          timeout,
+          signal: options.signal
+        });
+
+        return {
+          text: response.data.response,
+          model: response.data.model,
+          done: response.data.done,
+          context: response.data.context
+        };
+      } catch (error) {
+        throw wrapError(error, model);
+      }
+    },
+
+    async chat(messages, options = {}) {
+      const model = options.model || defaultModel;
+
+      try {
+        const response = await axios.post(
+          `${baseUrl}/api/chat`,
+          {
+            model,
+            messages,
+            stream: false,
+            options: {
+              temperature: options.temperature ?? 0.7
+            }
+          },
+          { timeout }
+        );
+
+        return {
+          message: response.data.message,
+          model: response.data.model,
+          done: response.data.done
+        };
+      } catch (error) {
+        throw wrapError(error, model);
+      }
+    },
+
+    async embed(text, options = {}) {
+      const model = options.model || embeddingModel;
+
+      try {
+        const response = await axios.post(
+          `${baseUrl}/api/embeddings`,
+          { model, prompt: text },
+          { timeout: 60000 }
+        );
+
+        return { embedding: response.data.embedding, model };
+      } catch (error) {
+        throw wrapError(error, model);
+      }
+    },
+
+    async listModels() {
+      const response = await axios.get(`${baseUrl}/api/tags`, { timeout: 5000 });
+      return response.data.models || [];
+    },
+
+    async health() {
+      try {
+        const models = await this.listModels();
+        return { available: true, url: baseUrl, defaultModel, models: models.map(m => m.name) };
+      } catch (error) {
+        return { available: false, url: baseUrl, defaultModel, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,163 @@
+const axios = require('axios');
+const { readLines } = require('./streamLines');
+
+/**
+ * OpenAI-compatible provider
+ * Works with any server exposing /chat/completions, /embeddings and /models in
+ * the OpenAI format: llama.cpp server, vLLM, LM Studio, hosted gateways.
+ */
+function createOpenAICompatibleProvider(config = {}) {
+  const baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+  const defaultModel = config.model || process.env.OPENAI_MODEL || 'default';
+  const embeddingModel = config.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || defaultModel;
+  // Some servers (e.g. LM Studio) reject response_format json_object
+  const jsonMode = config.jsonMode ?? process.env.OPENAI_JSON_MODE !== 'false';
+  const timeout = config.timeout || 120000;
+
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const wrapError = (error) => {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error(`OpenAI-compatible server at ${baseUrl} is not reachable`);
+    }
+    const detail = error.response?.data?.error?.message || error.response?.data?.error;
+    if (detail) {
+      return new Error(`OpenAI-compatible server error: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+    }
+    return error;
+  };
+
+  /**
+   * Stream /chat/completions (server-sent events), reporting each token
+   */
+  const streamChatCompletion = async (requestBody, options) => {
+    const response = await axios.post(
+      `${baseUrl}/chat/completions`,
+      { ...requestBody, stream: true },
+      { headers, timeout, signal: options.signal, responseType: 'stream' }
+    );
+
+    let content = '';
+    let model = requestBody.model;
+    let finishReason = null;
+
+    await readLines(response.data, (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      const data = JSON.parse(payload);
+      const choice = data.choices?.[0] || {};
+      const token = choice.delta?.content;
+
+      model = data.model || model;
+      finishReason = choice.finish_reason || finishReason;
+
+      if (token) {
+        content += token;
+        options.onToken(token, content);
+      }
+    }, options.signal);
+
+    return {
+      message: { role: 'assistant', content },
+      model,
+      done: finishReason !== 'length'
+    };
+  };
+
+  const chatCompletion = async (messages, options = {}) => {
+    const model = options.model || defaultModel;
+
+    const requestBody = {
+      model,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      stream: false
+    };
+
+    if (options.format === 'json' && jsonMode) {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    try {
+      if (options.onToken) {
+        return await streamChatCompletion(requestBody, options);
+      }
+
+      const response = await axios.post(`${baseUrl}/chat/completions`, requestBody, {
+        headers,
+        timeout,
+        signal: options.signal
+      });
+      const choice = response.data.choices?.[0] || {};
+
+      return {
+        message: choice.message || { role: 'assistant', content: '' },
+        model: response.data.model || model,
+        done: choice.finish_reason !== 'length'
+      };
+    } catch (error) {
+      throw wrapError(error);
+    }
+  };
+
+  return {
+    name: 'openai',
+    defaultModel,
+
+    async generate(prompt, options = {}) {
+      const messages = [];
+      if (options.system) {
+        messages.push({ role: 'system', content: options.system });
+      }
+      messages.push({ role: 'user', content: prompt });
+
+      const result = await chatCompletion(messages, options);
+
+      return {
+        text: result.message.content || '',
+        model: result.model,
+        done: result.done
+      };
+    },
+
+    async chat(messages, options = {}) {
+      return chatCompletion(messages, options);
+    },
+
+    async embed(text, options = {}) {
+      const model = options.model || embeddingModel;
+
+      try {
+        const response = await axios.post(
+          `${baseUrl}/embeddings`,
+          { model, input: text },
+          { headers, timeout: 60000 }
+        );
+
+        return { embedding: response.data.data?.[0]?.embedding || [], model: response.data.model || model };
+      } catch (error) {
+        throw wrapError(error);
+      }
+    },
+
+    async listModels() {
+      const response = await axios.get(`${baseUrl}/models`, { headers, timeout: 5000 });
+      return response.data.data || [];
+    },
+
+    async health() {
+      try {
+        const models = await this.listModels();
+        return { available: true, url: baseUrl, defaultModel, models: models.map(m => m.id) };
+      } catch (error) {
+        return { available: false, url: baseUrl, defaultModel, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Scripted provider
+ * Deterministic, offline responses for tests and demos. A script is a list of
+ * rules checked in order; the first rule whose task and pattern match the
+ * request supplies the response.
+ *
+ * {
+ *   "rules": [
+ *     { "task": "summary", "match": "Thread Title", "response": { "whatThisThreadIsAbout": "..." } },
+ *     { "match": "fact-checker", "response": ["first call", "second call"] }
+ *   ],
+ *   "default": "",
+ *   "embeddingDimensions": 64
+ * }
+ *
+ * Object responses are sent as JSON text. Array responses are returned in
+ * sequence, repeating the last entry once exhausted.
+ */
+function createScriptedProvider(config = {}) {
+  let script = { rules: [] };
+  let ruleCalls = new Map();
+  const calls = [];
+
+  const loadScript = (value) => {
+    script = { rules: [], ...(value || {}) };
+    ruleCalls = new Map();
+    calls.length = 0;
+  };
+
+  if (config.script) {
+    loadScript(config.script);
+  } else if (config.scriptFile || process.env.LLM_SCRIPT_FILE) {
+    loadScript(JSON.parse(fs.readFileSync(config.scriptFile || process.env.LLM_SCRIPT_FILE, 'utf8')));
+  }
+
+  const respond = (input, options = {}) => {
+    calls.push({ input, task: options.task || 'default', options });
+
+    const index = script.rules.findIndex(rule =>
+      (!rule.task || rule.task === options.task) &&
+      (!rule.match || new RegExp(rule.match, 'i').test(input))
+    );
+
+    let response = index >= 0 ? script.rules[index].response : script.default;
+
+    if (Array.isArray(response)) {
+      const count = ruleCalls.get(index) || 0;
+      ruleCalls.set(index, count + 1);
+      response = response[Math.min(count, response.length - 1)];
+    }
+
+    if (response === undefined || response === null) {
+      return options.format === 'json' ? '{}' : '';
+    }
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  };
+
+  return {
+    name: 'scripted',
+    defaultModel: 'scripted',
+
+    async generate(prompt, options = {}) {
+      const text = respond(prompt, options);
+
+      if (options.onToken) {
+        await streamTokens(text, options);
+      }
+
+      return { text, model: 'scripted', done: true };
+    },
+
+    async chat(messages, options = {}) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      return {
+        message: { role: 'assistant', content: respond(lastUser?.content || '', options) },
+        model: 'scripted',
+        done: true
+      };
+    },
+
+    async embed(text) {
+      return { embedding: hashEmbedding(text, script.embeddingDimensions || 64), model: 'scripted' };
+    },
+
+    async listModels() {
+      return [{ name: 'scripted' }];
+    },
+
+    async health() {
+      return { available: true, defaultModel: 'scripted', rules: script.rules.length };
+    },
+
+    /**
+     * Replace the script (tests)
+     */
+    setScript(value) {
+      loadScript(value);
+    },
+
+    /**
+     * Requests received since the script was loaded (tests)
+     */
+    get calls() {
+      return calls;
+    }
+  };
+}
+
+/**
+ * Replay text through onToken in word-sized pieces
+ */
+async function streamTokens(text, options) {
+  const tokens = text.match(/\s*\S+/g) || [];
+  let sofar = '';
+
+  for (const token of tokens) {
+    if (options.signal?.aborted) {
+      const error = new Error('Generation aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+    sofar += token;
+    options.onToken(token, sofar);
+    // Yield so cancellation and socket writes can interleave
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Deterministic bag-of-words embedding: each token is hashed into a bucket,
+ * so texts sharing words get similar vectors
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+  tokens.forEach(token => {
+    const hash = crypto.createHash('md5').update(token).digest();
+    const bucket = hash.readUInt32BE(0) % dimensions;
+    vector[bucket] += hash[4] % 2 === 0 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+module.exports = { createScriptedProvider };
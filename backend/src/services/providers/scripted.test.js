@@ -0,0 +1,68 @@
+const { createScriptedProvider } = require('./scripted');
+
+describe('scripted provider', () => {
+  it('answers with the first rule matching task and pattern', async () => {
+    const provider = createScriptedProvider({
+      script: {
+        rules: [
+          { task: 'summary', match: 'budget', response: { topic: 'budget' } },
+          { match: 'budget', response: 'any task' }
+        ],
+        default: 'nothing matched'
+      }
+    });
+
+    await expect(provider.generate('The Budget thread', { task: 'summary' })).resolves.toMatchObject({ text: '{"topic":"budget"}' });
+    await expect(provider.generate('The budget thread', { task: 'fact_check' })).resolves.toMatchObject({ text: 'any task' });
+    await expect(provider.generate('Other', {})).resolves.toMatchObject({ text: 'nothing matched' });
+    expect(provider.calls.map(call => call.task)).toEqual(['summary', 'fact_check', 'default']);
+  });
+
+  it('plays array responses in order, repeating the last one', async () => {
+    const provider = createScriptedProvider({ script: { rules: [{ response: ['one', 'two'] }] } });
+
+    const texts = [];
+    for (let i = 0; i < 3; i++) {
+      texts.push((await provider.generate('x')).text);
+    }
+
+    expect(texts).toEqual(['one', 'two', 'two']);
+  });
+
+  it('returns an empty JSON object when nothing matches a JSON request', async () => {
+    const provider = createScriptedProvider({ script: { rules: [] } });
+
+    await expect(provider.generate('x', { format: 'json' })).resolves.toMatchObject({ text: '{}' });
+  });
+
+  it('streams the reply word by word and stops when aborted', async () => {
+    const provider = createScriptedProvider({ script: { default: 'one two three' } });
+    const seen = [];
+
+    await provider.generate('x', { onToken: (token, sofar) => seen.push(sofar) });
+    expect(seen).toEqual(['one', 'one two', 'one two three']);
+
+    const controller = new AbortController();
+    const pending = provider.generate('x', {
+      signal: controller.signal,
+      onToken: () => controller.abort()
+    });
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('embeds texts that share words as similar vectors', async () => {
+    const provider = createScriptedProvider({ script: { embeddingDimensions: 32 } });
+    const cosine = (a, b) => {
+      const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+      const norm = v => Math.sqrt(v.reduce((sum, value) => sum + value * value, 0));
+      return dot / (norm(a) * norm(b));
+    };
+
+    const { embedding: bikes } = await provider.embed('bike lanes downtown');
+    const { embedding: lanes } = await provider.embed('downtown bike lanes please');
+    const { embedding: other } = await provider.embed('quarterly tax forms');
+
+    expect(bikes).toHaveLength(32);
+    expect(cosine(bikes, lanes)).toBeGreaterThan(cosine(bikes, other));
+  });
+});
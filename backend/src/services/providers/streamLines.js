@@ -0,0 +1,67 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read a streamed HTTP body line by line
+ * @param {Stream} stream - Readable stream (axios responseType 'stream')
+ * @param {Function} onLine - Called with each non-empty line; may throw to abort
+ * @param {AbortSignal} signal - Optional signal that stops reading
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+function readLines(stream, onLine, signal = null) {
+  return new Promise((resolve, reject) => {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      stream.destroy();
+      reject(error);
+    };
+
+    const flush = (text) => {
+      buffer += text;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (line) onLine(line);
+      }
+    };
+
+    stream.on('data', (chunk) => {
+      try {
+        flush(decoder.write(chunk));
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('end', () => {
+      if (settled) return;
+      try {
+        flush(decoder.end() + '\n');
+        settled = true;
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('error', fail);
+    stream.on('close', () => fail(new Error('Stream closed before completion')));
+
+    if (signal) {
+      const abort = () => {
+        const error = new Error('Generation aborted');
+        error.name = 'AbortError';
+        fail(error);
+      };
+      if (signal.aborted) abort();
+      else signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+module.exports = { readLines };
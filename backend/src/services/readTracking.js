@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const ReadPosition = require('../models/ReadPosition');
+const Message = require('../models/Message');
+
+/**
+ * Per-user read positions
+ * A user's position in a thread is the newest message they have read;
+ * it only ever moves forward. Messages are ordered by (createdAt, _id), so
+ * messages created in the same millisecond are still read in one order.
+ */
+
+/**
+ * Filter for messages after a read position in (createdAt, _id) order
+ */
+function afterReadPosition(position) {
+  return {
+    $or: [
+      { createdAt: { $gt: position.lastReadAt } },
+      { createdAt: position.lastReadAt, _id: { $gt: position.lastReadMessageId } }
+    ]
+  };
+}
+
+/**
+ * Whether a read position is at or after a message in (createdAt, _id) order
+ * (ObjectId hex strings sort like the ids themselves)
+ */
+function hasReadMessage(position, message) {
+  const readAt = position.lastReadAt.getTime();
+  const createdAt = message.createdAt.getTime();
+  return readAt > createdAt ||
+    (readAt === createdAt && position.lastReadMessageId.toString() >= message._id.toString());
+}
+
+/**
+ * Get a user's read position in a thread, or null if they never read it
+ */
+async function getReadPosition(userId, threadId) {
+  return ReadPosition.findOne({ userId, threadId });
+}
+
+/**
+ * Mark a thread read up to a message (or up to its newest message)
+ * @param {string} userId - Reader
+ * @param {string} threadId - Thread ID
+ * @param {string} messageId - Last message read; defaults to the newest one
+ * @returns {Promise<object|null>} - { position, advanced }, or null if there is no such message
+ */
+async function markRead(userId, threadId, messageId = null) {
+  const message = messageId
+    ? await Message.findOne({ _id: messageId, threadId })
+    : await Message.findOne({ threadId, isDeleted: false }).sort({ createdAt: -1, _id: -1 });
+
+  if (!message) {
+    return null;
+  }
+
+  try {
+    // Only move forward: an older message leaves the position unchanged
+    const position = await ReadPosition.findOneAndUpdate(
+      {
+        userId,
+        threadId,
+        $or: [
+          { lastReadAt: { $lt: message.createdAt } },
+          { lastReadAt: message.createdAt, lastReadMessageId: { $lt: message._id } }
+        ]
+      },
+      { $set: { lastReadMessageId: message._id, lastReadAt: message.createdAt } },
+      { upsert: true, new: true }
+    );
+    return { position, advanced: true };
+  } catch (error) {
+    // The upsert collides with an existing position that is already further along
+    if (error.code === 11000) {
+      return { position: await getReadPosition(userId, threadId), advanced: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Unread counts for a user across threads
+ * Messages the user wrote never count as unread.
+ * @param {string} userId - Reader
+ * @param {Array} threadIds - Threads to count
+ * @returns {Promise<Map>} - threadId -> { unreadCount, firstUnreadMessageId, lastReadMessageId }
+ */
+async function getUnreadStats(userId, threadIds) {
+  const stats = new Map(threadIds.map(id => [id.toString(), {
+    unreadCount: 0,
+    firstUnreadMessageId: null,
+    lastReadMessageId: null
+  }]));
+
+  if (threadIds.length === 0) return stats;
+
+  const positions = await ReadPosition.find({ userId, threadId: { $in: threadIds } });
+  const positionsByThread = new Map(positions.map(position => [position.threadId.toString(), position]));
+
+  // Aggregation does not cast, so ids must be ObjectIds
+  const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+  const unreadConditions = threadIds.map(id => {
+    const position = positionsByThread.get(id.toString());
+    return position
+      ? { threadId: toObjectId(id), ...afterReadPosition(position) }
+      : { threadId: toObjectId(id) };
+  });
+
+  const counts = await Message.aggregate([
+    { $match: { isDeleted: false, authorId: { $ne: toObjectId(userId) }, $or: unreadConditions } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$threadId',
+        unreadCount: { $sum: 1 },
+        firstUnreadMessageId: { $first: '$_id' }
+      }
+    }
+  ]);
+
+  counts.forEach(count => {
+    Object.assign(stats.get(count._id.toString()), {
+      unreadCount: count.unreadCount,
+      firstUnreadMessageId: count.firstUnreadMessageId
+    });
+  });
+
+  positions.forEach(position => {
+    stats.get(position.threadId.toString()).lastReadMessageId = position.lastReadMessageId;
+  });
+
+  return stats;
+}
+
+/**
+ * Payload of the read_receipt room event
+ */
+function readReceipt(position, user) {
+  return {
+    threadId: position.threadId,
+    userId: user._id,
+    username: user.username,
+    displayName: user.displayName,
+    lastReadMessageId: position.lastReadMessageId,
+    lastReadAt: position.lastReadAt
+  };
+}
+
+module.exports = {
+  afterReadPosition,
+  hasReadMessage,
+  getReadPosition,
+  markRead,
+  getUnreadStats,
+  readReceipt
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { afterReadPosition, hasReadMessage } = require('./readTracking');
+
+describe('read positions', () => {
+  const at = new Date('2024-05-01T10:00:00.000Z');
+  // Consecutive ObjectIds created in the same millisecond
+  const [first, second, third] = ['665a00000000000000000001', '665a00000000000000000002', '665a00000000000000000003']
+    .map(hex => new mongoose.Types.ObjectId(hex));
+  const position = { lastReadAt: at, lastReadMessageId: second };
+
+  it('treats messages at the same time as read up to the position id', () => {
+    expect(hasReadMessage(position, { createdAt: at, _id: first })).toBe(true);
+    expect(hasReadMessage(position, { createdAt: at, _id: second })).toBe(true);
+    expect(hasReadMessage(position, { createdAt: at, _id: third })).toBe(false);
+  });
+
+  it('compares times first', () => {
+    expect(hasReadMessage(position, { createdAt: new Date(at.getTime() - 1), _id: third })).toBe(true);
+    expect(hasReadMessage(position, { createdAt: new Date(at.getTime() + 1), _id: first })).toBe(false);
+  });
+
+  it('filters the messages after the position in the same order', () => {
+    expect(afterReadPosition(position)).toEqual({
+      $or: [
+        { createdAt: { $gt: at } },
+        { createdAt: at, _id: { $gt: second } }
+      ]
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { EMBEDDING_VERSION, findNearest, enqueueEmbedding } = require('./embeddingStore');
+const { visibleThreadsFilter } = require('./threadPolicy');
+const { listedThreadsFilter } = require('./threadScope');
+const Embedding = require('../models/Embedding');
+const Thread = require('../models/Thread');
+const Claim = require('../models/Claim');
+
+const RELATED_MIN_SIMILARITY = parseFloat(process.env.RELATED_MIN_SIMILARITY || '0.5');
+
+/**
+ * Best match per key, keeping which of our vectors produced it
+ */
+function keepBest(best, key, match, extra = {}) {
+  const current = best.get(key);
+  if (!current || match.similarity > current.similarity) {
+    best.set(key, { ...match, ...extra });
+  }
+}
+
+/**
+ * Threads and checked claims similar to a thread
+ *
+ * The thread is represented by the embedding of its title and description
+ * and by that of its latest summary, so threads are matched on what was
+ * actually discussed once a summary exists. Another thread scores its best
+ * similarity to either vector; claims must have been checked already.
+ * Only threads the user may see listed (visibleThreadsFilter) are
+ * suggested, so unlisted threads are suggested only to their members.
+ *
+ * @param {object} thread - Thread to find relations for
+ * @param {object|null} user - Reader
+ * @param {object} options - { limit, claimLimit }
+ * @returns {Promise<object>} - { threads, claims, model, indexed }
+ */
+async function findRelated(thread, user, options = {}) {
+  const { limit = 5, claimLimit = 5 } = options;
+
+  const own = await Embedding.find({
+    threadId: thread._id,
+    kind: { $in: ['thread', 'summary'] },
+    version: EMBEDDING_VERSION
+  }).sort({ updatedAt: -1 });
+
+  if (own.length === 0) {
+    // Not embedded yet (new thread, or reindexing for a new model)
+    await enqueueEmbedding('thread', thread._id);
+    return { threads: [], claims: [], model: null, indexed: false };
+  }
+
+  // Vectors of one model only; the newest decides which
+  const model = own[0].model;
+  const vectors = own.filter(entry => entry.model === model);
+
+  const threadMatches = new Map();
+  const claimMatches = new Map();
+
+  // Comparing only vectors of listed threads keeps unlisted ones from
+  // taking the places of threads the user can see
+  const nearOptions = {
+    threadFilter: listedThreadsFilter(user, { excludeThreadId: thread._id }),
+    minSimilarity: RELATED_MIN_SIMILARITY
+  };
+
+  for (const source of vectors) {
+    for (const kind of ['thread', 'summary']) {
+      const nearest = await findNearest(kind, source.vector, model, { ...nearOptions, limit: limit * 4 });
+      nearest.forEach(match => keepBest(threadMatches, match.threadId.toString(), match, { matchedOn: kind }));
+    }
+
+    if (claimLimit > 0) {
+      const nearest = await findNearest('claim', source.vector, model, { ...nearOptions, limit: claimLimit * 4 });
+      nearest.forEach(match => keepBest(claimMatches, match.refId.toString(), match));
+    }
+  }
+
+  // Candidate threads of both lists
+  const threadIds = [...new Set([
+    ...threadMatches.keys(),
+    ...Array.from(claimMatches.values()).map(match => match.threadId.toString())
+  ])];
+  const threads = await Thread.find({ $and: [visibleThreadsFilter(user)], _id: { $in: threadIds }, isArchived: false })
+    .populate('ownerId', 'username displayName avatar');
+  const readable = new Map(threads.map(candidate => [candidate._id.toString(), candidate]));
+
+  const relatedThreads = Array.from(threadMatches.entries())
+    .filter(([threadId]) => readable.has(threadId))
+    .sort((a, b) => b[1].similarity - a[1].similarity)
+    .slice(0, limit)
+    .map(([threadId, match]) => ({
+      thread: readable.get(threadId),
+      similarity: Number(match.similarity.toFixed(4)),
+      matchedOn: match.matchedOn
+    }));
+
+  const candidateClaims = Array.from(claimMatches.values())
+    .filter(match => readable.has(match.threadId.toString()));
+  const claims = candidateClaims.length > 0
+    ? await Claim.find({
+      _id: { $in: candidateClaims.map(match => match.refId) },
+      checkedAt: { $ne: null },
+      invalidatedAt: null,
+      status: { $ne: 'pending' }
+    })
+    : [];
+  const claimsById = new Map(claims.map(claim => [claim._id.toString(), claim]));
+
+  const relatedClaims = candidateClaims
+    .filter(match => claimsById.has(match.refId.toString()))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, claimLimit)
+    .map(match => {
+      const claimThread = readable.get(match.threadId.toString());
+      return {
+        claim: claimsById.get(match.refId.toString()),
+        thread: { _id: claimThread._id, title: claimThread.title },
+        similarity: Number(match.similarity.toFixed(4))
+      };
+    });
+
+  return {
+    threads: relatedThreads,
+    claims: relatedClaims,
+    model,
+    indexed: true
+  };
+}
+
+module.exports = {
+  findRelated
+};
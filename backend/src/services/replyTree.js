@@ -0,0 +1,170 @@
+const Message = require('../models/Message');
+
+/**
+ * Reply trees built on Message.parentId
+ *
+ * Every message stores its parent, the chain of ancestors above it and its
+ * depth, so a whole branch can be read with one query on ancestorIds.
+ * Messages without a parent are the thread's top-level messages.
+ */
+
+const AUTHOR_FIELDS = 'username displayName avatar';
+const EXCERPT_CHARS = 140;
+
+/**
+ * Tree fields for a new message replying to `parentId`
+ * @param {string} threadId - Thread the reply is posted in
+ * @param {string|null} parentId - Message being replied to
+ * @returns {Promise<object|null>} - { parentId, ancestorIds, depth }, or null if
+ *   the parent is not a message of this thread
+ */
+async function resolveParent(threadId, parentId) {
+  if (!parentId) {
+    return { parentId: null, ancestorIds: [], depth: 0 };
+  }
+
+  const parent = await Message.findOne({ _id: parentId, threadId }).select('ancestorIds depth');
+  if (!parent) {
+    return null;
+  }
+
+  return {
+    parentId: parent._id,
+    ancestorIds: [...(parent.ancestorIds || []), parent._id],
+    depth: (parent.depth || 0) + 1
+  };
+}
+
+/**
+ * Load one page of a reply tree
+ * Top-level nodes are the thread's top-level messages, or the direct replies
+ * to `rootId`. Replies are nested up to `maxDepth` levels below them; deeper
+ * branches are collapsed and only counted.
+ * @param {string} threadId - Thread ID
+ * @param {object} options - { rootId, maxDepth, limit, skip }
+ * @returns {Promise<object>} - { nodes, pagination }
+ */
+async function buildReplyTree(threadId, options = {}) {
+  const { rootId = null, maxDepth = 3, limit = 20, skip = 0 } = options;
+
+  const topQuery = { threadId, parentId: rootId };
+
+  const [topLevel, total] = await Promise.all([
+    Message.find(topQuery)
+      .populate('authorId', AUTHOR_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit),
+    Message.countDocuments(topQuery)
+  ]);
+
+  const pagination = { total, limit, skip, hasMore: total > skip + limit };
+
+  if (topLevel.length === 0) {
+    return { nodes: [], pagination };
+  }
+
+  const topIds = topLevel.map(msg => msg._id);
+  const topDepth = topLevel[0].depth || 0;
+  const deepest = topDepth + maxDepth;
+
+  const descendants = maxDepth > 0
+    ? await Message.find({ threadId, ancestorIds: { $in: topIds }, depth: { $lte: deepest } })
+      .populate('authorId', AUTHOR_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+    : [];
+
+  // Nodes at the depth limit may have replies that were not loaded
+  const boundary = [...topLevel, ...descendants].filter(msg => (msg.depth || 0) === deepest);
+  const hidden = await countDescendants(boundary.map(msg => msg._id));
+
+  const nodesById = new Map();
+  const toNode = (msg) => {
+    const counts = hidden.get(msg._id.toString());
+    const node = {
+      message: msg,
+      replies: [],
+      replyCount: counts ? counts.replies : 0,
+      collapsedCount: counts ? counts.descendants : 0
+    };
+    nodesById.set(msg._id.toString(), node);
+    return node;
+  };
+
+  const nodes = topLevel.map(toNode);
+  descendants.forEach(msg => {
+    const node = toNode(msg);
+    const parent = nodesById.get(msg.parentId.toString());
+    if (parent) {
+      parent.replies.push(node);
+      parent.replyCount = parent.replies.length;
+    }
+  });
+
+  return { nodes, pagination };
+}
+
+/**
+ * Count all descendants and direct replies of each message
+ * @returns {Promise<Map>} - messageId -> { descendants, replies }
+ */
+async function countDescendants(messageIds) {
+  if (messageIds.length === 0) return new Map();
+
+  const counts = await Message.aggregate([
+    { $match: { ancestorIds: { $in: messageIds } } },
+    { $unwind: '$ancestorIds' },
+    { $match: { ancestorIds: { $in: messageIds } } },
+    {
+      $group: {
+        _id: '$ancestorIds',
+        descendants: { $sum: 1 },
+        replies: { $sum: { $cond: [{ $eq: ['$parentId', '$ancestorIds'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(count => [count._id.toString(), count]));
+}
+
+/**
+ * Flatten a tree into display order: one line per message with its depth
+ * below the top level and a short excerpt
+ */
+function toOutline(nodes, level = 0) {
+  return nodes.flatMap(node => {
+    const msg = node.message;
+    const content = msg.content || '';
+
+    return [
+      {
+        messageId: msg._id,
+        parentId: msg.parentId,
+        level,
+        author: msg.authorId || null,
+        messageType: msg.messageType,
+        excerpt: content.length > EXCERPT_CHARS ? `${content.slice(0, EXCERPT_CHARS)}...` : content,
+        isDeleted: msg.isDeleted,
+        createdAt: msg.createdAt,
+        replyCount: node.replyCount,
+        collapsedCount: node.collapsedCount
+      },
+      ...toOutline(node.replies, level + 1)
+    ];
+  });
+}
+
+/**
+ * Query matching a message and every reply below it
+ */
+function branchFilter(messageId) {
+  return { $or: [{ _id: messageId }, { ancestorIds: messageId }] };
+}
+
+module.exports = {
+  resolveParent,
+  buildReplyTree,
+  countDescendants,
+  toOutline,
+  branchFilter
+};
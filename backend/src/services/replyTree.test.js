@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const { resolveParent, buildReplyTree, toOutline, branchFilter } = require('./replyTree');
+
+const threadId = new mongoose.Types.ObjectId();
+
+let store;
+
+// A message replying to `parent` (or top-level), with the tree fields resolveParent would give it
+function post(content, parent = null) {
+  const msg = {
+    _id: new mongoose.Types.ObjectId(),
+    threadId,
+    content,
+    parentId: parent ? parent._id : null,
+    ancestorIds: parent ? [...parent.ancestorIds, parent._id] : [],
+    depth: parent ? parent.depth + 1 : 0,
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, store.length))
+  };
+  store.push(msg);
+  return msg;
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+function matches(msg, query) {
+  if ('parentId' in query && !(query.parentId === null ? msg.parentId === null : sameId(msg.parentId, query.parentId))) return false;
+  if (query.ancestorIds && !msg.ancestorIds.some(id => query.ancestorIds.$in.some(wanted => sameId(id, wanted)))) return false;
+  if (query.depth && msg.depth > query.depth.$lte) return false;
+  return true;
+}
+
+// Stands in for a mongoose query over the store, in creation order
+function query(filter) {
+  let skip = 0;
+  let limit = Infinity;
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    skip: (n) => { skip = n; return chain; },
+    limit: (n) => { limit = n; return chain; },
+    then: (resolve, reject) => Promise.resolve(store.filter(msg => matches(msg, filter)).slice(skip, skip + limit)).then(resolve, reject)
+  };
+  return chain;
+}
+
+beforeEach(() => {
+  store = [];
+  jest.spyOn(Message, 'find').mockImplementation(query);
+  jest.spyOn(Message, 'countDocuments').mockImplementation(async filter => store.filter(msg => matches(msg, filter)).length);
+  jest.spyOn(Message, 'aggregate').mockImplementation(async (pipeline) => {
+    const ids = pipeline[0].$match.ancestorIds.$in;
+    return ids
+      .map(id => ({
+        _id: id,
+        descendants: store.filter(msg => msg.ancestorIds.some(a => sameId(a, id))).length,
+        replies: store.filter(msg => sameId(msg.parentId, id)).length
+      }))
+      .filter(count => count.descendants > 0);
+  });
+  jest.spyOn(Message, 'findOne').mockImplementation(filter => ({
+    select: async () => store.find(msg => sameId(msg._id, filter._id) && sameId(msg.threadId, filter.threadId)) || null
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveParent', () => {
+  it('puts messages without a parent at the top level', async () => {
+    expect(await resolveParent(threadId, null)).toEqual({ parentId: null, ancestorIds: [], depth: 0 });
+  });
+
+  it('extends the parent\'s ancestors and depth', async () => {
+    const root = post('Root');
+    const reply = post('Reply', root);
+
+    const tree = await resolveParent(threadId, reply._id);
+
+    expect(tree.parentId).toBe(reply._id);
+    expect(tree.ancestorIds).toEqual([root._id, reply._id]);
+    expect(tree.depth).toBe(2);
+  });
+
+  it('rejects a parent from another thread', async () => {
+    const root = post('Root');
+
+    expect(await resolveParent(new mongoose.Types.ObjectId(), root._id)).toBeNull();
+  });
+});
+
+describe('buildReplyTree', () => {
+  it('nests replies up to maxDepth and counts the collapsed ones below', async () => {
+    const a = post('A');
+    const b = post('B', a);
+    const c = post('C', b);
+    const d = post('D', c);
+    post('E', d);
+    const f = post('F');
+    const g = post('G', a);
+
+    const { nodes, pagination } = await buildReplyTree(threadId, { maxDepth: 2 });
+
+    expect(pagination).toEqual({ total: 2, limit: 20, skip: 0, hasMore: false });
+    expect(nodes.map(node => node.message.content)).toEqual(['A', 'F']);
+    expect(nodes[0].replies.map(node => node.message._id)).toEqual([b._id, g._id]);
+    expect(nodes[0].replyCount).toBe(2);
+
+    const cNode = nodes[0].replies[0].replies[0];
+    expect(cNode.message._id).toBe(c._id);
+    expect(cNode.replies).toEqual([]);
+    expect(cNode).toMatchObject({ replyCount: 1, collapsedCount: 2 });
+    expect(nodes[1]).toMatchObject({ message: f, replies: [], replyCount: 0, collapsedCount: 0 });
+  });
+
+  it('starts below rootId and pages its direct replies', async () => {
+    const a = post('A');
+    const b = post('B', a);
+    post('C', a);
+    post('D', a);
+    post('E', b);
+
+    const { nodes, pagination } = await buildReplyTree(threadId, { rootId: a._id, limit: 1, maxDepth: 0 });
+
+    expect(pagination).toEqual({ total: 3, limit: 1, skip: 0, hasMore: true });
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0]).toMatchObject({ replies: [], replyCount: 1, collapsedCount: 1 });
+    expect(nodes[0].message._id).toBe(b._id);
+  });
+});
+
+describe('toOutline', () => {
+  it('flattens the tree in display order with levels below the top', async () => {
+    const a = post('A');
+    const b = post('B', a);
+    post('C', b);
+    post('D');
+
+    const { nodes } = await buildReplyTree(threadId);
+
+    expect(toOutline(nodes).map(line => [line.excerpt, line.level])).toEqual([['A', 0], ['B', 1], ['C', 2], ['D', 0]]);
+  });
+});
+
+describe('branchFilter', () => {
+  it('matches a message and everything below it', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    expect(branchFilter(id)).toEqual({ $or: [{ _id: id }, { ancestorIds: id }] });
+  });
+});
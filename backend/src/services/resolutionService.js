@@ -0,0 +1,252 @@
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+
+// Rough character budget for the transcript so small local models are not overrun
+const MAX_TRANSCRIPT_CHARS = parseInt(process.env.RESOLUTION_MAX_TRANSCRIPT_CHARS || '24000', 10);
+
+/**
+ * Expected shape of the model's resolution
+ */
+const resolutionOutputSchema = Joi.object({
+  summary: Joi.string().trim().required(),
+  consensus: Joi.array().items(Joi.string().trim().allow('')).default([]),
+  remainingDisagreements: Joi.array().items(Joi.string().trim().allow('')).default([]),
+  actionItems: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string().trim(),
+      Joi.object({
+        task: Joi.string().trim().required(),
+        owner: Joi.string().trim().allow(null, '').default(null)
+      })
+    )
+  ).default([])
+});
+
+const RESOLUTION_FALLBACK = {
+  summary: 'A resolution could not be generated reliably for this thread. Please try again or summarize the outcome manually.',
+  consensus: [],
+  remainingDisagreements: [],
+  actionItems: []
+};
+
+/**
+ * Generate a resolution (conclusion) for a thread
+ * @param {string} threadId - Thread ID
+ * @param {object} streamOptions - Optional { onToken, signal } for streaming
+ * @returns {Promise<object>} - Generated resolution
+ */
+async function generateResolution(threadId, streamOptions = {}) {
+  try {
+    const thread = await Thread.findById(threadId);
+    if (!thread) {
+      throw new Error('Thread not found');
+    }
+
+    // Fetch the whole discussion in chronological order
+    const messages = await Message.find({
+      threadId,
+      isDeleted: false,
+      messageType: 'user'
+    })
+      .populate('authorId', 'username displayName')
+      .sort({ createdAt: 1 });
+
+    const participants = collectParticipants(messages);
+    const { transcript, omittedCount } = buildTranscript(messages);
+
+    const prompt = buildResolutionPrompt({
+      title: thread.title,
+      description: thread.description,
+      mode: thread.mode,
+      conversationState: thread.conversationState,
+      participants: participants.map(p => p.name),
+      transcript,
+      omittedCount,
+      messageCount: messages.length
+    });
+
+    const result = await generateStructured(prompt, {
+      task: 'resolution',
+      temperature: 0.4,
+      system: 'You are a neutral facilitator bringing a discussion to a fair, well-documented conclusion.',
+      schema: resolutionOutputSchema,
+      fallback: RESOLUTION_FALLBACK,
+      ...streamOptions
+    });
+
+    const resolution = normalizeResolution(result.value, participants);
+
+    return {
+      resolution,
+      processingTime: result.processingTime,
+      modelUsed: result.model,
+      messagesAnalyzed: messages.length,
+      validation: result.validation
+    };
+  } catch (error) {
+    console.error('Error generating resolution:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the display name used for an author in prompts
+ */
+function authorName(message) {
+  return message.authorId?.displayName || message.authorId?.username || 'Anonymous';
+}
+
+/**
+ * Unique participants who wrote in the thread, with their user IDs
+ */
+function collectParticipants(messages) {
+  const byId = new Map();
+
+  messages.forEach(msg => {
+    if (msg.authorId?._id && !byId.has(msg.authorId._id.toString())) {
+      byId.set(msg.authorId._id.toString(), {
+        userId: msg.authorId._id,
+        name: authorName(msg),
+        username: msg.authorId.username
+      });
+    }
+  });
+
+  return Array.from(byId.values());
+}
+
+/**
+ * Format messages for the prompt, dropping the oldest ones if over budget.
+ * The conversation state already carries what the dropped messages said.
+ * The newest message is always kept, cut short if it alone is over budget.
+ */
+function buildTranscript(messages) {
+  const separator = '\n\n';
+  const lines = messages.map((msg, idx) => `[${idx + 1}] ${authorName(msg)}: ${msg.content}`);
+
+  if (lines.length > 0 && lines[lines.length - 1].length > MAX_TRANSCRIPT_CHARS) {
+    lines[lines.length - 1] = `${lines[lines.length - 1].slice(0, MAX_TRANSCRIPT_CHARS - 1)}…`;
+  }
+
+  let total = 0;
+  let start = lines.length;
+
+  while (start > 0) {
+    const cost = lines[start - 1].length + (start < lines.length ? separator.length : 0);
+    if (total + cost > MAX_TRANSCRIPT_CHARS) break;
+
+    start -= 1;
+    total += cost;
+  }
+
+  return {
+    transcript: lines.slice(start).join(separator),
+    omittedCount: start
+  };
+}
+
+/**
+ * Build the resolution prompt
+ */
+function buildResolutionPrompt({
+  title,
+  description,
+  mode,
+  conversationState = {},
+  participants,
+  transcript,
+  omittedCount,
+  messageCount
+}) {
+  const list = (items) => (items && items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None recorded');
+
+  return `You are a neutral facilitator closing out a threaded discussion. Write its resolution.
+
+Thread Title: "${title}"
+${description ? `Description: ${description}\n` : ''}Thread Mode: ${mode}
+Message Count: ${messageCount}
+Participants: ${participants.length > 0 ? participants.join(', ') : 'None'}
+
+Current Topic:
+${conversationState.activeTopic || 'Not recorded'}
+
+Key Points Recorded So Far:
+${list((conversationState.keyPoints || []).map(kp => kp.point))}
+
+Recorded Agreements:
+${list(conversationState.areasOfAgreement)}
+
+Recorded Disagreements:
+${list(conversationState.areasOfDisagreement)}
+
+Recorded Decisions:
+${list((conversationState.decisionsMade || []).filter(d => d.status !== 'dismissed').map(d => d.decision))}
+
+Unresolved Questions:
+${list((conversationState.unresolvedQuestions || []).filter(q => !q.status || q.status === 'open').map(q => q.question))}
+
+${omittedCount > 0 ? `(The ${omittedCount} earliest messages are omitted; rely on the recorded state above for them.)\n\n` : ''}Discussion:
+${transcript || '(No messages)'}
+
+Generate a JSON response with the following structure:
+{
+  "summary": "2-3 sentence overview of where the discussion ended up",
+  "consensus": ["Point everyone agreed on"],
+  "remainingDisagreements": ["Point still contested, naming the positions"],
+  "actionItems": [
+    { "task": "Concrete next action", "owner": "Participant name, or null if nobody took it on" }
+  ]
+}
+
+Only list consensus that participants actually reached. Only assign an owner who volunteered or was assigned in the discussion, using their name exactly as listed in Participants.`;
+}
+
+/**
+ * Find a participant by the display name or @username the model used
+ */
+function findParticipant(participants, name) {
+  if (!name || typeof name !== 'string') return null;
+  const needle = name.trim().replace(/^@/, '').toLowerCase();
+  return participants.find(p =>
+    p.name.toLowerCase() === needle || (p.username && p.username.toLowerCase() === needle)
+  ) || null;
+}
+
+/**
+ * Coerce model output into the stored resolution shape and link
+ * action item owners back to participants
+ */
+function normalizeResolution(raw = {}, participants = []) {
+  const strings = (value) => (Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()) : []);
+
+  const actionItems = (Array.isArray(raw.actionItems) ? raw.actionItems : [])
+    .map(item => (typeof item === 'string' ? { task: item } : item || {}))
+    .filter(item => typeof item.task === 'string' && item.task.trim())
+    .map(item => {
+      const participant = findParticipant(participants, item.owner);
+      return {
+        task: item.task.trim(),
+        owner: participant ? participant.name : (typeof item.owner === 'string' ? item.owner.trim() : null),
+        ownerId: participant ? participant.userId : null
+      };
+    });
+
+  return {
+    summary: typeof raw.summary === 'string' ? raw.summary.trim() : '',
+    consensus: strings(raw.consensus),
+    remainingDisagreements: strings(raw.remainingDisagreements),
+    actionItems
+  };
+}
+
+module.exports = {
+  generateResolution,
+  buildResolutionPrompt,
+  normalizeResolution,
+  collectParticipants,
+  findParticipant,
+  buildTranscript,
+  resolutionOutputSchema
+};
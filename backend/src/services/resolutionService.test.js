@@ -0,0 +1,42 @@
+process.env.RESOLUTION_MAX_TRANSCRIPT_CHARS = '60';
+
+const { buildTranscript } = require('./resolutionService');
+
+const message = (content, displayName = 'Ada') => ({ authorId: { displayName }, content });
+
+describe('buildTranscript', () => {
+  it('keeps every message that fits, separators included', () => {
+    // "[1] Ada: " and "[2] Bob: " are 9 characters each
+    const messages = [message('a'.repeat(20)), message('b'.repeat(20), 'Bob')];
+
+    const { transcript, omittedCount } = buildTranscript(messages);
+
+    expect(omittedCount).toBe(0);
+    expect(transcript).toBe(`[1] Ada: ${'a'.repeat(20)}\n\n[2] Bob: ${'b'.repeat(20)}`);
+    expect(transcript.length).toBe(60);
+  });
+
+  it('drops the oldest message once the separator would go over budget', () => {
+    const messages = [message('a'.repeat(21)), message('b'.repeat(20), 'Bob')];
+
+    const { transcript, omittedCount } = buildTranscript(messages);
+
+    expect(omittedCount).toBe(1);
+    expect(transcript).toBe(`[2] Bob: ${'b'.repeat(20)}`);
+  });
+
+  it('cuts the newest message short rather than leaving it out', () => {
+    const messages = [message('short'), message('x'.repeat(200), 'Bob')];
+
+    const { transcript, omittedCount } = buildTranscript(messages);
+
+    expect(omittedCount).toBe(1);
+    expect(transcript.startsWith('[2] Bob: xxx')).toBe(true);
+    expect(transcript.endsWith('…')).toBe(true);
+    expect(transcript.length).toBe(60);
+  });
+
+  it('returns an empty transcript for no messages', () => {
+    expect(buildTranscript([])).toEqual({ transcript: '', omittedCount: 0 });
+  });
+});
@@ -0,0 +1,137 @@
+const { createDuckDuckGoProvider, createSerpAPIProvider } = require('./web');
+const { createLocalProvider } = require('./local');
+const { fetchPageText } = require('../../utils/pageFetcher');
+
+/**
+ * Search provider registry (sources for fact-checking)
+ *
+ * Every provider implements:
+ *   isConfigured()          -> boolean (unconfigured providers are skipped)
+ *   search(query, options)  -> [{ title, url, snippet, source, credibilityScore? }]
+ *     options.limit caps the results
+ *   readPage(url)           -> { url, title, text, truncated } | null (optional;
+ *                              without it pages are fetched from the web)
+ *   health()                -> { available, requiresInternet, ... }
+ *
+ * SEARCH_PROVIDERS lists the providers tried in order, moving on when one
+ * fails or finds nothing, e.g. "serpapi,duckduckgo" or "local" for a
+ * deployment without internet. A thread can pick a single provider in
+ * settings.searchProvider, which is then used alone.
+ */
+
+const factories = {
+  serpapi: createSerpAPIProvider,
+  duckduckgo: createDuckDuckGoProvider,
+  local: createLocalProvider
+};
+
+const instances = new Map();
+
+const chain = parseChain(process.env.SEARCH_PROVIDERS || 'serpapi,duckduckgo');
+
+function parseChain(value) {
+  return String(value)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Get (and lazily create) a provider instance by name
+ */
+function getSearchProvider(name) {
+  if (!instances.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown search provider "${name}". Available: ${listSearchProviders().join(', ')}`);
+    }
+    instances.set(name, factory());
+  }
+
+  return instances.get(name);
+}
+
+function listSearchProviders() {
+  return Object.keys(factories);
+}
+
+/**
+ * Providers that can be used here (e.g. local needs LOCAL_SEARCH_DIR)
+ */
+function listConfiguredSearchProviders() {
+  return listSearchProviders().filter(name => getSearchProvider(name).isConfigured());
+}
+
+/**
+ * Search for sources
+ * @param {string} query - Search query
+ * @param {object} options - { limit, provider } where provider (a thread's
+ *   choice) replaces the SEARCH_PROVIDERS chain
+ * @returns {Promise<object>} - { results, provider }; each result is tagged
+ *   with the provider that found it
+ */
+async function searchSources(query, options = {}) {
+  const { limit = 10, provider = null } = options;
+  const names = provider ? [provider] : chain;
+  let used = null;
+
+  // A thread's choice is never skipped silently
+  if (provider && !getSearchProvider(provider).isConfigured()) {
+    throw new Error(`Search provider "${provider}" is not configured`);
+  }
+
+  for (const name of names) {
+    const searchProvider = getSearchProvider(name);
+    if (!searchProvider.isConfigured()) continue;
+
+    used = name;
+    try {
+      const results = await searchProvider.search(query, { limit });
+      if (results.length > 0) {
+        return { results: results.map(result => ({ ...result, provider: name })), provider: name };
+      }
+    } catch (error) {
+      console.error(`Search provider "${name}" failed:`, error.message);
+    }
+  }
+
+  return { results: [], provider: used };
+}
+
+/**
+ * Full text of a search result, from its provider or fetched from the web
+ * @param {object} result - Result from searchSources
+ * @returns {Promise<object|null>} - { url, title, text, truncated }
+ */
+async function readSourcePage(result) {
+  const searchProvider = result.provider ? getSearchProvider(result.provider) : null;
+  return searchProvider && searchProvider.readPage
+    ? searchProvider.readPage(result.url)
+    : fetchPageText(result.url);
+}
+
+/**
+ * Describe the configured chain and check every registered provider
+ * @returns {Promise<object>} - { chain, providers }
+ */
+async function checkSearchProvidersHealth() {
+  const providers = {};
+  await Promise.all(listSearchProviders().map(async (name) => {
+    try {
+      providers[name] = await getSearchProvider(name).health();
+    } catch (error) {
+      providers[name] = { available: false, error: error.message };
+    }
+  }));
+
+  return { chain, providers };
+}
+
+module.exports = {
+  getSearchProvider,
+  listSearchProviders,
+  listConfiguredSearchProviders,
+  searchSources,
+  readSourcePage,
+  checkSearchProvidersHealth
+};
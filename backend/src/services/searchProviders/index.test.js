@@ -0,0 +1,122 @@
+process.env.SEARCH_PROVIDERS = 'serpapi, local ,duckduckgo';
+delete process.env.SERPAPI_KEY;
+delete process.env.LOCAL_SEARCH_DIR;
+
+jest.mock('../../utils/pageFetcher', () => ({ fetchPageText: jest.fn() }));
+
+const { fetchPageText } = require('../../utils/pageFetcher');
+const {
+  getSearchProvider,
+  listConfiguredSearchProviders,
+  searchSources,
+  readSourcePage,
+  checkSearchProvidersHealth
+} = require('./index');
+
+const serpapi = getSearchProvider('serpapi');
+const local = getSearchProvider('local');
+const duckduckgo = getSearchProvider('duckduckgo');
+
+const result = (title) => ({ title, url: `https://example.org/${title}`, snippet: title, source: 'example.org' });
+
+// Every provider is reachable and finds nothing unless a test says otherwise
+function configure({ serpapiOn = true, localOn = true } = {}) {
+  jest.spyOn(serpapi, 'isConfigured').mockReturnValue(serpapiOn);
+  jest.spyOn(local, 'isConfigured').mockReturnValue(localOn);
+  [serpapi, local, duckduckgo].forEach(provider => jest.spyOn(provider, 'search').mockResolvedValue([]));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getSearchProvider', () => {
+  it('returns one instance per provider and rejects unknown names', () => {
+    expect(getSearchProvider('local')).toBe(local);
+    expect(() => getSearchProvider('bing')).toThrow('Unknown search provider "bing". Available: serpapi, duckduckgo, local');
+  });
+});
+
+describe('searchSources', () => {
+  it('uses the first provider in the chain that finds something', async () => {
+    configure();
+    local.search.mockResolvedValue([result('local-hit')]);
+
+    const { results, provider } = await searchSources('bike lanes', { limit: 3 });
+
+    expect(provider).toBe('local');
+    expect(results).toEqual([{ ...result('local-hit'), provider: 'local' }]);
+    expect(serpapi.search).toHaveBeenCalledWith('bike lanes', { limit: 3 });
+    expect(duckduckgo.search).not.toHaveBeenCalled();
+  });
+
+  it('skips providers that are not configured and moves on after a failure', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    configure({ serpapiOn: false });
+    local.search.mockRejectedValue(new Error('index missing'));
+    duckduckgo.search.mockResolvedValue([result('web-hit')]);
+
+    const { results, provider } = await searchSources('bike lanes');
+
+    expect(serpapi.search).not.toHaveBeenCalled();
+    expect(provider).toBe('duckduckgo');
+    expect(results[0].provider).toBe('duckduckgo');
+  });
+
+  it('reports the last provider tried when nothing is found', async () => {
+    configure();
+
+    expect(await searchSources('bike lanes')).toEqual({ results: [], provider: 'duckduckgo' });
+  });
+
+  it('uses a thread\'s provider alone', async () => {
+    configure();
+    serpapi.search.mockResolvedValue([]);
+
+    const { provider } = await searchSources('bike lanes', { provider: 'serpapi' });
+
+    expect(provider).toBe('serpapi');
+    expect(local.search).not.toHaveBeenCalled();
+    expect(duckduckgo.search).not.toHaveBeenCalled();
+  });
+
+  it('fails when a thread\'s provider is not configured instead of falling back', async () => {
+    configure({ localOn: false });
+
+    await expect(searchSources('bike lanes', { provider: 'local' })).rejects.toThrow('Search provider "local" is not configured');
+    expect(duckduckgo.search).not.toHaveBeenCalled();
+  });
+});
+
+describe('listConfiguredSearchProviders', () => {
+  it('lists only providers that can be used', () => {
+    configure({ serpapiOn: false, localOn: true });
+
+    expect(listConfiguredSearchProviders()).toEqual(['duckduckgo', 'local']);
+  });
+});
+
+describe('readSourcePage', () => {
+  it('reads local results from the index and others from the web', async () => {
+    jest.spyOn(local, 'readPage').mockResolvedValue({ url: 'doc://a', title: 'A', text: 'Local text', truncated: false });
+    fetchPageText.mockResolvedValue({ url: 'https://example.org/b', title: 'B', text: 'Web text', truncated: false });
+
+    expect((await readSourcePage({ url: 'doc://a', provider: 'local' })).text).toBe('Local text');
+    expect((await readSourcePage({ url: 'https://example.org/b', provider: 'duckduckgo' })).text).toBe('Web text');
+    expect(fetchPageText).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('checkSearchProvidersHealth', () => {
+  it('reports the parsed chain and a failing health check as unavailable', async () => {
+    jest.spyOn(serpapi, 'health').mockResolvedValue({ available: false, requiresInternet: true });
+    jest.spyOn(duckduckgo, 'health').mockResolvedValue({ available: true, requiresInternet: true });
+    jest.spyOn(local, 'health').mockRejectedValue(new Error('database down'));
+
+    const health = await checkSearchProvidersHealth();
+
+    expect(health.chain).toEqual(['serpapi', 'local', 'duckduckgo']);
+    expect(health.providers.local).toEqual({ available: false, error: 'database down' });
+    expect(health.providers.duckduckgo.available).toBe(true);
+  });
+});
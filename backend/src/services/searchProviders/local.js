@@ -0,0 +1,57 @@
+const LocalDocument = require('../../models/LocalDocument');
+const { LOCAL_SEARCH_DIR, isLocalCorpusConfigured } = require('../localCorpus');
+const { selectPassages } = require('../../utils/passageSelector');
+
+// Our own knowledge base is trusted like a reputable source
+const LOCAL_CREDIBILITY = parseFloat(process.env.LOCAL_SEARCH_CREDIBILITY || '0.8');
+const SNIPPET_CHARS = 300;
+
+/**
+ * Offline search over the documents indexed from LOCAL_SEARCH_DIR
+ * (see services/localCorpus.js). Pages are read from the index, so fact-checks
+ * never go online for local results.
+ */
+function createLocalProvider() {
+  return {
+    isConfigured: isLocalCorpusConfigured,
+
+    search: async (query, options = {}) => {
+      const docs = await LocalDocument.find(
+        { $text: { $search: query } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(options.limit || 10);
+
+      return docs.map(doc => {
+        const [passage] = selectPassages(doc.text, query, { count: 1, maxChars: SNIPPET_CHARS });
+        return {
+          title: doc.title,
+          url: doc.url,
+          snippet: passage ? passage.text : doc.text.slice(0, SNIPPET_CHARS),
+          source: 'Local knowledge base',
+          credibilityScore: LOCAL_CREDIBILITY
+        };
+      });
+    },
+
+    readPage: async (url) => {
+      const doc = await LocalDocument.findOne({ url });
+      return doc ? { url, title: doc.title, text: doc.text, truncated: false } : null;
+    },
+
+    health: async () => {
+      const documents = await LocalDocument.countDocuments();
+      return {
+        available: isLocalCorpusConfigured() && documents > 0,
+        requiresInternet: false,
+        directory: LOCAL_SEARCH_DIR || null,
+        documents
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLocalProvider
+};
@@ -0,0 +1,30 @@
+const { searchDuckDuckGo, searchWithSerpAPI } = require('../../utils/webSearch');
+
+/**
+ * DuckDuckGo Instant Answer API (free, no API key)
+ */
+function createDuckDuckGoProvider() {
+  return {
+    isConfigured: () => true,
+    search: (query, options = {}) => searchDuckDuckGo(query, options.limit),
+    health: async () => ({ available: true, requiresInternet: true })
+  };
+}
+
+/**
+ * Google results through SerpAPI (needs SERPAPI_KEY)
+ */
+function createSerpAPIProvider() {
+  const isConfigured = () => Boolean(process.env.SERPAPI_KEY);
+
+  return {
+    isConfigured,
+    search: (query, options = {}) => searchWithSerpAPI(query, options.limit),
+    health: async () => ({ available: isConfigured(), requiresInternet: true })
+  };
+}
+
+module.exports = {
+  createDuckDuckGoProvider,
+  createSerpAPIProvider
+};
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const { embedQuery, findNearest } = require('./embeddingStore');
+const { listedThreadsFilter, matchThreadStages } = require('./threadScope');
+const Message = require('../models/Message');
+const Thread = require('../models/Thread');
+const Claim = require('../models/Claim');
+const User = require('../models/User');
+
+/**
+ * Search over messages, threads and claims
+ *
+ * Each type is searched twice: with the Mongo text index (keywords) and by
+ * embedding similarity to the query (meaning). The two rankings are combined
+ * with reciprocal rank fusion, so a result found by both ranks highest.
+ * Only threads the user may see listed (visibleThreadsFilter) are searched,
+ * so unlisted threads are found only by their members. The thread filter is
+ * joined into each query (see threadScope), never expanded to thread IDs.
+ */
+
+// Results taken from each ranking before they are combined
+const CANDIDATES = parseInt(process.env.SEARCH_CANDIDATES || '100', 10);
+const MIN_SIMILARITY = parseFloat(process.env.SEARCH_MIN_SIMILARITY || '0.35');
+// Rank fusion constant: higher values flatten the difference between ranks
+const RRF_K = 60;
+const SNIPPET_CHARS = 200;
+
+const SEARCH_TYPES = ['message', 'thread', 'claim'];
+
+/**
+ * How each type is queried and shown
+ */
+const TYPES = {
+  message: {
+    model: Message,
+    populate: { path: 'authorId', select: 'username displayName avatar' },
+    text: msg => msg.content,
+    threadId: msg => msg.threadId,
+    threadField: 'threadId',
+    filter: (filters) => {
+      const query = { isDeleted: false };
+      if (filters.authorId) query.authorId = filters.authorId;
+      if (filters.messageType) query.messageType = filters.messageType;
+      return withDates(query, filters);
+    }
+  },
+  thread: {
+    model: Thread,
+    populate: { path: 'ownerId', select: 'username displayName avatar' },
+    text: thread => [thread.title, thread.description].filter(Boolean).join(' — '),
+    threadId: thread => thread._id,
+    threadField: null,
+    filter: (filters) => {
+      const query = { ...filters.threadFilter };
+      if (filters.authorId) query.ownerId = filters.authorId;
+      return withDates(query, filters);
+    }
+  },
+  claim: {
+    model: Claim,
+    populate: { path: 'messageId', select: 'content authorId createdAt isDeleted' },
+    text: claim => claim.claimText,
+    threadId: claim => claim.threadId,
+    threadField: 'threadId',
+    filter: (filters) => {
+      const query = { invalidatedAt: null };
+      return withDates(query, filters);
+    }
+  }
+};
+
+function withDates(query, filters) {
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lte = filters.to;
+  }
+  return query;
+}
+
+/**
+ * Run a search
+ * @param {string} q - Query text
+ * @param {object} options - { types, filters: { author, mode, tag, from, to, messageType, threadId }, user, limit }
+ * @returns {Promise<object>} - { results, semantic, model }
+ */
+async function search(q, options = {}) {
+  const { types = SEARCH_TYPES, user = null, limit = 20 } = options;
+  const filters = { ...options.filters };
+
+  // Only messages have a type, and claims have no author of their own
+  const searchTypes = types.filter(type =>
+    !(filters.messageType && type !== 'message') && !(filters.author && type === 'claim')
+  );
+
+  if (filters.author) {
+    filters.authorId = await resolveAuthor(filters.author);
+    if (!filters.authorId) {
+      return { results: [], semantic: false, model: null };
+    }
+  }
+
+  // Restricting every query to these threads keeps unreadable hits from
+  // taking the candidate slots of readable ones
+  filters.threadFilter = listedThreadsFilter(user, filters);
+
+  // Semantic ranking is skipped when no embedding model is available
+  let queryEmbedding = null;
+  try {
+    queryEmbedding = await embedQuery(q);
+  } catch (error) {
+    console.error('Search is using keywords only:', error.message);
+  }
+
+  const ranked = [];
+  for (const type of searchTypes) {
+    ranked.push(...await searchType(type, q, queryEmbedding, filters));
+  }
+
+  // Claims whose message was deleted are not shown
+  const visible = ranked.filter(hit => !(hit.type === 'claim' && hit.doc.messageId?.isDeleted));
+  const terms = queryTerms(q);
+
+  const results = visible
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(hit => ({
+      type: hit.type,
+      id: hit.doc._id,
+      threadId: hit.threadId,
+      score: Number(hit.score.toFixed(6)),
+      textScore: hit.textScore,
+      similarity: hit.similarity,
+      snippet: buildSnippet(TYPES[hit.type].text(hit.doc), terms),
+      [hit.type]: hit.doc
+    }));
+
+  return {
+    results,
+    semantic: Boolean(queryEmbedding),
+    model: queryEmbedding ? queryEmbedding.model : null
+  };
+}
+
+/**
+ * Keyword and semantic hits for one type, fused into one score per document
+ */
+async function searchType(type, q, queryEmbedding, filters) {
+  const baseFilter = TYPES[type].filter(filters);
+
+  const textHits = await findInScope(type, { ...baseFilter, $text: { $search: q } }, filters, [
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1 } },
+    { $limit: CANDIDATES }
+  ]);
+
+  const hits = new Map();
+  const hitFor = (doc) => {
+    const key = doc._id.toString();
+    if (!hits.has(key)) {
+      hits.set(key, { type, doc, threadId: TYPES[type].threadId(doc), score: 0, textScore: null, similarity: null });
+    }
+    return hits.get(key);
+  };
+
+  textHits.forEach((doc, rank) => {
+    const hit = hitFor(doc);
+    hit.textScore = doc.get('score');
+    hit.score += 1 / (RRF_K + rank + 1);
+  });
+
+  if (queryEmbedding) {
+    const nearest = await findNearest(type, queryEmbedding.embedding, queryEmbedding.model, {
+      threadFilter: filters.threadFilter,
+      limit: CANDIDATES,
+      minSimilarity: MIN_SIMILARITY
+    });
+
+    // Load the semantic matches that still pass the filters
+    const docs = nearest.length > 0
+      ? await findInScope(type, { ...baseFilter, _id: { $in: nearest.map(match => match.refId) } }, filters)
+      : [];
+    const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+    nearest
+      .filter(match => docsById.has(match.refId.toString()))
+      .forEach((match, rank) => {
+        const hit = hitFor(docsById.get(match.refId.toString()));
+        hit.similarity = Number(match.similarity.toFixed(4));
+        hit.score += 1 / (RRF_K + rank + 1);
+      });
+  }
+
+  return Array.from(hits.values());
+}
+
+/**
+ * Populated documents of a type matching a filter, in threads the thread
+ * filter allows
+ * @param {Array} stages - Stages run after the thread filter (sorting, limits)
+ */
+async function findInScope(type, match, filters, stages = []) {
+  const { model, populate, threadField } = TYPES[type];
+
+  // Threads carry the thread filter in `match` itself
+  const entries = await model.aggregate([
+    { $match: match },
+    ...(threadField ? matchThreadStages(threadField, filters.threadFilter) : []),
+    ...stages
+  ]);
+
+  const docs = entries.map(entry => model.hydrate(entry));
+  return model.populate(docs, populate);
+}
+
+/**
+ * User ID from an ID or username
+ */
+async function resolveAuthor(author) {
+  if (mongoose.Types.ObjectId.isValid(author)) {
+    return new mongoose.Types.ObjectId(author);
+  }
+  const user = await User.findOne({ username: author }).select('_id');
+  return user ? user._id : null;
+}
+
+/**
+ * Words of the query worth highlighting
+ */
+function queryTerms(q) {
+  return [...new Set(
+    q.toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(term => term.length >= 2)
+  )];
+}
+
+/**
+ * Excerpt around the first query term, with the positions of every term in it
+ * @returns {object} - { text, highlights: [{ start, end }] }
+ */
+function buildSnippet(text = '', terms = []) {
+  const lower = text.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.indexOf(term))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  let start = 0;
+  if (firstMatch !== undefined && text.length > SNIPPET_CHARS) {
+    start = Math.max(0, Math.min(firstMatch - Math.floor(SNIPPET_CHARS / 4), text.length - SNIPPET_CHARS));
+    // Start on a word boundary
+    const space = text.lastIndexOf(' ', start);
+    start = space > 0 && start - space < 20 ? space + 1 : start;
+  }
+
+  const end = Math.min(text.length, start + SNIPPET_CHARS);
+  const body = text.slice(start, end);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const highlights = [];
+  const bodyLower = body.toLowerCase();
+  terms.forEach(term => {
+    let index = bodyLower.indexOf(term);
+    while (index >= 0) {
+      highlights.push({ start: prefix.length + index, end: prefix.length + index + term.length });
+      index = bodyLower.indexOf(term, index + term.length);
+    }
+  });
+
+  return {
+    text: `${prefix}${body}${suffix}`,
+    highlights: mergeRanges(highlights)
+  };
+}
+
+/**
+ * Sort ranges and merge overlapping ones
+ */
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+  buildSnippet,
+  queryTerms
+};
@@ -0,0 +1,124 @@
+jest.mock('./embeddingStore', () => ({
+  embedQuery: jest.fn(),
+  findNearest: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Thread = require('../models/Thread');
+const { embedQuery, findNearest } = require('./embeddingStore');
+const { search } = require('./searchService');
+
+const threadId = new mongoose.Types.ObjectId();
+
+const message = (content, score) => ({
+  _id: new mongoose.Types.ObjectId(),
+  threadId,
+  content,
+  isDeleted: false,
+  ...(score === undefined ? {} : { score })
+});
+
+const isTextQuery = pipeline => Boolean(pipeline[0].$match.$text);
+const lookupFilter = pipeline => pipeline.find(stage => stage.$lookup)?.$lookup.pipeline[1].$match;
+
+// Keyword hits for $text queries; semantic matches are loaded by ID
+function storeMessages(textHits, stored) {
+  return jest.spyOn(Message, 'aggregate').mockImplementation(async (pipeline) => {
+    if (isTextQuery(pipeline)) return textHits;
+    const ids = pipeline[0].$match._id.$in.map(id => id.toString());
+    return stored.filter(doc => ids.includes(doc._id.toString()));
+  });
+}
+
+beforeEach(() => {
+  embedQuery.mockReset().mockResolvedValue({ embedding: [1, 0], model: 'test-embed' });
+  findNearest.mockReset().mockResolvedValue([]);
+  jest.spyOn(Message, 'populate').mockImplementation(async docs => docs);
+  jest.spyOn(Thread, 'populate').mockImplementation(async docs => docs);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('search', () => {
+  it('ranks documents found by keywords and meaning above those found once', async () => {
+    const keywordOnly = message('bike lanes and parking', 2);
+    const both = message('bike lanes reduced accidents', 1);
+    const meaningOnly = message('cycling infrastructure made streets safer');
+    storeMessages([keywordOnly, both], [both, meaningOnly]);
+    findNearest.mockResolvedValue([
+      { refId: both._id, threadId, similarity: 0.9 },
+      { refId: meaningOnly._id, threadId, similarity: 0.8 }
+    ]);
+
+    const { results, semantic, model } = await search('bike lanes', { types: ['message'] });
+
+    expect(semantic).toBe(true);
+    expect(model).toBe('test-embed');
+    expect(results.map(result => result.id)).toEqual([both._id, keywordOnly._id, meaningOnly._id]);
+    expect(results[0]).toMatchObject({ textScore: 1, similarity: 0.9 });
+    expect(results[0].score).toBeCloseTo(1 / 62 + 1 / 61, 6);
+    expect(results[1]).toMatchObject({ textScore: 2, similarity: null });
+    expect(results[2]).toMatchObject({ textScore: null, similarity: 0.8 });
+  });
+
+  it('drops semantic matches that no longer pass the filters', async () => {
+    const gone = new mongoose.Types.ObjectId();
+    storeMessages([], []);
+    findNearest.mockResolvedValue([{ refId: gone, threadId, similarity: 0.9 }]);
+
+    const { results } = await search('bike lanes', { types: ['message'] });
+
+    expect(results).toEqual([]);
+  });
+
+  it('searches by keywords only when no embedding model is available', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    embedQuery.mockRejectedValue(new Error('no model'));
+    const hit = message('bike lanes', 1);
+    storeMessages([hit], []);
+
+    const { results, semantic } = await search('bike lanes', { types: ['message'] });
+
+    expect(semantic).toBe(false);
+    expect(findNearest).not.toHaveBeenCalled();
+    expect(results.map(result => result.id)).toEqual([hit._id]);
+  });
+
+  it('joins public threads only for anonymous readers', async () => {
+    const aggregate = storeMessages([], []);
+
+    await search('bike lanes', { types: ['message'] });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).not.toHaveProperty('threadId');
+    expect(lookupFilter(pipeline)).toEqual({ $and: [{ visibility: 'public' }], isArchived: false });
+    expect(findNearest.mock.calls[0][3].threadFilter).toEqual({ $and: [{ visibility: 'public' }], isArchived: false });
+  });
+
+  it('joins the threads a member may see, narrowed by the thread filters', async () => {
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+    const aggregate = storeMessages([], []);
+
+    await search('bike lanes', { types: ['message'], user, filters: { threadId: threadId.toString(), mode: 'debate' } });
+
+    const filter = lookupFilter(aggregate.mock.calls[0][0]);
+    expect(filter.$and[0].$or).toContainEqual({ participantIds: user._id });
+    expect(filter).toMatchObject({ isArchived: false, mode: 'debate' });
+    // Aggregations do not cast, so the thread ID must already be an ObjectId
+    expect(filter._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(filter._id.equals(threadId)).toBe(true);
+  });
+
+  it('applies the thread filter to threads directly', async () => {
+    const aggregate = jest.spyOn(Thread, 'aggregate').mockResolvedValue([]);
+
+    await search('bike lanes', { types: ['thread'] });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toMatchObject({ $and: [{ visibility: 'public' }], isArchived: false });
+    expect(lookupFilter(pipeline)).toBeUndefined();
+  });
+});
@@ -0,0 +1,144 @@
+const { generateCompletion } = require('./ollamaClient');
+
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2', 10);
+const MAX_ECHO_CHARS = 4000;
+
+/**
+ * Generate JSON output that must match a Joi schema
+ *
+ * 1. Ask the model (JSON is pulled out of surrounding prose if needed)
+ * 2. Validate against the schema
+ * 3. On invalid output, re-prompt with the validation errors, up to
+ *    LLM_MAX_REPAIR_ATTEMPTS times
+ * 4. If it never validates, keep every field that is valid on its own and
+ *    fill the rest from the fallback
+ *
+ * @param {string} prompt - Prompt sent to the model
+ * @param {object} options - { schema, fallback, maxRepairs } plus generateCompletion options
+ * @returns {Promise<object>} - { value, model, processingTime, validation }
+ *   where validation is { attempts, repaired, usedFallback, errors }
+ */
+async function generateStructured(prompt, options = {}) {
+  const {
+    schema,
+    fallback = {},
+    maxRepairs = MAX_REPAIR_ATTEMPTS,
+    onToken,
+    signal,
+    ...completionOptions
+  } = options;
+
+  const errors = [];
+  let processingTime = 0;
+  let model = null;
+  let lastCandidate;
+  let lastRaw = '';
+
+  for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+    const attemptPrompt = attempt === 0 ? prompt : buildRepairPrompt(prompt, lastRaw, errors[errors.length - 1]);
+
+    let parsed;
+    try {
+      const result = await generateCompletion(attemptPrompt, {
+        ...completionOptions,
+        format: 'json',
+        // Only the first attempt is streamed; repairs replace it silently
+        onToken: attempt === 0 ? onToken : null,
+        signal,
+        // Lower temperature for repairs so the model sticks to the structure
+        temperature: attempt === 0 ? completionOptions.temperature : 0.1
+      });
+
+      processingTime += result.processingTime;
+      model = result.model;
+      parsed = result.response;
+      lastRaw = JSON.stringify(parsed, null, 2);
+    } catch (error) {
+      if (error.code !== 'INVALID_JSON') throw error;
+
+      processingTime += error.processingTime || 0;
+      model = error.model || model;
+      lastRaw = error.raw || '';
+      errors.push(['Response was not valid JSON']);
+      continue;
+    }
+
+    lastCandidate = parsed;
+
+    const { error, value } = schema.validate(parsed, {
+      abortEarly: false,
+      convert: true,
+      stripUnknown: true
+    });
+
+    if (!error) {
+      return {
+        value,
+        model,
+        processingTime,
+        validation: {
+          attempts: attempt + 1,
+          repaired: attempt > 0,
+          usedFallback: false,
+          errors: errors.flat()
+        }
+      };
+    }
+
+    errors.push(error.details.map(detail => detail.message));
+  }
+
+  console.error('LLM output failed validation, using fallback:', errors.flat().join('; '));
+
+  return {
+    value: salvage(schema, lastCandidate, fallback),
+    model,
+    processingTime,
+    validation: {
+      attempts: maxRepairs + 1,
+      repaired: false,
+      usedFallback: true,
+      errors: errors.flat()
+    }
+  };
+}
+
+/**
+ * Build a re-prompt listing what was wrong with the previous reply
+ */
+function buildRepairPrompt(prompt, previousReply, problems = []) {
+  const echoed = previousReply.length > MAX_ECHO_CHARS
+    ? `${previousReply.slice(0, MAX_ECHO_CHARS)}\n...(truncated)`
+    : previousReply;
+
+  return `${prompt}
+
+Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous reply:
+${echoed || '(empty)'}
+
+Reply again with only the corrected JSON object, following the structure above exactly.`;
+}
+
+/**
+ * Keep each top-level field that validates on its own; use the fallback for the rest
+ */
+function salvage(schema, candidate, fallback) {
+  const keys = Object.keys(schema.describe().keys || {});
+  const source = candidate && typeof candidate === 'object' && !Array.isArray(candidate) ? candidate : {};
+  const result = {};
+
+  keys.forEach(key => {
+    const { error, value } = schema.extract(key).validate(source[key], { convert: true, stripUnknown: true });
+    result[key] = !error && value !== undefined ? value : fallback[key];
+  });
+
+  return result;
+}
+
+module.exports = {
+  generateStructured,
+  buildRepairPrompt
+};
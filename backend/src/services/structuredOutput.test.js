@@ -0,0 +1,63 @@
+process.env.LLM_PROVIDER = 'scripted';
+
+const Joi = require('joi');
+const { getProvider } = require('./providers');
+const { generateStructured } = require('./structuredOutput');
+
+const schema = Joi.object({
+  status: Joi.string().valid('open', 'closed').required(),
+  score: Joi.number().min(0).max(1).required()
+});
+
+const scripted = getProvider('scripted');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('generateStructured', () => {
+  it('returns a valid reply on the first attempt, stripping unknown fields', async () => {
+    scripted.setScript({ rules: [{ response: { status: 'open', score: 0.4, extra: true } }] });
+
+    const result = await generateStructured('Rate it', { schema });
+
+    expect(result.value).toEqual({ status: 'open', score: 0.4 });
+    expect(result.validation).toEqual({ attempts: 1, repaired: false, usedFallback: false, errors: [] });
+  });
+
+  it('pulls JSON out of prose', async () => {
+    scripted.setScript({ rules: [{ response: 'Here you go: {"status": "closed", "score": 1}' }] });
+
+    const result = await generateStructured('Rate it', { schema });
+
+    expect(result.value).toEqual({ status: 'closed', score: 1 });
+  });
+
+  it('re-prompts with the validation errors until the reply is valid', async () => {
+    scripted.setScript({
+      rules: [{ response: [{ status: 'maybe', score: 0.4 }, { status: 'open', score: 0.4 }] }]
+    });
+
+    const result = await generateStructured('Rate it', { schema });
+
+    expect(result.value).toEqual({ status: 'open', score: 0.4 });
+    expect(result.validation).toMatchObject({ attempts: 2, repaired: true, usedFallback: false });
+    expect(scripted.calls[1].input).toContain('Your previous reply could not be used');
+    expect(scripted.calls[1].input).toContain('"status" must be one of [open, closed]');
+  });
+
+  it('keeps the valid fields and falls back for the rest when repairs run out', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scripted.setScript({ rules: [{ response: { status: 'open', score: 7 } }] });
+
+    const result = await generateStructured('Rate it', {
+      schema,
+      fallback: { status: 'closed', score: 0 },
+      maxRepairs: 1
+    });
+
+    expect(result.value).toEqual({ status: 'open', score: 0 });
+    expect(result.validation).toMatchObject({ attempts: 2, usedFallback: true });
+    expect(scripted.calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,177 @@
+const { enqueueEmbedding } = require('./embeddingStore');
+const Summary = require('../models/Summary');
+const Thread = require('../models/Thread');
+
+// Summary list fields compared between versions
+const DIFF_FIELDS = ['keyPointsSoFar', 'areasOfAgreement', 'areasOfDisagreement', 'openQuestions', 'nextSteps'];
+
+// Word overlap at which two items count as the same point reworded
+const REWORD_SIMILARITY = 0.6;
+
+/**
+ * Store a generated summary as the thread's next version
+ * @param {string} threadId - Thread ID
+ * @param {object} result - Result of summaryService.generateSummary
+ * @param {object} meta - { messageId, requestedBy }
+ * @returns {Promise<object>} - { summary, diff } with the diff against the previous version
+ */
+async function recordSummary(threadId, result, meta = {}) {
+  const previous = await getLatestSummary(threadId);
+
+  // Allocate the version number atomically so concurrent summaries don't collide
+  const thread = await Thread.findByIdAndUpdate(
+    threadId,
+    { $inc: { summaryVersion: 1 }, $set: { lastSummaryAt: new Date() } },
+    { new: true }
+  );
+
+  if (!thread) {
+    throw new Error('Thread not found');
+  }
+
+  const summary = await Summary.create({
+    ...result.summary,
+    threadId,
+    version: thread.summaryVersion,
+    coverage: result.coverage,
+    strategy: result.strategy,
+    chunkCount: result.chunkCount,
+    messageId: meta.messageId || null,
+    requestedBy: meta.requestedBy || null,
+    modelUsed: result.modelUsed,
+    processingTime: result.processingTime
+  });
+
+  // The latest summary represents the thread in related-thread suggestions
+  try {
+    await enqueueEmbedding('summary', summary._id);
+  } catch (error) {
+    console.error('Error queueing summary embedding:', error.message);
+  }
+
+  return {
+    summary,
+    diff: diffSummaries(previous, summary)
+  };
+}
+
+/**
+ * Latest stored summary of a thread, or null
+ */
+async function getLatestSummary(threadId) {
+  return Summary.findOne({ threadId }).sort({ version: -1 });
+}
+
+/**
+ * Compare two summary versions
+ * Items are matched after normalizing case, punctuation and spacing; items
+ * that share most of their words are reported as reworded rather than as
+ * one dropped and one added.
+ * @param {object|null} from - Older version (null for the first summary)
+ * @param {object} to - Newer version
+ * @returns {object} - { fromVersion, toVersion, topic, fields, newMessages }
+ */
+function diffSummaries(from, to) {
+  const fields = {};
+
+  DIFF_FIELDS.forEach(field => {
+    fields[field] = diffLists(from ? from[field] : [], to[field]);
+  });
+
+  const fromTopic = from ? from.whatThisThreadIsAbout || '' : '';
+  const toTopic = to.whatThisThreadIsAbout || '';
+
+  return {
+    fromVersion: from ? from.version : null,
+    toVersion: to.version,
+    topic: {
+      from: fromTopic,
+      to: toTopic,
+      changed: normalize(fromTopic) !== normalize(toTopic)
+    },
+    fields,
+    newMessages: (to.coverage?.messageCount || 0) - (from?.coverage?.messageCount || 0)
+  };
+}
+
+/**
+ * Diff two lists of strings into added, dropped, reworded and unchanged items
+ */
+function diffLists(before = [], after = []) {
+  const remaining = [...before];
+  const added = [];
+  const reworded = [];
+  let unchanged = 0;
+
+  const unmatched = [];
+  after.forEach(item => {
+    const index = remaining.findIndex(old => normalize(old) === normalize(item));
+    if (index >= 0) {
+      remaining.splice(index, 1);
+      unchanged += 1;
+    } else {
+      unmatched.push(item);
+    }
+  });
+
+  unmatched.forEach(item => {
+    const index = findMatchingItem(remaining, item);
+    if (index >= 0) {
+      reworded.push({ from: remaining[index], to: item });
+      remaining.splice(index, 1);
+    } else {
+      added.push(item);
+    }
+  });
+
+  return { added, dropped: remaining, reworded, unchanged };
+}
+
+/**
+ * Index of the item that says the same thing as `text` (identical after
+ * normalizing, or the closest one sharing most of its words), or -1
+ */
+function findMatchingItem(items, text) {
+  const exact = items.findIndex(item => normalize(item) === normalize(text));
+  if (exact >= 0) return exact;
+
+  let best = -1;
+  let bestScore = 0;
+  items.forEach((item, index) => {
+    const score = similarity(item, text);
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= REWORD_SIMILARITY ? best : -1;
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Jaccard similarity of the words in two strings
+ */
+function similarity(a, b) {
+  const wordsA = new Set(normalize(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalize(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared += 1;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+module.exports = {
+  DIFF_FIELDS,
+  recordSummary,
+  getLatestSummary,
+  diffSummaries,
+  findMatchingItem
+};
@@ -0,0 +1,115 @@
+jest.mock('./embeddingStore', () => ({ enqueueEmbedding: jest.fn().mockResolvedValue(null) }));
+
+const mongoose = require('mongoose');
+const Summary = require('../models/Summary');
+const Thread = require('../models/Thread');
+const { enqueueEmbedding } = require('./embeddingStore');
+const { diffSummaries, findMatchingItem, recordSummary } = require('./summaryHistory');
+
+const version = (number, fields = {}, messageCount = 0) => ({
+  version: number,
+  whatThisThreadIsAbout: 'Bike lanes on Main Street',
+  keyPointsSoFar: [],
+  areasOfAgreement: [],
+  areasOfDisagreement: [],
+  openQuestions: [],
+  nextSteps: [],
+  coverage: { messageCount },
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findMatchingItem', () => {
+  const items = ['The council approved green paint', 'Parking will be removed on Main Street'];
+
+  it('matches items that differ only in case, punctuation and spacing', () => {
+    expect(findMatchingItem(items, '  the council approved GREEN paint!')).toBe(0);
+  });
+
+  it('matches the item sharing most of its words', () => {
+    expect(findMatchingItem(items, 'Parking on Main Street will be removed soon')).toBe(1);
+  });
+
+  it('does not match items that only share a few words', () => {
+    expect(findMatchingItem(items, 'The shops on Main Street want more parking')).toBe(-1);
+  });
+});
+
+describe('diffSummaries', () => {
+  it('reports reworded items instead of one dropped and one added', () => {
+    const from = version(1, {
+      keyPointsSoFar: ['The council approved green paint', 'Parking will be removed on Main Street', 'Cyclists want wider lanes']
+    }, 10);
+    const to = version(2, {
+      keyPointsSoFar: ['the council approved green paint.', 'Parking on Main Street will be removed soon', 'Bus stops will move']
+    }, 16);
+
+    const diff = diffSummaries(from, to);
+
+    expect(diff.fields.keyPointsSoFar).toEqual({
+      added: ['Bus stops will move'],
+      dropped: ['Cyclists want wider lanes'],
+      reworded: [{ from: 'Parking will be removed on Main Street', to: 'Parking on Main Street will be removed soon' }],
+      unchanged: 1
+    });
+    expect(diff).toMatchObject({ fromVersion: 1, toVersion: 2, newMessages: 6 });
+  });
+
+  it('prefers an exact match over a reword of another item', () => {
+    const from = version(1, { openQuestions: ['Who pays for the paint?', 'Who pays for the paint and signs?'] });
+    const to = version(2, { openQuestions: ['Who pays for the paint and signs?'] });
+
+    expect(diffSummaries(from, to).fields.openQuestions).toEqual({
+      added: [],
+      dropped: ['Who pays for the paint?'],
+      reworded: [],
+      unchanged: 1
+    });
+  });
+
+  it('notices a topic change but ignores formatting', () => {
+    const from = version(1);
+
+    expect(diffSummaries(from, version(2, { whatThisThreadIsAbout: 'bike lanes on main street.' })).topic.changed).toBe(false);
+    expect(diffSummaries(from, version(2, { whatThisThreadIsAbout: 'Bus routes downtown' })).topic).toEqual({
+      from: 'Bike lanes on Main Street',
+      to: 'Bus routes downtown',
+      changed: true
+    });
+  });
+
+  it('treats everything as added in the first version', () => {
+    const diff = diffSummaries(null, version(1, { nextSteps: ['Survey shop owners'] }, 5));
+
+    expect(diff.fromVersion).toBeNull();
+    expect(diff.fields.nextSteps.added).toEqual(['Survey shop owners']);
+    expect(diff.topic.changed).toBe(true);
+    expect(diff.newMessages).toBe(5);
+  });
+});
+
+describe('recordSummary', () => {
+  it('stores the next version and diffs it against the latest one', async () => {
+    const threadId = new mongoose.Types.ObjectId();
+    const previous = version(3, { keyPointsSoFar: ['Cyclists want wider lanes'] }, 10);
+    jest.spyOn(Summary, 'findOne').mockReturnValue({ sort: async () => previous });
+    const bump = jest.spyOn(Thread, 'findByIdAndUpdate').mockResolvedValue({ _id: threadId, summaryVersion: 4 });
+    jest.spyOn(Summary, 'create').mockImplementation(async fields => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+    const { summary, diff } = await recordSummary(threadId, {
+      summary: version(undefined, { keyPointsSoFar: ['Cyclists want much wider lanes'] }),
+      coverage: { messageCount: 14 },
+      strategy: 'rolling',
+      chunkCount: 1
+    }, { messageId: null });
+
+    expect(bump.mock.calls[0][1]).toMatchObject({ $inc: { summaryVersion: 1 } });
+    expect(summary.version).toBe(4);
+    expect(diff).toMatchObject({ fromVersion: 3, toVersion: 4, newMessages: 4 });
+    expect(diff.fields.keyPointsSoFar.reworded).toHaveLength(1);
+    expect(enqueueEmbedding).toHaveBeenCalledWith('summary', summary._id);
+  });
+});
@@ -1,14 +1,60 @@
-const { generateCompletion } = require('./ollamaClient');
+const Joi = require('joi');
+const { generateStructured } = require('./structuredOutput');
+const { getLatestSummary, findMatchingItem } = require('./summaryHistory');
+const { branchFilter } = require('./replyTree');
 const Thread = require('../models/Thread');
 const Message = require('../models/Message');
 
+const stringList = () => Joi.array().items(Joi.string().trim().allow('')).default([]);
+
+/**
+ * Expected shape of the model's summary
+ */
+const summaryOutputSchema = Joi.object({
+  whatThisThreadIsAbout: Joi.string().trim().required(),
+  // Each key point cites the numbers of the messages it is based on
+  keyPointsSoFar: Joi.array().items(
+    Joi.alternatives().try(
+      Joi.string().trim().allow(''),
+      Joi.object({
+        point: Joi.string().trim().required(),
+        sources: Joi.array().items(Joi.number().integer()).default([])
+      })
+    )
+  ).required(),
+  areasOfAgreement: stringList(),
+  areasOfDisagreement: stringList(),
+  openQuestions: stringList(),
+  nextSteps: stringList(),
+  sourcesCited: stringList()
+});
+
+// Rough token budget for the transcript in a single model call (~4 characters per token)
+const TOKEN_BUDGET = parseInt(process.env.SUMMARY_TOKEN_BUDGET || '3000', 10);
+const CHARS_PER_TOKEN = 4;
+
 /**
  * Generate a living summary for a thread
+ *
+ * - Rolling (default when a summary exists): the previous full summary is
+ *   updated with the messages posted after the range it covers
+ * - Full: every message is summarized from scratch
+ *
+ * When the messages do not fit in SUMMARY_TOKEN_BUDGET they are split into
+ * chunks that are summarized separately (map) and then merged (reduce),
+ * merging in groups again if the section summaries are still too long.
+ *
+ * With a branchId only that message and the replies below it are
+ * summarized, always from scratch.
+ *
  * @param {string} threadId - Thread ID
- * @param {number} messageLimit - Number of recent messages to consider
- * @returns {Promise<object>} - Generated summary
+ * @param {object} options - { mode: 'auto' | 'full', branchId, onToken, signal }
+ * @returns {Promise<object>} - Generated summary with the message range it covers,
+ *   or { unchanged: true, summaryVersion } when no message was posted since the latest version
  */
-async function generateSummary(threadId, messageLimit = 20) {
+async function generateSummary(threadId, options = {}) {
+  const { mode = 'auto', branchId = null, ...streamOptions } = options;
+
   try {
     // Fetch thread details
     const thread = await Thread.findById(threadId);
@@ -16,48 +62,146 @@ async function generateSummary(threadId, messageLimit = 20) {
       throw new Error('Thread not found');
     }
 
-    // Fetch recent messages
-    const messages = await Message.find({
-      threadId,
-      isDeleted: false,
-      messageType: 'user'
-    })
-      .populate('authorId', 'username displayName')
-      .sort({ createdAt: -1 })
-      .limit(messageLimit);
+    const branch = branchId ? await Message.findOne({ _id: branchId, threadId }) : null;
+    if (branchId && !branch) {
+      throw new Error('Branch message not found');
+    }
+
+    // Stored summaries cover the whole thread, so branches are never rolled forward
+    const previous = mode === 'full' || branch ? null : await usablePreviousSummary(threadId);
 
-    // Reverse to chronological order
-    messages.reverse();
+    const query = { threadId, isDeleted: false, messageType: 'user' };
+    if (branch) {
+      Object.assign(query, branchFilter(branch._id));
+    }
+    if (previous) {
+      const { toCreatedAt, toMessageId } = previous.coverage;
+      query.$or = [
+        { createdAt: { $gt: toCreatedAt } },
+        { createdAt: toCreatedAt, _id: { $gt: toMessageId } }
+      ];
+    }
 
-    // Format messages for prompt
-    const formattedMessages = messages.map((msg, idx) =>
-      `[${idx + 1}] ${msg.authorId?.displayName || msg.authorId?.username || 'Anonymous'}: ${msg.content}`
-    ).join('\n\n');
+    // Messages not yet covered, in chronological order
+    const messages = await Message.find(query)
+      .populate('authorId', 'username displayName')
+      .sort({ createdAt: 1, _id: 1 });
+
+    // Nothing new since the last summary: the latest version still stands
+    if (previous && messages.length === 0) {
+      return {
+        unchanged: true,
+        summaryVersion: previous,
+        summary: pickSummaryFields(previous),
+        coverage: previous.coverage,
+        strategy: 'rolling',
+        chunkCount: 0,
+        processingTime: 0,
+        modelUsed: previous.modelUsed,
+        messagesAnalyzed: 0,
+        validation: { attempts: 0, repaired: false, usedFallback: false, errors: [] }
+      };
+    }
 
-    // Get previous summary if exists
-    const previousSummary = thread.conversationState?.activeTopic || 'None yet';
+    const offset = previous ? previous.coverage.messageCount : 0;
+    const lines = messages.map((msg, idx) => formatMessageLine(msg, offset + idx + 1));
+    const messageIdsByNumber = new Map(messages.map((msg, idx) => [offset + idx + 1, msg._id]));
+    const chunks = chunkLines(lines, TOKEN_BUDGET);
 
-    // Build prompt
-    const prompt = buildSummaryPrompt({
+    const context = {
       title: thread.title,
+      branch: branch ? excerpt(branch.content) : null,
       mode: thread.mode,
-      messages: formattedMessages,
-      previousSummary,
-      messageCount: messages.length
-    });
+      messageCount: offset + messages.length,
+      previousSummary: previous ? renderSummaryForPrompt(previous) : null
+    };
 
-    // Generate summary using Ollama
-    const result = await generateCompletion(prompt, {
-      format: 'json',
-      temperature: 0.7,
-      system: 'You are a neutral facilitator helping to summarize threaded discussions.'
-    });
+    const steps = [];
+    let result;
+
+    if (chunks.length <= 1) {
+      result = await summarizeStep(buildSummaryPrompt({
+        ...context,
+        messages: chunks[0] ? chunks[0].join('\n\n') : '(No messages)',
+        newMessageCount: messages.length
+      }), branch ? sectionFallback(`1-${messages.length}`) : buildSummaryFallback(thread), streamOptions);
+      steps.push(result);
+    } else {
+      // Map: summarize each chunk on its own
+      let sections = [];
+      for (const chunk of chunks) {
+        const range = `${chunk.first}-${chunk.last}`;
+        const step = await summarizeStep(buildChunkPrompt({
+          ...context,
+          messages: chunk.join('\n\n'),
+          range
+        }), sectionFallback(range), { signal: streamOptions.signal });
+        steps.push(step);
+        sections.push({ range, text: renderSummaryForPrompt(step.value) });
+      }
+
+      // Reduce: merge groups of section summaries until one group fits the budget
+      // (stops early if no group holds more than one section, to avoid looping)
+      let groups = chunkLines(sections.map(section => section.text), TOKEN_BUDGET);
+      while (groups.length > 1 && groups.length < sections.length) {
+        const merged = [];
+        for (const group of groups) {
+          const groupSections = sections.slice(group.firstIndex, group.lastIndex + 1);
+          const range = `${groupSections[0].range.split('-')[0]}-${groupSections[groupSections.length - 1].range.split('-')[1]}`;
+          const step = await summarizeStep(buildMergePrompt({
+            ...context,
+            previousSummary: null,
+            sections: groupSections
+          }), sectionFallback(range), { signal: streamOptions.signal });
+          steps.push(step);
+          merged.push({ range, text: renderSummaryForPrompt(step.value) });
+        }
+        sections = merged;
+        groups = chunkLines(sections.map(section => section.text), TOKEN_BUDGET);
+      }
+
+      result = await summarizeStep(buildMergePrompt({
+        ...context,
+        sections,
+        newMessageCount: messages.length
+      }), branch ? sectionFallback(`1-${messages.length}`) : buildSummaryFallback(thread), streamOptions);
+      steps.push(result);
+    }
+
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+
+    const { keyPoints, rejected } = groundKeyPoints(
+      result.value.keyPointsSoFar,
+      messageIdsByNumber,
+      previous ? previous.keyPoints : []
+    );
+
+    const validation = combineValidation(steps.map(step => step.validation));
+    if (rejected.length > 0) {
+      validation.errors.push(`Dropped citations of messages that were not provided: ${rejected.join(', ')}`);
+    }
 
     return {
-      summary: result.response,
-      processingTime: result.processingTime,
+      summary: {
+        ...result.value,
+        keyPointsSoFar: keyPoints.map(kp => kp.point),
+        keyPoints
+      },
+      coverage: {
+        fromMessageId: previous ? previous.coverage.fromMessageId : first?._id || null,
+        toMessageId: last?._id || null,
+        fromCreatedAt: previous ? previous.coverage.fromCreatedAt : first?.createdAt || null,
+        toCreatedAt: last?.createdAt || null,
+        messageCount: offset + messages.length
+      },
+      branchId: branch ? branch._id : null,
+      strategy: chunks.length > 1 ? 'map_reduce' : (previous ? 'rolling' : 'single'),
+      chunkCount: chunks.length,
+      processingTime: steps.reduce((sum, step) => sum + step.processingTime, 0),
       modelUsed: result.model,
-      messagesAnalyzed: messages.length
+      messagesAnalyzed: messages.length,
+      validation
     };
   } catch (error) {
     console.error('Error generating summary:', error);
@@ -66,33 +210,296 @@ async function generateSummary(threadId, messageLimit = 20) {
 }
 
 /**
- * Build the summary prompt
+ * The latest stored summary, if it can be rolled forward
  */
-function buildSummaryPrompt({ title, mode, messages, previousSummary, messageCount }) {
-  return `You are a neutral facilitator for a threaded discussion. Generate a living summary.
+async function usablePreviousSummary(threadId) {
+  const previous = await getLatestSummary(threadId);
+  if (!previous || !previous.coverage?.toMessageId || !previous.coverage?.toCreatedAt) {
+    return null;
+  }
+  return previous;
+}
 
-Thread Title: "${title}"
-Thread Mode: ${mode}
-Message Count: ${messageCount}
+/**
+ * Run one model call of the summary pipeline
+ */
+function summarizeStep(prompt, fallback, streamOptions = {}) {
+  return generateStructured(prompt, {
+    task: 'summary',
+    temperature: 0.7,
+    system: 'You are a neutral facilitator helping to summarize threaded discussions.',
+    schema: summaryOutputSchema,
+    fallback,
+    ...streamOptions
+  });
+}
 
-Recent Messages:
-${messages}
+/**
+ * Short single-line excerpt of a message for prompts
+ */
+function excerpt(content, maxChars = 80) {
+  const line = (content || '').replace(/\s+/g, ' ').trim();
+  return line.length > maxChars ? `${line.slice(0, maxChars)}...` : line;
+}
 
-Previous Summary:
-${previousSummary}
+/**
+ * Rough token count for budgeting prompts
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
 
-Generate a JSON response with the following structure:
-{
+/**
+ * Format a message as a numbered transcript line, truncating very long messages
+ * so a single message never exceeds half the budget
+ */
+function formatMessageLine(msg, number) {
+  const maxChars = Math.floor(TOKEN_BUDGET / 2) * CHARS_PER_TOKEN;
+  const content = msg.content.length > maxChars ? `${msg.content.slice(0, maxChars)}...(truncated)` : msg.content;
+  return `[${number}] ${msg.authorId?.displayName || msg.authorId?.username || 'Anonymous'}: ${content}`;
+}
+
+/**
+ * Split lines into consecutive chunks that each fit the token budget.
+ * Each chunk is an array of lines with first/last (message numbers, when
+ * the lines are numbered) and firstIndex/lastIndex (positions in `lines`).
+ */
+function chunkLines(lines, budget) {
+  const chunks = [];
+  let current = [];
+  let tokens = 0;
+
+  const close = (lastIndex) => {
+    if (current.length === 0) return;
+    current.firstIndex = lastIndex - current.length + 1;
+    current.lastIndex = lastIndex;
+    current.first = lineNumber(current[0]) ?? current.firstIndex + 1;
+    current.last = lineNumber(current[current.length - 1]) ?? lastIndex + 1;
+    chunks.push(current);
+    current = [];
+    tokens = 0;
+  };
+
+  lines.forEach((line, idx) => {
+    const lineTokens = estimateTokens(line);
+    if (current.length > 0 && tokens + lineTokens > budget) {
+      close(idx - 1);
+    }
+    current.push(line);
+    tokens += lineTokens;
+  });
+  close(lines.length - 1);
+
+  return chunks;
+}
+
+function lineNumber(line) {
+  const match = /^\[(\d+)\]/.exec(line);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Key points as { point, sources } whether the model cited messages or not
+ */
+function toKeyPointItems(items = []) {
+  return items
+    .map(item => (typeof item === 'string' ? { point: item, sources: [] } : { point: item.point, sources: item.sources || [] }))
+    .filter(item => item.point);
+}
+
+/**
+ * Map cited message numbers back to message ids
+ * Citations of numbers that were not in the prompt are dropped and reported.
+ * Points carried over from the previous summary keep the messages they cited.
+ * @returns {object} - { keyPoints: [{ point, supportingMessageIds }], rejected: [number] }
+ */
+function groundKeyPoints(items, messageIdsByNumber, previousKeyPoints = []) {
+  const rejected = new Set();
+  const previousPoints = previousKeyPoints.map(kp => kp.point);
+
+  const keyPoints = toKeyPointItems(items).map(item => {
+    const ids = [];
+
+    item.sources.forEach(number => {
+      const id = messageIdsByNumber.get(number);
+      if (id) {
+        ids.push(id);
+      } else {
+        rejected.add(number);
+      }
+    });
+
+    const carried = findMatchingItem(previousPoints, item.point);
+    if (carried >= 0) {
+      ids.push(...previousKeyPoints[carried].supportingMessageIds);
+    }
+
+    const unique = new Map(ids.map(id => [id.toString(), id]));
+
+    return {
+      point: item.point,
+      supportingMessageIds: Array.from(unique.values())
+    };
+  });
+
+  return { keyPoints, rejected: Array.from(rejected) };
+}
+
+/**
+ * Render a summary as plain text for use inside another prompt
+ * (key points keep their citations so merge steps can pass them on)
+ */
+function renderSummaryForPrompt(summary) {
+  const list = (title, items) => (items && items.length > 0 ? `${title}:\n${items.map(item => `- ${item}`).join('\n')}\n` : '');
+  const keyPoints = toKeyPointItems(summary.keyPointsSoFar).map(item =>
+    (item.sources.length > 0 ? `${item.point} (messages ${item.sources.join(', ')})` : item.point));
+
+  return `About: ${summary.whatThisThreadIsAbout || 'Not recorded'}
+${list('Key points', keyPoints)}${list('Agreements', summary.areasOfAgreement)}${list('Disagreements', summary.areasOfDisagreement)}${list('Open questions', summary.openQuestions)}${list('Next steps', summary.nextSteps)}${list('Sources', summary.sourcesCited)}`.trim();
+}
+
+/**
+ * Just the summary content of a stored summary
+ */
+function pickSummaryFields(summary) {
+  const source = typeof summary.toObject === 'function' ? summary.toObject() : summary;
+  return [...Object.keys(summaryOutputSchema.describe().keys), 'keyPoints'].reduce((fields, key) => {
+    fields[key] = source[key] !== undefined ? source[key] : [];
+    return fields;
+  }, {});
+}
+
+/**
+ * Combine the validation reports of every model call in the pipeline
+ */
+function combineValidation(reports) {
+  return {
+    attempts: reports.reduce((sum, report) => sum + report.attempts, 0),
+    repaired: reports.some(report => report.repaired),
+    usedFallback: reports.some(report => report.usedFallback),
+    errors: reports.flatMap(report => report.errors)
+  };
+}
+
+const SUMMARY_JSON_STRUCTURE = `{
   "whatThisThreadIsAbout": "Brief 1-2 sentence overview of the thread's topic and purpose",
-  "keyPointsSoFar": ["Point 1", "Point 2", "Point 3"],
+  "keyPointsSoFar": [
+    { "point": "Point 1", "sources": [1, 4] },
+    { "point": "Point 2", "sources": [2] }
+  ],
   "areasOfAgreement": ["Agreement 1", "Agreement 2"],
   "areasOfDisagreement": ["Disagreement 1", "Disagreement 2"],
   "openQuestions": ["Question 1", "Question 2"],
   "nextSteps": ["Step 1", "Step 2"],
   "sourcesCited": []
+}`;
+
+const CITATION_RULES = 'In "sources", list the numbers of the messages that support each key point (the [n] before a message, or the numbers given with a section\'s key points). Only cite numbers that appear above; key points kept from a previous summary may have no sources.';
+
+/**
+ * Build the summary prompt (whole discussion, or previous summary plus new messages)
+ */
+function buildSummaryPrompt({ title, mode, branch, messages, previousSummary, messageCount, newMessageCount }) {
+  return `You are a neutral facilitator for a threaded discussion. Generate a living summary.
+
+Thread Title: "${title}"
+Thread Mode: ${mode}
+${branchLine(branch)}Message Count: ${messageCount}
+
+Previous Summary:
+${previousSummary || 'None yet'}
+
+${previousSummary ? `New Messages Since the Previous Summary (${newMessageCount}):` : 'Messages:'}
+${messages}
+
+Generate a JSON response with the following structure:
+${SUMMARY_JSON_STRUCTURE}
+${CITATION_RULES}
+
+${previousSummary ? 'Update the previous summary with the new messages: keep points that still hold, revise or drop ones the new messages changed, and add new ones. ' : ''}Keep the summary objective, balanced, and focused on what was actually discussed.`;
 }
 
-Keep the summary objective, balanced, and focused on what was actually discussed.`;
+/**
+ * Prompt line scoping a summary to one reply branch
+ */
+function branchLine(branch) {
+  return branch ? `Scope: only the reply branch starting with "${branch}"; describe that branch, not the whole thread\n` : '';
+}
+
+/**
+ * Build the prompt summarizing one chunk of a long discussion (map step)
+ */
+function buildChunkPrompt({ title, mode, branch, messages, range, messageCount }) {
+  return `You are a neutral facilitator summarizing one section of a long threaded discussion.
+
+Thread Title: "${title}"
+Thread Mode: ${mode}
+${branchLine(branch)}This section: messages ${range} of ${messageCount}
+
+Messages:
+${messages}
+
+Generate a JSON response with the following structure, describing only this section:
+${SUMMARY_JSON_STRUCTURE}
+${CITATION_RULES}
+
+Keep it objective and specific; later steps will combine it with the other sections.`;
+}
+
+/**
+ * Build the prompt merging section summaries (reduce step)
+ */
+function buildMergePrompt({ title, mode, branch, sections, previousSummary, messageCount, newMessageCount }) {
+  return `You are a neutral facilitator for a threaded discussion. Combine the section summaries below into one living summary.
+
+Thread Title: "${title}"
+Thread Mode: ${mode}
+${branchLine(branch)}Message Count: ${messageCount}
+
+${previousSummary ? `Previous Summary:
+${previousSummary}
+
+Summaries of the ${newMessageCount} New Messages:` : 'Section Summaries:'}
+${sections.map(section => `### Messages ${section.range}\n${section.text}`).join('\n\n')}
+
+Generate a JSON response with the following structure:
+${SUMMARY_JSON_STRUCTURE}
+${CITATION_RULES}
+
+Merge duplicate points, keep later positions over earlier ones when they changed, and keep the summary objective and balanced.`;
+}
+
+/**
+ * Placeholder for a section whose summary never validated
+ */
+function sectionFallback(range) {
+  return {
+    whatThisThreadIsAbout: `Messages ${range}`,
+    keyPointsSoFar: [],
+    areasOfAgreement: [],
+    areasOfDisagreement: [],
+    openQuestions: [],
+    nextSteps: [],
+    sourcesCited: []
+  };
+}
+
+/**
+ * Safe summary used when the model never produces valid output:
+ * keeps what the thread already knows instead of wiping it
+ */
+function buildSummaryFallback(thread) {
+  const state = thread.conversationState || {};
+
+  return {
+    whatThisThreadIsAbout: state.activeTopic || thread.title,
+    keyPointsSoFar: (state.keyPoints || []).map(kp => kp.point),
+    areasOfAgreement: state.areasOfAgreement || [],
+    areasOfDisagreement: state.areasOfDisagreement || [],
+    openQuestions: [],
+    nextSteps: [],
+    sourcesCited: []
+  };
 }
 
 /**
@@ -113,8 +520,16 @@ function shouldGenerateSummary(thread) {
 }
 
 module.exports = {
+  TOKEN_BUDGET,
   generateSummary,
   shouldGenerateSummary,
-  buildSummaryPrompt
+  buildSummaryPrompt,
+  buildChunkPrompt,
+  buildMergePrompt,
+  chunkLines,
+  estimateTokens,
+  formatMessageLine,
+  groundKeyPoints,
+  summaryOutputSchema
 };
 
@@ -0,0 +1,199 @@
+process.env.LLM_PROVIDER = 'scripted';
+// ~200 characters per model call, so a handful of messages already needs map-reduce
+process.env.SUMMARY_TOKEN_BUDGET = '50';
+
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const Summary = require('../models/Summary');
+const { getProvider } = require('./providers');
+const { generateSummary, chunkLines, formatMessageLine, estimateTokens, groundKeyPoints } = require('./summaryService');
+
+const scripted = getProvider('scripted');
+
+const author = { _id: new mongoose.Types.ObjectId(), username: 'ada', displayName: 'Ada' };
+
+const message = (content, minute) => ({
+  _id: new mongoose.Types.ObjectId(),
+  authorId: author,
+  content,
+  createdAt: new Date(Date.UTC(2026, 0, 1, 0, minute))
+});
+
+// Each rendered section is ~24 tokens, so two fit a merge step and three do not
+const SECTION = {
+  whatThisThreadIsAbout: 'A section of the discussion about painting new bike lanes.',
+  keyPointsSoFar: [{ point: 'Lanes', sources: [1] }]
+};
+
+const isMapPrompt = call => call.input.includes('describing only this section');
+const sectionRanges = call => [...call.input.matchAll(/### Messages (\d+-\d+)/g)].map(match => match[1]);
+
+let thread;
+let messages;
+
+beforeEach(() => {
+  thread = { _id: new mongoose.Types.ObjectId(), title: 'Bike lanes', mode: 'general', conversationState: {} };
+  messages = [];
+  jest.spyOn(Thread, 'findById').mockImplementation(async () => thread);
+  jest.spyOn(Message, 'find').mockImplementation(() => ({ populate: () => ({ sort: async () => messages }) }));
+  scripted.setScript({ rules: [{ task: 'summary', response: SECTION }] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('chunkLines', () => {
+  it('starts a new chunk before the budget would be exceeded', () => {
+    const lines = ['[1] a'.padEnd(80, 'a'), '[2] b'.padEnd(80, 'b'), '[3] c'.padEnd(80, 'c')];
+
+    const chunks = chunkLines(lines, 40);
+
+    expect(chunks.map(chunk => [chunk.first, chunk.last])).toEqual([[1, 2], [3, 3]]);
+    chunks.forEach(chunk => expect(estimateTokens(chunk.join(''))).toBeLessThanOrEqual(40));
+  });
+
+  it('numbers unnumbered lines by position', () => {
+    const chunks = chunkLines(['x'.repeat(120), 'y'.repeat(120)], 40);
+
+    expect(chunks.map(chunk => [chunk.firstIndex, chunk.lastIndex, chunk.first, chunk.last])).toEqual([[0, 0, 1, 1], [1, 1, 2, 2]]);
+  });
+});
+
+describe('formatMessageLine', () => {
+  it('cuts a message down to half the budget', () => {
+    const line = formatMessageLine(message('z'.repeat(500), 0), 7);
+
+    expect(line.startsWith('[7] Ada: ')).toBe(true);
+    expect(line.endsWith('...(truncated)')).toBe(true);
+    expect(line).toContain('z'.repeat(100));
+    expect(line).not.toContain('z'.repeat(101));
+  });
+});
+
+describe('generateSummary', () => {
+  it('summarizes a thread that fits the budget in one call', async () => {
+    messages = [message('Paint the lanes green.', 0), message('Green costs more.', 1)];
+
+    const result = await generateSummary(thread._id, { mode: 'full' });
+
+    expect(scripted.calls).toHaveLength(1);
+    expect(result).toMatchObject({ strategy: 'single', chunkCount: 1, messagesAnalyzed: 2 });
+  });
+
+  it('maps each chunk and merges the sections in groups that fit the budget', async () => {
+    // Every line is cut to ~32 tokens, so each chunk holds one message
+    messages = Array.from({ length: 12 }, (_, idx) => message(`Message ${idx + 1} `.padEnd(150, '.'), idx));
+
+    const result = await generateSummary(thread._id, { mode: 'full' });
+
+    const mapCalls = scripted.calls.filter(isMapPrompt);
+    const mergeCalls = scripted.calls.filter(call => !isMapPrompt(call));
+
+    expect(result).toMatchObject({ strategy: 'map_reduce', chunkCount: 12, messagesAnalyzed: 12 });
+    expect(mapCalls).toHaveLength(12);
+    mapCalls.forEach((call, idx) => {
+      expect(call.input).toContain(`[${idx + 1}] Ada: Message ${idx + 1} `);
+      expect(call.input).not.toContain(`[${idx + 2}] Ada`);
+    });
+
+    // 12 sections -> 6 -> 3 -> 2, then the final merge
+    expect(mergeCalls.map(sectionRanges)).toEqual([
+      ['1-1', '2-2'], ['3-3', '4-4'], ['5-5', '6-6'], ['7-7', '8-8'], ['9-9', '10-10'], ['11-11', '12-12'],
+      ['1-2', '3-4'], ['5-6', '7-8'], ['9-10', '11-12'],
+      ['1-4', '5-8'], ['9-12'],
+      ['1-8', '9-12']
+    ]);
+    expect(result.validation.attempts).toBe(24);
+    expect(result.coverage).toMatchObject({ messageCount: 12, fromMessageId: messages[0]._id, toMessageId: messages[11]._id });
+  });
+
+  it('keeps a failed section as a placeholder instead of failing the summary', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    messages = Array.from({ length: 3 }, (_, idx) => message(`Message ${idx + 1} `.padEnd(150, '.'), idx));
+    scripted.setScript({
+      rules: [
+        { task: 'summary', match: '\\[2\\] Ada', response: 'not json' },
+        { task: 'summary', response: SECTION }
+      ]
+    });
+
+    const result = await generateSummary(thread._id, { mode: 'full' });
+
+    const mergeCalls = scripted.calls.filter(call => !isMapPrompt(call));
+    expect(mergeCalls[0].input).toContain('### Messages 2-2\nAbout: Messages 2-2');
+    expect(result.validation.usedFallback).toBe(true);
+    expect(result.summary.whatThisThreadIsAbout).toBe(SECTION.whatThisThreadIsAbout);
+  });
+});
+
+describe('groundKeyPoints', () => {
+  const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const byNumber = new Map([[4, ids[0]], [5, ids[1]]]);
+
+  it('maps cited numbers to message ids and reports numbers that were not provided', () => {
+    const { keyPoints, rejected } = groundKeyPoints([
+      { point: 'Green paint approved', sources: [4, 5, 4] },
+      { point: 'Parking goes', sources: [9] },
+      'Uncited point'
+    ], byNumber);
+
+    expect(keyPoints).toEqual([
+      { point: 'Green paint approved', supportingMessageIds: [ids[0], ids[1]] },
+      { point: 'Parking goes', supportingMessageIds: [] },
+      { point: 'Uncited point', supportingMessageIds: [] }
+    ]);
+    expect(rejected).toEqual([9]);
+  });
+
+  it('keeps the sources of points carried over from the previous summary', () => {
+    const previous = [{ point: 'The council approved green paint', supportingMessageIds: [ids[2]] }];
+
+    const { keyPoints } = groundKeyPoints([
+      { point: 'The council approved the green paint', sources: [5] }
+    ], byNumber, previous);
+
+    expect(keyPoints[0].supportingMessageIds).toEqual([ids[1], ids[2]]);
+  });
+});
+
+describe('generateSummary grounding', () => {
+  it('numbers new messages after those the previous summary covered', async () => {
+    const earlier = new mongoose.Types.ObjectId();
+    jest.spyOn(Summary, 'findOne').mockReturnValue({
+      sort: async () => ({
+        whatThisThreadIsAbout: 'Bike lanes',
+        keyPointsSoFar: ['Cyclists want wider lanes'],
+        keyPoints: [{ point: 'Cyclists want wider lanes', supportingMessageIds: [earlier] }],
+        coverage: { messageCount: 5, toMessageId: earlier, toCreatedAt: new Date(Date.UTC(2026, 0, 1)) }
+      })
+    });
+    messages = [message('Paint them green.', 1), message('Green costs more.', 2)];
+    scripted.setScript({
+      rules: [{
+        task: 'summary',
+        response: {
+          whatThisThreadIsAbout: 'Bike lanes',
+          keyPointsSoFar: [
+            { point: 'Cyclists want wider lanes', sources: [] },
+            { point: 'Green paint costs more', sources: [6, 7] },
+            { point: 'Invented', sources: [2] }
+          ]
+        }
+      }]
+    });
+
+    const result = await generateSummary(thread._id);
+
+    expect(scripted.calls[0].input).toContain('[6] Ada: Paint them green.');
+    expect(result.strategy).toBe('rolling');
+    expect(result.summary.keyPoints).toEqual([
+      { point: 'Cyclists want wider lanes', supportingMessageIds: [earlier] },
+      { point: 'Green paint costs more', supportingMessageIds: [messages[0]._id, messages[1]._id] },
+      { point: 'Invented', supportingMessageIds: [] }
+    ]);
+    expect(result.validation.errors).toContain('Dropped citations of messages that were not provided: 2');
+    expect(result.coverage.messageCount).toBe(7);
+  });
+});
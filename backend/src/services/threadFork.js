@@ -0,0 +1,125 @@
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+
+// Most messages a fork may copy as its seed
+const MAX_SEED_MESSAGES = parseInt(process.env.FORK_MAX_SEED_MESSAGES || '50', 10);
+
+/**
+ * Seed messages for a fork: one message, or every user message from
+ * `from` to `to` in posting order
+ * @returns {Promise<Array|null>} - Messages, or null if the range is too long
+ */
+async function collectSeedMessages(threadId, from, to = null) {
+  if (!to || to._id.toString() === from._id.toString()) {
+    return [from];
+  }
+
+  const messages = await Message.find({
+    threadId,
+    isDeleted: false,
+    messageType: 'user',
+    createdAt: { $gte: from.createdAt, $lte: to.createdAt }
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(MAX_SEED_MESSAGES + 1);
+
+  return messages.length > MAX_SEED_MESSAGES ? null : messages;
+}
+
+/**
+ * Fork part of a discussion into a new thread
+ *
+ * The new thread inherits the parent's mode, intervention level, settings,
+ * visibility, tags and participants, and the person forking becomes its
+ * owner. The seed messages are copied in with their authors and timestamps
+ * (replies among them keep their structure), and a system message in each
+ * thread links to the other.
+ *
+ * @param {object} parent - Thread being forked
+ * @param {Array} seedMessages - Messages to copy, oldest first
+ * @param {object} user - Person forking
+ * @param {object} options - { title, description }
+ * @returns {Promise<object>} - { thread, parentNotice, forkNotice, seedMessages }
+ */
+async function forkThread(parent, seedMessages, user, options = {}) {
+  const first = seedMessages[0];
+  const last = seedMessages[seedMessages.length - 1];
+
+  const participants = new Map(
+    [parent.ownerId, ...parent.participantIds, user._id].map(id => [id.toString(), id])
+  );
+
+  const thread = await Thread.create({
+    title: (options.title || `Tangent from "${parent.title}"`).slice(0, 200),
+    description: options.description || '',
+    visibility: parent.visibility,
+    topicTags: parent.topicTags,
+    mode: parent.mode,
+    interventionLevel: parent.interventionLevel,
+    settings: parent.settings.toObject ? parent.settings.toObject() : parent.settings,
+    ownerId: user._id,
+    participantIds: Array.from(participants.values()),
+    messageCount: seedMessages.filter(msg => msg.messageType === 'user').length,
+    forkedFrom: {
+      threadId: parent._id,
+      messageId: first._id,
+      toMessageId: seedMessages.length > 1 ? last._id : null,
+      forkedBy: user._id,
+      forkedAt: new Date()
+    }
+  });
+
+  // Copies keep their reply structure when the parent message was copied too
+  const copiesByOriginal = new Map();
+  const copies = seedMessages.map(msg => {
+    const parentCopy = msg.parentId ? copiesByOriginal.get(msg.parentId.toString()) : null;
+    const copy = new Message({
+      threadId: thread._id,
+      authorId: msg.authorId,
+      content: msg.content,
+      messageType: msg.messageType,
+      claimMarkers: msg.claimMarkers,
+      parentId: parentCopy ? parentCopy._id : null,
+      ancestorIds: parentCopy ? [...parentCopy.ancestorIds, parentCopy._id] : [],
+      depth: parentCopy ? parentCopy.depth + 1 : 0,
+      forkedFromMessageId: msg._id,
+      createdAt: msg.createdAt
+    });
+    copiesByOriginal.set(msg._id.toString(), copy);
+    return copy;
+  });
+
+  // insertMany skips the save hook, so messageCount was set above
+  await Message.insertMany(copies);
+
+  const name = user.displayName || user.username;
+  const range = seedMessages.length > 1 ? `${seedMessages.length} messages` : 'a message';
+
+  const forkNotice = await new Message({
+    threadId: thread._id,
+    authorId: null,
+    content: `🔀 **${name}** started this thread from ${range} in **${parent.title}**.`,
+    messageType: 'system',
+    linkedThreadId: parent._id
+  }).save();
+
+  // Posted as a reply to the first seed message so it shows where the tangent began
+  const parentNotice = await new Message({
+    threadId: parent._id,
+    authorId: null,
+    content: `🔀 **${name}** moved this tangent to a new thread: **${thread.title}**.`,
+    messageType: 'system',
+    linkedThreadId: thread._id,
+    parentId: first._id,
+    ancestorIds: [...(first.ancestorIds || []), first._id],
+    depth: (first.depth || 0) + 1
+  }).save();
+
+  return { thread, parentNotice, forkNotice, seedMessages: copies };
+}
+
+module.exports = {
+  MAX_SEED_MESSAGES,
+  collectSeedMessages,
+  forkThread
+};
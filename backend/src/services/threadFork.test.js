@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const { collectSeedMessages, forkThread, MAX_SEED_MESSAGES } = require('./threadFork');
+
+const oid = () => new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('collectSeedMessages', () => {
+  it('uses a single message when there is no range', async () => {
+    const from = { _id: oid() };
+    const find = jest.spyOn(Message, 'find');
+
+    await expect(collectSeedMessages(oid(), from)).resolves.toEqual([from]);
+    await expect(collectSeedMessages(oid(), from, { _id: from._id })).resolves.toEqual([from]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('rejects a range longer than MAX_SEED_MESSAGES', async () => {
+    const tooMany = Array.from({ length: MAX_SEED_MESSAGES + 1 }, () => ({ _id: oid() }));
+    jest.spyOn(Message, 'find').mockReturnValue({
+      sort: () => ({ limit: async () => tooMany })
+    });
+
+    await expect(collectSeedMessages(oid(), { _id: oid() }, { _id: oid() })).resolves.toBeNull();
+  });
+});
+
+describe('forkThread', () => {
+  let inserted;
+  let saved;
+
+  beforeEach(() => {
+    inserted = [];
+    saved = [];
+    jest.spyOn(Thread, 'create').mockImplementation(async doc => ({ _id: oid(), ...doc }));
+    jest.spyOn(Message, 'insertMany').mockImplementation(async docs => {
+      inserted.push(...docs);
+      return docs;
+    });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  const owner = oid();
+  const parent = {
+    _id: oid(),
+    title: 'Transit plan',
+    ownerId: owner,
+    participantIds: [owner, oid()],
+    visibility: 'unlisted',
+    topicTags: ['transit'],
+    mode: 'debate',
+    interventionLevel: 'medium',
+    settings: { summaryFrequency: 10 }
+  };
+  const user = { _id: oid(), username: 'sam' };
+
+  it('copies the seed with its reply structure and links both threads', async () => {
+    const root = { _id: oid(), authorId: owner, content: 'Bikes?', messageType: 'user', createdAt: new Date(1000), ancestorIds: [], depth: 0 };
+    const reply = { _id: oid(), authorId: oid(), content: 'Yes', messageType: 'user', parentId: root._id, createdAt: new Date(2000) };
+    const outside = { _id: oid(), authorId: oid(), content: 'Later', messageType: 'user', parentId: oid(), createdAt: new Date(3000) };
+
+    const result = await forkThread(parent, [root, reply, outside], user, { title: 'Bike lanes' });
+
+    expect(Thread.create).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'Bike lanes',
+      visibility: 'unlisted',
+      ownerId: user._id,
+      messageCount: 3,
+      forkedFrom: expect.objectContaining({ threadId: parent._id, messageId: root._id, toMessageId: outside._id })
+    }));
+    const participants = Thread.create.mock.calls[0][0].participantIds.map(String);
+    expect(new Set(participants).size).toBe(participants.length);
+    expect(participants).toContain(user._id.toString());
+
+    const [rootCopy, replyCopy, outsideCopy] = inserted;
+    expect(rootCopy.threadId).toEqual(result.thread._id);
+    expect(rootCopy.createdAt).toEqual(root.createdAt);
+    expect(rootCopy.forkedFromMessageId).toEqual(root._id);
+    expect(replyCopy.parentId).toEqual(rootCopy._id);
+    expect(replyCopy.depth).toBe(1);
+    expect(outsideCopy.parentId).toBeNull();
+    expect(outsideCopy.depth).toBe(0);
+
+    expect(result.forkNotice.linkedThreadId).toEqual(parent._id);
+    expect(result.parentNotice).toMatchObject({ threadId: parent._id, linkedThreadId: result.thread._id });
+    expect(result.parentNotice.parentId).toEqual(root._id);
+    expect(result.parentNotice.depth).toBe(1);
+  });
+
+  it('records no range end for a single message', async () => {
+    const message = { _id: oid(), authorId: owner, content: 'Only one', messageType: 'user', createdAt: new Date() };
+
+    await forkThread(parent, [message], user);
+
+    expect(Thread.create.mock.calls[0][0].title).toBe('Tangent from "Transit plan"');
+    expect(Thread.create.mock.calls[0][0].forkedFrom.toMessageId).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+const { findMatchingItem } = require('./summaryHistory');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+const Job = require('../models/Job');
+const ReadPosition = require('../models/ReadPosition');
+const Embedding = require('../models/Embedding');
+
+/**
+ * Items of the source thread's conversationState that the target does not
+ * already have (matched the same way as summary items)
+ * @returns {object} - Lists to append to the target's conversationState
+ */
+function conversationStateAdditions(target = {}, source = {}) {
+  const missing = (targetItems = [], sourceItems = [], text, isActive = () => true) => {
+    const known = targetItems.filter(isActive).map(text);
+    const added = [];
+
+    sourceItems.filter(isActive).forEach(item => {
+      if (findMatchingItem([...known, ...added.map(text)], text(item)) >= 0) return;
+      added.push(typeof item.toObject === 'function' ? item.toObject() : item);
+    });
+
+    return added;
+  };
+
+  return {
+    unresolvedQuestions: missing(target.unresolvedQuestions, source.unresolvedQuestions, q => q.question, q => q.status !== 'dismissed'),
+    decisionsMade: missing(target.decisionsMade, source.decisionsMade, d => d.decision, d => d.status !== 'dismissed'),
+    keyPoints: missing(target.keyPoints, source.keyPoints, kp => kp.point),
+    areasOfAgreement: missing(target.areasOfAgreement, source.areasOfAgreement, text => text),
+    areasOfDisagreement: missing(target.areasOfDisagreement, source.areasOfDisagreement, text => text)
+  };
+}
+
+/**
+ * Merge one thread into another
+ *
+ * The source is closed and archived first and left behind as a tombstone
+ * pointing at the target. Its messages, claims and queued jobs then move to
+ * the target; messages keep their timestamps and reply structure, so the
+ * target's chronology stays intact. Participants and tags are unioned and
+ * conversationState items the target lacks are appended.
+ *
+ * @param {object} target - Thread that receives the messages
+ * @param {object} source - Thread merged into it
+ * @param {object} user - Moderator merging
+ * @returns {Promise<object>} - { thread, notice, movedMessages, movedClaims }
+ */
+async function mergeThreads(target, source, user) {
+  // Tombstone first, so nothing new is posted to the source while messages move
+  await Thread.updateOne({ _id: source._id }, {
+    $set: {
+      mergedInto: { threadId: target._id, mergedBy: user._id, mergedAt: new Date() },
+      isClosed: true,
+      isArchived: true
+    }
+  });
+
+  const moved = await Message.updateMany({ threadId: source._id }, { $set: { threadId: target._id } });
+  const claims = await Claim.updateMany({ threadId: source._id }, { $set: { threadId: target._id } });
+  await Job.updateMany({ threadId: source._id, status: 'queued' }, { $set: { threadId: target._id } });
+  await ReadPosition.deleteMany({ threadId: source._id });
+
+  // Moved messages and claims keep their vectors; the tombstone's own are dropped
+  await Embedding.updateMany(
+    { threadId: source._id, kind: { $in: ['message', 'claim'] } },
+    { $set: { threadId: target._id } }
+  );
+  await Embedding.deleteMany({ threadId: source._id });
+
+  const additions = conversationStateAdditions(target.conversationState, source.conversationState);
+
+  const thread = await Thread.findByIdAndUpdate(target._id, {
+    $addToSet: {
+      participantIds: { $each: [source.ownerId, ...source.participantIds] },
+      topicTags: { $each: source.topicTags }
+    },
+    $push: {
+      'conversationState.unresolvedQuestions': { $each: additions.unresolvedQuestions },
+      'conversationState.decisionsMade': { $each: additions.decisionsMade },
+      'conversationState.keyPoints': { $each: additions.keyPoints },
+      'conversationState.areasOfAgreement': { $each: additions.areasOfAgreement },
+      'conversationState.areasOfDisagreement': { $each: additions.areasOfDisagreement }
+    },
+    $inc: { messageCount: source.messageCount }
+  }, { new: true });
+
+  await Thread.updateOne({ _id: source._id }, { $set: { messageCount: 0 } });
+
+  const name = user.displayName || user.username;
+  const count = moved.modifiedCount;
+
+  const notice = await new Message({
+    threadId: target._id,
+    authorId: null,
+    content: `🔀 **${name}** merged **${source.title}** into this thread (${count} message${count === 1 ? '' : 's'}).`,
+    messageType: 'system',
+    linkedThreadId: source._id
+  }).save();
+
+  return {
+    thread,
+    notice,
+    movedMessages: count,
+    movedClaims: claims.modifiedCount
+  };
+}
+
+module.exports = {
+  mergeThreads,
+  conversationStateAdditions
+};
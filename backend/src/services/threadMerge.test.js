@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const Message = require('../models/Message');
+const Claim = require('../models/Claim');
+const Job = require('../models/Job');
+const ReadPosition = require('../models/ReadPosition');
+const Embedding = require('../models/Embedding');
+const { mergeThreads, conversationStateAdditions } = require('./threadMerge');
+
+const oid = () => new mongoose.Types.ObjectId();
+
+describe('conversationStateAdditions', () => {
+  it('appends only items the target lacks, matching reworded ones', () => {
+    const additions = conversationStateAdditions({
+      keyPoints: [{ point: 'Bus lanes cut commute times' }],
+      areasOfAgreement: ['More trains are needed']
+    }, {
+      keyPoints: [{ point: 'bus lanes cut commute times.' }, { point: 'Parking should cost more' }],
+      areasOfAgreement: ['More trains are needed soon'],
+      unresolvedQuestions: [
+        { question: 'Who pays?', status: 'open' },
+        { question: 'Should we ban cars?', status: 'dismissed' }
+      ]
+    });
+
+    expect(additions.keyPoints).toEqual([{ point: 'Parking should cost more' }]);
+    expect(additions.areasOfAgreement).toEqual([]);
+    expect(additions.unresolvedQuestions).toEqual([{ question: 'Who pays?', status: 'open' }]);
+    expect(additions.decisionsMade).toEqual([]);
+  });
+
+  it('ignores dismissed target items when matching', () => {
+    const additions = conversationStateAdditions({
+      decisionsMade: [{ decision: 'Extend the pilot', status: 'dismissed' }]
+    }, {
+      decisionsMade: [{ decision: 'Extend the pilot', status: 'confirmed' }]
+    });
+
+    expect(additions.decisionsMade).toHaveLength(1);
+  });
+});
+
+describe('mergeThreads', () => {
+  const calls = [];
+  const record = (name, result) => jest.fn(async () => {
+    calls.push(name);
+    return result;
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    jest.spyOn(Thread, 'updateOne').mockImplementation(record('Thread.updateOne', {}));
+    jest.spyOn(Thread, 'findByIdAndUpdate').mockImplementation(record('Thread.findByIdAndUpdate', { _id: 'target' }));
+    jest.spyOn(Message, 'updateMany').mockImplementation(record('Message.updateMany', { modifiedCount: 1 }));
+    jest.spyOn(Claim, 'updateMany').mockImplementation(record('Claim.updateMany', { modifiedCount: 2 }));
+    jest.spyOn(Job, 'updateMany').mockImplementation(record('Job.updateMany', {}));
+    jest.spyOn(ReadPosition, 'deleteMany').mockImplementation(record('ReadPosition.deleteMany', {}));
+    jest.spyOn(Embedding, 'updateMany').mockImplementation(record('Embedding.updateMany', {}));
+    jest.spyOn(Embedding, 'deleteMany').mockImplementation(record('Embedding.deleteMany', {}));
+    jest.spyOn(Message.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('tombstones the source before moving its content into the target', async () => {
+    const target = { _id: oid(), conversationState: {} };
+    const source = {
+      _id: oid(),
+      title: 'Old thread',
+      ownerId: oid(),
+      participantIds: [oid()],
+      topicTags: ['transit'],
+      messageCount: 4,
+      conversationState: {}
+    };
+    const user = { _id: oid(), username: 'mod' };
+
+    const result = await mergeThreads(target, source, user);
+
+    expect(calls[0]).toBe('Thread.updateOne');
+    expect(Thread.updateOne.mock.calls[0][1].$set).toMatchObject({
+      mergedInto: { threadId: target._id, mergedBy: user._id },
+      isClosed: true,
+      isArchived: true
+    });
+    expect(Message.updateMany).toHaveBeenCalledWith({ threadId: source._id }, { $set: { threadId: target._id } });
+    expect(Job.updateMany).toHaveBeenCalledWith({ threadId: source._id, status: 'queued' }, { $set: { threadId: target._id } });
+    expect(calls.indexOf('Embedding.updateMany')).toBeLessThan(calls.indexOf('Embedding.deleteMany'));
+
+    const update = Thread.findByIdAndUpdate.mock.calls[0][1];
+    expect(update.$inc).toEqual({ messageCount: 4 });
+    expect(update.$addToSet.participantIds.$each).toEqual([source.ownerId, ...source.participantIds]);
+
+    expect(result).toMatchObject({ movedMessages: 1, movedClaims: 2 });
+    expect(result.notice.content).toContain('(1 message)');
+    expect(result.notice.linkedThreadId).toEqual(source._id);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Per-thread authorization policy
+ *
+ * Thread actions, from least to most privileged:
+ * - read:       view the thread, its messages and claims
+ * - post:       add messages and request facilitator actions
+ * - edit:       change title, description, tags, mode and intervention level
+ * - moderate:   remove other people's messages, close/reopen, manage participants
+ * - administer: change visibility and settings, manage moderators, archive
+ */
+
+const THREAD_ACTIONS = ['read', 'post', 'edit', 'moderate', 'administer'];
+
+const DENIAL_REASONS = {
+  read: 'You do not have access to this thread',
+  post: 'Only participants can post in this thread',
+  edit: 'Only thread moderators can edit this thread',
+  moderate: 'Only thread moderators can do that',
+  administer: 'Only the thread owner can do that'
+};
+
+/**
+ * Normalize a populated document or raw ObjectId to a string id
+ */
+function idOf(value) {
+  if (!value) return null;
+  return (value._id || value).toString();
+}
+
+function includesId(list = [], id) {
+  return list.some(entry => idOf(entry) === id);
+}
+
+/**
+ * Get a user's role within a thread
+ * @returns {string|null} - 'owner', 'moderator', 'participant' or null
+ */
+function getThreadRole(user, thread) {
+  if (!user) return null;
+
+  const userId = idOf(user);
+
+  if (idOf(thread.ownerId) === userId) return 'owner';
+  if (includesId(thread.moderatorIds, userId)) return 'moderator';
+  if (includesId(thread.participantIds, userId)) return 'participant';
+
+  return null;
+}
+
+/**
+ * Decide whether a user may perform an action on a thread
+ * @param {object|null} user - Authenticated user (req.user) or null
+ * @param {string} action - One of THREAD_ACTIONS
+ * @param {object} thread - Thread document
+ * @returns {object} - { allowed, status, reason }
+ */
+function checkThreadPermission(user, action, thread) {
+  if (!THREAD_ACTIONS.includes(action)) {
+    throw new Error(`Unknown thread action: ${action}`);
+  }
+
+  const allow = { allowed: true };
+  const deny = (reason = DENIAL_REASONS[action]) => ({ allowed: false, status: 403, reason });
+
+  if (!user && action !== 'read') {
+    return { allowed: false, status: 401, reason: 'Authentication required' };
+  }
+
+  if (user && user.role === 'admin') {
+    return action === 'post' && thread.isClosed ? deny('Thread is closed') : allow;
+  }
+
+  const role = getThreadRole(user, thread);
+  const isMember = role !== null;
+  const isThreadModerator = role === 'owner' || role === 'moderator';
+  const isGlobalModerator = Boolean(user && user.role === 'moderator');
+  const canRead = thread.visibility !== 'private' || isMember;
+
+  if (!canRead) {
+    return deny(DENIAL_REASONS.read);
+  }
+
+  switch (action) {
+    case 'read':
+      return allow;
+
+    case 'post':
+      if (thread.isClosed) return deny('Thread is closed');
+      // Anyone signed in may join a public or unlisted thread by posting
+      return allow;
+
+    case 'edit':
+    case 'moderate':
+      return isThreadModerator || isGlobalModerator ? allow : deny();
+
+    case 'administer':
+      return role === 'owner' ? allow : deny();
+
+    default:
+      return deny();
+  }
+}
+
+/**
+ * Convenience boolean wrapper around checkThreadPermission
+ */
+function can(user, action, thread) {
+  return checkThreadPermission(user, action, thread).allowed;
+}
+
+/**
+ * Decide whether a user may edit or delete a specific message
+ * Authors may edit and delete their own messages; moderators may delete any.
+ * @param {object|null} user - Authenticated user
+ * @param {string} action - 'edit' or 'delete'
+ * @param {object} thread - Thread the message belongs to
+ * @param {object} message - Message document
+ * @returns {object} - { allowed, status, reason }
+ */
+function checkMessagePermission(user, action, thread, message) {
+  const readable = checkThreadPermission(user, 'read', thread);
+  if (!readable.allowed) return readable;
+
+  if (!user) {
+    return { allowed: false, status: 401, reason: 'Authentication required' };
+  }
+
+  const isAuthor = message.authorId && idOf(message.authorId) === idOf(user);
+
+  if (action === 'edit') {
+    if (!isAuthor) {
+      return { allowed: false, status: 403, reason: 'Only the author can edit this message' };
+    }
+    if (thread.isClosed) {
+      return { allowed: false, status: 403, reason: 'Thread is closed' };
+    }
+    return { allowed: true };
+  }
+
+  if (action === 'delete') {
+    if (isAuthor || can(user, 'moderate', thread)) {
+      return { allowed: true };
+    }
+    return { allowed: false, status: 403, reason: 'Only the author or a moderator can delete this message' };
+  }
+
+  throw new Error(`Unknown message action: ${action}`);
+}
+
+/**
+ * Decide whether a user may review (confirm, edit, dismiss or answer) a
+ * tracked question or decision. The people it is about may review it;
+ * moderators may review any, including after the thread is closed.
+ * @param {object|null} user - Authenticated user
+ * @param {object} thread - Thread the item belongs to
+ * @param {object} item - Entry of unresolvedQuestions or decisionsMade
+ * @returns {object} - { allowed, status, reason }
+ */
+function checkDiscussionItemPermission(user, thread, item) {
+  const readable = checkThreadPermission(user, 'read', thread);
+  if (!readable.allowed) return readable;
+
+  if (!user) {
+    return { allowed: false, status: 401, reason: 'Authentication required' };
+  }
+
+  if (can(user, 'moderate', thread)) {
+    return { allowed: true };
+  }
+
+  if (thread.isClosed) {
+    return { allowed: false, status: 403, reason: 'Thread is closed' };
+  }
+
+  const userId = idOf(user);
+  const involved = idOf(item.askedBy) === userId || includesId(item.participants, userId);
+
+  if (involved) {
+    return { allowed: true };
+  }
+
+  return { allowed: false, status: 403, reason: 'Only the people involved or a moderator can review this' };
+}
+
+/**
+ * Build a MongoDB filter for threads a user may see in listings.
+ * Unlisted threads are readable by link but only listed for their members.
+ * @param {object|null} user - Authenticated user
+ * @returns {object} - Query filter
+ */
+function visibleThreadsFilter(user) {
+  if (!user) {
+    return { visibility: 'public' };
+  }
+
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const userId = user._id;
+
+  return {
+    $or: [
+      { visibility: 'public' },
+      { ownerId: userId },
+      { moderatorIds: userId },
+      { participantIds: userId }
+    ]
+  };
+}
+
+/**
+ * Get the action required to apply a set of thread updates
+ * @param {object} updates - Fields being changed
+ * @returns {string} - Required thread action
+ */
+function actionForThreadUpdate(updates = {}) {
+  if ('visibility' in updates || 'settings' in updates) return 'administer';
+  if ('isClosed' in updates) return 'moderate';
+  return 'edit';
+}
+
+module.exports = {
+  THREAD_ACTIONS,
+  getThreadRole,
+  checkThreadPermission,
+  checkMessagePermission,
+  checkDiscussionItemPermission,
+  can,
+  visibleThreadsFilter,
+  actionForThreadUpdate
+};
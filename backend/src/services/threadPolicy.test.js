@@ -0,0 +1,158 @@
+const {
+  THREAD_ACTIONS,
+  getThreadRole,
+  checkThreadPermission,
+  checkMessagePermission,
+  checkDiscussionItemPermission,
+  visibleThreadsFilter,
+  actionForThreadUpdate
+} = require('./threadPolicy');
+
+const users = {
+  owner: { _id: 'u-owner', role: 'user' },
+  moderator: { _id: 'u-mod', role: 'user' },
+  participant: { _id: 'u-part', role: 'user' },
+  outsider: { _id: 'u-out', role: 'user' },
+  globalModerator: { _id: 'u-gmod', role: 'moderator' },
+  admin: { _id: 'u-admin', role: 'admin' },
+  anonymous: null
+};
+
+function makeThread(overrides = {}) {
+  return {
+    ownerId: 'u-owner',
+    moderatorIds: ['u-mod'],
+    participantIds: [{ _id: 'u-part' }],
+    visibility: 'public',
+    isClosed: false,
+    ...overrides
+  };
+}
+
+const allowedActions = (user, thread) =>
+  THREAD_ACTIONS.filter(action => checkThreadPermission(user, action, thread).allowed);
+
+describe('getThreadRole', () => {
+  it('reads ids from raw values and populated documents', () => {
+    const thread = makeThread();
+    expect(getThreadRole(users.owner, thread)).toBe('owner');
+    expect(getThreadRole(users.moderator, thread)).toBe('moderator');
+    expect(getThreadRole(users.participant, thread)).toBe('participant');
+    expect(getThreadRole(users.outsider, thread)).toBeNull();
+    expect(getThreadRole(null, thread)).toBeNull();
+  });
+});
+
+describe('checkThreadPermission', () => {
+  const everything = ['read', 'post', 'edit', 'moderate', 'administer'];
+
+  it.each([
+    ['public', 'owner', everything],
+    ['public', 'moderator', ['read', 'post', 'edit', 'moderate']],
+    ['public', 'participant', ['read', 'post']],
+    ['public', 'outsider', ['read', 'post']],
+    ['public', 'globalModerator', ['read', 'post', 'edit', 'moderate']],
+    ['public', 'admin', everything],
+    ['public', 'anonymous', ['read']],
+    ['unlisted', 'outsider', ['read', 'post']],
+    ['unlisted', 'anonymous', ['read']],
+    ['private', 'owner', everything],
+    ['private', 'moderator', ['read', 'post', 'edit', 'moderate']],
+    ['private', 'participant', ['read', 'post']],
+    ['private', 'outsider', []],
+    ['private', 'globalModerator', []],
+    ['private', 'admin', everything],
+    ['private', 'anonymous', []]
+  ])('%s thread, %s may %j', (visibility, who, expected) => {
+    expect(allowedActions(users[who], makeThread({ visibility }))).toEqual(expected);
+  });
+
+  it('stops everyone posting in a closed thread', () => {
+    const thread = makeThread({ isClosed: true });
+    ['owner', 'participant', 'admin'].forEach(who => {
+      expect(checkThreadPermission(users[who], 'post', thread)).toEqual({
+        allowed: false, status: 403, reason: 'Thread is closed'
+      });
+    });
+    expect(checkThreadPermission(users.moderator, 'moderate', thread).allowed).toBe(true);
+  });
+
+  it('answers 401 for anonymous users and 403 for members without the role', () => {
+    const thread = makeThread({ visibility: 'private' });
+    expect(checkThreadPermission(null, 'post', thread).status).toBe(401);
+    expect(checkThreadPermission(users.outsider, 'read', thread).status).toBe(403);
+    expect(checkThreadPermission(users.participant, 'edit', thread).status).toBe(403);
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => checkThreadPermission(users.owner, 'delete', makeThread())).toThrow('Unknown thread action');
+  });
+});
+
+describe('checkMessagePermission', () => {
+  const message = { authorId: 'u-part' };
+
+  it('lets authors edit and delete their own messages', () => {
+    expect(checkMessagePermission(users.participant, 'edit', makeThread(), message).allowed).toBe(true);
+    expect(checkMessagePermission(users.participant, 'delete', makeThread(), message).allowed).toBe(true);
+  });
+
+  it('lets moderators delete but not edit other messages', () => {
+    expect(checkMessagePermission(users.moderator, 'delete', makeThread(), message).allowed).toBe(true);
+    expect(checkMessagePermission(users.moderator, 'edit', makeThread(), message).allowed).toBe(false);
+    expect(checkMessagePermission(users.outsider, 'delete', makeThread(), message).allowed).toBe(false);
+  });
+
+  it('stops edits in a closed thread', () => {
+    const result = checkMessagePermission(users.participant, 'edit', makeThread({ isClosed: true }), message);
+    expect(result).toEqual({ allowed: false, status: 403, reason: 'Thread is closed' });
+  });
+});
+
+describe('checkDiscussionItemPermission', () => {
+  const item = { askedBy: 'u-part', participants: [] };
+
+  it('lets the people involved and moderators review an item', () => {
+    expect(checkDiscussionItemPermission(users.participant, makeThread(), item).allowed).toBe(true);
+    expect(checkDiscussionItemPermission(users.moderator, makeThread(), item).allowed).toBe(true);
+    expect(checkDiscussionItemPermission(users.outsider, makeThread(), item).allowed).toBe(false);
+  });
+
+  it('leaves closed threads to moderators', () => {
+    const thread = makeThread({ isClosed: true });
+    expect(checkDiscussionItemPermission(users.participant, thread, item).allowed).toBe(false);
+    expect(checkDiscussionItemPermission(users.owner, thread, item).allowed).toBe(true);
+  });
+});
+
+describe('visibleThreadsFilter', () => {
+  it('lists only public threads to anonymous users', () => {
+    expect(visibleThreadsFilter(null)).toEqual({ visibility: 'public' });
+  });
+
+  it('lists everything to admins', () => {
+    expect(visibleThreadsFilter(users.admin)).toEqual({});
+  });
+
+  it('lists public threads plus the ones a user belongs to, never other unlisted ones', () => {
+    const filter = visibleThreadsFilter(users.outsider);
+    expect(filter).toEqual({
+      $or: [
+        { visibility: 'public' },
+        { ownerId: 'u-out' },
+        { moderatorIds: 'u-out' },
+        { participantIds: 'u-out' }
+      ]
+    });
+    expect(JSON.stringify(filter)).not.toContain('unlisted');
+  });
+});
+
+describe('actionForThreadUpdate', () => {
+  it('requires the most privileged action among the changed fields', () => {
+    expect(actionForThreadUpdate({ title: 'x' })).toBe('edit');
+    expect(actionForThreadUpdate({ isClosed: true })).toBe('moderate');
+    expect(actionForThreadUpdate({ title: 'x', settings: {} })).toBe('administer');
+    expect(actionForThreadUpdate({ visibility: 'private' })).toBe('administer');
+  });
+});
@@ -0,0 +1,32 @@
+const { can } = require('./threadPolicy');
+
+/**
+ * Remove sockets that may no longer read a thread from its room
+ *
+ * Room access is checked when a socket joins, so it has to be checked again
+ * when the thread's visibility or members change. Removed sockets receive
+ * `thread_access_revoked` ({ threadId }).
+ *
+ * @param {object} io - Socket.io server
+ * @param {object} thread - Thread document after the change
+ * @returns {Promise<number>} - Number of sockets removed
+ */
+async function revokeLostRoomAccess(io, thread) {
+  const room = `thread_${thread._id}`;
+  const sockets = await io.in(room).fetchSockets();
+  let removed = 0;
+
+  for (const socket of sockets) {
+    if (can(socket.data.user || null, 'read', thread)) continue;
+
+    socket.leave(room);
+    socket.emit('thread_access_revoked', { threadId: thread._id });
+    removed += 1;
+  }
+
+  return removed;
+}
+
+module.exports = {
+  revokeLostRoomAccess
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { revokeLostRoomAccess } = require('./threadRooms');
+
+const owner = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const member = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const removed = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+const socket = (user) => ({ data: { user }, leave: jest.fn(), emit: jest.fn() });
+
+const fakeIo = (sockets) => ({
+  rooms: [],
+  in(room) {
+    this.rooms.push(room);
+    return { fetchSockets: async () => sockets };
+  }
+});
+
+const thread = (visibility) => ({
+  _id: new mongoose.Types.ObjectId(),
+  visibility,
+  ownerId: owner._id,
+  moderatorIds: [],
+  participantIds: [member._id]
+});
+
+describe('revokeLostRoomAccess', () => {
+  it('removes sockets that can no longer read a private thread', async () => {
+    const sockets = [socket(owner), socket(member), socket(removed), socket(undefined), socket(admin)];
+    const io = fakeIo(sockets);
+    const privateThread = thread('private');
+
+    const count = await revokeLostRoomAccess(io, privateThread);
+
+    expect(io.rooms).toEqual([`thread_${privateThread._id}`]);
+    expect(count).toBe(2);
+    [sockets[2], sockets[3]].forEach(s => {
+      expect(s.leave).toHaveBeenCalledWith(`thread_${privateThread._id}`);
+      expect(s.emit).toHaveBeenCalledWith('thread_access_revoked', { threadId: privateThread._id });
+    });
+    [sockets[0], sockets[1], sockets[4]].forEach(s => expect(s.leave).not.toHaveBeenCalled());
+  });
+
+  it('leaves everyone in a public thread', async () => {
+    const sockets = [socket(removed), socket(undefined)];
+
+    expect(await revokeLostRoomAccess(fakeIo(sockets), thread('public'))).toBe(0);
+    sockets.forEach(s => expect(s.leave).not.toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Thread = require('../models/Thread');
+const { visibleThreadsFilter } = require('./threadPolicy');
+
+/**
+ * Restricting queries to the threads a user may see
+ *
+ * The thread filter is applied as a join in the database rather than as a
+ * list of thread IDs, so it costs the same however many threads are visible.
+ * Filters are used in aggregations, which do not cast, so IDs are ObjectIds.
+ */
+
+const toObjectId = id => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+/**
+ * Filter for the unarchived threads a user may see listed
+ * @param {object|null} user - Reader
+ * @param {object} options - { mode, tag, threadId, excludeThreadId }
+ * @returns {object} - Thread query
+ */
+function listedThreadsFilter(user, options = {}) {
+  const filter = { $and: [visibleThreadsFilter(user)], isArchived: false };
+
+  if (options.mode) filter.mode = options.mode;
+  if (options.tag) filter.topicTags = options.tag;
+  if (options.threadId) {
+    filter._id = toObjectId(options.threadId);
+  } else if (options.excludeThreadId) {
+    filter._id = { $ne: toObjectId(options.excludeThreadId) };
+  }
+
+  return filter;
+}
+
+/**
+ * Aggregation stages keeping documents whose thread matches a filter
+ * @param {string} localField - Field holding the document's thread ID
+ * @param {object} threadFilter - Thread query, e.g. from listedThreadsFilter
+ * @returns {Array} - Stages to add to a pipeline
+ */
+function matchThreadStages(localField, threadFilter) {
+  return [
+    {
+      $lookup: {
+        from: Thread.collection.name,
+        let: { threadId: `$${localField}` },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$threadId'] } } },
+          { $match: threadFilter },
+          { $project: { _id: 1 } }
+        ],
+        as: '_scopeThread'
+      }
+    },
+    { $match: { _scopeThread: { $ne: [] } } },
+    { $project: { _scopeThread: 0 } }
+  ];
+}
+
+module.exports = {
+  listedThreadsFilter,
+  matchThreadStages
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Hash a refresh token for storage (only the hash is persisted)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a new refresh token for a user
+ * @param {string} userId - User ID
+ * @param {object} options - { family, userAgent, ip }
+ * @returns {Promise<object>} - Raw token and its database record
+ */
+async function issueRefreshToken(userId, options = {}) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = new RefreshToken({
+    userId,
+    tokenHash: hashToken(token),
+    family: options.family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: options.userAgent,
+    ip: options.ip
+  });
+
+  await record.save();
+
+  return { token, record };
+}
+
+/**
+ * Issue an access token and refresh token pair
+ * @param {string} userId - User ID
+ * @param {object} options - Passed through to issueRefreshToken
+ * @returns {Promise<object>} - { accessToken, refreshToken, refreshTokenExpiresAt }
+ */
+async function issueTokenPair(userId, options = {}) {
+  const { token, record } = await issueRefreshToken(userId, options);
+
+  return {
+    accessToken: generateToken(userId),
+    refreshToken: token,
+    refreshTokenExpiresAt: record.expiresAt
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented token is revoked; presenting an already-revoked token is
+ * treated as theft and revokes every token in the same family.
+ * @param {string} token - Raw refresh token
+ * @param {object} options - { userAgent, ip }
+ * @returns {Promise<object|null>} - New token pair plus userId, or null if invalid
+ */
+async function rotateRefreshToken(token, options = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the token in one step, so parallel refreshes with it cannot both succeed
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedAt) {
+      await revokeTokenFamily(existing.family);
+    }
+    return null;
+  }
+
+  const next = await issueRefreshToken(record.userId, {
+    family: record.family,
+    userAgent: options.userAgent,
+    ip: options.ip
+  });
+
+  await RefreshToken.updateOne(
+    { _id: record._id },
+    { $set: { replacedByHash: next.record.tokenHash } }
+  );
+
+  return {
+    userId: record.userId,
+    accessToken: generateToken(record.userId),
+    refreshToken: next.token,
+    refreshTokenExpiresAt: next.record.expiresAt
+  };
+}
+
+/**
+ * Revoke a single refresh token
+ * @returns {Promise<boolean>} - Whether an active token was revoked
+ */
+async function revokeRefreshToken(token) {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every token descended from the same login
+ */
+async function revokeTokenFamily(family) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+/**
+ * Revoke all refresh tokens belonging to a user (log out everywhere)
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeAllForUser(userId) {
+  const result = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+}
+
+module.exports = {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+};
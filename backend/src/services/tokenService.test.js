@@ -0,0 +1,128 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken
+} = require('./tokenService');
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * In-memory stand-in for the refresh token collection
+ * Every operation finishes in one step, like a single MongoDB update.
+ */
+let records;
+
+function matches(record, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = record[key];
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    if (condition === null) return value === null || value === undefined;
+    return String(value) === String(condition);
+  });
+}
+
+beforeEach(() => {
+  records = [];
+
+  jest.spyOn(RefreshToken.prototype, 'save').mockImplementation(function save() {
+    records.push({ ...this.toObject(), revokedAt: null });
+    return Promise.resolve(this);
+  });
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = records.find(entry => matches(entry, filter));
+    if (!record) return null;
+    Object.assign(record, update.$set);
+    return { ...record };
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async filter =>
+    records.find(entry => matches(entry, filter)) || null);
+  jest.spyOn(RefreshToken, 'updateOne').mockImplementation(async (filter, update) => {
+    const record = records.find(entry => matches(entry, filter));
+    if (record) Object.assign(record, update.$set || update);
+    return { modifiedCount: record ? 1 : 0 };
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    const matching = records.filter(entry => matches(entry, filter));
+    matching.forEach(record => Object.assign(record, update));
+    return { modifiedCount: matching.length };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const userId = '507f1f77bcf86cd799439011';
+const find = token => records.find(record => record.tokenHash === hash(token));
+
+describe('issueTokenPair', () => {
+  it('stores only the hash of the refresh token', async () => {
+    const pair = await issueTokenPair(userId);
+
+    expect(records).toHaveLength(1);
+    expect(records[0].tokenHash).toBe(hash(pair.refreshToken));
+    expect(JSON.stringify(records)).not.toContain(pair.refreshToken);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('revokes the presented token and issues the next one in the same family', async () => {
+    const pair = await issueTokenPair(userId);
+    const rotated = await rotateRefreshToken(pair.refreshToken);
+
+    expect(rotated.userId.toString()).toBe(userId);
+    expect(rotated.accessToken).toEqual(expect.any(String));
+
+    const old = find(pair.refreshToken);
+    const next = find(rotated.refreshToken);
+    expect(old.revokedAt).toBeInstanceOf(Date);
+    expect(old.replacedByHash).toBe(next.tokenHash);
+    expect(next.family).toBe(old.family);
+    expect(next.revokedAt).toBeNull();
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const pair = await issueTokenPair(userId);
+    const rotated = await rotateRefreshToken(pair.refreshToken);
+
+    await expect(rotateRefreshToken(pair.refreshToken)).resolves.toBeNull();
+    expect(find(rotated.refreshToken).revokedAt).toBeInstanceOf(Date);
+    await expect(rotateRefreshToken(rotated.refreshToken)).resolves.toBeNull();
+  });
+
+  it('lets only one of two parallel refreshes succeed', async () => {
+    const pair = await issueTokenPair(userId);
+
+    const results = await Promise.all([
+      rotateRefreshToken(pair.refreshToken),
+      rotateRefreshToken(pair.refreshToken)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    // The loser counts as reuse, so the winner's token is revoked too
+    expect(records.every(record => record.revokedAt)).toBe(true);
+  });
+
+  it('rejects unknown and expired tokens without touching the family', async () => {
+    const pair = await issueTokenPair(userId);
+    const other = await issueTokenPair(userId, { family: find(pair.refreshToken).family });
+    find(pair.refreshToken).expiresAt = new Date(Date.now() - 1000);
+
+    await expect(rotateRefreshToken('unknown')).resolves.toBeNull();
+    await expect(rotateRefreshToken(pair.refreshToken)).resolves.toBeNull();
+    expect(find(other.refreshToken).revokedAt).toBeNull();
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('reports whether an active token was revoked', async () => {
+    const pair = await issueTokenPair(userId);
+
+    await expect(revokeRefreshToken(pair.refreshToken)).resolves.toBe(true);
+    await expect(revokeRefreshToken(pair.refreshToken)).resolves.toBe(false);
+  });
+});
@@ -1,7 +1,26 @@
 /**
  * Utility for detecting factual claims in text
+ *
+ * Pattern matching is cheap but coarse. services/claimExtractor.js uses it
+ * to decide whether a message is worth sending to the model, and as the
+ * fallback when the model is unavailable.
  */
 
+/**
+ * Every match of a global pattern, with offsets of the trimmed match
+ */
+function findMatches(text, pattern) {
+  return Array.from(text.matchAll(pattern), match => {
+    const leading = match[0].length - match[0].trimStart().length;
+    const claimText = match[0].trim();
+    return {
+      claimText,
+      startIndex: match.index + leading,
+      endIndex: match.index + leading + claimText.length
+    };
+  });
+}
+
 /**
  * Detect potential factual claims in text using pattern matching
  * @param {string} text - Text to analyze
@@ -18,19 +37,14 @@ function detectClaimsInText(text) {
   ];
   
   statPatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) {
-      matches.forEach(match => {
-        claims.push({
-          claimText: match.trim(),
-          claimType: 'statistical',
-          confidence: 0.8,
-          shouldVerify: true,
-          startIndex: text.indexOf(match),
-          endIndex: text.indexOf(match) + match.length
-        });
+    findMatches(text, pattern).forEach(match => {
+      claims.push({
+        ...match,
+        claimType: 'statistical',
+        confidence: 0.8,
+        shouldVerify: true
       });
-    }
+    });
   });
   
   // Pattern 2: Health claims
@@ -41,77 +55,66 @@ function detectClaimsInText(text) {
   ];
   
   const healthPattern = new RegExp(
-    `((?:${healthKeywords.join('|')})\\s+[^.!?]+)`,
+    `(\\b(?:${healthKeywords.join('|')})\\s+[^.!?]+)`,
     'gi'
   );
   
-  const healthMatches = text.match(healthPattern);
-  if (healthMatches) {
-    healthMatches.forEach(match => {
-      if (match.length > 20) { // Avoid matching single words
-        claims.push({
-          claimText: match.trim(),
-          claimType: 'health',
-          confidence: 0.85,
-          shouldVerify: true,
-          startIndex: text.indexOf(match),
-          endIndex: text.indexOf(match) + match.length
-        });
-      }
-    });
-  }
+  findMatches(text, healthPattern).forEach(match => {
+    if (match.claimText.length > 20) { // Avoid matching single words
+      claims.push({
+        ...match,
+        claimType: 'health',
+        confidence: 0.85,
+        shouldVerify: true
+      });
+    }
+  });
   
   // Pattern 3: Legal/Financial claims
+  // Returns and profits only count with a figure or a guarantee attached
   const legalFinancialKeywords = [
-    'illegal', 'unlawful', 'law requires?', 'legal',
-    'guaranteed', 'return', 'profit', 'investment'
+    'illegal', 'unlawful', 'law requires?', 'legally required',
+    'guaranteed', '\\d+(?:\\.\\d+)?%\\s+(?:returns?|profits?)',
+    '(?:returns?|profits?) of\\s+\\$?\\d'
   ];
   
   const legalFinancialPattern = new RegExp(
-    `((?:${legalFinancialKeywords.join('|')})\\s+[^.!?]+)`,
+    `(\\b(?:${legalFinancialKeywords.join('|')})\\s*[^.!?]+)`,
     'gi'
   );
   
-  const legalMatches = text.match(legalFinancialPattern);
-  if (legalMatches) {
-    legalMatches.forEach(match => {
-      if (match.length > 20) {
-        const type = /illegal|unlawful|law|legal/i.test(match) ? 'legal' : 'financial';
-        claims.push({
-          claimText: match.trim(),
-          claimType: type,
-          confidence: 0.8,
-          shouldVerify: true,
-          startIndex: text.indexOf(match),
-          endIndex: text.indexOf(match) + match.length
-        });
-      }
-    });
-  }
+  findMatches(text, legalFinancialPattern).forEach(match => {
+    if (match.claimText.length > 20) {
+      const type = /illegal|unlawful|law|legal/i.test(match.claimText) ? 'legal' : 'financial';
+      claims.push({
+        ...match,
+        claimType: type,
+        confidence: 0.8,
+        shouldVerify: true
+      });
+    }
+  });
   
   // Pattern 4: Definitive statements
   const definitivePattern = /(?:always|never|every|all|none|no)\s+(?:causes?|results? in|leads? to|means?)[^.!?]+/gi;
-  const definitiveMatches = text.match(definitivePattern);
   
-  if (definitiveMatches) {
-    definitiveMatches.forEach(match => {
-      claims.push({
-        claimText: match.trim(),
-        claimType: 'factual',
-        confidence: 0.7,
-        shouldVerify: true,
-        startIndex: text.indexOf(match),
-        endIndex: text.indexOf(match) + match.length
-      });
+  findMatches(text, definitivePattern).forEach(match => {
+    claims.push({
+      ...match,
+      claimType: 'factual',
+      confidence: 0.7,
+      shouldVerify: true
     });
-  }
+  });
   
-  // Remove duplicates
+  // Remove duplicates and matches inside an earlier match, keeping the first occurrence
+  claims.sort((a, b) => a.startIndex - b.startIndex || b.endIndex - a.endIndex);
   const uniqueClaims = [];
   const seenTexts = new Set();
   
   claims.forEach(claim => {
-    if (!seenTexts.has(claim.claimText.toLowerCase())) {
+    const nested = uniqueClaims.some(kept => claim.startIndex >= kept.startIndex && claim.endIndex <= kept.endIndex);
+    if (!nested && !seenTexts.has(claim.claimText.toLowerCase())) {
       seenTexts.add(claim.claimText.toLowerCase());
       uniqueClaims.push(claim);
     }
@@ -120,6 +123,24 @@ function detectClaimsInText(text) {
   return uniqueClaims;
 }
 
+/**
+ * Cheap check for whether text could hold a checkable claim
+ * Deliberately permissive: it only rules out text that is too short, only
+ * asks questions, or has no statement-like wording at all.
+ */
+function mightContainClaim(text) {
+  const statements = (text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence && !sentence.endsWith('?') && sentence.split(/\s+/).length >= 4);
+
+  if (statements.length === 0) return false;
+
+  const statementHint = /\d|\b(?:is|are|was|were|has|have|had|will|does|did|causes?|leads? to|increases?|reduces?|according|stud(?:y|ies)|research|percent|million|billion|law|proven)\b/i;
+
+  return statements.some(sentence => statementHint.test(sentence)) || detectClaimsInText(text).length > 0;
+}
+
 /**
  * Check if text contains high-impact claims
  */
@@ -173,6 +194,7 @@ function scoreClaimImportance(claim) {
 
 module.exports = {
   detectClaimsInText,
+  mightContainClaim,
   hasHighImpactClaim,
   getVerifiableClaims,
   scoreClaimImportance
@@ -0,0 +1,32 @@
+const { detectClaimsInText } = require('./claimDetector');
+
+describe('detectClaimsInText', () => {
+  it('reports offsets that point at the claim text', () => {
+    const text = 'Honestly,   40% of voters support the plan. Fine.';
+    const [claim] = detectClaimsInText(text);
+
+    expect(claim.claimText).toBe('40% of voters support the plan');
+    expect(text.slice(claim.startIndex, claim.endIndex)).toBe(claim.claimText);
+  });
+
+  it('keeps the first occurrence of a repeated claim', () => {
+    const text = 'Smoking causes cancer in most users. Yes, smoking causes cancer in most users.';
+    const claims = detectClaimsInText(text);
+
+    expect(claims).toHaveLength(1);
+    expect(claims[0].startIndex).toBe(text.indexOf('causes'));
+    expect(text.slice(claims[0].startIndex, claims[0].endIndex)).toBe(claims[0].claimText);
+  });
+
+  it('drops matches nested inside an earlier one', () => {
+    const text = 'According to the survey, 30% of doctors recommend this therapy for diabetes.';
+    const claims = detectClaimsInText(text);
+
+    claims.forEach(claim => {
+      expect(text.slice(claim.startIndex, claim.endIndex)).toBe(claim.claimText);
+    });
+    const nested = claims.some((claim, i) => claims.some((other, j) => i !== j &&
+      claim.startIndex >= other.startIndex && claim.endIndex <= other.endIndex));
+    expect(nested).toBe(false);
+  });
+});
@@ -0,0 +1,398 @@
+const axios = require('axios');
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Fetch web pages and extract their readable text
+ *
+ * Used by fact-checking to read the sources behind search results. A page is
+ * only fetched over http(s) from a public address, when the site's robots.txt
+ * allows it, and when it is HTML or plain text. Downloads stop at
+ * PAGE_FETCH_MAX_BYTES and give up after PAGE_FETCH_TIMEOUT_MS. Pages that
+ * cannot be fetched come back as null, so callers fall back to the snippet.
+ */
+
+const USER_AGENT = process.env.PAGE_FETCH_USER_AGENT || 'FraySpaceBot/1.0 (fact-checking)';
+// Name matched against robots.txt user-agent lines
+const ROBOTS_AGENT = USER_AGENT.split('/')[0].toLowerCase();
+
+const TIMEOUT_MS = parseInt(process.env.PAGE_FETCH_TIMEOUT_MS || '8000', 10);
+const MAX_BYTES = parseInt(process.env.PAGE_FETCH_MAX_BYTES || '1000000', 10);
+const MAX_REDIRECTS = 3;
+
+const ROBOTS_MAX_BYTES = 100000;
+const ROBOTS_CACHE_TTL_MS = 60 * 60 * 1000;
+const ROBOTS_CACHE_SIZE = 500;
+
+const TEXT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+
+// Shorter blocks of text are usually menus, buttons or captions
+const MIN_PARAGRAPH_CHARS = 40;
+// An <article> or <main> with less text than this is ignored in favour of <body>
+const MIN_MAIN_CONTENT_CHARS = 500;
+
+const robotsCache = new Map();
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+
+  const lower = address.toLowerCase();
+  if (lower.startsWith('::ffff:')) {
+    const mapped = lower.slice(7);
+    return net.isIPv4(mapped) ? isPrivateAddress(mapped) : true;
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || lower.startsWith('fe80');
+}
+
+/**
+ * DNS lookup for axios that refuses hosts resolving to non-public addresses,
+ * so the address checked is the one connected to
+ */
+async function publicLookup(hostname, options) {
+  const addresses = await dns.lookup(hostname, { ...options, all: true });
+  if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new Error(`${hostname} does not resolve to a public address`);
+  }
+  return addresses;
+}
+
+/**
+ * Parse a URL and check that it may be fetched
+ * @returns {URL}
+ */
+function checkUrl(url) {
+  const target = new URL(url);
+
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`Unsupported protocol: ${target.protocol}`);
+  }
+
+  // IP literals skip DNS lookup, so they are checked here
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new Error(`${host} is not a public address`);
+  }
+
+  return target;
+}
+
+/**
+ * GET a URL as a stream, following redirects only to URLs that pass checkUrl
+ * @returns {Promise<object>} - { response, url }
+ */
+async function openUrl(url, accept) {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const target = checkUrl(current);
+
+    const response = await axios.get(target.href, {
+      responseType: 'stream',
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      lookup: publicLookup,
+      headers: { 'User-Agent': USER_AGENT, Accept: accept }
+    });
+
+    const location = response.headers.location;
+    if ([301, 302, 303, 307, 308].includes(response.status) && location) {
+      response.data.destroy();
+      current = new URL(location, target).href;
+      continue;
+    }
+
+    return { response, url: target.href };
+  }
+
+  throw new Error('Too many redirects');
+}
+
+/**
+ * Read a response stream, keeping at most maxBytes
+ * @returns {Promise<object>} - { buffer, truncated }
+ */
+function readBody(stream, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error('Download timed out'));
+    }, TIMEOUT_MS);
+
+    const finish = (truncated) => {
+      clearTimeout(timer);
+      resolve({ buffer: Buffer.concat(chunks), truncated });
+    };
+
+    stream.on('data', chunk => {
+      const room = maxBytes - size;
+      if (chunk.length >= room) {
+        chunks.push(chunk.subarray(0, room));
+        size = maxBytes;
+        stream.destroy();
+        finish(chunk.length > room);
+        return;
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    stream.on('end', () => finish(false));
+    stream.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Decode a body using the charset from the headers or an HTML meta tag
+ */
+function decodeBody(buffer, contentType) {
+  const header = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  const meta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(buffer.subarray(0, 2048).toString('latin1'));
+  const charset = (header || meta || [])[1] || 'utf-8';
+
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Allow and disallow rules of a robots.txt that apply to our user agent
+ * Rules of groups naming the agent are used; otherwise those of the "*" group.
+ * @returns {Array} - [{ allow, pattern }]
+ */
+function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group of rules
+      if (!readingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      return;
+    }
+
+    readingAgents = false;
+    // An empty Disallow allows everything, so it adds no rule
+    if (current && (key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', pattern: value });
+    }
+  });
+
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  return applicable.flatMap(group => group.rules);
+}
+
+/**
+ * Whether robots.txt rules allow a path (with query string)
+ * The longest matching rule wins; Allow wins a tie.
+ */
+function isPathAllowed(rules, path) {
+  const matching = rules.filter(rule => robotsPattern(rule.pattern).test(path));
+  if (matching.length === 0) return true;
+
+  matching.sort((a, b) => b.pattern.length - a.pattern.length || Number(b.allow) - Number(a.allow));
+  return matching[0].allow;
+}
+
+/**
+ * Regex for a robots.txt path pattern ("*" matches anything, "$" ends the path)
+ */
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * robots.txt rules for an origin, cached for an hour
+ * A missing robots.txt allows everything; one that cannot be read (server
+ * error, timeout) disallows everything until the cache expires.
+ */
+async function robotsRules(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && Date.now() - cached.fetchedAt < ROBOTS_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  let rules;
+  try {
+    const { response } = await openUrl(`${origin}/robots.txt`, 'text/plain');
+    if (response.status >= 200 && response.status < 300) {
+      const { buffer } = await readBody(response.data, ROBOTS_MAX_BYTES);
+      rules = parseRobots(buffer.toString('utf8'));
+    } else {
+      response.data.destroy();
+      rules = response.status >= 400 && response.status < 500 ? [] : [{ allow: false, pattern: '/' }];
+    }
+  } catch (error) {
+    rules = [{ allow: false, pattern: '/' }];
+  }
+
+  // Drop the oldest entry (Maps keep insertion order)
+  if (robotsCache.size >= ROBOTS_CACHE_SIZE) {
+    robotsCache.delete(robotsCache.keys().next().value);
+  }
+  robotsCache.set(origin, { rules, fetchedAt: Date.now() });
+
+  return rules;
+}
+
+/**
+ * Fetch a page and extract its readable text
+ * @param {string} url - Page URL
+ * @returns {Promise<object|null>} - { url, title, text, truncated }, or null if
+ *   robots.txt disallows it, it is not HTML or text, or the fetch failed
+ */
+async function fetchPageText(url) {
+  try {
+    const target = checkUrl(url);
+
+    const rules = await robotsRules(target.origin);
+    if (!isPathAllowed(rules, `${target.pathname}${target.search}`)) {
+      return null;
+    }
+
+    const { response, url: finalUrl } = await openUrl(target.href, 'text/html,application/xhtml+xml,text/plain;q=0.8');
+
+    const contentType = response.headers['content-type'] || '';
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+
+    if (response.status < 200 || response.status >= 300 || !TEXT_TYPES.includes(mimeType)) {
+      response.data.destroy();
+      return null;
+    }
+
+    const { buffer, truncated } = await readBody(response.data, MAX_BYTES);
+    const body = decodeBody(buffer, contentType);
+
+    const page = mimeType === 'text/plain'
+      ? { title: '', text: plainTextParagraphs(body) }
+      : extractReadableText(body);
+
+    return page.text ? { url: finalUrl, title: page.title, text: page.text, truncated } : null;
+  } catch (error) {
+    console.error(`Page fetch failed for ${url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Readable text of an HTML page
+ * Scripts, styles, navigation, headers, footers and forms are removed, and
+ * the page's <article> or <main> is used when it holds enough text. Blocks
+ * become paragraphs separated by blank lines; short ones are dropped.
+ * @param {string} html - Page HTML
+ * @returns {object} - { title, text }
+ */
+function extractReadableText(html) {
+  const withoutComments = html.replace(/<!--[\s\S]*?-->/g, ' ');
+
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(withoutComments);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  const cleaned = withoutComments.replace(
+    /<(script|style|noscript|svg|template|iframe|nav|header|footer|aside|form|button|select)\b[\s\S]*?<\/\1\s*>/gi,
+    ' '
+  );
+
+  const blocksOf = (tag) => Array.from(cleaned.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi')), match => match[1]);
+  const bodyMatch = /<body\b[^>]*>([\s\S]*)<\/body\s*>/i.exec(cleaned);
+
+  let text = '';
+  for (const candidate of [blocksOf('article'), blocksOf('main')]) {
+    const candidateText = htmlToParagraphs(candidate.join('\n'));
+    if (candidateText.length >= MIN_MAIN_CONTENT_CHARS) {
+      text = candidateText;
+      break;
+    }
+  }
+
+  return {
+    title,
+    text: text || htmlToParagraphs(bodyMatch ? bodyMatch[1] : cleaned)
+  };
+}
+
+/**
+ * Strip tags, turning block elements into paragraph breaks
+ */
+function htmlToParagraphs(html) {
+  const text = html
+    .replace(/<\/?(?:p|div|section|article|main|li|ul|ol|dl|dd|dt|h[1-6]|table|tr|td|th|blockquote|pre|figure|figcaption|br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line.length >= MIN_PARAGRAPH_CHARS)
+    .join('\n\n');
+}
+
+function plainTextParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(paragraph => paragraph.length >= MIN_PARAGRAPH_CHARS)
+    .join('\n\n');
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', copy: '©', reg: '®', deg: '°', euro: '€', pound: '£', times: '×'
+};
+
+/**
+ * Decode HTML entities (numeric ones and the common named ones)
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+module.exports = {
+  fetchPageText,
+  extractReadableText,
+  parseRobots,
+  isPathAllowed,
+  isPrivateAddress
+};
@@ -0,0 +1,74 @@
+const { parseRobots, isPathAllowed, isPrivateAddress } = require('./pageFetcher');
+
+describe('parseRobots', () => {
+  const robots = [
+    'User-agent: *',
+    'Disallow: /private',
+    '',
+    'User-agent: OtherBot',
+    'User-agent: FraySpaceBot',
+    'Disallow: /drafts # work in progress',
+    'Allow: /drafts/public',
+    'Disallow:'
+  ].join('\n');
+
+  it('uses the groups naming our agent', () => {
+    expect(parseRobots(robots, 'frayspacebot')).toEqual([
+      { allow: false, pattern: '/drafts' },
+      { allow: true, pattern: '/drafts/public' }
+    ]);
+  });
+
+  it('falls back to the "*" group', () => {
+    expect(parseRobots(robots, 'somebot')).toEqual([{ allow: false, pattern: '/private' }]);
+  });
+
+  it('has no rules for an empty file', () => {
+    expect(parseRobots('', 'frayspacebot')).toEqual([]);
+  });
+});
+
+describe('isPathAllowed', () => {
+  it('allows paths no rule matches', () => {
+    expect(isPathAllowed([{ allow: false, pattern: '/private' }], '/public')).toBe(true);
+  });
+
+  it('lets the longest matching rule win', () => {
+    const rules = [
+      { allow: false, pattern: '/drafts' },
+      { allow: true, pattern: '/drafts/public' }
+    ];
+    expect(isPathAllowed(rules, '/drafts/secret')).toBe(false);
+    expect(isPathAllowed(rules, '/drafts/public/page')).toBe(true);
+  });
+
+  it('prefers Allow on a tie', () => {
+    const rules = [
+      { allow: false, pattern: '/page' },
+      { allow: true, pattern: '/page' }
+    ];
+    expect(isPathAllowed(rules, '/page')).toBe(true);
+  });
+
+  it('supports "*" and "$"', () => {
+    const rules = [{ allow: false, pattern: '/*.pdf$' }];
+    expect(isPathAllowed(rules, '/files/report.pdf')).toBe(false);
+    expect(isPathAllowed(rules, '/files/report.pdf?download=1')).toBe(true);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.0.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1'
+  ])('%s is not public', address => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each([
+    '8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'
+  ])('%s is public', address => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
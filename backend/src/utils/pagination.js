@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor (keyset) pagination
+ *
+ * Lists are ordered by a sort field with _id as the tie-breaker. A cursor is
+ * an opaque token holding the position of a document in that order and the
+ * direction to read in, so pages stay stable when documents are inserted
+ * while a client is paging.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Page size from a query parameter, clamped to 1..MAX_LIMIT
+ */
+function parseLimit(value, fallback = DEFAULT_LIMIT) {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) ? fallback : Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+/**
+ * Opaque cursor pointing at a document
+ * @param {object} doc - Document the cursor points at
+ * @param {string} sortField - Field the list is ordered by
+ * @param {string} direction - 'next' (read past it) or 'prev' (read before it)
+ */
+function encodeCursor(doc, sortField, direction) {
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    date: value instanceof Date,
+    id: doc._id.toString(),
+    dir: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor back
+ * @returns {object|null} - { value, id, direction }, or null if it is not a valid cursor
+ */
+function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.Types.ObjectId.isValid(payload.id) || !['next', 'prev'].includes(payload.dir)) {
+      return null;
+    }
+
+    // The value goes into a query, so only plain strings and numbers are accepted
+    if (typeof payload.v !== 'string' && !(typeof payload.v === 'number' && Number.isFinite(payload.v))) {
+      return null;
+    }
+
+    const value = payload.date ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && (typeof payload.v !== 'string' || Number.isNaN(value.getTime()))) {
+      return null;
+    }
+
+    return {
+      value,
+      id: new mongoose.Types.ObjectId(payload.id),
+      direction: payload.dir
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Filter for documents after (forward) or before a position in list order
+ */
+function keysetFilter(sortField, order, position, forward) {
+  const op = (order === 1) === forward ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sortField]: { [op]: position.value } },
+      { [sortField]: position.value, _id: { [op]: position.id } }
+    ]
+  };
+}
+
+/**
+ * Load one page of a list
+ * @param {object} model - Mongoose model
+ * @param {object} options - { filter, sortField, order (1 oldest first, -1 newest first),
+ *   limit, cursor (decoded), populate (array of populate options) }
+ * @returns {Promise<object>} - { items, pageInfo: { nextCursor, prevCursor, hasNext, hasPrev } }
+ */
+async function paginate(model, options) {
+  const {
+    filter = {},
+    sortField = 'createdAt',
+    order = 1,
+    limit = DEFAULT_LIMIT,
+    cursor = null,
+    populate = []
+  } = options;
+
+  const forward = !cursor || cursor.direction === 'next';
+  const query = cursor
+    ? { $and: [filter, keysetFilter(sortField, order, cursor, forward)] }
+    : filter;
+  const direction = forward ? order : -order;
+
+  let find = model.find(query)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1);
+  populate.forEach(option => {
+    find = find.populate(option);
+  });
+
+  const docs = await find;
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+
+  if (!forward) {
+    items.reverse();
+  }
+
+  return {
+    items,
+    pageInfo: buildPageInfo(items, sortField, {
+      hasNext: forward ? hasMore : Boolean(cursor),
+      hasPrev: forward ? Boolean(cursor) : hasMore,
+      cursor
+    })
+  };
+}
+
+/**
+ * Load a window of a list centered on one document ("jump to message")
+ * @param {object} model - Mongoose model
+ * @param {object} anchor - Document to center on (must match the filter)
+ * @param {object} options - Same as paginate, without cursor
+ * @returns {Promise<object>} - { items, anchorIndex, pageInfo }
+ */
+async function paginateAround(model, anchor, options) {
+  const { sortField = 'createdAt', limit = DEFAULT_LIMIT } = options;
+  const position = { value: anchor[sortField], id: anchor._id };
+
+  const beforeCount = Math.floor((limit - 1) / 2);
+  const afterCount = limit - 1 - beforeCount;
+
+  const before = beforeCount > 0
+    ? await paginate(model, { ...options, limit: beforeCount, cursor: { ...position, direction: 'prev' } })
+    : { items: [], pageInfo: { hasPrev: true } };
+  const after = afterCount > 0
+    ? await paginate(model, { ...options, limit: afterCount, cursor: { ...position, direction: 'next' } })
+    : { items: [], pageInfo: { hasNext: true } };
+
+  const items = [...before.items, anchor, ...after.items];
+
+  return {
+    items,
+    anchorIndex: before.items.length,
+    pageInfo: buildPageInfo(items, sortField, {
+      hasNext: after.pageInfo.hasNext,
+      hasPrev: before.pageInfo.hasPrev
+    })
+  };
+}
+
+/**
+ * Cursors for the pages on either side of `items`
+ * An empty page keeps the position it was read from, so clients can poll it.
+ */
+function buildPageInfo(items, sortField, { hasNext, hasPrev, cursor = null }) {
+  const first = items[0];
+  const last = items[items.length - 1];
+  const stay = (direction) => (cursor
+    ? encodeCursor({ [sortField]: cursor.value, _id: cursor.id }, sortField, direction)
+    : null);
+
+  return {
+    nextCursor: last ? encodeCursor(last, sortField, 'next') : stay('next'),
+    prevCursor: first ? encodeCursor(first, sortField, 'prev') : stay('prev'),
+    hasNext,
+    hasPrev
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  paginateAround
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { parseLimit, encodeCursor, decodeCursor, MAX_LIMIT } = require('./pagination');
+
+describe('parseLimit', () => {
+  it('clamps to 1..MAX_LIMIT and falls back on junk', () => {
+    expect(parseLimit('20')).toBe(20);
+    expect(parseLimit('0')).toBe(1);
+    expect(parseLimit('100000')).toBe(MAX_LIMIT);
+    expect(parseLimit('abc', 7)).toBe(7);
+  });
+});
+
+describe('cursors', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('round-trips a date position', () => {
+    const createdAt = new Date('2024-05-01T10:00:00.000Z');
+    const cursor = encodeCursor({ createdAt, _id: id }, 'createdAt', 'next');
+
+    expect(decodeCursor(cursor)).toEqual({ value: createdAt, id, direction: 'next' });
+  });
+
+  it('round-trips a non-date position', () => {
+    const cursor = encodeCursor({ version: 3, _id: id }, 'version', 'prev');
+
+    expect(decodeCursor(cursor)).toEqual({ value: 3, id, direction: 'prev' });
+  });
+
+  it('is opaque and URL-safe', () => {
+    const cursor = encodeCursor({ createdAt: new Date(), _id: id }, 'createdAt', 'next');
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('rejects tampered or malformed cursors', () => {
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    expect(decodeCursor('not a cursor')).toBeNull();
+    expect(decodeCursor('')).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor(encode({ v: 1, id: 'nope', dir: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ v: 1, id: id.toString(), dir: 'sideways' }))).toBeNull();
+    expect(decodeCursor(encode({ v: 'yesterday', date: true, id: id.toString(), dir: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ v: 0, date: true, id: id.toString(), dir: 'next' }))).toBeNull();
+
+    // Values that are not a string, number or date string could inject query operators
+    expect(decodeCursor(encode({ v: { $ne: null }, id: id.toString(), dir: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ v: ['a'], id: id.toString(), dir: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ v: null, id: id.toString(), dir: 'next' }))).toBeNull();
+    expect(decodeCursor(encode({ v: true, id: id.toString(), dir: 'next' }))).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Utilities for reading JSON from model output, including output that is
+ * still being streamed
+ */
+
+/**
+ * Best-effort parse of an incomplete JSON document.
+ * Closes open strings, arrays and objects and drops a dangling key or comma,
+ * so `{"a": ["x", "y` parses as `{ a: ['x', 'y'] }`.
+ * @param {string} text - JSON text received so far
+ * @returns {*} - Parsed value, or null if nothing usable yet
+ */
+function parsePartialJson(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+
+  const source = text.slice(start);
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  // Position after the last complete value, so cut-off literals can be dropped
+  let safeEnd = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        safeEnd = i + 1;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+      safeEnd = i + 1;
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      safeEnd = i + 1;
+      if (stack.length === 0) {
+        return tryParse(source.slice(0, i + 1));
+      }
+    } else if (/[\s,:]/.test(char)) {
+      safeEnd = i + 1;
+    } else if (/[\d.eE+\-truefalsn]/.test(char) && i === source.length - 1) {
+      // A number or literal may still be growing; leave safeEnd before it
+    } else {
+      safeEnd = i + 1;
+    }
+  }
+
+  let candidate = inString
+    ? (escaped ? source.slice(0, -1) : source) + '"'
+    : source.slice(0, safeEnd);
+
+  // Drop a trailing partial number or literal such as `0.8` or `tru`
+  candidate = candidate.replace(/[,:\s]*(?:-?[\d.][\d.eE+-]*|t|tr|tru|f|fa|fal|fals|n|nu|nul)$/, match =>
+    /^[,:\s]*$/.test(match) ? match : '');
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const closed = closeJson(candidate, stack);
+    const parsed = tryParse(closed);
+    if (parsed !== undefined) return parsed;
+
+    // Remove a dangling key (`"key"` or `"key":`) or trailing comma and retry
+    candidate = candidate
+      .replace(/,\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '')
+      .replace(/([{[])\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '$1')
+      .replace(/,\s*$/, '');
+  }
+
+  return null;
+}
+
+/**
+ * Pull a JSON value out of a model reply that may wrap it in prose or
+ * Markdown code fences
+ * @param {string} text - Model reply
+ * @returns {*} - Parsed value, or undefined if no complete JSON value is found
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return undefined;
+
+  const direct = tryParse(text.trim());
+  if (direct !== undefined) return direct;
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    const parsed = tryParse(fenced[1].trim());
+    if (parsed !== undefined) return parsed;
+  }
+
+  // Try each balanced {...} or [...] span in turn
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== '{' && text[start] !== '[') continue;
+
+    const end = findClosingBracket(text, start);
+    if (end === -1) continue;
+
+    const parsed = tryParse(text.slice(start, end + 1));
+    if (parsed !== undefined) return parsed;
+  }
+
+  return undefined;
+}
+
+/**
+ * Index of the bracket closing the one at `start`, ignoring brackets in strings
+ */
+function findClosingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') depth++;
+    else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Append closing brackets for everything still open
+ */
+function closeJson(candidate, stack) {
+  const trimmed = candidate.replace(/[,\s:]*$/, '');
+  return trimmed + [...stack].reverse().join('');
+}
+
+function tryParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  parsePartialJson,
+  extractJson
+};
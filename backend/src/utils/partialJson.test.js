@@ -0,0 +1,48 @@
+const { parsePartialJson, extractJson } = require('./partialJson');
+
+describe('parsePartialJson', () => {
+  it('closes open strings, arrays and objects', () => {
+    expect(parsePartialJson('{"a": ["x", "y')).toEqual({ a: ['x', 'y'] });
+  });
+
+  it('drops a dangling key', () => {
+    expect(parsePartialJson('{"a": 1, "b"')).toEqual({ a: 1 });
+    expect(parsePartialJson('{"a": 1, "b":')).toEqual({ a: 1 });
+  });
+
+  it('drops a number or literal that may still be growing', () => {
+    expect(parsePartialJson('{"a": "x", "confidence": 0.8')).toEqual({ a: 'x' });
+    expect(parsePartialJson('{"a": "x", "ok": tru')).toEqual({ a: 'x' });
+  });
+
+  it('keeps an escaped quote inside a string', () => {
+    expect(parsePartialJson('{"a": "say \\"hi')).toEqual({ a: 'say "hi' });
+  });
+
+  it('stops at the end of the first complete value', () => {
+    expect(parsePartialJson('Sure: {"a": 1} and more')).toEqual({ a: 1 });
+  });
+
+  it('returns null before any JSON starts', () => {
+    expect(parsePartialJson('Thinking')).toBeNull();
+    expect(parsePartialJson(undefined)).toBeNull();
+  });
+});
+
+describe('extractJson', () => {
+  it('parses a plain reply', () => {
+    expect(extractJson(' {"a": 1} ')).toEqual({ a: 1 });
+  });
+
+  it('unwraps code fences', () => {
+    expect(extractJson('Here it is:\n```json\n{"a": [1, 2]}\n```')).toEqual({ a: [1, 2] });
+  });
+
+  it('finds a value wrapped in prose, ignoring brackets in strings', () => {
+    expect(extractJson('The answer {"text": "a } b"} is above')).toEqual({ text: 'a } b' });
+  });
+
+  it('returns undefined for incomplete JSON', () => {
+    expect(extractJson('{"a": 1')).toBeUndefined();
+  });
+});
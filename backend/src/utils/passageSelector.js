@@ -0,0 +1,94 @@
+/**
+ * Pick the passages of a page most relevant to a claim
+ *
+ * The page text is cut into passages of whole sentences, and each passage is
+ * scored by the claim's words it contains, weighted so words that appear in
+ * few passages count more. Numbers count double, since they are usually what
+ * a claim turns on.
+ */
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'that', 'this', 'with', 'from', 'has', 'have', 'had',
+  'its', 'not', 'but', 'all', 'any', 'can', 'will', 'would', 'been', 'than', 'then', 'they',
+  'their', 'there', 'what', 'when', 'which', 'who', 'how', 'more', 'most', 'into', 'over', 'about'
+]);
+
+/**
+ * Words of a text used for matching (lowercase, without stop words)
+ */
+function contentTerms(text) {
+  return text.toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => (term.length >= 3 || /\d/.test(term)) && !STOP_WORDS.has(term));
+}
+
+/**
+ * Cut text into passages of up to maxChars, breaking between sentences
+ * Short paragraphs are joined with the next one.
+ */
+function splitPassages(text, maxChars) {
+  const passages = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) passages.push(current);
+    current = '';
+  };
+
+  text.split(/\n{2,}/).forEach(paragraph => {
+    if (current.length >= maxChars / 3) flush();
+
+    paragraph.split(/(?<=[.!?])\s+/).forEach(sentence => {
+      const piece = sentence.slice(0, maxChars);
+      if (current && current.length + 1 + piece.length > maxChars) flush();
+      current = current ? `${current} ${piece}` : piece;
+    });
+  });
+  flush();
+
+  return passages;
+}
+
+/**
+ * Passages of a text most relevant to a claim
+ * @param {string} text - Page text, paragraphs separated by blank lines
+ * @param {string} claim - Claim text
+ * @param {object} options - { count, maxChars }
+ * @returns {Array} - [{ text, index, score }], best first; index is the
+ *   passage's position in the page. Passages sharing no words with the claim
+ *   are left out.
+ */
+function selectPassages(text, claim, options = {}) {
+  const { count = 3, maxChars = 600 } = options;
+
+  const claimTerms = [...new Set(contentTerms(claim))];
+  if (claimTerms.length === 0) return [];
+
+  const passages = splitPassages(text, maxChars).map((passageText, index) => ({
+    text: passageText,
+    index,
+    terms: new Set(contentTerms(passageText))
+  }));
+
+  const weights = new Map(claimTerms.map(term => {
+    const found = passages.filter(passage => passage.terms.has(term)).length;
+    const idf = Math.log(1 + passages.length / (1 + found));
+    return [term, /\d/.test(term) ? idf * 2 : idf];
+  }));
+
+  return passages
+    .map(passage => ({
+      text: passage.text,
+      index: passage.index,
+      score: claimTerms.reduce((sum, term) => sum + (passage.terms.has(term) ? weights.get(term) : 0), 0)
+    }))
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .map(passage => ({ ...passage, score: Number(passage.score.toFixed(3)) }));
+}
+
+module.exports = {
+  selectPassages,
+  splitPassages
+};
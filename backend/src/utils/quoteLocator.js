@@ -0,0 +1,54 @@
+/**
+ * Find quotes the model copied from a message back in the original text
+ */
+
+const QUOTE_MARKS = '"\'“”‘’';
+
+/**
+ * Character range of a quote in the text
+ * Exact matches are preferred; otherwise case, spacing and quote marks are
+ * ignored. When the quote occurs more than once, the first occurrence not
+ * already taken is used (several quotes from one message may repeat the same
+ * words), trying loose matches once the exact ones are taken; if every
+ * occurrence is taken, the first one is shared.
+ * @param {string} text - Text the quote was copied from
+ * @param {string} quote - Quoted words
+ * @param {Array} taken - Spans already assigned, [{ start, end }]
+ * @returns {object|null} - { start, end, text } in the original text, or null if the quote is not in it
+ */
+function locateQuote(text, quote, taken = []) {
+  if (typeof text !== 'string' || typeof quote !== 'string') return null;
+
+  const trimmed = quote.replace(new RegExp(`^[${QUOTE_MARKS}\\s]+|[${QUOTE_MARKS}\\s.]+$`, 'g'), '');
+  if (!trimmed) return null;
+
+  const exact = [];
+  let index = text.indexOf(trimmed);
+  while (index >= 0) {
+    exact.push({ start: index, end: index + trimmed.length });
+    index = text.indexOf(trimmed, index + 1);
+  }
+
+  const spans = [...exact, ...looseMatches(text, trimmed)];
+  const span = spans.find(candidate => !taken.some(used => used.start === candidate.start)) || spans[0];
+
+  return span ? { ...span, text: text.slice(span.start, span.end) } : null;
+}
+
+/**
+ * Occurrences of the quote's words, ignoring case, spacing and quote marks
+ */
+function looseMatches(text, quote) {
+  const words = quote
+    .split(/\s+/)
+    .map(word => word
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(new RegExp(`[${QUOTE_MARKS}]`, 'g'), `[${QUOTE_MARKS}]`));
+  const pattern = new RegExp(words.join('\\s+'), 'gi');
+
+  return Array.from(text.matchAll(pattern), match => ({ start: match.index, end: match.index + match[0].length }));
+}
+
+module.exports = {
+  locateQuote
+};
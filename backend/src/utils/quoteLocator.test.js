@@ -0,0 +1,51 @@
+const { locateQuote } = require('./quoteLocator');
+
+describe('locateQuote', () => {
+  const text = 'Rents rose 10% in 2020. Wages fell. Rents rose 10% in 2020, again.';
+
+  it('returns the offsets of an exact quote in the original text', () => {
+    expect(locateQuote(text, 'Wages fell')).toEqual({ start: 24, end: 34, text: 'Wages fell' });
+  });
+
+  it('gives repeated quotes successive occurrences', () => {
+    const first = locateQuote(text, 'Rents rose 10% in 2020');
+    const second = locateQuote(text, 'Rents rose 10% in 2020', [first]);
+
+    expect(first.start).toBe(0);
+    expect(second.start).toBe(text.lastIndexOf('Rents'));
+    expect(text.slice(second.start, second.end)).toBe('Rents rose 10% in 2020');
+  });
+
+  it('shares the first occurrence once every occurrence is taken', () => {
+    const taken = [{ start: 0 }, { start: text.lastIndexOf('Rents') }];
+    expect(locateQuote(text, 'Rents rose', taken).start).toBe(0);
+  });
+
+  it('locates overlapping quotes independently', () => {
+    const a = locateQuote(text, 'rose 10% in 2020');
+    const b = locateQuote(text, '10% in 2020. Wages', [a]);
+
+    expect(a).toMatchObject({ start: 6, end: 22 });
+    expect(b).toMatchObject({ start: 11, text: '10% in 2020. Wages' });
+  });
+
+  it('ignores case, spacing, quote marks and a trailing period', () => {
+    expect(locateQuote('He said “it’s   FINE” yesterday.', '"He said \'it\'s fine\'."')).toEqual({
+      start: 0,
+      end: 20,
+      text: 'He said “it’s   FINE'
+    });
+  });
+
+  it('moves on to a differently cased occurrence once the exact one is taken', () => {
+    const first = locateQuote('Rents rose. rents rose.', 'rents rose');
+    const second = locateQuote('Rents rose. rents rose.', 'rents rose', [first]);
+    expect([first.start, second.start]).toEqual([12, 0]);
+  });
+
+  it('returns null for quotes that are not in the text', () => {
+    expect(locateQuote(text, 'Prices doubled')).toBeNull();
+    expect(locateQuote(text, '  "" ')).toBeNull();
+    expect(locateQuote(text, null)).toBeNull();
+  });
+});
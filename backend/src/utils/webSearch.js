@@ -1,8 +1,8 @@
 const axios = require('axios');
 
 /**
- * Search the web for information
- * Uses DuckDuckGo by default, or SerpAPI if configured
+ * Web search clients and source credibility
+ * Fact-checks pick between these through services/searchProviders
  */
 
 /**
@@ -101,50 +101,6 @@ async function searchWithSerpAPI(query, limit = 10) {
   }
 }
 
-/**
- * Main search function - tries SerpAPI first, falls back to DuckDuckGo
- * @param {string} query - Search query
- * @param {number} limit - Maximum number of results
- * @returns {Promise<Array>} - Search results
- */
-async function searchWeb(query, limit = 10) {
-  try {
-    // Try SerpAPI if key is available
-    if (process.env.SERPAPI_KEY) {
-      try {
-        return await searchWithSerpAPI(query, limit);
-      } catch (error) {
-        console.log('SerpAPI failed, falling back to DuckDuckGo');
-      }
-    }
-    
-    // Fall back to DuckDuckGo
-    return await searchDuckDuckGo(query, limit);
-  } catch (error) {
-    console.error('Web search error:', error);
-    return [];
-  }
-}
-
-/**
- * Search for fact-checking specific sources
- * @param {string} claim - Claim to fact-check
- * @returns {Promise<Array>} - Search results from fact-checking sites
- */
-async function searchFactCheckSources(claim) {
-  const factCheckSites = [
-    'snopes.com',
-    'factcheck.org',
-    'politifact.com',
-    'reuters.com/fact-check',
-    'apnews.com/ap-fact-check'
-  ];
-  
-  const query = `${claim} site:${factCheckSites.join(' OR site:')}`;
-  
-  return await searchWeb(query, 5);
-}
-
 /**
  * Extract credibility score based on source domain
  * @param {string} url - URL to evaluate
@@ -169,18 +125,21 @@ function getSourceCredibility(url) {
       'theguardian.com', 'economist.com'
     ];
     
+    // Match whole domain labels, so "notgov.com" or "bbc.com.example.net" don't count
+    const matches = (entry) => domain === entry || domain.endsWith(`.${entry}`);
+    
     // Check if domain matches high credibility
-    if (highCredibility.some(trusted => domain.includes(trusted))) {
+    if (highCredibility.some(matches)) {
       return 0.9;
     }
     
     // Check if domain matches medium credibility
-    if (mediumCredibility.some(med => domain.includes(med))) {
+    if (mediumCredibility.some(matches)) {
       return 0.7;
     }
     
-    // Check for .gov or .edu domains
-    if (domain.endsWith('.gov') || domain.endsWith('.edu')) {
+    // Check for government and academic domains in other countries (e.g. gov.uk, ac.uk)
+    if (/\.(?:gov|edu|ac)\.[a-z]{2}$/.test(domain)) {
       return 0.85;
     }
     
@@ -193,21 +152,20 @@ function getSourceCredibility(url) {
 
 /**
  * Enhance search results with credibility scores
+ * Scores set by the search provider (e.g. the local knowledge base) are kept.
  * @param {Array} results - Search results
  * @returns {Array} - Enhanced results with credibility scores
  */
 function enhanceResultsWithCredibility(results) {
   return results.map(result => ({
     ...result,
-    credibilityScore: getSourceCredibility(result.url)
+    credibilityScore: result.credibilityScore ?? getSourceCredibility(result.url)
   })).sort((a, b) => b.credibilityScore - a.credibilityScore);
 }
 
 module.exports = {
-  searchWeb,
   searchDuckDuckGo,
   searchWithSerpAPI,
-  searchFactCheckSources,
   getSourceCredibility,
   enhanceResultsWithCredibility
 };
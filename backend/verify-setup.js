@@ -81,6 +81,7 @@ const requiredFiles = [
     'src/models/Thread.js',
     'src/models/Message.js',
     'src/models/Claim.js',
+    'src/routes/auth.js',
     'src/routes/threads.js',
     'src/routes/messages.js',
     'src/routes/llm.js',
@@ -134,7 +135,7 @@ models.forEach(model => {
 
 // Check 6: Routes structure
 console.log('\n🛣️  Checking API routes...');
-const routes = ['threads', 'messages', 'llm'];
+const routes = ['auth', 'threads', 'messages', 'llm'];
 routes.forEach(route => {
     const routePath = `src/routes/${route}.js`;
     if (fs.existsSync(routePath)) {